@@ -17,6 +17,25 @@ app.use(cors({
   credentials: true
 }));
 
+// Real-time notification stream (Server-Sent Events). Mounted before rate
+// limiting and body parsing so long-lived connections and reconnects pass straight through
+app.use('/api/notifications/stream', createProxyMiddleware({
+  target: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:3003',
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/notifications/stream': '/api/notifications/stream'
+  },
+  onError: (err, req, res) => {
+    console.error('Notification stream proxy error:', err.message);
+    if (!res.headersSent) {
+      res.status(503).json({
+        success: false,
+        message: 'Notification service is currently unavailable'
+      });
+    }
+  }
+}));
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -45,6 +64,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Service-to-service routes authenticate with INTERNAL_API_KEY and are only
+// reachable on the internal network, never through the gateway
+const internalRoutes = [
+  '/api/auth/user',
+  '/api/auth/users',
+  '/api/users/internal',
+  '/api/shops/internal'
+];
+
+app.use(internalRoutes, (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Route ${req.originalUrl} not found in API Gateway`
+  });
+});
+
 app.use('/api/auth', createProxyMiddleware({
   target: process.env.AUTH_SERVICE_URL || 'http://localhost:3001',
   changeOrigin: true,
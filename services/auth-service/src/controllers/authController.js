@@ -574,6 +574,72 @@ export const changePassword = asyncHandler(async (req, res) => {
   res.json({ success: true, message: "Password updated successfully" });
 });
 
+/**
+ * Get User Contact Details (Internal Services)
+ */
+export const getUserById = asyncHandler(async (req, res) => {
+  const user = await UserModel.findById(req.params.id).select("name email mobile countryCode role isActive");
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      mobile: user.mobile,
+      countryCode: user.countryCode,
+      role: user.role,
+      isActive: user.isActive
+    }
+  });
+});
+
+/**
+ * List Active Users' Contact Details (Internal Services)
+ * Pages through users, optionally filtered by a comma-separated list of roles
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 500);
+
+  const filter = { isActive: true };
+  if (req.query.role) {
+    filter.role = { $in: req.query.role.split(",").map(role => role.trim()) };
+  }
+
+  const [users, total] = await Promise.all([
+    UserModel.find(filter)
+      .select("name email mobile countryCode role")
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    UserModel.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    users: users.map(user => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      mobile: user.mobile,
+      countryCode: user.countryCode,
+      role: user.role
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
 /**
  * Get Geolocation Data for Current IP
  */
@@ -14,8 +14,10 @@ import {
   resetPassword,
   changePassword,
   getGeolocation,
+  getUserById,
+  getUsers,
 } from "../controllers/authController.js";
-import { protect } from "../middlewares/authMiddleware.js";
+import { protect, protectInternal } from "../middlewares/authMiddleware.js";
 
 const authRoutes = express.Router();
 
@@ -41,4 +43,8 @@ authRoutes.post("/password/change", protect, changePassword);
 // Utility routes
 authRoutes.get("/geolocation", getGeolocation);
 
+// Internal service-to-service routes
+authRoutes.get("/user/:id", protectInternal, getUserById);
+authRoutes.get("/users", protectInternal, getUsers);
+
 export default authRoutes;
@@ -5,10 +5,18 @@ import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import connectDB from "./src/config/db.js";
 import shopRoutes from "./src/routes/shopRoutes.js";
+import orderRoutes from "./src/routes/orderRoutes.js";
+import prescriptionRoutes from "./src/routes/prescriptionRoutes.js";
+import reviewRoutes from "./src/routes/reviewRoutes.js";
+import deliveryRoutes from "./src/routes/deliveryRoutes.js";
+import purchaseRoutes from "./src/routes/purchaseRoutes.js";
+import saleRoutes from "./src/routes/saleRoutes.js";
+import reportRoutes from "./src/routes/reportRoutes.js";
 import { errorHandler } from "./src/middlewares/errorMiddleware.js";
 import { initKafkaProducer, publishEvent, closeKafkaConnections } from "./src/events/kafka.js";
 import { TOPICS, EVENT_TYPES } from "./src/events/eventTypes.js";
 import { initEventHandlers } from "./src/events/eventHandlers.js";
+import { startInventoryAlertScanner, stopInventoryAlertScanner } from "./src/jobs/inventoryAlertScanner.js";
 
 dotenv.config();
 
@@ -54,6 +62,13 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
+app.use('/api/shops', orderRoutes);
+app.use('/api/shops', prescriptionRoutes);
+app.use('/api/shops', reviewRoutes);
+app.use('/api/shops', deliveryRoutes);
+app.use('/api/shops', purchaseRoutes);
+app.use('/api/shops', saleRoutes);
+app.use('/api/shops', reportRoutes);
 app.use('/api/shops', shopRoutes);
 
 // Error handling
@@ -81,17 +96,22 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Failed to publish service started event:', error);
   }
+
+  // Start periodic expiry and low stock scans
+  startInventoryAlertScanner();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopInventoryAlertScanner();
   await closeKafkaConnections();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopInventoryAlertScanner();
   await closeKafkaConnections();
   process.exit(0);
 });
@@ -1,5 +1,24 @@
 import mongoose from "mongoose";
 
+// Indexes replaced by later schema changes, dropped on startup so they cannot block writes
+const LEGACY_INDEXES = [
+  // Inventory used to allow one document per medicine; batches are now unique per batch number
+  { collection: "inventories", name: "shopId_1_medicineId_1" }
+];
+
+const dropLegacyIndexes = async () => {
+  for (const { collection, name } of LEGACY_INDEXES) {
+    try {
+      await mongoose.connection.db.collection(collection).dropIndex(name);
+      console.log(`🧹 Medical Shop Service - Dropped legacy index ${collection}.${name}`);
+    } catch (error) {
+      if (error.codeName !== "IndexNotFound" && error.codeName !== "NamespaceNotFound") {
+        console.warn(`⚠️ Medical Shop Service - Could not drop legacy index ${collection}.${name}: ${error.message}`);
+      }
+    }
+  }
+};
+
 const connectDB = async () => {
   const MONGO_URI = process.env.MONGO_URI;
 
@@ -17,6 +36,8 @@ const connectDB = async () => {
     });
 
     console.log(`✅ Medical Shop Service - MongoDB Connected: ${conn.connection.host}`);
+
+    await dropLegacyIndexes();
   } catch (error) {
     console.error(`❌ Medical Shop Service - MongoDB connection failed: ${error.message}`);
     setTimeout(connectDB, 5000);
@@ -0,0 +1,124 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { Query, Aggregator } from "mingo";
+import { update } from "mingo/updater";
+
+jest.unstable_mockModule("../../events/kafka.js", () => ({
+  publishEvent: jest.fn(),
+  subscribeToTopics: jest.fn()
+}));
+
+const { publishEvent } = await import("../../events/kafka.js");
+const { default: Inventory } = await import("../../models/Inventory.js");
+const { default: PurchaseOrder } = await import("../../models/PurchaseOrder.js");
+const { default: MedicalShop } = await import("../../models/MedicalShop.js");
+const { default: Supplier } = await import("../../models/Supplier.js");
+const { receivePurchaseOrder } = await import("../purchaseController.js");
+
+const ownerId = new mongoose.Types.ObjectId();
+const shop = new MedicalShop({ name: "Test Pharmacy", ownerId });
+
+// Inventory documents live in memory and mingo stands in for the MongoDB query engine
+let inventories = [];
+
+const hydrate = (doc) => doc && Inventory.hydrate(new Inventory(doc).toObject());
+const findIndex = (filter) => inventories.findIndex(doc => new Query(filter).test(doc));
+
+const mockInventoryCollection = () => {
+  jest.spyOn(Inventory, "findOne").mockImplementation(async filter => hydrate(inventories[findIndex(filter)]));
+  jest.spyOn(Inventory, "findOneAndUpdate").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index === -1) return null;
+    inventories[index] = Array.isArray(changes)
+      ? new Aggregator(changes).run([inventories[index]])[0]
+      : (update(inventories[index], changes), inventories[index]);
+    return hydrate(inventories[index]);
+  });
+  jest.spyOn(Inventory, "updateOne").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index !== -1) update(inventories[index], { $set: changes });
+  });
+};
+
+// Run an Express handler to completion, resolving with its JSON body
+const runHandler = (handler, req) => new Promise((resolve, reject) => {
+  handler(req, { json: resolve, status() { return this; } }, reject);
+});
+
+const createBatch = (batchNumber, medicineId, quantity, costPrice) => {
+  const batch = new Inventory({
+    shopId: shop._id,
+    medicineId,
+    batchNumber,
+    quantity,
+    pricing: { costPrice, sellingPrice: 100, mrp: 110 },
+    manufacturingDate: new Date("2026-01-01"),
+    expiryDate: new Date("2028-01-01"),
+    createdBy: ownerId
+  }).toObject();
+  batch.availableQuantity = quantity;
+  return batch;
+};
+
+describe("receiving a purchase order", () => {
+  let purchaseOrder;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    publishEvent.mockClear();
+
+    const medicines = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    inventories = [createBatch("A-1", medicines[0], 10, 50), createBatch("B-1", medicines[1], 4, 20)];
+    mockInventoryCollection();
+
+    purchaseOrder = new PurchaseOrder({
+      poNumber: "PO-TEST-0001",
+      shopId: shop._id,
+      supplierId: new mongoose.Types.ObjectId(),
+      status: "ordered",
+      items: [
+        { medicineId: medicines[0], name: "Paracetamol 500mg", quantity: 10, unitCost: 60 },
+        { medicineId: medicines[1], name: "Cetirizine 10mg", quantity: 5, unitCost: 25 }
+      ],
+      createdBy: ownerId
+    });
+    jest.spyOn(purchaseOrder, "save").mockResolvedValue(purchaseOrder);
+
+    jest.spyOn(PurchaseOrder, "findById").mockResolvedValue(purchaseOrder);
+    jest.spyOn(MedicalShop, "findById").mockResolvedValue(shop);
+    jest.spyOn(Supplier, "findById").mockReturnValue({ select: async () => ({ name: "Acme Pharma" }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("takes back the booked stock and the receipt when a later line cannot be booked", async () => {
+    // The second batch is deleted while the receipt is being saved
+    purchaseOrder.save.mockImplementationOnce(async () => {
+      inventories = inventories.filter(batch => batch.batchNumber !== "B-1");
+      return purchaseOrder;
+    });
+
+    await expect(runHandler(receivePurchaseOrder, {
+      params: { id: purchaseOrder._id },
+      body: {
+        invoiceNumber: "INV-1",
+        items: [
+          { itemId: purchaseOrder.items[0]._id.toString(), batchNumber: "A-1", quantity: 10 },
+          { itemId: purchaseOrder.items[1]._id.toString(), batchNumber: "B-1", quantity: 5 }
+        ]
+      },
+      user: { id: ownerId.toString(), role: "shop-owner" }
+    })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(inventories[0]).toMatchObject({ quantity: 10, availableQuantity: 10, pricing: { costPrice: 50 } });
+    expect(inventories[0].stockMovements).toHaveLength(0);
+
+    expect(purchaseOrder.receipts).toHaveLength(0);
+    expect(purchaseOrder.items.map(item => item.receivedQuantity)).toEqual([0, 0]);
+    expect(purchaseOrder.totals.receivedCost).toBe(0);
+    expect(purchaseOrder.status).toBe("ordered");
+    expect(publishEvent).not.toHaveBeenCalled();
+  });
+});
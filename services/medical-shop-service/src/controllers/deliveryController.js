@@ -0,0 +1,467 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import Order from "../models/Order.js";
+import Rider from "../models/Rider.js";
+import MedicalShop from "../models/MedicalShop.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+// Wrong delivery codes a rider may enter before having to use a photo instead
+const MAX_OTP_ATTEMPTS = 5;
+
+// Remove a stored proof of delivery photo from disk
+const removeProofFile = (url) => {
+  if (!url) return;
+  const filePath = path.join(".", url);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+// Load the current user's rider record
+const findMyRider = async (userId) => {
+  const rider = await Rider.findOne({ userId });
+
+  if (!rider) {
+    const error = new Error("Rider profile not found. Complete rider onboarding first.");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return rider;
+};
+
+// Load an order assigned to the current rider, in the delivery status the action needs
+const findRiderOrder = async (orderId, riderUserId, deliveryStatus, select) => {
+  const query = Order.findById(orderId);
+  if (select) query.select(select);
+  const order = await query;
+
+  if (!order) {
+    const error = new Error("Order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (order.delivery?.riderId?.toString() !== riderUserId) {
+    const error = new Error("This delivery is not assigned to you");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (order.delivery.status !== deliveryStatus) {
+    const error = new Error(`Delivery is ${order.delivery.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return order;
+};
+
+// Offer a packed order to the nearest free rider; returns null when nobody is around
+export const assignNearestRider = async (order) => {
+  const shop = await MedicalShop.findById(order.shopId).select("name address");
+  const coordinates = shop?.address?.coordinates;
+
+  if (coordinates?.latitude === undefined || coordinates?.longitude === undefined) {
+    const error = new Error("Shop location is not set, riders cannot be assigned");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Riders who were already offered this order are not asked again
+  const offered = (order.delivery?.attempts || []).map(attempt => attempt.riderId);
+  const candidates = await Rider.findNearestAvailable(coordinates.latitude, coordinates.longitude, offered);
+
+  // Another order may claim a candidate first, so try them closest first
+  let rider = null;
+  for (const candidate of candidates) {
+    rider = await Rider.claimForOrder(candidate._id, order._id);
+    if (rider) break;
+  }
+
+  // Only a packed order nobody holds yet can be handed over
+  const assignable = {
+    _id: order._id,
+    status: "packed",
+    "delivery.status": { $nin: ["assigned", "accepted", "picked-up"] }
+  };
+
+  if (!rider) {
+    await Order.updateOne(assignable, { $set: { "delivery.status": "unassigned" } });
+    return null;
+  }
+
+  const now = new Date();
+  const assigned = await Order.findOneAndUpdate(
+    assignable,
+    {
+      $set: {
+        "delivery.status": "assigned",
+        "delivery.riderId": rider.userId,
+        "delivery.assignedAt": now
+      },
+      $push: { "delivery.attempts": { riderId: rider.userId, assignedAt: now } }
+    },
+    { new: true }
+  );
+
+  if (!assigned) {
+    await Rider.releaseFromOrder(rider.userId, order._id);
+    const error = new Error("Order is no longer waiting for a rider");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Publish rider assigned event
+  await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_RIDER_ASSIGNED, {
+    ...assigned.toEventPayload(),
+    riderId: rider.userId,
+    shopName: shop.name,
+    pickupAddress: shop.address,
+    deliveryAddress: assigned.deliveryAddress
+  });
+
+  return assigned;
+};
+
+// ========== RIDER ==========
+
+// @desc    Get current rider's status and active delivery
+// @route   GET /api/shops/riders/me
+// @access  Private (Rider)
+export const getMyRider = asyncHandler(async (req, res) => {
+  const rider = await findMyRider(req.user.id);
+
+  const activeOrder = rider.activeOrderId
+    ? await Order.findById(rider.activeOrderId)
+      .select("orderNumber status items.name items.quantity pricing.total paymentMethod deliveryAddress contactPhone delivery.status delivery.assignedAt delivery.acceptedAt delivery.pickedUpAt")
+      .populate("shopId", "name address contactInfo")
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      rider,
+      activeOrder
+    }
+  });
+});
+
+// @desc    Go online or offline for new deliveries
+// @route   PATCH /api/shops/riders/me/availability
+// @access  Private (Rider)
+export const updateAvailability = asyncHandler(async (req, res) => {
+  const { isAvailable } = req.body;
+  const rider = await findMyRider(req.user.id);
+
+  if (isAvailable && rider.status !== "active") {
+    const error = new Error(
+      rider.status === "suspended" ? "Your rider account is suspended" : "Your rider account has not been approved yet"
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (!isAvailable && rider.activeOrderId) {
+    const error = new Error("Finish or reject your current delivery before going offline");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  rider.isAvailable = isAvailable;
+  await rider.save();
+
+  res.json({
+    success: true,
+    message: isAvailable ? "You are now available for deliveries" : "You are now offline",
+    data: rider
+  });
+});
+
+// @desc    Report the rider's current position
+// @route   PUT /api/shops/riders/me/location
+// @access  Private (Rider)
+export const updateLocation = asyncHandler(async (req, res) => {
+  const { latitude, longitude } = req.body;
+  const rider = await findMyRider(req.user.id);
+
+  rider.location = { type: "Point", coordinates: [longitude, latitude] };
+  rider.lastLocationAt = new Date();
+  await rider.save();
+
+  res.json({
+    success: true,
+    message: "Location updated",
+    data: {
+      location: { latitude, longitude },
+      lastLocationAt: rider.lastLocationAt
+    }
+  });
+});
+
+// @desc    Accept an assigned delivery
+// @route   POST /api/shops/deliveries/:orderId/accept
+// @access  Private (Rider)
+export const acceptDelivery = asyncHandler(async (req, res) => {
+  const order = await findRiderOrder(req.params.orderId, req.user.id, "assigned");
+
+  order.recordRiderResponse("accepted");
+  order.delivery.status = "accepted";
+  order.delivery.acceptedAt = new Date();
+  await order.save();
+
+  await Rider.updateOne({ userId: req.user.id }, { $inc: { "stats.accepted": 1 } });
+
+  res.json({
+    success: true,
+    message: "Delivery accepted",
+    data: order
+  });
+});
+
+// @desc    Reject an assigned delivery - the order is offered to the next nearest rider
+// @route   POST /api/shops/deliveries/:orderId/reject
+// @access  Private (Rider)
+export const rejectDelivery = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const order = await findRiderOrder(req.params.orderId, req.user.id, "assigned");
+
+  order.recordRiderResponse("rejected", reason);
+  order.delivery.status = "unassigned";
+  order.delivery.riderId = undefined;
+  await order.save();
+
+  await Rider.releaseFromOrder(req.user.id, order._id, "rejected");
+
+  // Reassignment is best effort - the shop can assign again later
+  try {
+    await assignNearestRider(order);
+  } catch (error) {
+    console.error(`❌ Failed to reassign rider for order ${order._id}:`, error);
+  }
+
+  res.json({
+    success: true,
+    message: "Delivery rejected"
+  });
+});
+
+// @desc    Mark a delivery as picked up from the shop
+// @route   POST /api/shops/deliveries/:orderId/pickup
+// @access  Private (Rider)
+export const pickupDelivery = asyncHandler(async (req, res) => {
+  const order = await findRiderOrder(req.params.orderId, req.user.id, "accepted");
+
+  const previousStatus = order.status;
+  order.transitionTo("out-for-delivery", req.user.id, "Picked up by rider");
+  order.delivery.status = "picked-up";
+  order.delivery.pickedUpAt = new Date();
+  // The customer reads this code out at the door
+  order.delivery.otp = crypto.randomInt(1000, 10000).toString();
+  order.delivery.otpAttempts = 0;
+  await order.save();
+
+  // Publish order out for delivery event
+  await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_OUT_FOR_DELIVERY, {
+    ...order.toEventPayload(),
+    previousStatus,
+    performedBy: req.user.id,
+    riderId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: "Order picked up",
+    data: order
+  });
+});
+
+// @desc    Complete a delivery with the customer's code or a photo as proof
+// @route   POST /api/shops/deliveries/:orderId/complete
+// @access  Private (Rider)
+export const completeDelivery = asyncHandler(async (req, res) => {
+  const { otp, recipientName } = req.body;
+  const photoUrl = req.files?.[0] ? `/uploads/deliveries/${req.files[0].filename}` : undefined;
+
+  try {
+    const order = await findRiderOrder(req.params.orderId, req.user.id, "picked-up", "+delivery.otp");
+
+    if (!otp && !photoUrl) {
+      const error = new Error("Delivery code or a photo is required as proof of delivery");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (otp) {
+      // A wrong code is counted only while attempts remain, in the same update,
+      // so parallel guesses cannot go past the limit
+      const wrongCode = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          "delivery.otp": { $ne: otp },
+          "delivery.otpAttempts": { $lt: MAX_OTP_ATTEMPTS }
+        },
+        { $inc: { "delivery.otpAttempts": 1 } }
+      );
+      if (wrongCode) {
+        const error = new Error("Incorrect delivery code");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const accepted = await Order.exists({
+        _id: order._id,
+        "delivery.otp": otp,
+        "delivery.otpAttempts": { $lt: MAX_OTP_ATTEMPTS }
+      });
+      if (!accepted) {
+        const error = new Error("Too many wrong delivery codes. Upload a photo as proof instead.");
+        error.statusCode = 429;
+        throw error;
+      }
+    }
+
+    const method = otp ? "otp" : "photo";
+    const previousStatus = order.status;
+    order.transitionTo("delivered", req.user.id, `Delivered by rider (${method})`);
+    order.delivery.status = "delivered";
+    order.delivery.otp = undefined;
+    order.delivery.proof = {
+      method,
+      photoUrl,
+      recipientName,
+      collectedAt: new Date()
+    };
+    await order.save();
+
+    await Rider.releaseFromOrder(req.user.id, order._id, "delivered");
+
+    // Publish order delivered event
+    await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_DELIVERED, {
+      ...order.toEventPayload(),
+      previousStatus,
+      performedBy: req.user.id,
+      riderId: req.user.id,
+      proofMethod: method
+    });
+
+    res.json({
+      success: true,
+      message: "Order delivered",
+      data: order
+    });
+  } catch (error) {
+    removeProofFile(photoUrl);
+    throw error;
+  }
+});
+
+// ========== SHOP ==========
+
+// @desc    Assign the nearest available rider to a packed order (releases a rider who has not accepted)
+// @route   POST /api/shops/orders/:id/delivery/assign
+// @access  Private (Shop Owner/Admin)
+export const assignRider = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    const error = new Error("Order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(order.shopId).select("ownerId");
+  if (shop?.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to manage this order's delivery");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (order.status !== "packed") {
+    const error = new Error("Only packed orders can be assigned to a rider");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (["accepted", "picked-up"].includes(order.delivery?.status)) {
+    const error = new Error("A rider has already accepted this delivery");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // A rider who has not answered yet is taken off the order
+  if (order.delivery?.status === "assigned") {
+    const riderId = order.delivery.riderId;
+    order.recordRiderResponse("released", "Reassigned by shop");
+    order.delivery.status = "unassigned";
+    order.delivery.riderId = undefined;
+    await order.save();
+    await Rider.releaseFromOrder(riderId, order._id);
+  }
+
+  const assigned = await assignNearestRider(order);
+
+  res.json({
+    success: true,
+    message: assigned ? "Rider assigned" : "No rider is available nearby right now",
+    data: assigned || await Order.findById(order._id)
+  });
+});
+
+// @desc    Track an order's delivery: rider position and distance to the customer
+// @route   GET /api/shops/orders/:id/tracking
+// @access  Private (Customer/Shop Owner/Admin/Assigned Rider)
+export const getOrderTracking = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id).select("+delivery.otp");
+
+  if (!order) {
+    const error = new Error("Order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(order.shopId).select("ownerId name address");
+  const isCustomer = order.userId.toString() === req.user.id;
+  const isShopOwner = shop && shop.ownerId.toString() === req.user.id;
+  const isRider = order.delivery?.riderId?.toString() === req.user.id;
+
+  if (!isCustomer && !isShopOwner && !isRider && req.user.role !== "admin") {
+    const error = new Error("Not authorized to access this order");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // The rider's position is only shared while they hold the delivery
+  const rider = order.hasActiveRider() ? await Rider.findOne({ userId: order.delivery.riderId }) : null;
+  const destination = order.deliveryAddress?.coordinates;
+  const distance = rider && destination?.latitude !== undefined
+    ? rider.calculateDistance(destination.latitude, destination.longitude)
+    : null;
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      deliveryStatus: order.delivery?.status || "unassigned",
+      shop: shop && { name: shop.name, address: shop.address },
+      rider: rider && {
+        userId: rider.userId,
+        vehicleType: rider.vehicleType,
+        vehicleNumber: rider.vehicleNumber,
+        location: rider.location?.coordinates?.length
+          ? { latitude: rider.location.coordinates[1], longitude: rider.location.coordinates[0] }
+          : null,
+        lastLocationAt: rider.lastLocationAt
+      },
+      distanceKm: distance === null ? null : Math.round(distance * 100) / 100,
+      // Only the customer sees the code they hand to the rider
+      deliveryCode: isCustomer && order.delivery?.status === "picked-up" ? order.delivery.otp : undefined,
+      pickedUpAt: order.delivery?.pickedUpAt,
+      deliveredAt: order.deliveredAt,
+      proof: order.delivery?.proof?.method ? order.delivery.proof : undefined
+    }
+  });
+});
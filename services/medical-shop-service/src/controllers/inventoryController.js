@@ -250,6 +250,92 @@ export const addStockMovement = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get per-medicine stock totals across batches
+// @route   GET /api/inventory/shop/:shopId/stock
+// @access  Private (Shop Owner/Admin)
+export const getMedicineStockTotals = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { lowStockOnly } = req.query;
+
+  // Verify shop ownership
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to view this shop's inventory");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  let totals = await Inventory.getMedicineTotals(shopId);
+
+  if (lowStockOnly === "true") {
+    totals = totals.filter(total => total.isLowStock);
+  }
+
+  res.json({
+    success: true,
+    data: totals,
+    count: totals.length
+  });
+});
+
+// @desc    Take stock of a medicine out first-expiry-first-out across batches
+// @route   POST /api/inventory/shop/:shopId/dispense
+// @access  Private (Shop Owner)
+export const dispenseStock = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { medicineId, quantity, reason, reference, notes } = req.body;
+
+  // Verify shop ownership
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to modify this shop's inventory");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const allocations = await Inventory.consumeFEFO(
+    shopId,
+    medicineId,
+    quantity,
+    reason,
+    req.user.id,
+    reference,
+    notes
+  );
+
+  // Publish one stock movement event per batch touched
+  for (const allocation of allocations) {
+    await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.STOCK_MOVEMENT, {
+      inventoryId: allocation.inventoryId,
+      shopId,
+      medicineId,
+      batchNumber: allocation.batchNumber,
+      type: "out",
+      quantity: allocation.quantity,
+      reason,
+      performedBy: req.user.id
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Dispensed ${quantity} units from ${allocations.length} batch(es)`,
+    data: allocations
+  });
+});
+
 // @desc    Get inventory alerts (low stock, expiring)
 // @route   GET /api/inventory/:shopId/alerts
 // @access  Private (Shop Owner)
@@ -403,6 +489,7 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
     success: true,
     data: summary[0] || {
       totalItems: 0,
+      totalMedicines: 0,
       totalValue: 0,
       lowStockItems: 0,
       expiredItems: 0
@@ -1,8 +1,13 @@
 import { asyncHandler } from "../middlewares/asyncHandler.js";
 import Medicine from "../models/Medicine.js";
+import MedicalShop from "../models/MedicalShop.js";
+import Inventory from "../models/Inventory.js";
 import { publishEvent } from "../events/kafka.js";
 import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
 
+// Shops whose prices a substitute search without a shop or location is based on
+const MAX_SUBSTITUTE_PRICE_SHOPS = 50;
+
 // @desc    Create a new medicine
 // @route   POST /api/medicines
 // @access  Private (Admin/Shop Owner)
@@ -235,6 +240,132 @@ export const searchMedicines = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get substitutes with the same composition and dosage form
+// @route   GET /api/medicines/:id/substitutes
+// @access  Public
+export const getMedicineSubstitutes = asyncHandler(async (req, res) => {
+  const { shopId, radius = 10, sortOrder = "asc", limit = 20 } = req.query;
+  const hasLocation = req.query.lat !== undefined && req.query.lng !== undefined;
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+
+  const medicine = await Medicine.findById(req.params.id);
+
+  if (!medicine) {
+    const error = new Error("Medicine not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const substitutes = await Medicine.findSubstitutes(medicine)
+    .select("name genericName brand manufacturer composition dosageForms prescriptionRequired schedule images");
+
+  // Work out which shops' stock the prices should come from
+  const inventoryFilter = {
+    medicineId: { $in: substitutes.map(sub => sub._id) },
+    status: { $in: ["active", "low-stock"] },
+    expiryDate: { $gt: new Date() },
+    availableQuantity: { $gt: 0 }
+  };
+
+  let shopsById = new Map();
+  if (shopId) {
+    inventoryFilter.shopId = shopId;
+  } else if (hasLocation) {
+    const shops = await MedicalShop.findNearby(lat, lng, parseFloat(radius));
+    shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+    inventoryFilter.shopId = { $in: shops.map(shop => shop._id) };
+  } else {
+    // Without a location, prices come from the best-rated active, verified shops stocking a substitute
+    const shops = await MedicalShop.find({
+      _id: { $in: await Inventory.distinct("shopId", inventoryFilter) },
+      status: "active",
+      verificationStatus: "verified"
+    })
+      .sort({ "ratings.average": -1, "ratings.count": -1 })
+      .limit(MAX_SUBSTITUTE_PRICE_SHOPS)
+      .select("name");
+    shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+    inventoryFilter.shopId = { $in: shops.map(shop => shop._id) };
+  }
+
+  const inventoryItems = await Inventory.find(inventoryFilter)
+    .select("shopId medicineId availableQuantity pricing");
+
+  const offersByMedicine = new Map();
+  for (const item of inventoryItems) {
+    const key = item.medicineId.toString();
+    if (!offersByMedicine.has(key)) offersByMedicine.set(key, []);
+
+    // Several batches at the same shop collapse into one offer at the cheapest batch's price and MRP
+    const offers = offersByMedicine.get(key);
+    const finalPrice = Math.round(item.finalPrice * 100) / 100;
+    const existing = offers.find(offer => offer.shopId.toString() === item.shopId.toString());
+    if (existing) {
+      existing.availableQuantity += item.availableQuantity;
+      if (finalPrice < existing.finalPrice) {
+        existing.finalPrice = finalPrice;
+        existing.mrp = item.pricing.mrp;
+      }
+      continue;
+    }
+
+    const shop = shopsById.get(item.shopId.toString());
+    offers.push({
+      shopId: item.shopId,
+      ...(shop && { shopName: shop.name }),
+      ...(shop && hasLocation && { distance: shop.calculateDistance(lat, lng) }),
+      availableQuantity: item.availableQuantity,
+      finalPrice,
+      mrp: item.pricing.mrp
+    });
+  }
+
+  // Stock filtering is implied once a shop or location is given
+  const inStockOnly = req.query.inStockOnly !== undefined
+    ? req.query.inStockOnly === "true"
+    : Boolean(shopId || hasLocation);
+
+  let results = substitutes.map(sub => {
+    const offers = (offersByMedicine.get(sub._id.toString()) || [])
+      .sort((a, b) => a.finalPrice - b.finalPrice);
+
+    return {
+      ...sub.toObject(),
+      lowestPrice: offers.length > 0 ? offers[0].finalPrice : null,
+      offers
+    };
+  });
+
+  if (inStockOnly) {
+    results = results.filter(sub => sub.offers.length > 0);
+  }
+
+  // Sort by price, substitutes without a price go last
+  results.sort((a, b) => {
+    if (a.lowestPrice === null) return b.lowestPrice === null ? 0 : 1;
+    if (b.lowestPrice === null) return -1;
+    return sortOrder === "desc" ? b.lowestPrice - a.lowestPrice : a.lowestPrice - b.lowestPrice;
+  });
+
+  results = results.slice(0, parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      medicine: {
+        id: medicine._id,
+        name: medicine.name,
+        genericName: medicine.genericName,
+        composition: medicine.composition,
+        dosageForms: medicine.dosageForms
+      },
+      substitutes: results
+    },
+    count: results.length
+  });
+});
+
 // @desc    Get medicines by category
 // @route   GET /api/medicines/category/:category
 // @access  Public
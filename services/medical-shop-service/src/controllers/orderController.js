@@ -0,0 +1,549 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import Cart from "../models/Cart.js";
+import Order from "../models/Order.js";
+import MedicalShop from "../models/MedicalShop.js";
+import Medicine from "../models/Medicine.js";
+import Inventory from "../models/Inventory.js";
+import Prescription from "../models/Prescription.js";
+import Rider from "../models/Rider.js";
+import { assignNearestRider } from "./deliveryController.js";
+import { getUserAddress } from "../services/userService.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+// Event published for each order status
+const STATUS_EVENTS = {
+  confirmed: EVENT_TYPES.ORDER_CONFIRMED,
+  packed: EVENT_TYPES.ORDER_PACKED,
+  "out-for-delivery": EVENT_TYPES.ORDER_OUT_FOR_DELIVERY,
+  delivered: EVENT_TYPES.ORDER_DELIVERED,
+  cancelled: EVENT_TYPES.ORDER_CANCELLED
+};
+
+// Statuses in which the customer may still cancel their own order
+const CUSTOMER_CANCELLABLE_STATUSES = ["placed", "confirmed"];
+
+// Load an order and make sure the current user is its customer, the shop owner or an admin
+const getAccessibleOrder = async (orderId, user) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    const error = new Error("Order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(order.shopId).select("ownerId name");
+  const isCustomer = order.userId.toString() === user.id;
+  const isShopOwner = shop && shop.ownerId.toString() === user.id;
+
+  if (!isCustomer && !isShopOwner && user.role !== "admin") {
+    const error = new Error("Not authorized to access this order");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return { order, shop, isCustomer, isShopOwner };
+};
+
+// ========== CART ==========
+
+// @desc    Get current user's cart
+// @route   GET /api/shops/cart
+// @access  Private
+export const getCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreate(req.user.id);
+  await cart.populate("items.medicineId", "name genericName brand prescriptionRequired images");
+  await cart.populate("shopId", "name address contactInfo deliveryFee minimumOrder");
+
+  res.json({
+    success: true,
+    data: cart
+  });
+});
+
+// @desc    Add item to cart
+// @route   POST /api/shops/cart/items
+// @access  Private
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { shopId, medicineId, quantity, prescriptionId } = req.body;
+
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop || shop.status !== "active" || shop.verificationStatus !== "verified") {
+    const error = new Error("Shop is not available");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const medicine = await Medicine.findById(medicineId);
+  if (!medicine || medicine.status !== "active") {
+    const error = new Error("Medicine not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const cart = await Cart.findOrCreate(req.user.id);
+
+  if (cart.shopId && cart.items.length > 0 && cart.shopId.toString() !== shopId) {
+    const error = new Error("Cart contains items from another shop. Clear the cart first.");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  cart.shopId = shopId;
+  cart.addItem(medicineId, quantity, prescriptionId);
+  await cart.save();
+
+  res.json({
+    success: true,
+    message: "Item added to cart",
+    data: cart
+  });
+});
+
+// @desc    Update cart item quantity
+// @route   PUT /api/shops/cart/items/:medicineId
+// @access  Private
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreate(req.user.id);
+  const item = cart.items.find(i => i.medicineId.toString() === req.params.medicineId);
+
+  if (!item) {
+    const error = new Error("Item not found in cart");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (req.body.quantity !== undefined) {
+    item.quantity = req.body.quantity;
+  }
+  if (req.body.prescriptionId !== undefined) {
+    item.prescriptionId = req.body.prescriptionId;
+  }
+  await cart.save();
+
+  res.json({
+    success: true,
+    message: "Cart updated",
+    data: cart
+  });
+});
+
+// @desc    Remove item from cart
+// @route   DELETE /api/shops/cart/items/:medicineId
+// @access  Private
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreate(req.user.id);
+  cart.items = cart.items.filter(i => i.medicineId.toString() !== req.params.medicineId);
+
+  if (cart.items.length === 0) {
+    cart.clear();
+  }
+  await cart.save();
+
+  res.json({
+    success: true,
+    message: "Item removed from cart",
+    data: cart
+  });
+});
+
+// @desc    Clear cart
+// @route   DELETE /api/shops/cart
+// @access  Private
+export const clearCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreate(req.user.id);
+  cart.clear();
+  await cart.save();
+
+  res.json({
+    success: true,
+    message: "Cart cleared",
+    data: cart
+  });
+});
+
+// ========== ORDERS ==========
+
+// @desc    Checkout cart and place an order
+// @route   POST /api/shops/orders/checkout
+// @access  Private
+export const checkout = asyncHandler(async (req, res) => {
+  const { addressId, contactPhone, paymentMethod, notes } = req.body;
+  let { deliveryAddress } = req.body;
+
+  const cart = await Cart.findOne({ userId: req.user.id });
+  if (!cart || cart.items.length === 0) {
+    const error = new Error("Cart is empty");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (addressId) {
+    const address = await getUserAddress(req.user.id, addressId);
+    if (!address) {
+      const error = new Error("Address not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { street, city, state, postalCode, country, coordinates } = address;
+    deliveryAddress = { street, city, state, postalCode, country, coordinates };
+  }
+
+  // Every order is delivered, so the address must be located to check the delivery area and price it
+  const destination = deliveryAddress?.coordinates;
+  if (destination?.latitude === undefined || destination?.longitude === undefined) {
+    const error = new Error("This address has no location. Pin it on the map and try again.");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(cart.shopId);
+  if (!shop || shop.status !== "active" || shop.verificationStatus !== "verified") {
+    const error = new Error("Shop is not available");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (paymentMethod && shop.paymentMethods.length > 0 && !shop.paymentMethods.includes(paymentMethod)) {
+    const error = new Error(`Shop does not accept ${paymentMethod} payments`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Price every line against the shop's current inventory
+  const items = [];
+  const unavailable = [];
+  const missingPrescriptions = [];
+
+  for (const cartItem of cart.items) {
+    const medicine = await Medicine.findById(cartItem.medicineId).select("name status prescriptionRequired schedule");
+    const { allocations, shortfall } = medicine
+      ? await Inventory.planAllocation(shop._id, cartItem.medicineId, cartItem.quantity)
+      : { allocations: [], shortfall: cartItem.quantity };
+
+    if (!medicine || medicine.status !== "active" || shortfall > 0) {
+      unavailable.push({
+        medicineId: cartItem.medicineId,
+        name: medicine?.name,
+        requested: cartItem.quantity,
+        available: cartItem.quantity - shortfall
+      });
+      continue;
+    }
+
+    // Prescription-only medicines need an approved prescription reviewed by this shop
+    if (medicine.requiresPrescription()) {
+      const prescription = cartItem.prescriptionId && await Prescription.findById(cartItem.prescriptionId);
+      const valid = prescription &&
+        prescription.userId.toString() === req.user.id &&
+        prescription.shopId.toString() === shop._id.toString() &&
+        prescription.isUsable() &&
+        prescription.coversMedicine(medicine._id, cartItem.quantity);
+
+      if (!valid) {
+        missingPrescriptions.push({
+          medicineId: medicine._id,
+          name: medicine.name,
+          prescriptionId: cartItem.prescriptionId
+        });
+        continue;
+      }
+    }
+
+    // Batches may be priced differently, so the line is priced batch by batch
+    const lineTotal = Math.round(allocations.reduce(
+      (sum, { inventory, quantity }) => sum + inventory.finalPrice * quantity, 0
+    ) * 100) / 100;
+
+    items.push({
+      medicineId: medicine._id,
+      batches: allocations.map(({ inventory, quantity }) => ({
+        inventoryId: inventory._id,
+        batchNumber: inventory.batchNumber,
+        quantity,
+        unitPrice: inventory.discountedPrice,
+        unitCost: inventory.pricing.costPrice
+      })),
+      name: medicine.name,
+      quantity: cartItem.quantity,
+      mrp: Math.max(...allocations.map(({ inventory }) => inventory.pricing.mrp)),
+      unitPrice: Math.round((lineTotal / cartItem.quantity) * 100) / 100,
+      lineTotal,
+      prescriptionId: medicine.requiresPrescription() ? cartItem.prescriptionId : undefined
+    });
+  }
+
+  if (missingPrescriptions.length > 0) {
+    const error = new Error("An approved prescription is required for some items");
+    error.statusCode = 400;
+    error.details = missingPrescriptions;
+    throw error;
+  }
+
+  if (unavailable.length > 0) {
+    const error = new Error("Some items are not available in the requested quantity");
+    error.statusCode = 409;
+    error.details = unavailable;
+    throw error;
+  }
+
+  const subtotal = Math.round(items.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100;
+
+  if (subtotal < shop.minimumOrder) {
+    const error = new Error(`Minimum order value for this shop is ${shop.minimumOrder}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Check the address against the delivery area and price it by distance
+  const quote = shop.getDeliveryQuote(destination.latitude, destination.longitude, subtotal);
+  if (!quote.deliverable) {
+    const error = new Error(quote.reason);
+    error.statusCode = 400;
+    throw error;
+  }
+  const deliveryFee = quote.fee;
+
+  const order = await Order.create({
+    userId: req.user.id,
+    shopId: shop._id,
+    items,
+    pricing: {
+      subtotal,
+      deliveryFee,
+      total: subtotal + deliveryFee
+    },
+    deliveryAddress,
+    contactPhone,
+    paymentMethod,
+    notes
+  });
+
+  // Link the prescriptions used to this order
+  const prescriptionIds = [...new Set(items.filter(i => i.prescriptionId).map(i => i.prescriptionId.toString()))];
+  if (prescriptionIds.length > 0) {
+    await Prescription.updateMany(
+      { _id: { $in: prescriptionIds } },
+      { $addToSet: { linkedOrders: order._id } }
+    );
+  }
+
+  cart.clear();
+  await cart.save();
+
+  // Publish order placed event - inventory reservation happens in the handler
+  await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_PLACED, {
+    ...order.toEventPayload(),
+    shopName: shop.name,
+    shopOwnerId: shop.ownerId,
+    performedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Order placed successfully",
+    data: order
+  });
+});
+
+// @desc    Get current user's orders
+// @route   GET /api/shops/orders/my
+// @access  Private
+export const getMyOrders = asyncHandler(async (req, res) => {
+  const { status, limit = 20, offset = 0 } = req.query;
+
+  const filter = { userId: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const orders = await Order.find(filter)
+    .populate("shopId", "name address contactInfo")
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(parseInt(offset));
+
+  const totalCount = await Order.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: orders,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + orders.length < totalCount
+    }
+  });
+});
+
+// @desc    Get orders for a shop
+// @route   GET /api/shops/orders/shop/:shopId
+// @access  Private (Shop Owner/Admin)
+export const getShopOrders = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { status, limit = 20, offset = 0 } = req.query;
+
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to view this shop's orders");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const filter = { shopId };
+  if (status) {
+    filter.status = status;
+  }
+
+  const orders = await Order.find(filter)
+    .populate("items.medicineId", "name genericName brand prescriptionRequired")
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(parseInt(offset));
+
+  const totalCount = await Order.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: orders,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + orders.length < totalCount
+    }
+  });
+});
+
+// @desc    Get single order by ID
+// @route   GET /api/shops/orders/:id
+// @access  Private (Customer/Shop Owner/Admin)
+export const getOrderById = asyncHandler(async (req, res) => {
+  const { order } = await getAccessibleOrder(req.params.id, req.user);
+
+  await order.populate("shopId", "name address contactInfo");
+  await order.populate("items.medicineId", "name genericName brand images");
+
+  res.json({
+    success: true,
+    data: order
+  });
+});
+
+// @desc    Move order through its lifecycle
+// @route   PATCH /api/shops/orders/:id/status
+// @access  Private (Shop Owner/Admin)
+export const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const { order, isShopOwner } = await getAccessibleOrder(req.params.id, req.user);
+
+  if (!isShopOwner && req.user.role !== "admin") {
+    const error = new Error("Only the shop can update order status");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (status === "confirmed" && order.reservationStatus !== "reserved") {
+    const error = new Error("Order stock has not been reserved yet");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Pickup and drop-off are confirmed by the rider holding the delivery
+  if (["out-for-delivery", "delivered"].includes(status) && order.hasActiveRider()) {
+    const error = new Error("A rider is handling this delivery");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const previousStatus = order.status;
+  order.transitionTo(status, req.user.id, note);
+
+  // Take the reserved units out of stock before confirming - a failed attempt leaves the order
+  // reserved, and retrying books only the batches that were not taken yet
+  if (status === "confirmed") {
+    await Inventory.commitAllocations(
+      order.items.flatMap(item => item.batches),
+      req.user.id,
+      order.orderNumber,
+      `Sold in order ${order.orderNumber}`
+    );
+    order.reservationStatus = "fulfilled";
+  }
+  await order.save();
+
+  await publishEvent(TOPICS.ORDER_EVENTS, STATUS_EVENTS[status], {
+    ...order.toEventPayload(),
+    previousStatus,
+    performedBy: req.user.id,
+    note
+  });
+
+  // Packed orders go to the nearest available rider - best effort, the shop can assign later
+  let assigned = null;
+  if (status === "packed") {
+    try {
+      assigned = await assignNearestRider(order);
+    } catch (error) {
+      console.error(`❌ Failed to assign rider for order ${order._id}:`, error);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `Order status updated to ${status}`,
+    data: assigned || order
+  });
+});
+
+// @desc    Cancel an order
+// @route   POST /api/shops/orders/:id/cancel
+// @access  Private (Customer/Shop Owner/Admin)
+export const cancelOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const { order, isCustomer, isShopOwner } = await getAccessibleOrder(req.params.id, req.user);
+
+  if (isCustomer && !isShopOwner && req.user.role !== "admin" &&
+    !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    const error = new Error("Order can no longer be cancelled");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const previousStatus = order.status;
+  order.transitionTo("cancelled", req.user.id, reason);
+
+  // Free the rider holding the delivery
+  const riderId = order.hasActiveRider() ? order.delivery.riderId : null;
+  if (riderId) {
+    order.recordRiderResponse("released", "Order cancelled");
+    order.delivery.status = "cancelled";
+  }
+  await order.save();
+
+  if (riderId) {
+    await Rider.releaseFromOrder(riderId, order._id);
+  }
+
+  await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_CANCELLED, {
+    ...order.toEventPayload(),
+    previousStatus,
+    performedBy: req.user.id,
+    reason
+  });
+
+  res.json({
+    success: true,
+    message: "Order cancelled successfully",
+    data: order
+  });
+});
@@ -0,0 +1,222 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { removeUploadedFiles } from "../middlewares/uploadMiddleware.js";
+import Prescription from "../models/Prescription.js";
+import MedicalShop from "../models/MedicalShop.js";
+import Medicine from "../models/Medicine.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+// @desc    Upload a prescription for pharmacist review
+// @route   POST /api/shops/prescriptions
+// @access  Private
+export const uploadPrescription = asyncHandler(async (req, res) => {
+  const { shopId, patientName, doctorName, doctorRegistrationNumber, issuedAt, notes } = req.body;
+
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop || shop.status !== "active" || !shop.services.includes("prescription-upload")) {
+    // Remove the stored files, nobody is going to review them
+    removeUploadedFiles(req);
+
+    const error = new Error("Shop does not accept prescription uploads");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const prescription = await Prescription.create({
+    userId: req.user.id,
+    shopId,
+    files: req.files.map(file => ({
+      url: `/uploads/prescriptions/${file.filename}`,
+      mimetype: file.mimetype,
+      size: file.size
+    })),
+    patientName,
+    doctorName,
+    doctorRegistrationNumber,
+    issuedAt: issuedAt ? new Date(issuedAt) : undefined,
+    notes
+  });
+
+  // Publish prescription uploaded event
+  await publishEvent(TOPICS.PRESCRIPTION_EVENTS, EVENT_TYPES.PRESCRIPTION_UPLOADED, {
+    prescriptionId: prescription._id,
+    userId: prescription.userId,
+    shopId: prescription.shopId,
+    ownerId: shop.ownerId,
+    fileCount: prescription.files.length
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Prescription uploaded and sent for review",
+    data: prescription
+  });
+});
+
+// @desc    Get current user's prescriptions
+// @route   GET /api/shops/prescriptions/my
+// @access  Private
+export const getMyPrescriptions = asyncHandler(async (req, res) => {
+  const { status, limit = 20, offset = 0 } = req.query;
+
+  const filter = { userId: req.user.id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const prescriptions = await Prescription.find(filter)
+    .populate("shopId", "name")
+    .populate("approvedMedicines.medicineId", "name genericName")
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(parseInt(offset));
+
+  const totalCount = await Prescription.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: prescriptions,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + prescriptions.length < totalCount
+    }
+  });
+});
+
+// @desc    Get a shop's prescription review queue
+// @route   GET /api/shops/prescriptions/shop/:shopId/queue
+// @access  Private (Shop Owner/Admin)
+export const getReviewQueue = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { status = "pending" } = req.query;
+
+  const shop = await MedicalShop.findById(shopId);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to review this shop's prescriptions");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const prescriptions = await Prescription.findReviewQueue(shopId, status);
+
+  res.json({
+    success: true,
+    data: prescriptions,
+    count: prescriptions.length
+  });
+});
+
+// @desc    Get single prescription
+// @route   GET /api/shops/prescriptions/:id
+// @access  Private (Patient/Shop Owner/Admin)
+export const getPrescriptionById = asyncHandler(async (req, res) => {
+  const prescription = await Prescription.findById(req.params.id)
+    .populate("approvedMedicines.medicineId", "name genericName schedule");
+
+  if (!prescription) {
+    const error = new Error("Prescription not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(prescription.shopId).select("ownerId");
+  const isPatient = prescription.userId.toString() === req.user.id;
+  const isShopOwner = shop && shop.ownerId.toString() === req.user.id;
+
+  if (!isPatient && !isShopOwner && req.user.role !== "admin") {
+    const error = new Error("Not authorized to view this prescription");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: prescription
+  });
+});
+
+// @desc    Approve or reject a prescription
+// @route   PATCH /api/shops/prescriptions/:id/review
+// @access  Private (Shop Owner/Admin)
+export const reviewPrescription = asyncHandler(async (req, res) => {
+  const { decision, notes, rejectionReason, approvedMedicines = [], validUntil } = req.body;
+
+  const prescription = await Prescription.findById(req.params.id);
+
+  if (!prescription) {
+    const error = new Error("Prescription not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await MedicalShop.findById(prescription.shopId);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.ownerId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to review this prescription");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (prescription.status !== "pending") {
+    const error = new Error(`Prescription has already been ${prescription.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (decision === "approved") {
+    const medicineIds = approvedMedicines.map(m => m.medicineId);
+    const found = await Medicine.countDocuments({ _id: { $in: medicineIds } });
+    if (found !== medicineIds.length) {
+      const error = new Error("One or more approved medicines were not found");
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  prescription.status = decision;
+  prescription.review = {
+    reviewedBy: req.user.id,
+    reviewedAt: new Date(),
+    notes,
+    rejectionReason: decision === "rejected" ? rejectionReason : undefined
+  };
+
+  if (decision === "approved") {
+    prescription.approvedMedicines = approvedMedicines;
+    prescription.validUntil = validUntil ? new Date(validUntil) : undefined;
+  }
+
+  await prescription.save();
+
+  // Publish prescription reviewed event
+  await publishEvent(
+    TOPICS.PRESCRIPTION_EVENTS,
+    decision === "approved" ? EVENT_TYPES.PRESCRIPTION_APPROVED : EVENT_TYPES.PRESCRIPTION_REJECTED,
+    {
+      prescriptionId: prescription._id,
+      userId: prescription.userId,
+      shopId: prescription.shopId,
+      reviewedBy: req.user.id,
+      rejectionReason: prescription.review.rejectionReason
+    }
+  );
+
+  res.json({
+    success: true,
+    message: `Prescription ${decision}`,
+    data: prescription
+  });
+});
@@ -0,0 +1,606 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { findOwnedShop } from "../middlewares/authMiddleware.js";
+import Supplier from "../models/Supplier.js";
+import PurchaseOrder, { RECEIVABLE_STATUSES } from "../models/PurchaseOrder.js";
+import Inventory from "../models/Inventory.js";
+import Medicine from "../models/Medicine.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+// Load a supplier of a shop the current user manages
+const findOwnedSupplier = async (id, user) => {
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    const error = new Error("Supplier not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await findOwnedShop(supplier.shopId, user);
+  return supplier;
+};
+
+// Load a purchase order of a shop the current user manages
+const findOwnedPurchaseOrder = async (id, user) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+  if (!purchaseOrder) {
+    const error = new Error("Purchase order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await findOwnedShop(purchaseOrder.shopId, user);
+  return purchaseOrder;
+};
+
+// Check every medicine exists and build purchase order lines with their names
+const buildOrderItems = async (items) => {
+  const medicines = await Medicine.find({ _id: { $in: items.map(item => item.medicineId) } }).select("name");
+  const names = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.name]));
+
+  return items.map(item => {
+    if (!names.has(item.medicineId)) {
+      const error = new Error(`Medicine ${item.medicineId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return {
+      medicineId: item.medicineId,
+      name: names.get(item.medicineId),
+      quantity: item.quantity,
+      unitCost: item.unitCost,
+      taxPercentage: item.taxPercentage ?? 0
+    };
+  });
+};
+
+// ========== SUPPLIERS ==========
+
+// @desc    Add a supplier to a shop
+// @route   POST /api/shops/:shopId/suppliers
+// @access  Private (Shop Owner)
+export const createSupplier = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+
+  if (await Supplier.exists({ shopId, name: req.body.name.trim() })) {
+    const error = new Error("A supplier with this name already exists for the shop");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const supplier = await Supplier.create({
+    ...req.body,
+    shopId,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Supplier added successfully",
+    data: supplier
+  });
+});
+
+// @desc    Get a shop's suppliers
+// @route   GET /api/shops/:shopId/suppliers
+// @access  Private (Shop Owner/Admin)
+export const getSuppliers = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { status, search, limit = 20, offset = 0 } = req.query;
+
+  const filter = { shopId };
+  if (status) {
+    filter.status = status;
+  }
+  if (search) {
+    filter.name = new RegExp(search, "i");
+  }
+
+  const [suppliers, totalCount] = await Promise.all([
+    Supplier.find(filter)
+      .sort({ name: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Supplier.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: suppliers,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + suppliers.length < totalCount
+    }
+  });
+});
+
+// @desc    Get a supplier
+// @route   GET /api/shops/suppliers/:id
+// @access  Private (Shop Owner/Admin)
+export const getSupplier = asyncHandler(async (req, res) => {
+  const supplier = await findOwnedSupplier(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: supplier
+  });
+});
+
+// @desc    Update a supplier (set status inactive to stop ordering from it)
+// @route   PUT /api/shops/suppliers/:id
+// @access  Private (Shop Owner)
+export const updateSupplier = asyncHandler(async (req, res) => {
+  const supplier = await findOwnedSupplier(req.params.id, req.user);
+
+  if (req.body.name && req.body.name.trim() !== supplier.name &&
+      await Supplier.exists({ shopId: supplier.shopId, name: req.body.name.trim() })) {
+    const error = new Error("A supplier with this name already exists for the shop");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  Object.assign(supplier, req.body);
+  await supplier.save();
+
+  res.json({
+    success: true,
+    message: "Supplier updated successfully",
+    data: supplier
+  });
+});
+
+// @desc    Get purchase history with a supplier
+// @route   GET /api/shops/suppliers/:id/history
+// @access  Private (Shop Owner/Admin)
+export const getSupplierHistory = asyncHandler(async (req, res) => {
+  const { status, limit = 20, offset = 0 } = req.query;
+  const supplier = await findOwnedSupplier(req.params.id, req.user);
+
+  const filter = { supplierId: supplier._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const [purchaseOrders, totalCount, summary] = await Promise.all([
+    PurchaseOrder.find(filter)
+      .select("-statusHistory")
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    PurchaseOrder.countDocuments(filter),
+    PurchaseOrder.getSupplierSummary(supplier._id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      supplier: {
+        _id: supplier._id,
+        name: supplier.name,
+        status: supplier.status
+      },
+      summary,
+      purchaseOrders
+    },
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + purchaseOrders.length < totalCount
+    }
+  });
+});
+
+// ========== PURCHASE ORDERS ==========
+
+// @desc    Create a purchase order (draft, or placed straight away with placeOrder)
+// @route   POST /api/shops/:shopId/purchase-orders
+// @access  Private (Shop Owner)
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { supplierId, items, expectedDeliveryDate, notes, placeOrder } = req.body;
+
+  const supplier = await Supplier.findOne({ _id: supplierId, shopId });
+  if (!supplier) {
+    const error = new Error("Supplier not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (supplier.status !== "active") {
+    const error = new Error("Cannot order from an inactive supplier");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const purchaseOrder = new PurchaseOrder({
+    shopId,
+    supplierId,
+    items: await buildOrderItems(items),
+    expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined,
+    notes,
+    createdBy: req.user.id
+  });
+
+  if (placeOrder) {
+    purchaseOrder.transitionTo("ordered", req.user.id);
+  }
+
+  await purchaseOrder.save();
+
+  res.status(201).json({
+    success: true,
+    message: placeOrder ? "Purchase order placed successfully" : "Purchase order saved as draft",
+    data: purchaseOrder
+  });
+});
+
+// @desc    Get a shop's purchase orders
+// @route   GET /api/shops/:shopId/purchase-orders
+// @access  Private (Shop Owner/Admin)
+export const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { status, supplierId, limit = 20, offset = 0 } = req.query;
+
+  const filter = { shopId };
+  if (status) {
+    filter.status = status;
+  }
+  if (supplierId) {
+    filter.supplierId = supplierId;
+  }
+
+  const [purchaseOrders, totalCount] = await Promise.all([
+    PurchaseOrder.find(filter)
+      .select("-statusHistory -receipts")
+      .populate("supplierId", "name phone")
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    PurchaseOrder.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: purchaseOrders,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + purchaseOrders.length < totalCount
+    }
+  });
+});
+
+// @desc    Get a purchase order with its goods received notes
+// @route   GET /api/shops/purchase-orders/:id
+// @access  Private (Shop Owner/Admin)
+export const getPurchaseOrder = asyncHandler(async (req, res) => {
+  const purchaseOrder = await findOwnedPurchaseOrder(req.params.id, req.user);
+  await purchaseOrder.populate("supplierId", "name contactPerson phone email gstNumber");
+
+  res.json({
+    success: true,
+    data: purchaseOrder
+  });
+});
+
+// @desc    Edit a draft purchase order
+// @route   PUT /api/shops/purchase-orders/:id
+// @access  Private (Shop Owner)
+export const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const { items, expectedDeliveryDate, notes } = req.body;
+  const purchaseOrder = await findOwnedPurchaseOrder(req.params.id, req.user);
+
+  if (purchaseOrder.status !== "draft") {
+    const error = new Error("Only draft purchase orders can be edited");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (items) {
+    purchaseOrder.items = await buildOrderItems(items);
+  }
+  if (expectedDeliveryDate !== undefined) {
+    purchaseOrder.expectedDeliveryDate = new Date(expectedDeliveryDate);
+  }
+  if (notes !== undefined) {
+    purchaseOrder.notes = notes;
+  }
+
+  await purchaseOrder.save();
+
+  res.json({
+    success: true,
+    message: "Purchase order updated successfully",
+    data: purchaseOrder
+  });
+});
+
+// @desc    Place, cancel or close a purchase order
+// @route   PATCH /api/shops/purchase-orders/:id/status
+// @access  Private (Shop Owner)
+export const updatePurchaseOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const purchaseOrder = await findOwnedPurchaseOrder(req.params.id, req.user);
+
+  if (status === "ordered") {
+    const supplier = await Supplier.findById(purchaseOrder.supplierId).select("status");
+    if (!supplier || supplier.status !== "active") {
+      const error = new Error("Cannot order from an inactive supplier");
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  purchaseOrder.transitionTo(status, req.user.id, note);
+  await purchaseOrder.save();
+
+  res.json({
+    success: true,
+    message: `Purchase order ${status}`,
+    data: purchaseOrder
+  });
+});
+
+// @desc    Receive goods against a purchase order (partial or complete)
+// @route   POST /api/shops/purchase-orders/:id/receive
+// @access  Private (Shop Owner)
+export const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const { invoiceNumber, notes, items } = req.body;
+  const purchaseOrder = await findOwnedPurchaseOrder(req.params.id, req.user);
+
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    const error = new Error(`Cannot receive goods against a ${purchaseOrder.status} purchase order`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const supplier = await Supplier.findById(purchaseOrder.supplierId).select("name phone");
+
+  // Check every line before touching stock - nothing is received unless all of it can be
+  const receivedByItem = new Map();
+  const lines = [];
+  for (const line of items) {
+    const orderItem = purchaseOrder.items.id(line.itemId);
+    if (!orderItem) {
+      const error = new Error(`Item ${line.itemId} is not on this purchase order`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const received = (receivedByItem.get(line.itemId) || 0) + line.quantity;
+    if (received > purchaseOrder.getOutstandingQuantity(line.itemId)) {
+      const error = new Error(`Only ${purchaseOrder.getOutstandingQuantity(line.itemId)} more of ${orderItem.name} can be received`);
+      error.statusCode = 400;
+      throw error;
+    }
+    receivedByItem.set(line.itemId, received);
+
+    const unitCost = line.unitCost ?? orderItem.unitCost;
+    const inventory = await Inventory.findOne({
+      shopId: purchaseOrder.shopId,
+      medicineId: orderItem.medicineId,
+      batchNumber: line.batchNumber
+    });
+
+    if (!inventory) {
+      if (!line.manufacturingDate || !line.expiryDate || !line.mrp) {
+        const error = new Error(`Manufacturing date, expiry date and MRP are required for new batch ${line.batchNumber}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (new Date(line.expiryDate) <= new Date(line.manufacturingDate)) {
+        const error = new Error(`Expiry date must be after manufacturing date for batch ${line.batchNumber}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (unitCost <= 0) {
+        const error = new Error(`Unit cost is required for new batch ${line.batchNumber}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    lines.push({ line, orderItem, inventory, unitCost });
+  }
+
+  // Saving the order first claims the quantities; a concurrent receipt fails with a version conflict
+  const previousStatus = purchaseOrder.status;
+  const receipt = purchaseOrder.addReceipt({
+    invoiceNumber,
+    notes,
+    items: lines.map(({ line, orderItem, inventory, unitCost }) => ({
+      itemId: orderItem._id,
+      medicineId: orderItem.medicineId,
+      inventoryId: inventory?._id,
+      batchNumber: line.batchNumber,
+      expiryDate: inventory ? inventory.expiryDate : new Date(line.expiryDate),
+      quantity: line.quantity,
+      unitCost
+    }))
+  }, req.user.id);
+  await purchaseOrder.save();
+
+  const supplierDetails = {
+    supplierId: purchaseOrder.supplierId,
+    name: supplier?.name,
+    contact: supplier?.phone,
+    invoiceNumber
+  };
+
+  const booked = [];
+  try {
+    for (const [index, { line, orderItem, inventory: existing, unitCost }] of lines.entries()) {
+      // Book the units with one atomic update so concurrent sales and receipts are never lost
+      const { inventory, created, movementId } = await Inventory.receiveStock(
+        {
+          shopId: purchaseOrder.shopId,
+          medicineId: orderItem.medicineId,
+          batchNumber: line.batchNumber
+        },
+        line.quantity,
+        unitCost,
+        {
+          performedBy: req.user.id,
+          reference: receipt.grnNumber,
+          notes: notes || "",
+          supplier: supplierDetails,
+          newBatch: existing ? null : {
+            unit: line.unit,
+            pricing: {
+              costPrice: unitCost,
+              sellingPrice: line.sellingPrice ?? line.mrp,
+              mrp: line.mrp,
+              taxPercentage: orderItem.taxPercentage
+            },
+            manufacturingDate: new Date(line.manufacturingDate),
+            expiryDate: new Date(line.expiryDate),
+            createdBy: req.user.id
+          }
+        }
+      );
+
+      booked.push({ inventory, created, movementId, line, orderItem, unitCost });
+      receipt.items[index].inventoryId = inventory._id;
+    }
+
+    // Record the batches created for this receipt
+    if (lines.some(({ inventory }) => !inventory)) {
+      await purchaseOrder.save();
+    }
+  } catch (error) {
+    // Take back the stock booked so far and the receipt, so the goods can be received again
+    const unreversed = await Inventory.reverseReceivedStock(booked.map(({ inventory, created, movementId, line, unitCost }) => ({
+      inventoryId: inventory._id,
+      quantity: line.quantity,
+      unitCost,
+      movementId,
+      created
+    })));
+    if (unreversed.length > 0) {
+      console.error(`❌ Stock of ${receipt.grnNumber} was sold before it could be taken back:`, unreversed);
+    }
+
+    purchaseOrder.removeReceipt(receipt, previousStatus);
+    await purchaseOrder.save();
+    throw error;
+  }
+
+  // Announce the stock once the whole receipt is booked
+  for (const { inventory, created, line, orderItem } of booked) {
+    if (created) {
+      await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.INVENTORY_ADDED, {
+        inventoryId: inventory._id,
+        shopId: inventory.shopId,
+        medicineId: inventory.medicineId,
+        batchNumber: inventory.batchNumber,
+        quantity: line.quantity,
+        medicineName: orderItem.name
+      });
+    }
+
+    await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.STOCK_MOVEMENT, {
+      inventoryId: inventory._id,
+      shopId: inventory.shopId,
+      medicineId: inventory.medicineId,
+      batchNumber: inventory.batchNumber,
+      type: "in",
+      quantity: line.quantity,
+      reason: "purchase",
+      performedBy: req.user.id,
+      newQuantity: inventory.quantity,
+      newAvailableQuantity: inventory.availableQuantity
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Goods received note ${receipt.grnNumber} recorded`,
+    data: {
+      receipt,
+      purchaseOrder
+    }
+  });
+});
+
+// @desc    Suggest reorder quantities for low-stock medicines from recent sales
+// @route   GET /api/shops/:shopId/reorder-suggestions
+// @access  Private (Shop Owner/Admin)
+export const getReorderSuggestions = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const days = parseInt(req.query.days) || 30;
+  const coverDays = parseInt(req.query.coverDays) || 14;
+
+  const lowStock = (await Inventory.getMedicineTotals(shopId)).filter(total => total.isLowStock);
+  if (lowStock.length === 0) {
+    return res.json({
+      success: true,
+      data: [],
+      count: 0
+    });
+  }
+
+  const medicineIds = lowStock.map(total => total.medicineId.toString());
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [sales, onOrder, lastPurchases] = await Promise.all([
+    Inventory.getSalesSince(shopId, since, medicineIds),
+    PurchaseOrder.getOnOrderQuantities(shopId),
+    PurchaseOrder.getLastPurchases(shopId, medicineIds)
+  ]);
+
+  const suppliers = await Supplier.find({
+    _id: { $in: [...lastPurchases.values()].map(purchase => purchase.supplierId) }
+  }).select("name status leadTimeDays");
+  const suppliersById = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+  // Enough stock to cover the supplier's lead time plus coverDays at the recent sales rate,
+  // and never less than twice the low-stock threshold
+  const suggestions = lowStock.map(total => {
+    const medicineId = total.medicineId.toString();
+    const dailySales = (sales.get(medicineId) || 0) / days;
+    const lastPurchase = lastPurchases.get(medicineId);
+    const supplier = lastPurchase ? suppliersById.get(lastPurchase.supplierId.toString()) : null;
+    const leadTimeDays = supplier ? supplier.leadTimeDays : 0;
+    const pending = onOrder.get(medicineId) || 0;
+
+    const targetQuantity = Math.max(
+      total.lowStockThreshold * 2,
+      Math.ceil(dailySales * (leadTimeDays + coverDays))
+    );
+
+    return {
+      medicineId: total.medicineId,
+      medicine: total.medicine,
+      availableQuantity: total.availableQuantity,
+      lowStockThreshold: total.lowStockThreshold,
+      onOrderQuantity: pending,
+      averageDailySales: Math.round(dailySales * 100) / 100,
+      targetQuantity,
+      suggestedQuantity: Math.max(0, targetQuantity - total.availableQuantity - pending),
+      supplier: supplier ? {
+        _id: supplier._id,
+        name: supplier.name,
+        status: supplier.status,
+        leadTimeDays: supplier.leadTimeDays
+      } : null,
+      lastUnitCost: lastPurchase ? lastPurchase.unitCost : null
+    };
+  }).sort((a, b) => b.suggestedQuantity - a.suggestedQuantity);
+
+  res.json({
+    success: true,
+    data: suggestions,
+    count: suggestions.length,
+    basis: {
+      salesDays: days,
+      coverDays
+    }
+  });
+});
@@ -0,0 +1,255 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import Inventory from "../models/Inventory.js";
+import { addDays, getShopDate, getShopDayStart, getShopTimeZone } from "../utils/shopHours.js";
+import { toCsv } from "../utils/csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Resolve ?from=&to= (shop-local days, inclusive) to instants - the last 30 days by default
+const getReportPeriod = (shop, query) => {
+  const to = query.to || getShopDate(shop);
+  const from = query.from || addDays(to, -29);
+
+  if (from > to) {
+    const error = new Error("From date must be on or before to date");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    from,
+    to,
+    start: getShopDayStart(shop, from),
+    end: getShopDayStart(shop, addDays(to, 1))
+  };
+};
+
+// Add up revenue and cost across report rows
+const summariseSales = (rows) => {
+  const revenue = round(rows.reduce((sum, row) => sum + row.revenue, 0));
+  const cost = round(rows.reduce((sum, row) => sum + row.cost, 0));
+  return {
+    unitsSold: rows.reduce((sum, row) => sum + row.unitsSold, 0),
+    revenue,
+    cost,
+    grossMargin: round(revenue - cost),
+    marginPercentage: revenue > 0 ? round(((revenue - cost) / revenue) * 100) : 0
+  };
+};
+
+// Send a report as JSON, or as a CSV download with ?format=csv
+const sendReport = (req, res, { name, period, rows, columns, summary, data }) => {
+  if (req.query.format === "csv") {
+    const suffix = period ? `-${period.from}-to-${period.to}` : "";
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${name}${suffix}.csv"`
+    });
+    return res.send(toCsv(rows, columns));
+  }
+
+  res.json({
+    success: true,
+    data: data || rows,
+    summary,
+    period: period ? { from: period.from, to: period.to } : undefined
+  });
+};
+
+const salesValueColumns = [
+  ["Units Sold", row => row.unitsSold],
+  ["Revenue", row => row.revenue],
+  ["Cost", row => row.cost],
+  ["Gross Margin", row => row.grossMargin],
+  ["Margin %", row => row.marginPercentage]
+];
+
+// @desc    Sales per day, week or month
+// @route   GET /api/shops/:shopId/reports/sales
+// @access  Private (Shop Owner/Admin)
+export const getSalesReport = asyncHandler(async (req, res) => {
+  const { groupBy = "day" } = req.query;
+  const { shop } = req;
+  const period = getReportPeriod(shop, req.query);
+
+  const rows = await Inventory.getSalesReport(shop._id, period.start, period.end, groupBy, getShopTimeZone(shop));
+
+  sendReport(req, res, {
+    name: `sales-by-${groupBy}`,
+    period,
+    rows,
+    columns: [
+      [groupBy === "day" ? "Date" : `${groupBy[0].toUpperCase()}${groupBy.slice(1)} Starting`, row => row.period],
+      ["Transactions", row => row.transactions],
+      ["Medicines Sold", row => row.medicinesSold],
+      ...salesValueColumns
+    ],
+    summary: {
+      ...summariseSales(rows),
+      transactions: rows.reduce((sum, row) => sum + row.transactions, 0)
+    }
+  });
+});
+
+// @desc    Best selling medicines of a period
+// @route   GET /api/shops/:shopId/reports/top-sellers
+// @access  Private (Shop Owner/Admin)
+export const getTopSellersReport = asyncHandler(async (req, res) => {
+  const { sortBy = "quantity", limit = 20 } = req.query;
+  const { shop } = req;
+  const period = getReportPeriod(shop, req.query);
+
+  const rows = await Inventory.getTopSellers(shop._id, period.start, period.end, sortBy, parseInt(limit));
+
+  sendReport(req, res, {
+    name: "top-sellers",
+    period,
+    rows,
+    columns: [
+      ["Medicine", row => row.medicine?.name],
+      ["Generic Name", row => row.medicine?.genericName],
+      ["Manufacturer", row => row.medicine?.manufacturer],
+      ["Category", row => row.medicine?.category],
+      ...salesValueColumns
+    ],
+    summary: summariseSales(rows)
+  });
+});
+
+// @desc    Gross margin per medicine category or manufacturer
+// @route   GET /api/shops/:shopId/reports/margin
+// @access  Private (Shop Owner/Admin)
+export const getMarginReport = asyncHandler(async (req, res) => {
+  const { groupBy = "category" } = req.query;
+  const { shop } = req;
+  const period = getReportPeriod(shop, req.query);
+
+  const rows = await Inventory.getMarginReport(shop._id, period.start, period.end, groupBy);
+
+  sendReport(req, res, {
+    name: `margin-by-${groupBy}`,
+    period,
+    rows,
+    columns: [
+      [groupBy === "category" ? "Category" : "Manufacturer", row => row[groupBy]],
+      ["Medicines Sold", row => row.medicinesSold],
+      ...salesValueColumns
+    ],
+    summary: summariseSales(rows)
+  });
+});
+
+// Units sold over the window and time since the last sale, per in-stock medicine
+const getStockActivity = async (shop, days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const activity = await Inventory.getStockSalesActivity(shop._id, since);
+
+  return activity.map(row => ({
+    ...row,
+    averageDailySales: round(row.unitsSold / days),
+    daysSinceLastSale: row.lastSaleAt ? Math.floor((Date.now() - row.lastSaleAt) / DAY_MS) : null,
+    isDeadStock: row.unitsSold === 0 && row.firstStockedAt < since
+  }));
+};
+
+const stockActivityColumns = [
+  ["Medicine", row => row.medicine?.name],
+  ["Manufacturer", row => row.medicine?.manufacturer],
+  ["Category", row => row.medicine?.category],
+  ["Stock Quantity", row => row.stockQuantity],
+  ["Stock Value", row => row.stockValue],
+  ["Units Sold", row => row.unitsSold],
+  ["Avg Daily Sales", row => row.averageDailySales],
+  ["Last Sale", row => row.lastSaleAt],
+  ["Days Since Last Sale", row => row.daysSinceLastSale]
+];
+
+// @desc    In-stock medicines selling the least over the last ?days
+// @route   GET /api/shops/:shopId/reports/slow-movers
+// @access  Private (Shop Owner/Admin)
+export const getSlowMoversReport = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 90;
+  const limit = parseInt(req.query.limit) || 50;
+  const { shop } = req;
+
+  const rows = (await getStockActivity(shop, days))
+    .sort((a, b) => a.unitsSold - b.unitsSold || b.stockValue - a.stockValue)
+    .slice(0, limit);
+
+  sendReport(req, res, {
+    name: `slow-movers-${days}-days`,
+    rows,
+    columns: stockActivityColumns,
+    summary: {
+      days,
+      count: rows.length,
+      stockValue: round(rows.reduce((sum, row) => sum + row.stockValue, 0))
+    }
+  });
+});
+
+// @desc    In-stock medicines with no sales in the last ?days (stocked before the window)
+// @route   GET /api/shops/:shopId/reports/dead-stock
+// @access  Private (Shop Owner/Admin)
+export const getDeadStockReport = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 90;
+  const limit = parseInt(req.query.limit) || 50;
+  const { shop } = req;
+
+  const deadStock = (await getStockActivity(shop, days))
+    .filter(row => row.isDeadStock)
+    .sort((a, b) => b.stockValue - a.stockValue);
+  const rows = deadStock.slice(0, limit);
+
+  sendReport(req, res, {
+    name: `dead-stock-${days}-days`,
+    rows,
+    columns: stockActivityColumns,
+    summary: {
+      days,
+      count: deadStock.length,
+      stockValue: round(deadStock.reduce((sum, row) => sum + row.stockValue, 0))
+    }
+  });
+});
+
+// @desc    Expired stock written off in a period, and expired stock not yet written off
+// @route   GET /api/shops/:shopId/reports/expiry-write-offs
+// @access  Private (Shop Owner/Admin)
+export const getExpiryWriteOffReport = asyncHandler(async (req, res) => {
+  const { shop } = req;
+  const period = getReportPeriod(shop, req.query);
+
+  const { writtenOff, pending } = await Inventory.getExpiryWriteOffs(shop._id, period.start, period.end);
+  const total = rows => ({
+    batches: rows.length,
+    quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+    value: round(rows.reduce((sum, row) => sum + row.value, 0))
+  });
+
+  sendReport(req, res, {
+    name: "expiry-write-offs",
+    period,
+    rows: [
+      ...writtenOff.map(row => ({ ...row, state: "written-off" })),
+      ...pending.map(row => ({ ...row, state: "pending" }))
+    ],
+    columns: [
+      ["State", row => row.state],
+      ["Medicine", row => row.medicine?.name],
+      ["Manufacturer", row => row.medicine?.manufacturer],
+      ["Batch", row => row.batchNumber],
+      ["Expiry Date", row => row.expiryDate],
+      ["Quantity", row => row.quantity],
+      ["Cost Value", row => row.value],
+      ["Written Off At", row => row.writtenOffAt]
+    ],
+    data: { writtenOff, pending },
+    summary: {
+      writtenOff: total(writtenOff),
+      pending: total(pending)
+    }
+  });
+});
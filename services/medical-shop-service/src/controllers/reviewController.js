@@ -0,0 +1,337 @@
+import fs from "fs";
+import path from "path";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import Review from "../models/Review.js";
+import MedicalShop from "../models/MedicalShop.js";
+import Order from "../models/Order.js";
+
+// Remove stored review photos from disk
+const removePhotoFiles = (photos) => {
+  photos.forEach(photo => {
+    const filePath = path.join(".", photo.url);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  });
+};
+
+// Load a review, or fail with a 404
+const findReviewOrFail = async (id) => {
+  const review = await Review.findById(id);
+
+  if (!review) {
+    const error = new Error("Review not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return review;
+};
+
+// @desc    Review a shop the user has received an order from
+// @route   POST /api/shops/:shopId/reviews
+// @access  Private
+export const createReview = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const uploadedPhotos = (req.files || []).map(file => ({
+    url: `/uploads/reviews/${file.filename}`,
+    mimetype: file.mimetype,
+    size: file.size
+  }));
+
+  try {
+    const shop = await MedicalShop.findById(shopId).select("ownerId status");
+    if (!shop || shop.status !== "active") {
+      const error = new Error("Shop not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (shop.ownerId.toString() === req.user.id) {
+      const error = new Error("You cannot review your own shop");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // Only customers who have received an order from the shop can review it
+    const order = await Order.findOne({ userId: req.user.id, shopId, status: "delivered" })
+      .sort({ updatedAt: -1 })
+      .select("_id");
+    if (!order) {
+      const error = new Error("You can review a shop after an order from it has been delivered");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (await Review.exists({ shopId, userId: req.user.id })) {
+      const error = new Error("You have already reviewed this shop");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const review = await Review.create({
+      shopId,
+      userId: req.user.id,
+      orderId: order._id,
+      rating: Number(req.body.rating),
+      comment: req.body.comment,
+      photos: uploadedPhotos
+    });
+
+    await Review.updateShopRating(shopId, 1, review.rating);
+
+    res.status(201).json({
+      success: true,
+      message: "Review posted successfully",
+      data: review
+    });
+  } catch (error) {
+    // Nobody will see the photos of a review that was not saved
+    removePhotoFiles(uploadedPhotos);
+    throw error;
+  }
+});
+
+// @desc    Get a shop's published reviews with its rating breakdown
+// @route   GET /api/shops/:shopId/reviews
+// @access  Public
+export const getShopReviews = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { sortBy = "recent", sortOrder = "desc", rating, limit = 10, offset = 0 } = req.query;
+
+  const shop = await MedicalShop.findById(shopId).select("ratings");
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const filter = { shopId, status: "published" };
+  if (rating) {
+    filter.rating = parseInt(rating);
+  }
+
+  const direction = sortOrder === "asc" ? 1 : -1;
+  const sort = sortBy === "rating"
+    ? { rating: direction, createdAt: -1 }
+    : { createdAt: direction };
+
+  const [reviews, totalCount, distribution] = await Promise.all([
+    Review.find(filter)
+      .select("-flags -flagCount -moderation")
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Review.countDocuments(filter),
+    Review.getRatingDistribution(shopId)
+  ]);
+
+  res.json({
+    success: true,
+    data: reviews,
+    summary: {
+      average: Math.round(shop.ratings.average * 10) / 10,
+      count: shop.ratings.count,
+      distribution
+    },
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + reviews.length < totalCount
+    }
+  });
+});
+
+// @desc    Edit own review
+// @route   PUT /api/shops/reviews/:id
+// @access  Private (Author)
+export const updateReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+
+  if (review.userId.toString() !== req.user.id) {
+    const error = new Error("Not authorized to edit this review");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const previousRating = review.rating;
+
+  if (req.body.rating !== undefined) review.rating = req.body.rating;
+  if (req.body.comment !== undefined) review.comment = req.body.comment;
+  review.editedAt = new Date();
+  await review.save();
+
+  if (review.status === "published") {
+    await Review.updateShopRating(review.shopId, 0, review.rating - previousRating);
+  }
+
+  res.json({
+    success: true,
+    message: "Review updated successfully",
+    data: review
+  });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/shops/reviews/:id
+// @access  Private (Author/Admin)
+export const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+
+  if (review.userId.toString() !== req.user.id && req.user.role !== "admin") {
+    const error = new Error("Not authorized to delete this review");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const deleted = await Review.findOneAndDelete({ _id: review._id });
+  if (deleted) {
+    if (deleted.status === "published") {
+      await Review.updateShopRating(deleted.shopId, -1, -deleted.rating);
+    }
+    removePhotoFiles(deleted.photos);
+  }
+
+  res.json({
+    success: true,
+    message: "Review deleted successfully"
+  });
+});
+
+// @desc    Reply to a review of the owner's shop
+// @route   PUT /api/shops/reviews/:id/reply
+// @access  Private (Shop Owner)
+export const replyToReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+
+  const shop = await MedicalShop.findById(review.shopId).select("ownerId");
+  if (!shop || shop.ownerId.toString() !== req.user.id) {
+    const error = new Error("Only the shop owner can reply to its reviews");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  review.ownerReply = {
+    text: req.body.text,
+    repliedBy: req.user.id,
+    repliedAt: new Date()
+  };
+  await review.save();
+
+  res.json({
+    success: true,
+    message: "Reply posted successfully",
+    data: review
+  });
+});
+
+// @desc    Report a review for moderation
+// @route   POST /api/shops/reviews/:id/flag
+// @access  Private
+export const flagReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+
+  if (review.userId.toString() === req.user.id) {
+    const error = new Error("You cannot report your own review");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const flagged = await Review.addFlag(review._id, {
+    userId: req.user.id,
+    reason: req.body.reason,
+    note: req.body.note
+  });
+
+  if (!flagged) {
+    const error = new Error("You have already reported this review");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: "Review reported. Thank you for letting us know."
+  });
+});
+
+// @desc    Get reviews waiting for moderation, most reported first
+// @route   GET /api/shops/reviews/moderation
+// @access  Private (Admin)
+export const getModerationQueue = asyncHandler(async (req, res) => {
+  const { status = "flagged", shopId, limit = 20, offset = 0 } = req.query;
+
+  const filter = status === "reported"
+    ? { status: "published", flagCount: { $gt: 0 } }
+    : { status };
+  if (shopId) {
+    filter.shopId = shopId;
+  }
+
+  const [reviews, totalCount] = await Promise.all([
+    Review.find(filter)
+      .populate("shopId", "name")
+      .sort({ flagCount: -1, createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Review.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: reviews,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + reviews.length < totalCount
+    }
+  });
+});
+
+// @desc    Publish or hide a review
+// @route   PATCH /api/shops/reviews/:id/moderate
+// @access  Private (Admin)
+export const moderateReview = asyncHandler(async (req, res) => {
+  const { decision, reason } = req.body;
+  const status = decision === "publish" ? "published" : "hidden";
+
+  const update = {
+    status,
+    moderation: {
+      moderatedBy: req.user.id,
+      moderatedAt: new Date(),
+      reason
+    }
+  };
+  // Publishing clears the reports it was judged on
+  if (status === "published") {
+    update.flags = [];
+    update.flagCount = 0;
+  }
+
+  // Read the previous status atomically so the rating is adjusted exactly once
+  const previous = await Review.findOneAndUpdate(
+    { _id: req.params.id },
+    update
+  );
+
+  if (!previous) {
+    const error = new Error("Review not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (previous.status !== "published" && status === "published") {
+    await Review.updateShopRating(previous.shopId, 1, previous.rating);
+  } else if (previous.status === "published" && status !== "published") {
+    await Review.updateShopRating(previous.shopId, -1, -previous.rating);
+  }
+
+  const review = await Review.findById(req.params.id);
+
+  res.json({
+    success: true,
+    message: status === "published" ? "Review published" : "Review hidden",
+    data: review
+  });
+});
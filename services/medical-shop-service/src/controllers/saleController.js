@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import { findOwnedShop } from "../middlewares/authMiddleware.js";
+import Sale from "../models/Sale.js";
+import Counter from "../models/Counter.js";
+import Inventory from "../models/Inventory.js";
+import Medicine from "../models/Medicine.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+import { getShopDate } from "../utils/shopHours.js";
+import { renderInvoiceHtml, renderInvoicePdf } from "../utils/invoiceRenderer.js";
+
+const round = value => Math.round(value * 100) / 100;
+
+// Load a sale of a shop the current user manages, with the shop
+const findOwnedSale = async (id, user) => {
+  const sale = await Sale.findById(id);
+  if (!sale) {
+    const error = new Error("Sale not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const shop = await findOwnedShop(sale.shopId, user);
+  return { sale, shop };
+};
+
+// Price one FEFO batch allocation: discount, then GST on the discounted value
+const priceAllocation = (allocation, medicine, discountPercentage, taxable, interState) => {
+  const { pricing } = allocation;
+  const discount = discountPercentage ?? pricing.discountPercentage ?? 0;
+  const gross = pricing.sellingPrice * allocation.quantity;
+  const discountAmount = round(gross * discount / 100);
+  const taxableValue = round(gross - discountAmount);
+  const taxPercentage = taxable ? pricing.taxPercentage || 0 : 0;
+  const tax = round(taxableValue * taxPercentage / 100);
+
+  // Intra-state tax is split evenly between the centre and the state
+  const cgst = interState ? 0 : round(tax / 2);
+  const sgst = interState ? 0 : round(tax - cgst);
+  const igst = interState ? tax : 0;
+
+  return {
+    medicineId: medicine._id,
+    name: medicine.name,
+    manufacturer: medicine.manufacturer,
+    inventoryId: allocation.inventoryId,
+    batchNumber: allocation.batchNumber,
+    expiryDate: allocation.expiryDate,
+    quantity: allocation.quantity,
+    mrp: pricing.mrp,
+    unitPrice: pricing.sellingPrice,
+    costPrice: pricing.costPrice,
+    discountPercentage: discount,
+    discountAmount,
+    taxableValue,
+    taxPercentage,
+    cgst,
+    sgst,
+    igst,
+    total: round(taxableValue + tax)
+  };
+};
+
+// @desc    Bill a walk-in sale, taking stock first-expiry-first-out
+// @route   POST /api/shops/:shopId/sales
+// @access  Private (Shop Owner)
+export const createSale = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { shop } = req;
+  const { items, customer = {}, payment = {}, notes } = req.body;
+
+  const medicines = await Medicine.find({ _id: { $in: items.map(item => item.medicineId) } })
+    .select("name manufacturer");
+  const medicinesById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+  const missing = items.find(item => !medicinesById.has(item.medicineId));
+  if (missing) {
+    const error = new Error(`Medicine ${missing.medicineId} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // GST is only charged by registered shops; a different customer state makes the supply inter-state
+  const taxable = Boolean(shop.gstNumber);
+  const interState = Boolean(customer.state) &&
+    customer.state.trim().toLowerCase() !== shop.address.state.trim().toLowerCase();
+
+  // Take all the stock up front - if any line is short, put back what was taken
+  const saleId = new mongoose.Types.ObjectId();
+  const consumed = [];
+  const lines = [];
+  try {
+    for (const item of items) {
+      const medicine = medicinesById.get(item.medicineId);
+      let allocations;
+      try {
+        allocations = await Inventory.consumeFEFO(
+          shopId,
+          item.medicineId,
+          item.quantity,
+          "sale",
+          req.user.id,
+          saleId.toString(),
+          "Counter sale",
+          // Record the units at the price they are billed at
+          (batch, quantity) => ({
+            unitPrice: priceAllocation(
+              { pricing: batch.pricing, quantity }, medicine, item.discountPercentage, taxable, interState
+            ).taxableValue / quantity,
+            unitCost: batch.pricing.costPrice
+          })
+        );
+      } catch (error) {
+        error.message = `${medicine.name}: ${error.message}`;
+        throw error;
+      }
+
+      consumed.push(...allocations);
+      lines.push(...allocations.map(allocation =>
+        priceAllocation(allocation, medicine, item.discountPercentage, taxable, interState)
+      ));
+    }
+  } catch (error) {
+    await Inventory.restoreConsumed(consumed);
+    throw error;
+  }
+
+  const sale = new Sale({
+    _id: saleId,
+    shopId,
+    documentType: taxable ? "tax-invoice" : "bill-of-supply",
+    customer,
+    supplyType: interState ? "inter-state" : "intra-state",
+    placeOfSupply: customer.state || shop.address.state,
+    items: lines,
+    payment: {
+      method: payment.method || "cash",
+      amountReceived: payment.amountReceived,
+      reference: payment.reference
+    },
+    notes,
+    soldBy: req.user.id,
+    soldAt: new Date()
+  });
+  sale.calculateTotals();
+
+  if (payment.amountReceived !== undefined) {
+    if (payment.amountReceived < sale.totals.grandTotal) {
+      await Inventory.restoreConsumed(consumed);
+      const error = new Error(`Amount received is less than the bill total of ${sale.totals.grandTotal}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    sale.payment.change = round(payment.amountReceived - sale.totals.grandTotal);
+  }
+
+  // Numbers are only taken once the stock is secured, so failed bills leave no gaps
+  const financialYear = Sale.getFinancialYear(getShopDate(shop, sale.soldAt));
+  const sequence = await Counter.next(`invoice:${shopId}:${financialYear}`);
+  sale.financialYear = financialYear;
+  sale.invoiceNumber = `${financialYear}/${String(sequence).padStart(6, "0")}`;
+
+  try {
+    await sale.save();
+  } catch (error) {
+    await Inventory.restoreConsumed(consumed);
+    throw error;
+  }
+
+  // Publish one stock movement event per batch touched
+  for (const line of sale.items) {
+    await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.STOCK_MOVEMENT, {
+      inventoryId: line.inventoryId,
+      shopId,
+      medicineId: line.medicineId,
+      batchNumber: line.batchNumber,
+      type: "out",
+      quantity: line.quantity,
+      reason: "sale",
+      reference: sale.invoiceNumber,
+      performedBy: req.user.id
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Invoice ${sale.invoiceNumber} created`,
+    data: sale
+  });
+});
+
+// @desc    Get a shop's counter sales
+// @route   GET /api/shops/:shopId/sales
+// @access  Private (Shop Owner/Admin)
+export const getSales = asyncHandler(async (req, res) => {
+  const { shopId } = req.params;
+  const { from, to, paymentMethod, invoiceNumber, limit = 20, offset = 0 } = req.query;
+
+  const filter = { shopId };
+  if (from || to) {
+    filter.soldAt = {};
+    if (from) filter.soldAt.$gte = new Date(from);
+    if (to) filter.soldAt.$lte = new Date(to);
+  }
+  if (paymentMethod) {
+    filter["payment.method"] = paymentMethod;
+  }
+  if (invoiceNumber) {
+    filter.invoiceNumber = invoiceNumber;
+  }
+
+  const [sales, totalCount] = await Promise.all([
+    Sale.find(filter)
+      .select("invoiceNumber documentType customer.name totals payment.method soldAt soldBy")
+      .sort({ soldAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Sale.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: sales,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + sales.length < totalCount
+    }
+  });
+});
+
+// @desc    Get a sale
+// @route   GET /api/shops/sales/:id
+// @access  Private (Shop Owner/Admin)
+export const getSale = asyncHandler(async (req, res) => {
+  const { sale } = await findOwnedSale(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: sale
+  });
+});
+
+// @desc    Printable invoice for a sale (?format=html|pdf)
+// @route   GET /api/shops/sales/:id/invoice
+// @access  Private (Shop Owner/Admin)
+export const getSaleInvoice = asyncHandler(async (req, res) => {
+  const { sale, shop } = await findOwnedSale(req.params.id, req.user);
+  const fileName = `invoice-${sale.invoiceNumber.replace(/\//g, "-")}`;
+
+  if (req.query.format === "pdf") {
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${fileName}.pdf"`
+    });
+    return res.send(renderInvoicePdf(sale, shop));
+  }
+
+  res.type("html").send(renderInvoiceHtml(sale, shop));
+});
@@ -4,6 +4,7 @@ import Medicine from "../models/Medicine.js";
 import Inventory from "../models/Inventory.js";
 import { publishEvent } from "../events/kafka.js";
 import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+import { getUserAddress } from "../services/userService.js";
 
 // @desc    Create a new medical shop
 // @route   POST /api/shops
@@ -53,6 +54,25 @@ export const createShop = asyncHandler(async (req, res) => {
   });
 });
 
+// Shop fields behind each sortBy option (distance is applied after the query)
+const SHOP_SORT_FIELDS = {
+  distance: "_id",
+  rating: "ratings.average",
+  name: "name"
+};
+
+// Most shops getShops checks against hours or delivery areas in one request - with
+// coordinates these are the nearest ones, so the cap only drops distant shops
+const MAX_FILTERED_SHOP_CANDIDATES = 500;
+
+// Build the sort for getShops - ties on rating go to the shop with more reviews
+const buildShopSort = (sortBy, sortOrder) => {
+  const direction = sortOrder === "desc" ? -1 : 1;
+  const sort = { [SHOP_SORT_FIELDS[sortBy] || "_id"]: direction };
+  if (sortBy === "rating") sort["ratings.count"] = -1;
+  return sort;
+};
+
 // @desc    Get all shops with filtering and pagination
 // @route   GET /api/shops
 // @access  Public
@@ -67,7 +87,10 @@ export const getShops = asyncHandler(async (req, res) => {
     limit = 20,
     offset = 0,
     sortBy = "distance",
-    sortOrder = "asc"
+    sortOrder = "asc",
+    openNow,
+    openAt,
+    deliversTo
   } = req.query;
 
   let filter = { status: "active", verificationStatus: "verified" };
@@ -88,72 +111,96 @@ export const getShops = asyncHandler(async (req, res) => {
     filter.services = { $in: servicesArray };
   }
 
+  // Open status is checked against this instant ("open now" or "open at")
+  const openFilterTime = openNow === "true" ? new Date() : openAt ? new Date(openAt) : null;
+  const statusTime = openFilterTime || new Date();
+
   let shops;
   let totalCount;
 
   if (latitude && longitude) {
     // Use geospatial query for nearby shops
     const coordinates = [parseFloat(longitude), parseFloat(latitude)];
-
-    shops = await MedicalShop.find({
-      ...filter,
-      "address.coordinates": {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: coordinates
-          },
-          $maxDistance: radius * 1000 // Convert km to meters
-        }
+    filter["address.coordinates"] = {
+      $near: {
+        $geometry: {
+          type: "Point",
+          coordinates: coordinates
+        },
+        $maxDistance: radius * 1000 // Convert km to meters
       }
-    })
-    .populate("ownerId", "name email")
-    .limit(parseInt(limit))
-    .skip(parseInt(offset))
-    .sort({ [sortBy === "distance" ? "_id" : sortBy]: sortOrder === "desc" ? -1 : 1 });
-
-    totalCount = await MedicalShop.countDocuments({
-      ...filter,
-      "address.coordinates": {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: coordinates
-          },
-          $maxDistance: radius * 1000
+    };
+  }
+
+  // "Delivers to me" checks the search coordinates against each shop's zones or radius
+  const deliveryFilter = deliversTo === "true";
+
+  if (deliveryFilter) {
+    // Besides the $near search radius, leave out shops whose active zones all miss the
+    // customer in the query - getDeliveryQuote still checks zones, radius and fee bands
+    filter.$or = [
+      {
+        deliveryZones: {
+          $elemMatch: {
+            isActive: true,
+            area: {
+              $geoIntersects: {
+                $geometry: { type: "Point", coordinates: [parseFloat(longitude), parseFloat(latitude)] }
+              }
+            }
+          }
         }
-      }
-    });
+      },
+      { deliveryZones: { $not: { $elemMatch: { isActive: true } } } }
+    ];
+  }
+
+  if (openFilterTime || deliveryFilter) {
+    // Hours and delivery areas are evaluated per shop, so filter a bounded set of
+    // candidates after the query and page in memory
+    // $near already returns the nearest shops first, so a distance sort keeps its order
+    const candidates = await MedicalShop.find(filter)
+      .sort(latitude && longitude && sortBy === "distance" ? {} : buildShopSort(sortBy, sortOrder))
+      .limit(MAX_FILTERED_SHOP_CANDIDATES);
+
+    const matchingShops = candidates.filter(shop =>
+      (!openFilterTime || shop.isOpenNow(openFilterTime)) &&
+      (!deliveryFilter || shop.getDeliveryQuote(parseFloat(latitude), parseFloat(longitude)).deliverable)
+    );
+    totalCount = matchingShops.length;
+    shops = await MedicalShop.populate(
+      matchingShops.slice(parseInt(offset), parseInt(offset) + parseInt(limit)),
+      { path: "ownerId", select: "name email" }
+    );
   } else {
-    // Regular query without geospatial sorting
     shops = await MedicalShop.find(filter)
       .populate("ownerId", "name email")
       .limit(parseInt(limit))
       .skip(parseInt(offset))
-      .sort({ [sortBy]: sortOrder === "desc" ? -1 : 1 });
+      .sort(buildShopSort(sortBy, sortOrder));
 
     totalCount = await MedicalShop.countDocuments(filter);
   }
 
-  // Add distance calculation if coordinates provided
-  if (latitude && longitude) {
-    shops = shops.map(shop => {
-      const shopObj = shop.toObject();
-      if (shop.address.coordinates) {
-        shopObj.distance = shop.calculateDistance(parseFloat(latitude), parseFloat(longitude));
+  // Add open status, and distance and delivery terms if coordinates provided
+  shops = shops.map(shop => {
+    const shopObj = shop.toObject();
+    shopObj.openingStatus = shop.getOpeningStatus(statusTime);
+    if (latitude && longitude && shop.address.coordinates) {
+      shopObj.distance = shop.calculateDistance(parseFloat(latitude), parseFloat(longitude));
+      shopObj.delivery = shop.getDeliveryQuote(parseFloat(latitude), parseFloat(longitude));
+    }
+    return shopObj;
+  });
+
+  // Sort by distance if requested
+  if (latitude && longitude && sortBy === "distance") {
+    shops.sort((a, b) => {
+      if (sortOrder === "desc") {
+        return (b.distance || 0) - (a.distance || 0);
       }
-      return shopObj;
+      return (a.distance || 0) - (b.distance || 0);
     });
-
-    // Sort by distance if requested
-    if (sortBy === "distance") {
-      shops.sort((a, b) => {
-        if (sortOrder === "desc") {
-          return (b.distance || 0) - (a.distance || 0);
-        }
-        return (a.distance || 0) - (b.distance || 0);
-      });
-    }
   }
 
   res.json({
@@ -163,8 +210,123 @@ export const getShops = asyncHandler(async (req, res) => {
       total: totalCount,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      hasMore: offset + shops.length < totalCount
+      hasMore: parseInt(offset) + shops.length < totalCount
+    }
+  });
+});
+
+// @desc    Find nearby shops that have a medicine in stock
+// @route   GET /api/shops/availability
+// @access  Public
+export const getMedicineAvailability = asyncHandler(async (req, res) => {
+  const { medicineId, q, radius = 10, limit = 20 } = req.query;
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+
+  // Resolve the medicines being looked for
+  let medicines;
+  if (medicineId) {
+    medicines = await Medicine.find({ _id: medicineId, status: "active" })
+      .select("name genericName brand prescriptionRequired");
+  } else {
+    medicines = await Medicine.searchMedicines(q, 10)
+      .select("name genericName brand prescriptionRequired");
+  }
+
+  if (medicines.length === 0) {
+    return res.json({
+      success: true,
+      data: [],
+      count: 0
+    });
+  }
+
+  const medicineMap = new Map(medicines.map(m => [m._id.toString(), m]));
+
+  // Nearby shops come back ordered by distance
+  const shops = await MedicalShop.findNearby(lat, lng, parseFloat(radius));
+  const shopIds = shops.map(shop => shop._id);
+
+  // Only sellable batches: not expired and with stock left after reservations
+  const inventoryItems = await Inventory.find({
+    shopId: { $in: shopIds },
+    medicineId: { $in: [...medicineMap.keys()] },
+    status: { $in: ["active", "low-stock"] },
+    expiryDate: { $gt: new Date() },
+    availableQuantity: { $gt: 0 }
+  });
+
+  const stockByShop = new Map();
+  for (const item of inventoryItems) {
+    const shopKey = item.shopId.toString();
+    const medicineKey = item.medicineId.toString();
+    if (!stockByShop.has(shopKey)) stockByShop.set(shopKey, new Map());
+
+    const shopStock = stockByShop.get(shopKey);
+    const existing = shopStock.get(medicineKey);
+    const finalPrice = Math.round(item.finalPrice * 100) / 100;
+
+    if (existing) {
+      existing.availableQuantity += item.availableQuantity;
+      // Price and MRP both come from the cheapest batch
+      if (finalPrice < existing.finalPrice) {
+        existing.finalPrice = finalPrice;
+        existing.mrp = item.pricing.mrp;
+      }
+    } else {
+      const medicine = medicineMap.get(medicineKey);
+      shopStock.set(medicineKey, {
+        medicineId: medicine._id,
+        name: medicine.name,
+        genericName: medicine.genericName,
+        brand: medicine.brand,
+        prescriptionRequired: medicine.prescriptionRequired,
+        availableQuantity: item.availableQuantity,
+        finalPrice,
+        mrp: item.pricing.mrp
+      });
     }
+  }
+
+  const results = shops
+    .filter(shop => stockByShop.has(shop._id.toString()))
+    .slice(0, parseInt(limit))
+    .map(shop => ({
+      shop: {
+        id: shop._id,
+        name: shop.name,
+        address: shop.address,
+        contactInfo: shop.contactInfo,
+        services: shop.services,
+        ratings: shop.ratings
+      },
+      distance: shop.calculateDistance(lat, lng),
+      isOpen: shop.isOpenNow(),
+      medicines: [...stockByShop.get(shop._id.toString()).values()]
+    }));
+
+  res.json({
+    success: true,
+    data: results,
+    count: results.length
+  });
+});
+
+// @desc    Get the owners of active, verified shops within a radius
+// @route   GET /api/shops/internal/owners
+// @access  Internal (notification-service campaign segments)
+export const getNearbyShopOwners = asyncHandler(async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  const radius = parseFloat(req.query.radius) || 10;
+
+  const shops = await MedicalShop.findNearby(lat, lng, radius).select("ownerId");
+  const ownerIds = [...new Set(shops.map(shop => shop.ownerId.toString()))];
+
+  res.json({
+    success: true,
+    data: ownerIds,
+    count: ownerIds.length
   });
 });
 
@@ -194,6 +356,51 @@ export const getShopById = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Check delivery to a saved address (or coordinates): fee, free-delivery threshold and ETA
+// @route   GET /api/shops/:id/delivery-quote
+// @access  Private
+export const getDeliveryQuote = asyncHandler(async (req, res) => {
+  const { addressId, amount = 0 } = req.query;
+
+  const shop = await MedicalShop.findById(req.params.id);
+  if (!shop || shop.status !== "active" || shop.verificationStatus !== "verified") {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let address = null;
+  let latitude = parseFloat(req.query.latitude);
+  let longitude = parseFloat(req.query.longitude);
+
+  if (addressId) {
+    address = await getUserAddress(req.user.id, addressId);
+    if (!address) {
+      const error = new Error("Address not found");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (address.coordinates?.latitude === undefined || address.coordinates?.longitude === undefined) {
+      const error = new Error("This address has no location. Pin it on the map and try again.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    latitude = address.coordinates.latitude;
+    longitude = address.coordinates.longitude;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      shopId: shop._id,
+      addressId: address?._id,
+      ...shop.getDeliveryQuote(latitude, longitude, parseFloat(amount))
+    }
+  });
+});
+
 // @desc    Update shop details
 // @route   PUT /api/shops/:id
 // @access  Private (Shop Owner/Admin)
@@ -247,14 +454,16 @@ export const updateShopStatus = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  const oldStatus = shop.status;
   shop.status = status;
   await shop.save();
 
   // Publish shop status changed event
   await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_STATUS_CHANGED, {
     shopId: shop._id,
+    shopName: shop.name,
     ownerId: shop.ownerId,
-    oldStatus: shop.status,
+    oldStatus,
     newStatus: status,
     reason: reason
   });
@@ -326,26 +535,23 @@ export const getShopMedicines = asyncHandler(async (req, res) => {
   }
 
   const medicines = await Medicine.find(filter)
-    .populate("inventory", "pricing quantity availableQuantity")
     .limit(parseInt(limit))
     .skip(parseInt(offset));
 
-  // Add inventory details to each medicine
+  // Add inventory details to each medicine, priced from the batch that sells next (FEFO)
   const medicinesWithInventory = await Promise.all(
     medicines.map(async (medicine) => {
-      const inventory = await Inventory.findOne({
-        shopId: req.params.id,
-        medicineId: medicine._id,
-        status: "active"
-      }).select("pricing quantity availableQuantity");
+      const batches = await Inventory.findSellableBatches(req.params.id, medicine._id);
+      const nextBatch = batches[0];
 
       return {
         ...medicine.toObject(),
-        inventory: inventory ? {
-          quantity: inventory.quantity,
-          availableQuantity: inventory.availableQuantity,
-          pricing: inventory.pricing,
-          finalPrice: inventory.finalPrice
+        inventory: nextBatch ? {
+          quantity: batches.reduce((sum, batch) => sum + batch.quantity, 0),
+          availableQuantity: batches.reduce((sum, batch) => sum + batch.availableQuantity, 0),
+          batchCount: batches.length,
+          pricing: nextBatch.pricing,
+          finalPrice: nextBatch.finalPrice
         } : null
       };
     })
@@ -0,0 +1,173 @@
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import MedicalShop from "../models/MedicalShop.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+import { addDays, getShopDate, getWeekday } from "../utils/shopHours.js";
+
+// Drop special hours and closures that are already over in the shop's timezone
+const pruneHoursCalendar = (shop) => {
+  const today = getShopDate(shop);
+  shop.specialHours = shop.specialHours.filter(entry => entry.date >= today);
+  shop.closures = shop.closures.filter(closure => closure.endDate >= today);
+};
+
+// Save calendar changes and let other services know the hours changed
+const saveHoursCalendar = async (shop, change) => {
+  pruneHoursCalendar(shop);
+  await shop.save();
+
+  // Publish shop updated event
+  await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_UPDATED, {
+    shopId: shop._id,
+    ownerId: shop.ownerId,
+    changes: [change]
+  });
+};
+
+// @desc    Get a shop's hours: open status, upcoming schedule, special hours and closures
+// @route   GET /api/shops/:id/hours
+// @access  Public
+export const getShopHours = asyncHandler(async (req, res) => {
+  const { days = 7 } = req.query;
+
+  const shop = await MedicalShop.findById(req.params.id)
+    .select("name status verificationStatus timezone operatingHours specialHours closures");
+
+  if (!shop || shop.status !== "active" || shop.verificationStatus !== "verified") {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const today = getShopDate(shop);
+  const schedule = [];
+  for (let i = 0; i < parseInt(days); i++) {
+    const date = addDays(today, i);
+    schedule.push({ weekday: getWeekday(date), ...shop.getHoursForDate(date) });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      shopId: shop._id,
+      timezone: shop.timezone,
+      ...shop.getOpeningStatus(),
+      schedule,
+      operatingHours: shop.operatingHours,
+      specialHours: shop.specialHours
+        .filter(entry => entry.date >= today)
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      closures: shop.closures
+        .filter(closure => closure.endDate >= today)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))
+    }
+  });
+});
+
+// @desc    Set special hours for a date (replaces any earlier entry for that date)
+// @route   PUT /api/shops/:id/special-hours
+// @access  Private (Shop Owner/Admin)
+export const setSpecialHours = asyncHandler(async (req, res) => {
+  const { date, isClosed = false, intervals = [], reason } = req.body;
+
+  const { shop } = req;
+
+  if (date < getShopDate(shop)) {
+    const error = new Error("Special hours cannot be set for a past date");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  shop.specialHours = shop.specialHours.filter(entry => entry.date !== date);
+  shop.specialHours.push({
+    date,
+    isClosed,
+    intervals: isClosed ? [] : intervals,
+    reason
+  });
+
+  await saveHoursCalendar(shop, "specialHours");
+
+  res.json({
+    success: true,
+    message: isClosed ? `Shop marked closed on ${date}` : `Special hours set for ${date}`,
+    data: [...shop.specialHours].sort((a, b) => a.date.localeCompare(b.date))
+  });
+});
+
+// @desc    Remove the special hours for a date
+// @route   DELETE /api/shops/:id/special-hours/:date
+// @access  Private (Shop Owner/Admin)
+export const deleteSpecialHours = asyncHandler(async (req, res) => {
+  const { shop } = req;
+
+  const remaining = shop.specialHours.filter(entry => entry.date !== req.params.date);
+  if (remaining.length === shop.specialHours.length) {
+    const error = new Error("No special hours set for this date");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  shop.specialHours = remaining;
+  await saveHoursCalendar(shop, "specialHours");
+
+  res.json({
+    success: true,
+    message: "Special hours removed",
+    data: shop.specialHours
+  });
+});
+
+// @desc    Add a temporary closure
+// @route   POST /api/shops/:id/closures
+// @access  Private (Shop Owner/Admin)
+export const addClosure = asyncHandler(async (req, res) => {
+  const { startDate, endDate, reason } = req.body;
+
+  const { shop } = req;
+
+  if (endDate < getShopDate(shop)) {
+    const error = new Error("Closure has already ended");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const overlapping = shop.closures.find(closure => closure.startDate <= endDate && startDate <= closure.endDate);
+  if (overlapping) {
+    const error = new Error(`Overlaps an existing closure (${overlapping.startDate} to ${overlapping.endDate})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  shop.closures.push({ startDate, endDate, reason, createdBy: req.user.id });
+  await saveHoursCalendar(shop, "closures");
+
+  res.status(201).json({
+    success: true,
+    message: "Closure added successfully",
+    data: [...shop.closures].sort((a, b) => a.startDate.localeCompare(b.startDate))
+  });
+});
+
+// @desc    Remove a temporary closure
+// @route   DELETE /api/shops/:id/closures/:closureId
+// @access  Private (Shop Owner/Admin)
+export const deleteClosure = asyncHandler(async (req, res) => {
+  const { shop } = req;
+
+  const closure = shop.closures.id(req.params.closureId);
+  if (!closure) {
+    const error = new Error("Closure not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  closure.deleteOne();
+  await saveHoursCalendar(shop, "closures");
+
+  res.json({
+    success: true,
+    message: "Closure removed",
+    data: shop.closures
+  });
+});
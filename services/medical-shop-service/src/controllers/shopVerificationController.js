@@ -0,0 +1,266 @@
+import fs from "fs";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import MedicalShop from "../models/MedicalShop.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+const DOCUMENT_FIELDS = ["license", "gstCertificate", "addressProof"];
+
+// Documents a submission must include - the GST certificate only when the shop has a GST number
+const getRequiredDocuments = (shop) => {
+  return shop.gstNumber ? DOCUMENT_FIELDS : ["license", "addressProof"];
+};
+
+// @desc    Submit (or resubmit after rejection) verification documents
+// @route   POST /api/shops/:id/verification
+// @access  Private (Shop Owner)
+export const submitVerification = asyncHandler(async (req, res) => {
+  const uploadedFiles = Object.values(req.files || {}).flat();
+
+  try {
+    const { shop } = req;
+
+    if (shop.verificationStatus === "pending") {
+      const error = new Error("Verification is already under review");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (shop.verificationStatus === "verified") {
+      const error = new Error("Shop is already verified");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // New uploads replace earlier ones; documents that were not re-uploaded are kept
+    const documents = {};
+    for (const field of DOCUMENT_FIELDS) {
+      const file = req.files?.[field]?.[0];
+      documents[field] = file ? `/uploads/documents/shops/${file.filename}` : shop.documents?.[field];
+    }
+
+    const missing = getRequiredDocuments(shop).filter(field => !documents[field]);
+    if (missing.length > 0) {
+      const error = new Error(`Missing verification documents: ${missing.join(", ")}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    const updated = await MedicalShop.findOneAndUpdate(
+      { _id: shop._id, verificationStatus: shop.verificationStatus },
+      {
+        $set: {
+          documents,
+          verificationStatus: "pending",
+          "verification.submittedAt": now,
+          ...(req.body.notes && { "verification.notes": req.body.notes })
+        },
+        $unset: {
+          ...(!req.body.notes && { "verification.notes": 1 }),
+          "verification.reviewedAt": 1,
+          "verification.reviewedBy": 1,
+          "verification.rejectionReason": 1
+        },
+        $inc: { "verification.submissionCount": 1 },
+        $push: {
+          verificationHistory: {
+            action: "submitted",
+            fromStatus: shop.verificationStatus,
+            toStatus: "pending",
+            notes: req.body.notes,
+            documents,
+            changedBy: req.user.id,
+            role: req.user.role,
+            timestamp: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const error = new Error("Verification status changed, please try again");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Publish verification submitted event
+    await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_VERIFICATION_SUBMITTED, {
+      shopId: updated._id,
+      ownerId: updated.ownerId,
+      shopName: updated.name,
+      submissionCount: updated.verification.submissionCount
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Verification documents submitted for review",
+      data: {
+        verificationStatus: updated.verificationStatus,
+        verification: updated.verification,
+        documents: updated.documents
+      }
+    });
+  } catch (error) {
+    // Remove the stored files, nobody is going to review them
+    uploadedFiles.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+    throw error;
+  }
+});
+
+// @desc    Get a shop's verification status, documents and history
+// @route   GET /api/shops/:id/verification
+// @access  Private (Shop Owner/Admin)
+export const getVerification = asyncHandler(async (req, res) => {
+  const { shop } = req;
+
+  res.json({
+    success: true,
+    data: {
+      shopId: shop._id,
+      shopName: shop.name,
+      verificationStatus: shop.verificationStatus,
+      verification: shop.verification,
+      documents: shop.documents,
+      requiredDocuments: getRequiredDocuments(shop),
+      history: shop.verificationHistory
+    }
+  });
+});
+
+// @desc    Get shops waiting for verification review, oldest submission first
+// @route   GET /api/shops/verification/queue
+// @access  Private (Admin)
+export const getVerificationQueue = asyncHandler(async (req, res) => {
+  const { status = "pending", city, limit = 20, offset = 0 } = req.query;
+
+  const filter = { verificationStatus: status };
+  if (city) {
+    filter["address.city"] = new RegExp(city, "i");
+  }
+
+  const [shops, totalCount] = await Promise.all([
+    MedicalShop.find(filter)
+      .select("name ownerId licenseNumber gstNumber contactInfo address status verificationStatus verification documents")
+      .sort({ "verification.submittedAt": 1, createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    MedicalShop.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: shops,
+    pagination: {
+      total: totalCount,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: parseInt(offset) + shops.length < totalCount
+    }
+  });
+});
+
+// @desc    Approve or reject a pending verification
+// @route   PATCH /api/shops/:id/verification
+// @access  Private (Admin)
+export const reviewVerification = asyncHandler(async (req, res) => {
+  const { decision, reason, notes } = req.body;
+  const toStatus = decision === "approve" ? "verified" : "rejected";
+
+  const shop = await MedicalShop.findById(req.params.id);
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (shop.verificationStatus !== "pending") {
+    const error = new Error(`Only pending verifications can be reviewed (current status: ${shop.verificationStatus})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      verificationStatus: toStatus,
+      "verification.reviewedAt": now,
+      "verification.reviewedBy": req.user.id,
+      ...(toStatus === "rejected" && { "verification.rejectionReason": reason })
+    },
+    $push: {
+      verificationHistory: {
+        action: toStatus === "verified" ? "approved" : "rejected",
+        fromStatus: "pending",
+        toStatus,
+        reason,
+        notes,
+        documents: shop.toObject().documents,
+        changedBy: req.user.id,
+        role: req.user.role,
+        timestamp: now
+      }
+    }
+  };
+
+  // A shop waiting for approval goes live once it is verified
+  const activate = toStatus === "verified" && shop.status === "pending";
+  if (activate) {
+    update.$set.status = "active";
+  }
+
+  // Conditional on the submission that was reviewed, so concurrent reviews cannot both apply
+  const updated = await MedicalShop.findOneAndUpdate(
+    {
+      _id: shop._id,
+      verificationStatus: "pending",
+      "verification.submittedAt": shop.verification?.submittedAt
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error("Verification was changed by someone else, please reload");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (toStatus === "verified") {
+    // Publish shop verified event
+    await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_VERIFIED, {
+      shopId: updated._id,
+      ownerId: updated.ownerId,
+      shopName: updated.name,
+      verifiedBy: req.user.id,
+      verifiedAt: now
+    });
+
+    if (activate) {
+      await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_STATUS_CHANGED, {
+        shopId: updated._id,
+        shopName: updated.name,
+        ownerId: updated.ownerId,
+        oldStatus: "pending",
+        newStatus: "active",
+        reason: "Shop verified"
+      });
+    }
+  } else {
+    // Publish verification rejected event
+    await publishEvent(TOPICS.SHOP_EVENTS, EVENT_TYPES.SHOP_VERIFICATION_REJECTED, {
+      shopId: updated._id,
+      ownerId: updated.ownerId,
+      shopName: updated.name,
+      reason,
+      submissionCount: updated.verification.submissionCount
+    });
+  }
+
+  res.json({
+    success: true,
+    message: toStatus === "verified" ? "Shop verified" : "Shop verification rejected",
+    data: updated
+  });
+});
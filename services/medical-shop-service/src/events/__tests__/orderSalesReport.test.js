@@ -0,0 +1,150 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { Query, Aggregator } from "mingo";
+import { update } from "mingo/updater";
+
+jest.unstable_mockModule("../kafka.js", () => ({
+  publishEvent: jest.fn(),
+  subscribeToTopics: jest.fn()
+}));
+
+const { default: Inventory } = await import("../../models/Inventory.js");
+const { default: Order } = await import("../../models/Order.js");
+const { default: MedicalShop } = await import("../../models/MedicalShop.js");
+const { default: Medicine } = await import("../../models/Medicine.js");
+const { handleOrderEvents } = await import("../eventHandlers.js");
+const { updateOrderStatus } = await import("../../controllers/orderController.js");
+const { getSalesReport } = await import("../../controllers/reportController.js");
+
+const ownerId = new mongoose.Types.ObjectId();
+const customerId = new mongoose.Types.ObjectId();
+const medicineId = new mongoose.Types.ObjectId();
+const shop = new MedicalShop({ name: "Test Pharmacy", ownerId, timezone: "Asia/Kolkata" });
+
+// Inventory documents live in memory and mingo stands in for the MongoDB query engine
+let inventories = [];
+
+const hydrate = (doc) => doc && Inventory.hydrate(new Inventory(doc).toObject());
+const findIndex = (filter) => inventories.findIndex(doc => new Query(filter).test(doc));
+const asModifier = (changes) => Object.keys(changes).some(key => key.startsWith("$")) ? changes : { $set: changes };
+
+const mockInventoryCollection = () => {
+  jest.spyOn(Inventory, "find").mockImplementation(filter => ({
+    sort: async (sort) => new Aggregator([{ $match: filter }, { $sort: sort }]).run(inventories).map(hydrate)
+  }));
+  jest.spyOn(Inventory, "findOneAndUpdate").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index === -1) return null;
+    update(inventories[index], asModifier(changes));
+    return hydrate(inventories[index]);
+  });
+  jest.spyOn(Inventory, "updateOne").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index !== -1) update(inventories[index], asModifier(changes));
+  });
+  jest.spyOn(Inventory, "exists").mockImplementation(async filter => findIndex(filter) !== -1);
+  jest.spyOn(Inventory, "aggregate").mockImplementation(async pipeline => new Aggregator(pipeline).run(inventories));
+};
+
+// Run an Express handler to completion, resolving with its JSON body
+const runHandler = (handler, req) => new Promise((resolve, reject) => {
+  handler(req, { json: resolve, status() { return this; } }, reject);
+});
+
+describe("online order fulfilment", () => {
+  let batch;
+  let order;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    batch = new Inventory({
+      shopId: shop._id,
+      medicineId,
+      batchNumber: "B-001",
+      quantity: 20,
+      pricing: { costPrice: 60, sellingPrice: 100, mrp: 110, discountPercentage: 10, taxPercentage: 12 },
+      manufacturingDate: new Date("2026-01-01"),
+      expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+      createdBy: ownerId
+    }).toObject();
+    batch.availableQuantity = 20;
+    inventories = [batch];
+    mockInventoryCollection();
+
+    // Checked out at the batch's discounted price of 90 (100.8 with tax)
+    order = new Order({
+      orderNumber: "ORD-TEST-0001",
+      userId: customerId,
+      shopId: shop._id,
+      items: [{
+        medicineId,
+        name: "Paracetamol 500mg",
+        quantity: 3,
+        mrp: 110,
+        unitPrice: 100.8,
+        lineTotal: 302.4,
+        batches: [{ inventoryId: batch._id, batchNumber: "B-001", quantity: 3, unitPrice: 90, unitCost: 60 }]
+      }]
+    });
+    jest.spyOn(order, "save").mockResolvedValue(order);
+
+    jest.spyOn(Order, "findById").mockResolvedValue(order);
+    jest.spyOn(Medicine, "findById").mockResolvedValue({ requiresPrescription: () => false });
+    jest.spyOn(MedicalShop, "findById").mockReturnValue({ select: async () => shop });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reports the sale at the price and cost of checkout, not the batch's later prices", async () => {
+    // The shop reprices the batch between checkout and the order being placed
+    inventories[0].pricing.sellingPrice = 120;
+
+    await handleOrderEvents({ type: "order.placed", data: { orderId: order._id, shopId: shop._id } });
+    expect(order.reservationStatus).toBe("reserved");
+    expect(inventories[0].reservedQuantity).toBe(3);
+
+    await runHandler(updateOrderStatus, {
+      params: { id: order._id },
+      body: { status: "confirmed" },
+      user: { id: ownerId.toString(), role: "shop-owner" }
+    });
+    expect(order.reservationStatus).toBe("fulfilled");
+    expect(inventories[0]).toMatchObject({ quantity: 17, reservedQuantity: 0 });
+
+    // A later receipt blends a new cost into the batch
+    inventories[0].pricing.costPrice = 75;
+
+    const report = await runHandler(getSalesReport, { shop, query: {} });
+
+    expect(report.data).toHaveLength(1);
+    expect(report.data[0]).toMatchObject({ transactions: 1, unitsSold: 3, revenue: 270, cost: 180, grossMargin: 90 });
+  });
+
+  it("books each batch once when the confirmation is retried", async () => {
+    await handleOrderEvents({ type: "order.placed", data: { orderId: order._id, shopId: shop._id } });
+
+    // Another order holds units of the same batch
+    inventories[0].reservedQuantity += 5;
+    inventories[0].availableQuantity -= 5;
+
+    const confirm = () => runHandler(updateOrderStatus, {
+      params: { id: order._id },
+      body: { status: "confirmed" },
+      user: { id: ownerId.toString(), role: "shop-owner" }
+    });
+
+    // The first attempt fails after booking the stock, before the order is saved
+    order.save.mockRejectedValueOnce(new Error("Write conflict"));
+    await expect(confirm()).rejects.toThrow("Write conflict");
+    order.set({ status: "placed", reservationStatus: "reserved" });
+    order.statusHistory.pop();
+
+    await confirm();
+
+    expect(inventories[0]).toMatchObject({ quantity: 17, reservedQuantity: 5 });
+    expect(inventories[0].stockMovements.filter(movement => movement.reason === "sale")).toHaveLength(1);
+  });
+});
@@ -1,7 +1,11 @@
 import MedicalShop from "../models/MedicalShop.js";
 import Medicine from "../models/Medicine.js";
 import Inventory from "../models/Inventory.js";
+import Order from "../models/Order.js";
+import Prescription from "../models/Prescription.js";
+import Rider from "../models/Rider.js";
 import { publishEvent } from "./kafka.js";
+import { publishLowStockAlerts } from "../jobs/inventoryAlertScanner.js";
 import { TOPICS, EVENT_TYPES } from "./eventTypes.js";
 
 /**
@@ -19,6 +23,9 @@ export const handleUserEvents = async (event, context) => {
       case 'user.deleted':
         await handleUserDeleted(event);
         break;
+      case 'user.rider_status_changed':
+        await handleRiderStatusChanged(event);
+        break;
       default:
         console.log(`Unhandled user event: ${event.type}`);
     }
@@ -93,7 +100,29 @@ const handleUserDeleted = async (event) => {
 };
 
 /**
- * Handle order events (for future integration)
+ * Handle rider onboarding status change - only approved riders can take deliveries
+ */
+const handleRiderStatusChanged = async (event) => {
+  const { userId, status, vehicleType, vehicleNumber } = event.data;
+
+  const riderStatus = status === 'approved' ? 'active' : status === 'suspended' ? 'suspended' : 'inactive';
+
+  console.log(`🛵 Rider ${userId} is now ${riderStatus} (onboarding: ${status})`);
+
+  const update = { status: riderStatus, vehicleType, vehicleNumber };
+  if (riderStatus !== 'active') {
+    update.isAvailable = false;
+  }
+
+  await Rider.findOneAndUpdate(
+    { userId },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Handle order events
  */
 export const handleOrderEvents = async (event, context) => {
   try {
@@ -101,15 +130,17 @@ export const handleOrderEvents = async (event, context) => {
       case 'order.placed':
         await handleOrderPlaced(event);
         break;
-      case 'order.confirmed':
-        await handleOrderConfirmed(event);
-        break;
       case 'order.delivered':
         await handleOrderDelivered(event);
         break;
       case 'order.cancelled':
         await handleOrderCancelled(event);
         break;
+      case 'order.confirmed': // stock is taken out by the confirming request
+      case 'order.packed':
+      case 'order.out_for_delivery':
+      case 'order.rider_assigned':
+        break;
       default:
         console.log(`Unhandled order event: ${event.type}`);
     }
@@ -119,133 +150,145 @@ export const handleOrderEvents = async (event, context) => {
 };
 
 /**
- * Handle order placed event - update inventory
+ * Flatten the batch allocations of order items
  */
-const handleOrderPlaced = async (event) => {
-  const { orderId, shopId, items, userId } = event.data;
-
-  console.log(`📦 Processing order: ${orderId} for shop: ${shopId}`);
-
-  try {
-    // Reserve inventory for the order
-    for (const item of items) {
-      const inventory = await Inventory.findOne({
-        shopId,
-        medicineId: item.medicineId,
-        batchNumber: item.batchNumber
-      });
-
-      if (!inventory) {
-        console.error(`Inventory not found for medicine: ${item.medicineId}`);
-        continue;
-      }
-
-      if (inventory.availableQuantity < item.quantity) {
-        console.error(`Insufficient stock for medicine: ${item.medicineId}`);
-        // In a real system, you might want to cancel the order or notify
-        continue;
-      }
+const getItemAllocations = (items) => items.flatMap(item => item.batches.map(batch => ({
+  _id: batch._id,
+  inventoryId: batch.inventoryId,
+  batchNumber: batch.batchNumber,
+  quantity: batch.quantity
+})));
 
-      // Reserve the quantity
-      inventory.reservedQuantity += item.quantity;
-      await inventory.save();
+/**
+ * Average price per unit (after discount, before tax) of an order line's checkout batches,
+ * or undefined for orders placed before batch prices were recorded
+ */
+const getCheckoutUnitPrice = (item) => {
+  if (item.batches.length === 0 || item.batches.some(batch => batch.unitPrice === undefined)) return undefined;
 
-      // Record stock movement
-      await inventory.addStockMovement(
-        'out',
-        item.quantity,
-        'order_reservation',
-        userId,
-        orderId,
-        `Reserved for order ${orderId}`
-      );
-    }
+  const total = item.batches.reduce((sum, batch) => sum + batch.unitPrice * batch.quantity, 0);
+  return total / item.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+};
 
-    console.log(`✅ Inventory reserved for order: ${orderId}`);
-  } catch (error) {
-    console.error(`❌ Failed to reserve inventory for order ${orderId}:`, error);
+/**
+ * Give back the prescription quantities dispensed for order items
+ */
+const releasePrescriptions = async (items) => {
+  for (const item of items) {
+    await Prescription.releaseDispensed(item.prescriptionId, item.medicineId, item.quantity);
   }
 };
 
 /**
- * Handle order confirmed event - actually deduct from inventory
+ * Handle order placed event - reserve inventory
  */
-const handleOrderConfirmed = async (event) => {
-  const { orderId, shopId, items, userId } = event.data;
+const handleOrderPlaced = async (event) => {
+  const { orderId, shopId } = event.data;
+
+  console.log(`📦 Processing order: ${orderId} for shop: ${shopId}`);
 
-  console.log(`✅ Confirming order: ${orderId}`);
+  const order = await Order.findById(orderId);
+  if (!order || order.reservationStatus !== 'pending' || order.status === 'cancelled') return;
 
-  try {
-    for (const item of items) {
-      const inventory = await Inventory.findOne({
-        shopId,
-        medicineId: item.medicineId,
-        batchNumber: item.batchNumber
-      });
+  const reserved = [];
+  const dispensed = [];
+  let failureReason = 'Insufficient stock';
 
-      if (!inventory) continue;
+  try {
+    // Prescription-only lines cannot be reserved without an approved prescription,
+    // and each order draws down the quantity the prescription allows
+    for (const item of order.items) {
+      const medicine = await Medicine.findById(item.medicineId);
+      if (!medicine || !medicine.requiresPrescription()) continue;
+
+      const recorded = item.prescriptionId &&
+        await Prescription.recordDispensed(item.prescriptionId, item.medicineId, item.quantity);
+      if (!recorded) {
+        failureReason = 'Approved prescription required';
+        throw new Error(`No approved prescription for medicine: ${item.medicineId}`);
+      }
+      dispensed.push(item);
+    }
 
-      // Deduct from reserved quantity and actual quantity
-      inventory.reservedQuantity -= item.quantity;
-      inventory.quantity -= item.quantity;
+    // Reserve inventory for the order FEFO across batches, all lines or nothing
+    for (const item of order.items) {
+      const allocations = await Inventory.reserveFEFO(shopId, item.medicineId, item.quantity);
 
-      // Update available quantity
-      inventory.availableQuantity = Math.max(0, inventory.quantity - inventory.reservedQuantity);
+      if (!allocations) {
+        throw new Error(`Insufficient stock for medicine: ${item.medicineId}`);
+      }
 
-      await inventory.save();
+      reserved.push(...allocations);
 
-      // Record stock movement
-      await inventory.addStockMovement(
-        'out',
-        item.quantity,
-        'order_confirmed',
-        userId,
-        orderId,
-        `Sold in order ${orderId}`
-      );
+      // Keep the price the customer was charged at checkout, whichever batches end up reserved
+      const unitPrice = getCheckoutUnitPrice(item);
+      item.batches = allocations.map(allocation => ({ ...allocation, unitPrice: unitPrice ?? allocation.unitPrice }));
     }
 
-    console.log(`✅ Inventory updated for confirmed order: ${orderId}`);
+    order.reservationStatus = 'reserved';
+    await order.save();
+
+    console.log(`✅ Inventory reserved for order: ${orderId}`);
   } catch (error) {
-    console.error(`❌ Failed to update inventory for confirmed order ${orderId}:`, error);
+    console.error(`❌ Failed to reserve inventory for order ${orderId}:`, error.message);
+
+    await Inventory.releaseAllocations(reserved);
+    await releasePrescriptions(dispensed);
+
+    order.reservationStatus = 'failed';
+    order.transitionTo('cancelled', order.userId, failureReason);
+    await order.save();
+
+    await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_CANCELLED, {
+      ...order.toEventPayload(),
+      previousStatus: 'placed',
+      reason: failureReason
+    });
   }
 };
 
 /**
- * Handle order cancelled event - release reserved inventory
+ * Handle order cancelled event - release reserved or sold inventory
  */
 const handleOrderCancelled = async (event) => {
-  const { orderId, shopId, items } = event.data;
+  const { orderId, performedBy } = event.data;
 
   console.log(`❌ Cancelling order: ${orderId}`);
 
+  const order = await Order.findById(orderId);
+  if (!order || !['reserved', 'fulfilled'].includes(order.reservationStatus)) return;
+
   try {
-    for (const item of items) {
-      const inventory = await Inventory.findOne({
-        shopId,
-        medicineId: item.medicineId,
-        batchNumber: item.batchNumber
-      });
+    for (const allocation of getItemAllocations(order.items)) {
+      // A confirmation that failed part way may already have sold some of a reserved order's batches
+      const sold = order.reservationStatus === 'fulfilled' ||
+        await Inventory.exists({ _id: allocation.inventoryId, 'stockMovements._id': allocation._id });
 
-      if (!inventory) continue;
+      if (!sold) {
+        await Inventory.releaseAllocations([allocation]);
+        continue;
+      }
 
-      // Release reserved quantity
-      inventory.reservedQuantity = Math.max(0, inventory.reservedQuantity - item.quantity);
-      inventory.availableQuantity = Math.max(0, inventory.quantity - inventory.reservedQuantity);
+      // Stock already left the shelf on confirmation - put it back into the same batch
+      const inventory = await Inventory.findById(allocation.inventoryId);
 
-      await inventory.save();
+      if (!inventory) continue;
 
-      // Record stock movement
       await inventory.addStockMovement(
-        'adjustment',
-        inventory.quantity,
-        'order_cancelled',
-        'system',
-        orderId,
-        `Reservation released for cancelled order ${orderId}`
+        'in',
+        allocation.quantity,
+        'correction',
+        performedBy || order.userId,
+        order.orderNumber,
+        `Restocked from cancelled order ${order.orderNumber}`
       );
     }
 
+    await releasePrescriptions(order.items.filter(item => item.prescriptionId));
+
+    order.reservationStatus = 'released';
+    await order.save();
+
     console.log(`✅ Inventory reservation released for cancelled order: ${orderId}`);
   } catch (error) {
     console.error(`❌ Failed to release inventory for cancelled order ${orderId}:`, error);
@@ -260,25 +303,12 @@ const handleOrderDelivered = async (event) => {
 
   console.log(`🚚 Order delivered: ${orderId}`);
 
-  // Check if any medicines are now low in stock and trigger reorder alerts
+  // Check if any medicines are now low in stock (across all batches) and trigger reorder alerts
   try {
-    for (const item of items) {
-      const inventory = await Inventory.findOne({
-        shopId,
-        medicineId: item.medicineId
-      }).populate('medicineId', 'name');
-
-      if (inventory && inventory.isLowStock()) {
-        // Publish low stock alert
-        await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.LOW_STOCK_ALERT, {
-          shopId,
-          medicineId: item.medicineId,
-          medicineName: inventory.medicineId?.name,
-          currentStock: inventory.availableQuantity,
-          threshold: inventory.alerts.lowStockThreshold
-        });
-      }
-    }
+    const shop = await MedicalShop.findById(shopId).select("name ownerId");
+    if (!shop) return;
+
+    await publishLowStockAlerts(shop, items.map(item => item.medicineId));
   } catch (error) {
     console.error(`❌ Failed to check reorder alerts for delivered order ${orderId}:`, error);
   }
@@ -314,7 +344,7 @@ export const initEventHandlers = async () => {
     // Subscribe to relevant topics
     await subscribeToTopics({
       'user-events': handleUserEvents,
-      'order-events': handleOrderEvents,
+      [TOPICS.ORDER_EVENTS]: handleOrderEvents,
       'system-events': handleSystemEvents
     });
 
@@ -3,6 +3,8 @@ export const TOPICS = {
   SHOP_EVENTS: 'shop-events',
   MEDICINE_EVENTS: 'medicine-events',
   INVENTORY_EVENTS: 'inventory-events',
+  ORDER_EVENTS: 'order-events',
+  PRESCRIPTION_EVENTS: 'prescription-events',
   SYSTEM_EVENTS: 'system-events'
 };
 
@@ -13,6 +15,8 @@ export const EVENT_TYPES = {
   SHOP_UPDATED: 'shop.updated',
   SHOP_STATUS_CHANGED: 'shop.status_changed',
   SHOP_VERIFIED: 'shop.verified',
+  SHOP_VERIFICATION_SUBMITTED: 'shop.verification_submitted',
+  SHOP_VERIFICATION_REJECTED: 'shop.verification_rejected',
   SHOP_DELETED: 'shop.deleted',
 
   // Medicine Events
@@ -30,11 +34,19 @@ export const EVENT_TYPES = {
   EXPIRY_ALERT: 'inventory.expiry_alert',
   INVENTORY_BULK_UPDATED: 'inventory.bulk_updated',
 
-  // Order Events (for future integration)
+  // Order Events
   ORDER_PLACED: 'order.placed',
   ORDER_CONFIRMED: 'order.confirmed',
+  ORDER_PACKED: 'order.packed',
+  ORDER_OUT_FOR_DELIVERY: 'order.out_for_delivery',
   ORDER_DELIVERED: 'order.delivered',
   ORDER_CANCELLED: 'order.cancelled',
+  ORDER_RIDER_ASSIGNED: 'order.rider_assigned',
+
+  // Prescription Events
+  PRESCRIPTION_UPLOADED: 'prescription.uploaded',
+  PRESCRIPTION_APPROVED: 'prescription.approved',
+  PRESCRIPTION_REJECTED: 'prescription.rejected',
 
   // System Events
   SERVICE_STARTED: 'system.service_started',
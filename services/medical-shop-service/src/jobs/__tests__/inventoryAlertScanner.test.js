@@ -0,0 +1,130 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { Query, Aggregator } from "mingo";
+import { update } from "mingo/updater";
+
+jest.unstable_mockModule("../../events/kafka.js", () => ({
+  publishEvent: jest.fn(),
+  subscribeToTopics: jest.fn()
+}));
+
+const { publishEvent } = await import("../../events/kafka.js");
+const { default: Inventory } = await import("../../models/Inventory.js");
+const { default: Order } = await import("../../models/Order.js");
+const { default: MedicalShop } = await import("../../models/MedicalShop.js");
+const { scanShopInventory } = await import("../inventoryAlertScanner.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ownerId = new mongoose.Types.ObjectId();
+const customerId = new mongoose.Types.ObjectId();
+const medicineId = new mongoose.Types.ObjectId();
+const shop = new MedicalShop({ name: "Test Pharmacy", ownerId });
+
+// Inventory documents live in memory and mingo stands in for the MongoDB query engine
+let inventories = [];
+
+const hydrate = (doc) => doc && Inventory.hydrate(new Inventory(doc).toObject());
+const findIndex = (filter) => inventories.findIndex(doc => new Query(filter).test(doc));
+
+const mockInventoryCollection = () => {
+  jest.spyOn(Inventory, "find").mockImplementation(filter => {
+    const run = (sort = { _id: 1 }) => new Aggregator([{ $match: filter }, { $sort: sort }]).run(inventories).map(hydrate);
+    return { sort: async sort => run(sort), populate: async () => run() };
+  });
+  jest.spyOn(Inventory, "findOneAndUpdate").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index === -1) return null;
+    update(inventories[index], changes);
+    return hydrate(inventories[index]);
+  });
+  jest.spyOn(Inventory, "updateOne").mockImplementation(async (filter, changes) => {
+    const index = findIndex(filter);
+    if (index !== -1) update(inventories[index], changes);
+  });
+  jest.spyOn(Inventory.prototype, "save").mockImplementation(async function() {
+    inventories[findIndex({ _id: this._id })].status = this.status;
+    return this;
+  });
+
+  // Expiring-soon and low stock alerts are not under test here
+  jest.spyOn(Inventory, "findOne").mockReturnValue({ sort: () => ({ select: async () => null }) });
+  jest.spyOn(Inventory, "getMedicineTotals").mockResolvedValue([]);
+};
+
+const createBatch = (batchNumber, quantity, reservedQuantity, expiryDate) => {
+  const batch = new Inventory({
+    shopId: shop._id,
+    medicineId,
+    batchNumber,
+    quantity,
+    reservedQuantity,
+    pricing: { costPrice: 60, sellingPrice: 100, mrp: 110 },
+    manufacturingDate: new Date("2026-01-01"),
+    expiryDate,
+    createdBy: ownerId
+  }).toObject();
+  batch.availableQuantity = quantity - reservedQuantity;
+  return batch;
+};
+
+describe("expiring reserved stock", () => {
+  let order;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    publishEvent.mockClear();
+
+    // The order holds 3 units of a batch that has just expired
+    inventories = [
+      createBatch("OLD-1", 5, 3, new Date(Date.now() - 1000)),
+      createBatch("NEW-1", 10, 0, new Date(Date.now() + 365 * DAY_MS))
+    ];
+    mockInventoryCollection();
+
+    order = new Order({
+      orderNumber: "ORD-TEST-0001",
+      userId: customerId,
+      shopId: shop._id,
+      reservationStatus: "reserved",
+      items: [{
+        medicineId,
+        name: "Paracetamol 500mg",
+        quantity: 3,
+        mrp: 110,
+        unitPrice: 100.8,
+        lineTotal: 302.4,
+        batches: [{ inventoryId: inventories[0]._id, batchNumber: "OLD-1", quantity: 3, unitPrice: 90, unitCost: 60 }]
+      }]
+    });
+    jest.spyOn(order, "save").mockResolvedValue(order);
+    jest.spyOn(Order, "find").mockResolvedValue([order]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("moves the reservation onto another batch at the checkout price", async () => {
+    await scanShopInventory(shop);
+
+    expect(inventories[0]).toMatchObject({ status: "expired", reservedQuantity: 0 });
+    expect(inventories[1]).toMatchObject({ reservedQuantity: 3, availableQuantity: 7 });
+    expect(order.items[0].batches).toHaveLength(1);
+    expect(order.items[0].batches[0]).toMatchObject({ batchNumber: "NEW-1", quantity: 3, unitPrice: 90 });
+    expect(order.status).toBe("placed");
+  });
+
+  it("cancels the order when no other batch can cover it", async () => {
+    inventories[1].availableQuantity = 2;
+
+    await scanShopInventory(shop);
+
+    expect(inventories[0].reservedQuantity).toBe(0);
+    expect(inventories[1].reservedQuantity).toBe(0);
+    expect(order.items[0].batches).toHaveLength(0);
+    expect(order.status).toBe("cancelled");
+    expect(publishEvent).toHaveBeenCalledWith("order-events", "order.cancelled", expect.objectContaining({
+      reason: "Reserved stock of Paracetamol 500mg expired before the order was confirmed"
+    }));
+  });
+});
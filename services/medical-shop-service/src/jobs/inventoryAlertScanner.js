@@ -0,0 +1,260 @@
+import MedicalShop from "../models/MedicalShop.js";
+import Inventory from "../models/Inventory.js";
+import Order from "../models/Order.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+
+const SCAN_INTERVAL_MINUTES = parseInt(process.env.INVENTORY_ALERT_SCAN_INTERVAL_MINUTES) || 60;
+const ALERT_COOLDOWN_HOURS = parseInt(process.env.INVENTORY_ALERT_COOLDOWN_HOURS) || 24;
+
+let scanTimer = null;
+let isScanning = false;
+
+/**
+ * Check whether an alert was already sent inside the cooldown window
+ */
+const isWithinCooldown = (lastAlert) => {
+  if (!lastAlert) return false;
+  return Date.now() - lastAlert.getTime() < ALERT_COOLDOWN_HOURS * 60 * 60 * 1000;
+};
+
+/**
+ * Build the expiry alert payload for a batch
+ */
+const buildExpiryPayload = (shop, batch, expired) => ({
+  shopId: shop._id,
+  shopName: shop.name,
+  ownerId: shop.ownerId,
+  inventoryId: batch._id,
+  medicineId: batch.medicineId?._id || batch.medicineId,
+  medicineName: batch.medicineId?.name,
+  batchNumber: batch.batchNumber,
+  expiryDate: batch.expiryDate,
+  daysToExpiry: Math.max(0, Math.ceil((batch.expiryDate - Date.now()) / (24 * 60 * 60 * 1000))),
+  quantity: batch.quantity,
+  expired
+});
+
+/**
+ * Move the reservations of unconfirmed orders off an expired batch onto other batches FEFO.
+ * An order whose units cannot be found elsewhere is cancelled, releasing the rest of its stock
+ */
+const moveExpiredReservations = async (batch) => {
+  const orders = await Order.find({
+    reservationStatus: "reserved",
+    status: { $ne: "cancelled" },
+    "items.batches.inventoryId": batch._id
+  });
+
+  for (const order of orders) {
+    let shortMedicine = null;
+
+    for (const item of order.items) {
+      const expired = item.batches.filter(allocation => allocation.inventoryId.equals(batch._id));
+      if (expired.length === 0) continue;
+
+      // The expired units can never be sold, so their hold goes either way
+      await Inventory.releaseAllocations(expired);
+      item.batches = item.batches.filter(allocation => !allocation.inventoryId.equals(batch._id));
+
+      if (shortMedicine) continue;
+
+      const quantity = expired.reduce((sum, allocation) => sum + allocation.quantity, 0);
+      const allocations = await Inventory.reserveFEFO(order.shopId, item.medicineId, quantity);
+      if (!allocations) {
+        shortMedicine = item.name || item.medicineId;
+        continue;
+      }
+
+      // Keep the price the customer was charged at checkout
+      item.batches.push(...allocations.map(allocation => ({
+        ...allocation,
+        unitPrice: expired[0].unitPrice ?? allocation.unitPrice
+      })));
+    }
+
+    if (!shortMedicine) {
+      await order.save();
+      continue;
+    }
+
+    // Cancelling hands the remaining reservations to the order.cancelled handler to release
+    const previousStatus = order.status;
+    const reason = `Reserved stock of ${shortMedicine} expired before the order was confirmed`;
+    order.transitionTo("cancelled", order.userId, reason);
+    await order.save();
+
+    await publishEvent(TOPICS.ORDER_EVENTS, EVENT_TYPES.ORDER_CANCELLED, {
+      ...order.toEventPayload(),
+      previousStatus,
+      reason
+    });
+  }
+};
+
+/**
+ * Mark batches past their expiry date as expired and alert once per batch
+ */
+const markExpiredBatches = async (shop) => {
+  const batches = await Inventory.find({
+    shopId: shop._id,
+    expiryDate: { $lte: new Date() },
+    status: { $in: ["active", "low-stock", "out-of-stock"] }
+  }).populate("medicineId", "name");
+
+  for (const batch of batches) {
+    batch.status = "expired";
+
+    // Empty batches are retired silently
+    if (batch.quantity > 0) {
+      await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.EXPIRY_ALERT, buildExpiryPayload(shop, batch, true));
+      batch.alerts.lastExpiryAlert = new Date();
+    }
+
+    await batch.save();
+
+    if (batch.reservedQuantity > 0) {
+      await moveExpiredReservations(batch);
+    }
+  }
+
+  return batches.length;
+};
+
+/**
+ * Alert on batches inside their own expiry alert window
+ */
+const alertExpiringBatches = async (shop) => {
+  // Widest per-batch window in the shop, narrowed per batch below
+  const widest = await Inventory.findOne({ shopId: shop._id })
+    .sort({ "alerts.expiryAlertDays": -1 })
+    .select("alerts.expiryAlertDays");
+  if (!widest) return 0;
+
+  const batches = await Inventory.findExpiringItems(shop._id, widest.alerts.expiryAlertDays);
+  let sent = 0;
+
+  for (const batch of batches) {
+    if (batch.quantity <= 0 || !batch.isExpiringSoon() || isWithinCooldown(batch.alerts.lastExpiryAlert)) continue;
+
+    await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.EXPIRY_ALERT, buildExpiryPayload(shop, batch, false));
+
+    await Inventory.updateOne({ _id: batch._id }, { "alerts.lastExpiryAlert": new Date() });
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Publish low stock alerts for a shop's medicines, once per cooldown window.
+ * Stock is judged across all sellable batches of a medicine.
+ */
+export const publishLowStockAlerts = async (shop, medicineIds = null) => {
+  const totals = await Inventory.getMedicineTotals(shop._id, medicineIds);
+  let sent = 0;
+
+  for (const total of totals) {
+    const batchFilter = { shopId: shop._id, medicineId: total.medicineId };
+
+    if (!total.isLowStock) {
+      // Stock recovered - clear the marker so the next dip alerts straight away
+      await Inventory.updateMany(
+        { ...batchFilter, "alerts.lastLowStockAlert": { $exists: true } },
+        { $unset: { "alerts.lastLowStockAlert": "" } }
+      );
+      continue;
+    }
+
+    const lastAlerted = await Inventory.findOne({ ...batchFilter, "alerts.lastLowStockAlert": { $exists: true } })
+      .sort({ "alerts.lastLowStockAlert": -1 })
+      .select("alerts.lastLowStockAlert");
+    if (isWithinCooldown(lastAlerted?.alerts.lastLowStockAlert)) continue;
+
+    await publishEvent(TOPICS.INVENTORY_EVENTS, EVENT_TYPES.LOW_STOCK_ALERT, {
+      shopId: shop._id,
+      shopName: shop.name,
+      ownerId: shop.ownerId,
+      medicineId: total.medicineId,
+      medicineName: total.medicine?.name,
+      currentStock: total.availableQuantity,
+      threshold: total.lowStockThreshold
+    });
+
+    await Inventory.updateMany(batchFilter, { "alerts.lastLowStockAlert": new Date() });
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Run one expiry and low stock scan over a single shop
+ */
+export const scanShopInventory = async (shop) => {
+  const expired = await markExpiredBatches(shop);
+  const expiring = await alertExpiringBatches(shop);
+  const lowStock = await publishLowStockAlerts(shop);
+
+  return { expired, expiring, lowStock };
+};
+
+/**
+ * Run one scan over all active shops
+ */
+export const runInventoryAlertScan = async () => {
+  // A slow scan must not overlap with the next tick
+  if (isScanning) return;
+  isScanning = true;
+
+  const summary = { shops: 0, expired: 0, expiring: 0, lowStock: 0 };
+
+  try {
+    const cursor = MedicalShop.find({ status: "active" }).select("name ownerId").cursor();
+
+    for await (const shop of cursor) {
+      try {
+        const result = await scanShopInventory(shop);
+        summary.shops++;
+        summary.expired += result.expired;
+        summary.expiring += result.expiring;
+        summary.lowStock += result.lowStock;
+      } catch (error) {
+        console.error(`❌ Inventory alert scan failed for shop ${shop._id}:`, error);
+      }
+    }
+
+    console.log(
+      `🔔 Inventory alert scan complete: ${summary.shops} shops, ${summary.expired} expired, ` +
+      `${summary.expiring} expiring, ${summary.lowStock} low stock`
+    );
+  } catch (error) {
+    console.error("❌ Inventory alert scan failed:", error);
+  } finally {
+    isScanning = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Start the periodic inventory alert scanner
+ */
+export const startInventoryAlertScanner = () => {
+  if (scanTimer) return;
+
+  scanTimer = setInterval(runInventoryAlertScan, SCAN_INTERVAL_MINUTES * 60 * 1000);
+  runInventoryAlertScan();
+
+  console.log(`⏰ Inventory alert scanner running every ${SCAN_INTERVAL_MINUTES} minutes`);
+};
+
+/**
+ * Stop the periodic inventory alert scanner
+ */
+export const stopInventoryAlertScanner = () => {
+  if (scanTimer) {
+    clearInterval(scanTimer);
+    scanTimer = null;
+  }
+};
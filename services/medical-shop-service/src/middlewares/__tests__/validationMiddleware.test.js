@@ -0,0 +1,38 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { validate } from "../validationMiddleware.js";
+import { createReviewSchema } from "../../validators/reviewValidator.js";
+
+describe("validate with uploaded files", () => {
+  let uploadDir;
+  let photo;
+
+  beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "reviews-"));
+    photo = { filename: "photo.jpg", path: path.join(uploadDir, "photo.jpg"), mimetype: "image/jpeg" };
+    fs.writeFileSync(photo.path, "jpeg");
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  const runValidate = (req) => new Promise(resolve => validate(createReviewSchema)(req, {}, resolve));
+
+  it("removes review photos when the form fails validation", async () => {
+    const error = await runValidate({ body: { rating: "6" }, files: [photo] });
+
+    expect(error.statusCode).toBe(400);
+    expect(fs.existsSync(photo.path)).toBe(false);
+  });
+
+  it("keeps review photos of a valid form", async () => {
+    const req = { body: { rating: "4", comment: "Quick delivery" }, files: [photo] };
+    const error = await runValidate(req);
+
+    expect(error).toBeUndefined();
+    expect(req.body.rating).toBe(4);
+    expect(fs.existsSync(photo.path)).toBe(true);
+  });
+});
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import axios from "axios";
+import MedicalShop from "../models/MedicalShop.js";
 
 export const protect = (req, res, next) => {
   const header = req.headers.authorization;
@@ -20,6 +21,21 @@ export const protect = (req, res, next) => {
   }
 };
 
+// Service-to-service calls authenticate with the shared internal API key
+export const protectInternal = (req, res, next) => {
+  const header = req.headers.authorization;
+  const internalKey = process.env.INTERNAL_API_KEY;
+
+  // Fail closed when no key is configured rather than accepting a guessable default
+  if (!internalKey || !header || header !== `Bearer ${internalKey}`) {
+    const error = new Error("Not authorized to access this resource");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  next();
+};
+
 // Middleware to verify user has shop-owner role
 export const requireShopOwner = (req, res, next) => {
   if (req.user.role !== "shop-owner" && req.user.role !== "admin") {
@@ -30,29 +46,41 @@ export const requireShopOwner = (req, res, next) => {
   next();
 };
 
-// Middleware to verify user owns the shop or is admin
-export const requireShopOwnership = (shopIdParam = "shopId") => {
-  return async (req, res, next) => {
-    try {
-      const shopId = req.params[shopIdParam];
+// Middleware to verify user has the delivery rider role
+export const requireRider = (req, res, next) => {
+  if (req.user.role !== "rider") {
+    const error = new Error("Access denied. Rider account required.");
+    error.statusCode = 403;
+    throw error;
+  }
+  next();
+};
 
-      // If user is admin, allow access
-      if (req.user.role === "admin") {
-        req.isAdminOverride = true;
-        return next();
-      }
+// Load a shop the user owns (admins may act for any shop), or fail with a 404/403
+export const findOwnedShop = async (shopId, user) => {
+  const shop = await MedicalShop.findById(shopId);
 
-      // For shop owners, verify they own the shop
-      if (req.user.role === "shop-owner") {
-        // This would need to be implemented to check shop ownership
-        // For now, we'll assume the shop ownership check passes
-        req.shopOwnerVerified = true;
-        return next();
-      }
+  if (!shop) {
+    const error = new Error("Shop not found");
+    error.statusCode = 404;
+    throw error;
+  }
 
-      const error = new Error("Access denied. Not authorized to manage this shop.");
-      error.statusCode = 403;
-      throw error;
+  if (shop.ownerId.toString() !== user.id && user.role !== "admin") {
+    const error = new Error("Access denied. Not authorized to manage this shop.");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return shop;
+};
+
+// Middleware to verify user owns the shop or is admin - the shop is loaded onto req.shop
+export const requireShopOwnership = (shopIdParam = "shopId") => {
+  return async (req, res, next) => {
+    try {
+      req.shop = await findOwnedShop(req.params[shopIdParam], req.user);
+      next();
     } catch (err) {
       next(err);
     }
@@ -30,6 +30,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Optimistic concurrency conflict (document changed since it was loaded)
+  if (err.name === "VersionError") {
+    return res.status(409).json({
+      success: false,
+      message: "This record was changed by another request, please retry"
+    });
+  }
+
   // JWT or general authorization errors
   if (err.name === "JsonWebTokenError") {
     return res.status(401).json({
@@ -68,6 +76,7 @@ export const errorHandler = (err, req, res, next) => {
   return res.status(status).json({
     success: false,
     message,
+    ...(err.details && { errors: err.details }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack })
   });
 };
@@ -91,6 +91,44 @@ export const uploadMedicineDocuments = multer({
   }
 });
 
+// Prescription uploads (photos or PDFs, up to 5 files, max 5MB each)
+export const uploadPrescriptions = multer({
+  storage: createStorage("prescriptions"),
+  fileFilter: documentFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 5
+  }
+});
+
+// Review photos upload (up to 3 images, max 2MB each)
+export const uploadReviewPhotos = multer({
+  storage: createStorage("reviews"),
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 3
+  }
+});
+
+// Proof of delivery photo (1 image, max 5MB)
+export const uploadDeliveryProof = multer({
+  storage: createStorage("deliveries"),
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  }
+});
+
+// Remove the files multer stored for a request that is being rejected
+export const removeUploadedFiles = (req) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  if (req.file) files.push(req.file);
+
+  files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+};
+
 // Middleware to process uploaded images (resize and optimize)
 export const processImages = async (req, res, next) => {
   if (!req.files || req.files.length === 0) return next();
@@ -99,6 +137,12 @@ export const processImages = async (req, res, next) => {
     const processedFiles = [];
 
     for (const file of req.files) {
+      // Leave non-image uploads (e.g. PDFs) untouched
+      if (!file.mimetype.startsWith("image/")) {
+        processedFiles.push(file);
+        continue;
+      }
+
       const inputPath = file.path;
       const outputPath = path.join(
         path.dirname(inputPath),
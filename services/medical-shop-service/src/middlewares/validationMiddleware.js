@@ -0,0 +1,38 @@
+import { removeUploadedFiles } from "./uploadMiddleware.js";
+
+// Build a validation error for the error middleware from a failed schema parse
+const validationError = (message, error) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.details = error.issues;
+  return err;
+};
+
+// Middleware to validate the request body, applying schema defaults and transforms
+// while keeping fields the schema does not list. Multipart forms are parsed after their
+// files are stored, so a rejected form also removes its uploads
+export const validate = (schema) => (req, res, next) => {
+  try {
+    req.body = { ...req.body, ...schema.parse(req.body) };
+    next();
+  } catch (error) {
+    removeUploadedFiles(req);
+    next(validationError("Validation failed", error));
+  }
+};
+
+// Middleware to validate the query string, applying schema defaults and coercion.
+// Express exposes req.query through a getter, so the parsed query replaces it as an own property
+export const validateQuery = (schema) => (req, res, next) => {
+  try {
+    Object.defineProperty(req, "query", {
+      value: { ...req.query, ...schema.parse(req.query) },
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+    next();
+  } catch (error) {
+    next(validationError("Query validation failed", error));
+  }
+};
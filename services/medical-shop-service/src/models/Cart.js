@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+const cartItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Medicine",
+    required: [true, "Medicine ID is required"]
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Quantity is required"],
+    min: [1, "Quantity must be at least 1"]
+  },
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Prescription"
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const cartSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      unique: true
+    },
+
+    // A cart is always checked out against a single shop's inventory
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop"
+    },
+
+    items: [cartItemSchema]
+  },
+  { timestamps: true }
+);
+
+// Virtual for total number of units in the cart
+cartSchema.virtual("totalQuantity").get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+// Instance method to add or increase an item
+cartSchema.methods.addItem = function(medicineId, quantity, prescriptionId) {
+  const existing = this.items.find(item => item.medicineId.toString() === medicineId.toString());
+  if (existing) {
+    existing.quantity += quantity;
+    if (prescriptionId) existing.prescriptionId = prescriptionId;
+  } else {
+    this.items.push({ medicineId, quantity, prescriptionId });
+  }
+  return this;
+};
+
+// Instance method to empty the cart and release the shop binding
+cartSchema.methods.clear = function() {
+  this.items = [];
+  this.shopId = undefined;
+  return this;
+};
+
+// Static method to get or create a user's cart
+cartSchema.statics.findOrCreate = async function(userId) {
+  const cart = await this.findOne({ userId });
+  if (cart) return cart;
+  return this.create({ userId, items: [] });
+};
+
+const Cart = mongoose.model("Cart", cartSchema);
+export default Cart;
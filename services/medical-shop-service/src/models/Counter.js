@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Named sequences, e.g. one invoice series per shop per financial year
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+// Static method to atomically take the next number in a sequence
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
@@ -76,6 +76,10 @@ const inventorySchema = new mongoose.Schema(
     },
 
     supplier: {
+      supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Supplier"
+      },
       name: {
         type: String,
         trim: true
@@ -108,7 +112,7 @@ const inventorySchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["active", "expired", "damaged", "returned", "low-stock"],
+      enum: ["active", "expired", "damaged", "returned", "low-stock", "out-of-stock"],
       default: "active"
     },
 
@@ -146,6 +150,16 @@ const inventorySchema = new mongoose.Schema(
         type: String, // Order ID, Invoice ID, etc.
         trim: true
       },
+      // Price each unit sold for, after discounts and before tax
+      unitPrice: {
+        type: Number,
+        min: 0
+      },
+      // Cost of each unit - the purchase cost when received, the batch cost when taken out
+      unitCost: {
+        type: Number,
+        min: 0
+      },
       performedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
@@ -176,7 +190,8 @@ const inventorySchema = new mongoose.Schema(
 );
 
 // Compound indexes for better query performance
-inventorySchema.index({ shopId: 1, medicineId: 1 }, { unique: true });
+inventorySchema.index({ shopId: 1, medicineId: 1, batchNumber: 1 }, { unique: true });
+inventorySchema.index({ shopId: 1, medicineId: 1, expiryDate: 1 });
 inventorySchema.index({ shopId: 1, status: 1 });
 inventorySchema.index({ expiryDate: 1 });
 inventorySchema.index({ "pricing.sellingPrice": 1 });
@@ -239,6 +254,12 @@ inventorySchema.methods.addStockMovement = async function(
     timestamp: new Date()
   };
 
+  // Units leaving stock keep the batch's prices at the time, so reports are not revalued later
+  if (type === "out") {
+    movement.unitPrice = this.discountedPrice;
+    movement.unitCost = this.pricing.costPrice;
+  }
+
   this.stockMovements.push(movement);
 
   // Update quantity based on movement type
@@ -285,18 +306,449 @@ inventorySchema.statics.findExpiringItems = function(shopId, daysAhead = 30) {
   return this.find({
     shopId,
     expiryDate: { $lte: alertDate, $gt: new Date() },
-    status: "active"
+    status: { $in: ["active", "low-stock"] }
   }).populate("medicineId", "name genericName brand");
 };
 
+// Static method to find sellable batches of a medicine, first-expiry-first-out
+inventorySchema.statics.findSellableBatches = function(shopId, medicineId) {
+  return this.find({
+    shopId,
+    medicineId,
+    status: { $in: ["active", "low-stock"] },
+    expiryDate: { $gt: new Date() },
+    availableQuantity: { $gt: 0 }
+  }).sort({ expiryDate: 1, createdAt: 1 });
+};
+
+// Static method to plan a FEFO allocation across batches without touching stock
+inventorySchema.statics.planAllocation = async function(shopId, medicineId, quantity) {
+  const batches = await this.findSellableBatches(shopId, medicineId);
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.availableQuantity, remaining);
+    allocations.push({ inventory: batch, quantity: take });
+    remaining -= take;
+  }
+
+  return { allocations, shortfall: remaining };
+};
+
+// Static method to atomically reserve stock FEFO across batches (all or nothing)
+inventorySchema.statics.reserveFEFO = async function(shopId, medicineId, quantity) {
+  const batches = await this.findSellableBatches(shopId, medicineId);
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.availableQuantity, remaining);
+
+    // Guard against stock changing since the batches were read
+    const reserved = await this.findOneAndUpdate(
+      { _id: batch._id, availableQuantity: { $gte: take } },
+      { $inc: { reservedQuantity: take, availableQuantity: -take } },
+      { new: true }
+    );
+    if (!reserved) continue;
+
+    allocations.push({
+      inventoryId: batch._id,
+      batchNumber: batch.batchNumber,
+      quantity: take,
+      unitPrice: batch.discountedPrice,
+      unitCost: batch.pricing.costPrice
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    await this.releaseAllocations(allocations);
+    return null;
+  }
+
+  return allocations;
+};
+
+// Static method to take reserved units out of stock as sold, one movement per allocation.
+// The movement reuses the allocation's _id, so repeating a partly applied call books each batch once
+inventorySchema.statics.commitAllocations = async function(allocations, performedBy, reference = null, notes = "") {
+  for (const allocation of allocations) {
+    const movement = {
+      _id: allocation._id,
+      type: "out",
+      quantity: allocation.quantity,
+      reason: "sale",
+      unitPrice: allocation.unitPrice,
+      unitCost: allocation.unitCost,
+      reference,
+      performedBy,
+      notes,
+      timestamp: new Date()
+    };
+
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: allocation.inventoryId,
+        reservedQuantity: { $gte: allocation.quantity },
+        "stockMovements._id": { $ne: allocation._id }
+      },
+      {
+        $inc: { quantity: -allocation.quantity, reservedQuantity: -allocation.quantity },
+        $push: { stockMovements: movement },
+        $set: { lastStockUpdate: movement.timestamp }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // Booked by an earlier attempt
+      if (await this.exists({ _id: allocation.inventoryId, "stockMovements._id": allocation._id })) continue;
+
+      const error = new Error(`Reserved stock of batch ${allocation.batchNumber} is no longer held`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (["active", "low-stock", "out-of-stock"].includes(updated.status)) {
+      const status = updated.quantity === 0 ? "out-of-stock" : updated.isLowStock() ? "low-stock" : "active";
+      if (status !== updated.status) {
+        await this.updateOne({ _id: updated._id }, { status });
+      }
+    }
+  }
+};
+
+// Static method to release reservations made by reserveFEFO
+inventorySchema.statics.releaseAllocations = async function(allocations) {
+  for (const allocation of allocations) {
+    await this.updateOne(
+      { _id: allocation.inventoryId },
+      { $inc: { reservedQuantity: -allocation.quantity, availableQuantity: allocation.quantity } }
+    );
+  }
+};
+
+// Static method to atomically take stock out FEFO across batches (all or nothing),
+// recording a movement on each. Units are valued at the batch's discounted price and cost
+// unless priceUnits(batch, quantity) returns the { unitPrice, unitCost } they were sold at
+inventorySchema.statics.consumeFEFO = async function(
+  shopId,
+  medicineId,
+  quantity,
+  reason,
+  performedBy,
+  reference = null,
+  notes = "",
+  priceUnits = null
+) {
+  const batches = await this.findSellableBatches(shopId, medicineId);
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of batches) {
+    let available = batch.availableQuantity;
+
+    while (remaining > 0 && available > 0) {
+      const take = Math.min(available, remaining);
+      const { unitPrice, unitCost } = priceUnits
+        ? priceUnits(batch, take)
+        : { unitPrice: batch.discountedPrice, unitCost: batch.pricing.costPrice };
+      const movement = {
+        _id: new mongoose.Types.ObjectId(),
+        type: "out",
+        quantity: take,
+        reason,
+        unitPrice,
+        unitCost,
+        reference,
+        performedBy,
+        notes,
+        timestamp: new Date()
+      };
+
+      // Guard against stock changing since the batches were read
+      const updated = await this.findOneAndUpdate(
+        { _id: batch._id, status: { $in: ["active", "low-stock"] }, availableQuantity: { $gte: take } },
+        {
+          $inc: { quantity: -take, availableQuantity: -take },
+          $push: { stockMovements: movement },
+          $set: { lastStockUpdate: movement.timestamp }
+        },
+        { new: true }
+      );
+
+      // Another request drained part of the batch - re-read it and take what is left
+      if (!updated) {
+        const current = await this.findOne({ _id: batch._id, status: { $in: ["active", "low-stock"] } })
+          .select("availableQuantity");
+        available = current ? current.availableQuantity : 0;
+        continue;
+      }
+
+      const status = updated.quantity === 0 ? "out-of-stock" : updated.isLowStock() ? "low-stock" : "active";
+      if (status !== updated.status) {
+        await this.updateOne({ _id: updated._id }, { status });
+      }
+
+      allocations.push({
+        inventoryId: updated._id,
+        movementId: movement._id,
+        batchNumber: updated.batchNumber,
+        expiryDate: updated.expiryDate,
+        pricing: updated.pricing,
+        quantity: take
+      });
+      remaining -= take;
+      break;
+    }
+
+    if (remaining <= 0) break;
+  }
+
+  if (remaining > 0) {
+    await this.restoreConsumed(allocations);
+    const error = new Error(`Insufficient stock: ${quantity - remaining} available, ${quantity} requested`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return allocations;
+};
+
+// Static method to undo consumeFEFO, putting the stock back and dropping its movements
+inventorySchema.statics.restoreConsumed = async function(allocations) {
+  for (const allocation of allocations) {
+    const restored = await this.findOneAndUpdate(
+      { _id: allocation.inventoryId },
+      {
+        $inc: { quantity: allocation.quantity, availableQuantity: allocation.quantity },
+        $pull: { stockMovements: { _id: allocation.movementId } }
+      },
+      { new: true }
+    );
+    if (restored && ["out-of-stock", "low-stock"].includes(restored.status)) {
+      await this.updateOne({ _id: restored._id }, { status: restored.isLowStock() ? "low-stock" : "active" });
+    }
+  }
+};
+
+// Static method to atomically book purchased stock into a batch, creating it from newBatch if it
+// does not exist yet. Existing batches blend the new units into their cost at a weighted average
+inventorySchema.statics.receiveStock = async function(
+  { shopId, medicineId, batchNumber },
+  quantity,
+  unitCost,
+  { performedBy, reference = null, notes = "", supplier, newBatch }
+) {
+  const timestamp = new Date();
+  const filter = {
+    shopId: new mongoose.Types.ObjectId(shopId),
+    medicineId: new mongoose.Types.ObjectId(medicineId),
+    batchNumber
+  };
+  const movement = {
+    _id: new mongoose.Types.ObjectId(),
+    type: "in",
+    quantity,
+    reason: "purchase",
+    unitCost,
+    reference,
+    performedBy: new mongoose.Types.ObjectId(performedBy),
+    notes,
+    timestamp
+  };
+
+  // Update pipelines are not cast by mongoose, hence the ObjectIds above and $literal for user text
+  let inventory = await this.findOneAndUpdate(filter, [{
+    $set: {
+      "pricing.costPrice": {
+        $round: [{
+          $divide: [
+            { $add: [{ $multiply: ["$quantity", "$pricing.costPrice"] }, quantity * unitCost] },
+            { $add: ["$quantity", quantity] }
+          ]
+        }, 2]
+      },
+      quantity: { $add: ["$quantity", quantity] },
+      availableQuantity: { $add: ["$availableQuantity", quantity] },
+      stockMovements: { $concatArrays: ["$stockMovements", [{ $literal: movement }]] },
+      supplier: { $literal: supplier },
+      lastStockUpdate: timestamp
+    }
+  }], { new: true });
+
+  let created = false;
+  if (!inventory) {
+    if (!newBatch) {
+      const error = new Error(`Batch ${batchNumber} no longer exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Another receipt may create the batch first - the upsert then adds to it instead
+    const result = await this.findOneAndUpdate(filter, {
+      $setOnInsert: newBatch,
+      $inc: { quantity, availableQuantity: quantity },
+      $push: { stockMovements: movement },
+      $set: { supplier, lastStockUpdate: timestamp }
+    }, { new: true, upsert: true, includeResultMetadata: true });
+
+    inventory = result.value;
+    created = !result.lastErrorObject?.updatedExisting;
+  }
+
+  if (["active", "low-stock", "out-of-stock"].includes(inventory.status)) {
+    const status = inventory.isLowStock() ? "low-stock" : "active";
+    if (status !== inventory.status) {
+      await this.updateOne({ _id: inventory._id }, { status });
+      inventory.status = status;
+    }
+  }
+
+  return { inventory, created, movementId: movement._id };
+};
+
+// Static method to undo receiveStock for booked { inventoryId, quantity, unitCost, movementId, created }
+// lines, unblending the cost and removing batches the receipt created. Returns the lines whose units
+// were sold in the meantime and could not be taken back
+inventorySchema.statics.reverseReceivedStock = async function(receipts) {
+  const unreversed = [];
+
+  for (const { inventoryId, quantity, unitCost, movementId, created } of receipts) {
+    const reversed = await this.findOneAndUpdate(
+      { _id: inventoryId, "stockMovements._id": movementId, availableQuantity: { $gte: quantity } },
+      [{
+        $set: {
+          "pricing.costPrice": {
+            $cond: [
+              { $gt: ["$quantity", quantity] },
+              {
+                $round: [{
+                  $divide: [
+                    { $subtract: [{ $multiply: ["$quantity", "$pricing.costPrice"] }, quantity * unitCost] },
+                    { $subtract: ["$quantity", quantity] }
+                  ]
+                }, 2]
+              },
+              "$pricing.costPrice"
+            ]
+          },
+          quantity: { $subtract: ["$quantity", quantity] },
+          availableQuantity: { $subtract: ["$availableQuantity", quantity] },
+          stockMovements: {
+            $filter: { input: "$stockMovements", cond: { $ne: ["$$this._id", movementId] } }
+          }
+        }
+      }],
+      { new: true }
+    );
+
+    if (!reversed) {
+      unreversed.push({ inventoryId, quantity, movementId });
+      continue;
+    }
+
+    if (created && reversed.stockMovements.length === 0) {
+      await this.deleteOne({ _id: reversed._id, stockMovements: { $size: 0 } });
+    } else if (["active", "low-stock", "out-of-stock"].includes(reversed.status)) {
+      const status = reversed.quantity === 0 ? "out-of-stock" : reversed.isLowStock() ? "low-stock" : "active";
+      if (status !== reversed.status) {
+        await this.updateOne({ _id: reversed._id }, { status });
+      }
+    }
+  }
+
+  return unreversed;
+};
+
+// Static method to get per-medicine stock totals across batches for a shop
+inventorySchema.statics.getMedicineTotals = function(shopId, medicineIds = null) {
+  const match = { shopId: new mongoose.Types.ObjectId(shopId) };
+  if (medicineIds) {
+    match.medicineId = { $in: medicineIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const now = new Date();
+  const sellable = {
+    $and: [
+      { $in: ["$status", ["active", "low-stock"]] },
+      { $gt: ["$expiryDate", now] }
+    ]
+  };
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$medicineId",
+        batchCount: { $sum: 1 },
+        totalQuantity: { $sum: "$quantity" },
+        reservedQuantity: { $sum: "$reservedQuantity" },
+        availableQuantity: { $sum: { $cond: [sellable, "$availableQuantity", 0] } },
+        expiredQuantity: { $sum: { $cond: [{ $lte: ["$expiryDate", now] }, "$quantity", 0] } },
+        nearestExpiry: { $min: { $cond: [sellable, "$expiryDate", null] } },
+        lowStockThreshold: { $max: "$alerts.lowStockThreshold" },
+        minSellingPrice: { $min: "$pricing.sellingPrice" },
+        totalValue: { $sum: { $multiply: ["$quantity", "$pricing.costPrice"] } }
+      }
+    },
+    {
+      $addFields: {
+        medicineId: "$_id",
+        isLowStock: { $lte: ["$availableQuantity", "$lowStockThreshold"] }
+      }
+    },
+    {
+      $lookup: {
+        from: "medicines",
+        localField: "_id",
+        foreignField: "_id",
+        as: "medicine",
+        pipeline: [{ $project: { name: 1, genericName: 1, brand: 1, category: 1 } }]
+      }
+    },
+    { $unwind: { path: "$medicine", preserveNullAndEmptyArrays: true } },
+    { $project: { _id: 0 } },
+    { $sort: { "medicine.name": 1 } }
+  ]);
+};
+
+// Static method to get units sold per medicine since a date, from sale stock movements
+inventorySchema.statics.getSalesSince = async function(shopId, since, medicineIds = null) {
+  const match = { shopId: new mongoose.Types.ObjectId(shopId) };
+  if (medicineIds) {
+    match.medicineId = { $in: medicineIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const results = await this.aggregate([
+    { $match: match },
+    { $unwind: "$stockMovements" },
+    {
+      $match: {
+        "stockMovements.type": "out",
+        "stockMovements.reason": "sale",
+        "stockMovements.timestamp": { $gte: since }
+      }
+    },
+    { $group: { _id: "$medicineId", sold: { $sum: "$stockMovements.quantity" } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.sold]));
+};
+
 // Static method to get inventory summary for a shop
 inventorySchema.statics.getInventorySummary = function(shopId) {
   return this.aggregate([
-    { $match: { shopId: mongoose.Types.ObjectId(shopId) } },
+    { $match: { shopId: new mongoose.Types.ObjectId(shopId) } },
     {
       $group: {
         _id: null,
         totalItems: { $sum: 1 },
+        medicineIds: { $addToSet: "$medicineId" },
         totalValue: { $sum: { $multiply: ["$quantity", "$pricing.costPrice"] } },
         lowStockItems: {
           $sum: {
@@ -317,7 +769,11 @@ inventorySchema.statics.getInventorySummary = function(shopId) {
           }
         }
       }
-    }
+    },
+    {
+      $addFields: { totalMedicines: { $size: "$medicineIds" } }
+    },
+    { $project: { _id: 0, medicineIds: 0 } }
   ]);
 };
 
@@ -327,5 +783,252 @@ inventorySchema.pre("save", function(next) {
   next();
 });
 
+// Pipeline stages unwinding a shop's stock movements of one kind within [from, to)
+const movementStages = (shopId, type, reason, from, to) => [
+  { $match: { shopId: new mongoose.Types.ObjectId(shopId) } },
+  { $unwind: "$stockMovements" },
+  {
+    $match: {
+      "stockMovements.type": type,
+      "stockMovements.reason": reason,
+      "stockMovements.timestamp": { $gte: from, $lt: to }
+    }
+  }
+];
+
+// Pipeline stages attaching the medicine's catalogue details
+const medicineLookupStages = [
+  {
+    $lookup: {
+      from: "medicines",
+      localField: "medicineId",
+      foreignField: "_id",
+      as: "medicine",
+      pipeline: [{ $project: { name: 1, genericName: 1, brand: 1, category: 1, manufacturer: 1 } }]
+    }
+  },
+  { $unwind: { path: "$medicine", preserveNullAndEmptyArrays: true } }
+];
+
+// Price (after discounts, before tax) and cost of a movement's units as recorded when it was made.
+// Movements recorded before prices were kept fall back to the batch's current discounted price and cost
+const movementUnitPrice = {
+  $ifNull: [
+    "$stockMovements.unitPrice",
+    {
+      $multiply: [
+        "$pricing.sellingPrice",
+        { $subtract: [1, { $divide: [{ $ifNull: ["$pricing.discountPercentage", 0] }, 100] }] }
+      ]
+    }
+  ]
+};
+const movementUnitCost = { $ifNull: ["$stockMovements.unitCost", "$pricing.costPrice"] };
+
+// Sold units valued at the price and cost they were sold at
+const salesValueFields = {
+  unitsSold: { $sum: "$stockMovements.quantity" },
+  revenue: { $sum: { $multiply: ["$stockMovements.quantity", movementUnitPrice] } },
+  cost: { $sum: { $multiply: ["$stockMovements.quantity", movementUnitCost] } }
+};
+
+const marginStage = {
+  $addFields: {
+    revenue: { $round: ["$revenue", 2] },
+    cost: { $round: ["$cost", 2] },
+    grossMargin: { $round: [{ $subtract: ["$revenue", "$cost"] }, 2] },
+    marginPercentage: {
+      $cond: [
+        { $gt: ["$revenue", 0] },
+        { $round: [{ $multiply: [{ $divide: [{ $subtract: ["$revenue", "$cost"] }, "$revenue"] }, 100] }, 2] },
+        0
+      ]
+    }
+  }
+};
+
+// Static method to get sales totals per day, week (from Monday) or month in the shop's timezone
+inventorySchema.statics.getSalesReport = function(shopId, from, to, groupBy = "day", timezone = "UTC") {
+  return this.aggregate([
+    ...movementStages(shopId, "out", "sale", from, to),
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$stockMovements.timestamp",
+            unit: groupBy,
+            timezone,
+            startOfWeek: "monday"
+          }
+        },
+        ...salesValueFields,
+        references: { $addToSet: "$stockMovements.reference" },
+        medicines: { $addToSet: "$medicineId" }
+      }
+    },
+    marginStage,
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: { $dateToString: { date: "$_id", format: "%Y-%m-%d", timezone } },
+        transactions: { $size: { $setDifference: ["$references", [null]] } },
+        medicinesSold: { $size: "$medicines" },
+        unitsSold: 1,
+        revenue: 1,
+        cost: 1,
+        grossMargin: 1,
+        marginPercentage: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get the best selling medicines of a period by units or revenue
+inventorySchema.statics.getTopSellers = function(shopId, from, to, sortBy = "quantity", limit = 20) {
+  return this.aggregate([
+    ...movementStages(shopId, "out", "sale", from, to),
+    { $group: { _id: "$medicineId", ...salesValueFields } },
+    marginStage,
+    { $sort: sortBy === "revenue" ? { revenue: -1 } : { unitsSold: -1, revenue: -1 } },
+    { $limit: limit },
+    { $addFields: { medicineId: "$_id" } },
+    ...medicineLookupStages,
+    { $project: { _id: 0 } }
+  ]);
+};
+
+// Static method to get gross margin per medicine category or manufacturer
+inventorySchema.statics.getMarginReport = function(shopId, from, to, groupBy = "category") {
+  return this.aggregate([
+    ...movementStages(shopId, "out", "sale", from, to),
+    ...medicineLookupStages,
+    {
+      $group: {
+        _id: { $ifNull: [`$medicine.${groupBy}`, "unknown"] },
+        ...salesValueFields,
+        medicines: { $addToSet: "$medicineId" }
+      }
+    },
+    marginStage,
+    { $sort: { grossMargin: -1 } },
+    {
+      $project: {
+        _id: 0,
+        [groupBy]: "$_id",
+        medicinesSold: { $size: "$medicines" },
+        unitsSold: 1,
+        revenue: 1,
+        cost: 1,
+        grossMargin: 1,
+        marginPercentage: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get in-stock medicines with units sold since a date and their last sale,
+// the basis for slow mover and dead stock reports
+inventorySchema.statics.getStockSalesActivity = function(shopId, since) {
+  const isSale = movement => ({
+    $and: [
+      { $eq: [`${movement}.type`, "out"] },
+      { $eq: [`${movement}.reason`, "sale"] }
+    ]
+  });
+
+  return this.aggregate([
+    {
+      $match: {
+        shopId: new mongoose.Types.ObjectId(shopId),
+        quantity: { $gt: 0 },
+        status: { $in: ["active", "low-stock"] },
+        expiryDate: { $gt: new Date() }
+      }
+    },
+    {
+      $project: {
+        medicineId: 1,
+        quantity: 1,
+        stockValue: { $multiply: ["$quantity", "$pricing.costPrice"] },
+        createdAt: 1,
+        sales: { $filter: { input: "$stockMovements", as: "movement", cond: isSale("$$movement") } }
+      }
+    },
+    {
+      $group: {
+        _id: "$medicineId",
+        batchCount: { $sum: 1 },
+        stockQuantity: { $sum: "$quantity" },
+        stockValue: { $sum: "$stockValue" },
+        firstStockedAt: { $min: "$createdAt" },
+        lastSaleAt: { $max: { $max: "$sales.timestamp" } },
+        unitsSold: {
+          $sum: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: "$sales", as: "sale", cond: { $gte: ["$$sale.timestamp", since] } } },
+                as: "sale",
+                in: "$$sale.quantity"
+              }
+            }
+          }
+        }
+      }
+    },
+    { $addFields: { medicineId: "$_id", stockValue: { $round: ["$stockValue", 2] } } },
+    ...medicineLookupStages,
+    { $project: { _id: 0 } }
+  ]);
+};
+
+// Static method to get expired stock written off in a period and expired stock still on the shelf
+inventorySchema.statics.getExpiryWriteOffs = async function(shopId, from, to) {
+  const [writtenOff, pending] = await Promise.all([
+    this.aggregate([
+      ...movementStages(shopId, "out", "expiry", from, to),
+      {
+        $group: {
+          _id: "$_id",
+          medicineId: { $first: "$medicineId" },
+          batchNumber: { $first: "$batchNumber" },
+          expiryDate: { $first: "$expiryDate" },
+          quantity: { $sum: "$stockMovements.quantity" },
+          value: { $sum: { $multiply: ["$stockMovements.quantity", movementUnitCost] } },
+          writtenOffAt: { $max: "$stockMovements.timestamp" }
+        }
+      },
+      { $addFields: { inventoryId: "$_id", value: { $round: ["$value", 2] } } },
+      ...medicineLookupStages,
+      { $project: { _id: 0 } },
+      { $sort: { value: -1 } }
+    ]),
+    this.aggregate([
+      {
+        $match: {
+          shopId: new mongoose.Types.ObjectId(shopId),
+          quantity: { $gt: 0 },
+          $or: [{ status: "expired" }, { expiryDate: { $lte: new Date() } }]
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          inventoryId: "$_id",
+          medicineId: 1,
+          batchNumber: 1,
+          expiryDate: 1,
+          quantity: 1,
+          value: { $round: [{ $multiply: ["$quantity", "$pricing.costPrice"] }, 2] }
+        }
+      },
+      ...medicineLookupStages,
+      { $sort: { value: -1 } }
+    ])
+  ]);
+
+  return { writtenOff, pending };
+};
+
 const Inventory = mongoose.model("Inventory", inventorySchema);
 export default Inventory;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { DEFAULT_TIMEZONE, isValidTimeZone, isOpenAt, getOpeningStatus, getHoursForDate } from "../utils/shopHours.js";
+import { getDeliveryQuote } from "../utils/deliveryZones.js";
 
 const addressSchema = new mongoose.Schema({
   street: { type: String, required: true },
@@ -12,44 +14,100 @@ const addressSchema = new mongoose.Schema({
   }
 });
 
+// One opening interval - a close at or before the open runs past midnight
+const timeIntervalSchema = new mongoose.Schema({
+  open: { type: String, required: true },
+  close: { type: String, required: true }
+}, { _id: false });
+
+// Weekly schedule - a day with intervals (split shifts) uses them instead of open/close
 const operatingHoursSchema = new mongoose.Schema({
   monday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   tuesday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   wednesday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   thursday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   friday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   saturday: {
     open: { type: String, default: "09:00" },
     close: { type: String, default: "21:00" },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    intervals: [timeIntervalSchema]
   },
   sunday: {
     open: { type: String, default: "10:00" },
     close: { type: String, default: "18:00" },
-    isOpen: { type: Boolean, default: false }
+    isOpen: { type: Boolean, default: false },
+    intervals: [timeIntervalSchema]
   }
 });
 
+// Hours for a single date that replace the weekly schedule (holidays, festival hours)
+const specialHoursSchema = new mongoose.Schema({
+  date: { type: String, required: true }, // YYYY-MM-DD in the shop's timezone
+  isClosed: { type: Boolean, default: false },
+  intervals: [timeIntervalSchema],
+  reason: { type: String, trim: true }
+}, { _id: false });
+
+// Temporary closure over a range of dates, both ends inclusive
+const closureSchema = new mongoose.Schema({
+  startDate: { type: String, required: true }, // YYYY-MM-DD in the shop's timezone
+  endDate: { type: String, required: true },
+  reason: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+// Area a shop delivers to - a GeoJSON polygon of [longitude, latitude] rings
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  area: {
+    type: { type: String, enum: ["Polygon"], default: "Polygon" },
+    coordinates: { type: [[[Number]]], required: true }
+  },
+  isActive: { type: Boolean, default: true }
+});
+
+// Fee for deliveries up to a distance from the shop
+const deliveryFeeBandSchema = new mongoose.Schema({
+  maxDistanceKm: { type: Number, required: true, min: 0 },
+  fee: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Documents a shop submits for verification (file paths/URLs)
+const verificationDocumentsSchema = {
+  license: { type: String },
+  gstCertificate: { type: String },
+  addressProof: { type: String }
+};
+
 const medicalShopSchema = new mongoose.Schema(
   {
     name: {
@@ -105,6 +163,20 @@ const medicalShopSchema = new mongoose.Schema(
 
     operatingHours: operatingHoursSchema,
 
+    specialHours: [specialHoursSchema],
+
+    closures: [closureSchema],
+
+    // IANA timezone the hours are given in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Invalid timezone"
+      }
+    },
+
     description: {
       type: String,
       maxlength: [500, "Description cannot exceed 500 characters"],
@@ -140,12 +212,41 @@ const medicalShopSchema = new mongoose.Schema(
       default: "unverified"
     },
 
-    documents: {
-      license: { type: String }, // File path/URL
-      gstCertificate: { type: String },
-      addressProof: { type: String }
+    documents: verificationDocumentsSchema,
+
+    // Current verification submission and its review
+    verification: {
+      submittedAt: { type: Date },
+      submissionCount: { type: Number, default: 0 },
+      reviewedAt: { type: Date },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      rejectionReason: { type: String, trim: true },
+      notes: { type: String, trim: true }
     },
 
+    // Audit trail of every verification status change
+    verificationHistory: [{
+      action: {
+        type: String,
+        enum: ["submitted", "approved", "rejected"],
+        required: true
+      },
+      fromStatus: { type: String },
+      toStatus: { type: String, required: true },
+      reason: { type: String, trim: true },
+      notes: { type: String, trim: true },
+      documents: verificationDocumentsSchema, // documents the decision was based on
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      role: { type: String },
+      timestamp: { type: Date, default: Date.now }
+    }],
+
     deliveryRadius: {
       type: Number, // in kilometers
       default: 5,
@@ -159,6 +260,15 @@ const medicalShopSchema = new mongoose.Schema(
       min: 0
     },
 
+    // Polygons replace deliveryRadius when at least one is active
+    deliveryZones: [deliveryZoneSchema],
+
+    // Distance bands replace the flat deliveryFee when set
+    deliveryPricing: {
+      bands: [deliveryFeeBandSchema],
+      freeDeliveryAbove: { type: Number, min: 0 } // order amount in rupees
+    },
+
     minimumOrder: {
       type: Number, // in rupees
       default: 0,
@@ -185,7 +295,7 @@ medicalShopSchema.index({ "address.coordinates": "2dsphere" });
 medicalShopSchema.index({ name: "text", description: "text" });
 medicalShopSchema.index({ ownerId: 1 });
 medicalShopSchema.index({ status: 1 });
-medicalShopSchema.index({ verificationStatus: 1 });
+medicalShopSchema.index({ verificationStatus: 1, "verification.submittedAt": 1 });
 medicalShopSchema.index({ "ratings.average": -1 });
 
 // Virtual for full address
@@ -194,16 +304,24 @@ medicalShopSchema.virtual("fullAddress").get(function() {
   return `${addr.street}, ${addr.city}, ${addr.state} ${addr.zipCode}, ${addr.country}`;
 });
 
-// Instance method to check if shop is currently open
-medicalShopSchema.methods.isOpenNow = function() {
-  const now = new Date();
-  const dayName = now.toLocaleLowerCase('en-US', { weekday: 'long' });
-  const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
+// Instance method to check if shop is open now (or at another instant), in the shop's timezone
+medicalShopSchema.methods.isOpenNow = function(at = new Date()) {
+  return isOpenAt(this, at);
+};
+
+// Instance method to get open/closed state with the next closing or opening time
+medicalShopSchema.methods.getOpeningStatus = function(at = new Date()) {
+  return getOpeningStatus(this, at);
+};
 
-  const todayHours = this.operatingHours[dayName];
-  if (!todayHours || !todayHours.isOpen) return false;
+// Instance method to resolve the hours that apply on a date (YYYY-MM-DD)
+medicalShopSchema.methods.getHoursForDate = function(date) {
+  return getHoursForDate(this, date);
+};
 
-  return currentTime >= todayHours.open && currentTime <= todayHours.close;
+// Instance method to check delivery to coordinates, with the fee for an order amount and an ETA
+medicalShopSchema.methods.getDeliveryQuote = function(lat, lng, amount = 0, at = new Date()) {
+  return getDeliveryQuote(this, lat, lng, amount, at);
 };
 
 // Instance method to calculate distance from coordinates
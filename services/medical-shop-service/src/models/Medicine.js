@@ -188,6 +188,7 @@ medicineSchema.index({ manufacturer: 1 });
 medicineSchema.index({ prescriptionRequired: 1 });
 medicineSchema.index({ "barcodes": 1 });
 medicineSchema.index({ status: 1 });
+medicineSchema.index({ "composition.ingredient": 1 });
 
 // Virtual for primary image
 medicineSchema.virtual("primaryImage").get(function() {
@@ -200,6 +201,11 @@ medicineSchema.methods.isExpired = function() {
   return new Date() > this.regulatoryInfo.expiryDate;
 };
 
+// Instance method to check if the medicine can only be sold against a prescription
+medicineSchema.methods.requiresPrescription = function() {
+  return this.prescriptionRequired || ["schedule-h", "schedule-h1", "schedule-x"].includes(this.schedule);
+};
+
 // Instance method to get days until expiry
 medicineSchema.methods.daysUntilExpiry = function() {
   if (!this.regulatoryInfo.expiryDate) return null;
@@ -232,6 +238,40 @@ medicineSchema.statics.searchMedicines = function(searchTerm, limit = 20) {
   .limit(limit);
 };
 
+// Static method to find medicines with the same composition and dosage form
+medicineSchema.statics.findSubstitutes = function(medicine) {
+  const escape = (value) => value.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const query = {
+    _id: { $ne: medicine._id },
+    status: "active"
+  };
+
+  if (medicine.composition && medicine.composition.length > 0) {
+    // Every ingredient must match on name, strength and unit - and nothing extra
+    query.composition = { $size: medicine.composition.length };
+    query.$and = medicine.composition.map(component => ({
+      composition: {
+        $elemMatch: {
+          ingredient: new RegExp(`^${escape(component.ingredient)}$`, "i"),
+          ...(component.strength && { strength: component.strength.trim() }),
+          unit: component.unit
+        }
+      }
+    }));
+  } else if (medicine.genericName) {
+    query.genericName = new RegExp(`^${escape(medicine.genericName)}$`, "i");
+  } else {
+    return this.find({ _id: null });
+  }
+
+  const forms = medicine.dosageForms.map(dosage => dosage.form);
+  if (forms.length > 0) {
+    query["dosageForms.form"] = { $in: forms };
+  }
+
+  return this.find(query);
+};
+
 // Static method to find prescription medicines
 medicineSchema.statics.findPrescriptionMedicines = function() {
   return this.find({
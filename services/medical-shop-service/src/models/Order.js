@@ -0,0 +1,296 @@
+import mongoose from "mongoose";
+
+// Allowed order status transitions
+export const ORDER_STATUS_TRANSITIONS = {
+  placed: ["confirmed", "cancelled"],
+  confirmed: ["packed", "cancelled"],
+  packed: ["out-for-delivery", "cancelled"],
+  "out-for-delivery": ["delivered"],
+  delivered: [],
+  cancelled: []
+};
+
+const orderItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Medicine",
+    required: true
+  },
+  // Batches the line is drawn from, first-expiry-first-out
+  batches: [{
+    inventoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true
+    },
+    batchNumber: { type: String, trim: true },
+    quantity: { type: Number, required: true, min: 1 },
+    // Price (after discount, before tax) and cost of each unit when the order was placed
+    unitPrice: { type: Number, min: 0 },
+    unitCost: { type: Number, min: 0 }
+  }],
+  name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"]
+  },
+  mrp: {
+    type: Number,
+    min: 0
+  },
+  unitPrice: {
+    type: Number, // final price per unit (after discount, including tax)
+    required: true,
+    min: 0
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Prescription"
+  }
+});
+
+const deliveryAddressSchema = new mongoose.Schema({
+  street: { type: String, required: true, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  postalCode: { type: String, required: true, trim: true },
+  country: { type: String, default: "India" },
+  coordinates: {
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 }
+  }
+});
+
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      unique: true,
+      trim: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"]
+    },
+
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "Order must contain at least one item"
+      }
+    },
+
+    pricing: {
+      subtotal: { type: Number, required: true, min: 0 },
+      deliveryFee: { type: Number, default: 0, min: 0 },
+      total: { type: Number, required: true, min: 0 }
+    },
+
+    deliveryAddress: deliveryAddressSchema,
+
+    contactPhone: {
+      type: String,
+      trim: true
+    },
+
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "card", "upi", "net-banking", "wallet"],
+      default: "cash"
+    },
+
+    notes: {
+      type: String,
+      maxlength: [300, "Notes cannot exceed 300 characters"],
+      trim: true
+    },
+
+    status: {
+      type: String,
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+      default: "placed"
+    },
+
+    // Tracks what the inventory side has done for this order
+    reservationStatus: {
+      type: String,
+      enum: ["pending", "reserved", "failed", "fulfilled", "released"],
+      default: "pending"
+    },
+
+    statusHistory: [{
+      status: { type: String, required: true },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      note: { type: String, trim: true },
+      timestamp: { type: Date, default: Date.now }
+    }],
+
+    cancellation: {
+      reason: { type: String, trim: true },
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      cancelledAt: { type: Date }
+    },
+
+    deliveredAt: { type: Date },
+
+    // Rider delivery - empty when the shop delivers the order itself
+    delivery: {
+      status: {
+        type: String,
+        enum: ["unassigned", "assigned", "accepted", "picked-up", "delivered", "cancelled"]
+      },
+      riderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      assignedAt: { type: Date },
+      acceptedAt: { type: Date },
+      pickedUpAt: { type: Date },
+      // Every rider the order was offered to and how they answered
+      attempts: [{
+        riderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true
+        },
+        assignedAt: { type: Date, default: Date.now },
+        respondedAt: { type: Date },
+        response: {
+          type: String,
+          enum: ["accepted", "rejected", "released"]
+        },
+        reason: { type: String, trim: true }
+      }],
+      // Code the customer reads out to the rider at the door
+      otp: { type: String, select: false },
+      otpAttempts: { type: Number, default: 0 },
+      proof: {
+        method: { type: String, enum: ["otp", "photo"] },
+        photoUrl: { type: String },
+        recipientName: { type: String, trim: true },
+        collectedAt: { type: Date }
+      }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // select: false only covers queries - an order whose code was set in memory must not serialise it
+      transform: (doc, ret) => {
+        if (ret.delivery) delete ret.delivery.otp;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for better query performance
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ "delivery.riderId": 1, "delivery.status": 1 });
+
+// Pre-validate middleware to assign a human readable order number
+orderSchema.pre("validate", function(next) {
+  if (!this.orderNumber) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const randomPart = Math.random().toString(36).slice(2, 8).toUpperCase();
+    this.orderNumber = `ORD-${datePart}-${randomPart}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.userId });
+  }
+  next();
+});
+
+// Instance method to check whether a status change is allowed
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the order to a new status
+orderSchema.methods.transitionTo = function(status, changedBy, note = "") {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change order status from ${this.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note, timestamp: new Date() });
+
+  if (status === "cancelled") {
+    this.cancellation = {
+      reason: note,
+      cancelledBy: changedBy,
+      cancelledAt: new Date()
+    };
+  } else if (status === "delivered") {
+    this.deliveredAt = new Date();
+  }
+
+  return this;
+};
+
+// Instance method to check whether a rider currently holds the delivery
+orderSchema.methods.hasActiveRider = function() {
+  return ["assigned", "accepted", "picked-up"].includes(this.delivery?.status);
+};
+
+// Instance method to record the rider's answer on their latest assignment attempt
+orderSchema.methods.recordRiderResponse = function(response, reason) {
+  const attempt = [...this.delivery.attempts].reverse()
+    .find(a => a.riderId.toString() === this.delivery.riderId.toString() && !a.response);
+  if (attempt) {
+    attempt.response = response;
+    attempt.respondedAt = new Date();
+    attempt.reason = reason;
+  }
+  return this;
+};
+
+// Instance method to build the payload shared by all order events
+orderSchema.methods.toEventPayload = function() {
+  return {
+    orderId: this._id,
+    orderNumber: this.orderNumber,
+    shopId: this.shopId,
+    userId: this.userId,
+    status: this.status,
+    total: this.pricing.total,
+    items: this.items.map(item => ({
+      medicineId: item.medicineId,
+      quantity: item.quantity,
+      batches: item.batches.map(batch => ({
+        batchNumber: batch.batchNumber,
+        quantity: batch.quantity
+      }))
+    }))
+  };
+};
+
+const Order = mongoose.model("Order", orderSchema);
+export default Order;
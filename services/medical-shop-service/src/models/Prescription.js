@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+
+const prescriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"]
+    },
+
+    // Shop whose pharmacist reviews the prescription
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    files: [{
+      url: { type: String, required: true },
+      mimetype: { type: String },
+      size: { type: Number }
+    }],
+
+    patientName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Patient name cannot exceed 100 characters"]
+    },
+
+    doctorName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Doctor name cannot exceed 100 characters"]
+    },
+
+    doctorRegistrationNumber: {
+      type: String,
+      trim: true
+    },
+
+    issuedAt: { type: Date },
+
+    notes: {
+      type: String,
+      maxlength: [300, "Notes cannot exceed 300 characters"],
+      trim: true
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending"
+    },
+
+    // Medicines the pharmacist confirmed the prescription covers
+    approvedMedicines: [{
+      medicineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Medicine",
+        required: true
+      },
+      maxQuantity: { type: Number, min: 1 },
+      // Running total reserved by orders, released again if an order is cancelled
+      dispensedQuantity: { type: Number, min: 0, default: 0 }
+    }],
+
+    validUntil: { type: Date },
+
+    review: {
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      reviewedAt: { type: Date },
+      notes: { type: String, trim: true },
+      rejectionReason: { type: String, trim: true }
+    },
+
+    linkedOrders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order"
+    }]
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+prescriptionSchema.index({ userId: 1, createdAt: -1 });
+prescriptionSchema.index({ shopId: 1, status: 1, createdAt: 1 });
+
+// Instance method to check if the prescription can still be used for orders
+prescriptionSchema.methods.isUsable = function() {
+  if (this.status !== "approved") return false;
+  if (this.validUntil && new Date() > this.validUntil) return false;
+  return true;
+};
+
+// Instance method to check if the prescription covers a medicine and quantity,
+// counting what earlier orders have already dispensed against it
+prescriptionSchema.methods.coversMedicine = function(medicineId, quantity = 1) {
+  const entry = this.approvedMedicines.find(m => m.medicineId.toString() === medicineId.toString());
+  if (!entry) return false;
+  return !entry.maxQuantity || (entry.dispensedQuantity || 0) + quantity <= entry.maxQuantity;
+};
+
+// Static method to atomically dispense a quantity against a prescription,
+// returning false if it is not usable or the approved quantity would be exceeded
+prescriptionSchema.statics.recordDispensed = async function(prescriptionId, medicineId, quantity) {
+  const prescription = await this.findById(prescriptionId);
+  if (!prescription || !prescription.isUsable()) return false;
+
+  const entry = prescription.approvedMedicines.find(m => m.medicineId.toString() === medicineId.toString());
+  if (!entry) return false;
+
+  const match = { _id: entry._id };
+  if (entry.maxQuantity) {
+    match.dispensedQuantity = { $not: { $gt: entry.maxQuantity - quantity } };
+  }
+
+  const result = await this.updateOne(
+    { _id: prescriptionId, status: "approved", approvedMedicines: { $elemMatch: match } },
+    { $inc: { "approvedMedicines.$.dispensedQuantity": quantity } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to give back quantity dispensed by recordDispensed
+prescriptionSchema.statics.releaseDispensed = function(prescriptionId, medicineId, quantity) {
+  return this.updateOne(
+    { _id: prescriptionId, approvedMedicines: { $elemMatch: { medicineId, dispensedQuantity: { $gte: quantity } } } },
+    { $inc: { "approvedMedicines.$.dispensedQuantity": -quantity } }
+  );
+};
+
+// Static method to get a shop's review queue, oldest first
+prescriptionSchema.statics.findReviewQueue = function(shopId, status = "pending") {
+  return this.find({ shopId, status })
+    .sort({ createdAt: 1 })
+    .populate("approvedMedicines.medicineId", "name genericName schedule");
+};
+
+const Prescription = mongoose.model("Prescription", prescriptionSchema);
+export default Prescription;
@@ -0,0 +1,348 @@
+import mongoose from "mongoose";
+
+// Allowed purchase order status transitions (receiving moves ordered orders on by itself)
+export const PURCHASE_ORDER_STATUS_TRANSITIONS = {
+  draft: ["ordered", "cancelled"],
+  ordered: ["cancelled"],
+  "partially-received": ["closed"],
+  received: [],
+  closed: [],
+  cancelled: []
+};
+
+// Statuses in which goods can still be received against the order
+export const RECEIVABLE_STATUSES = ["ordered", "partially-received"];
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Medicine",
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"]
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unitCost: {
+    type: Number, // expected cost per unit before tax
+    required: true,
+    min: 0
+  },
+  taxPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+});
+
+// Goods received note - one delivery from the supplier against the order
+const receiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // purchase order line
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Medicine",
+      required: true
+    },
+    inventoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory"
+    },
+    batchNumber: { type: String, required: true, trim: true },
+    expiryDate: { type: Date },
+    quantity: { type: Number, required: true, min: 1 },
+    unitCost: { type: Number, required: true, min: 0 }
+  }],
+  totalCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      unique: true
+    },
+
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier ID is required"]
+    },
+
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: "Purchase order must have at least one item"
+      }
+    },
+
+    status: {
+      type: String,
+      enum: Object.keys(PURCHASE_ORDER_STATUS_TRANSITIONS),
+      default: "draft"
+    },
+
+    totals: {
+      subtotal: { type: Number, min: 0, default: 0 },
+      tax: { type: Number, min: 0, default: 0 },
+      total: { type: Number, min: 0, default: 0 },
+      receivedCost: { type: Number, min: 0, default: 0 }
+    },
+
+    expectedDeliveryDate: {
+      type: Date
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"]
+    },
+
+    receipts: [receiptSchema],
+
+    statusHistory: [{
+      status: { type: String, required: true },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      note: { type: String, trim: true },
+      timestamp: { type: Date, default: Date.now }
+    }],
+
+    orderedAt: { type: Date },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    }
+  },
+  // Two receipts saved at once would both count the same outstanding quantity
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ shopId: 1, "items.medicineId": 1 });
+
+// Pre-validate middleware to assign a purchase order number and price the order
+purchaseOrderSchema.pre("validate", function(next) {
+  if (!this.poNumber) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const randomPart = Math.random().toString(36).slice(2, 8).toUpperCase();
+    this.poNumber = `PO-${datePart}-${randomPart}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.createdBy });
+  }
+  if (this.isModified("items")) {
+    this.recalculateTotals();
+  }
+  next();
+});
+
+// Instance method to price the order from its lines
+purchaseOrderSchema.methods.recalculateTotals = function() {
+  const round = value => Math.round(value * 100) / 100;
+  const subtotal = this.items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0);
+  const tax = this.items.reduce((sum, item) => sum + item.quantity * item.unitCost * item.taxPercentage / 100, 0);
+
+  this.totals.subtotal = round(subtotal);
+  this.totals.tax = round(tax);
+  this.totals.total = round(subtotal + tax);
+  return this;
+};
+
+// Instance method to get the quantity of a line still to be received
+purchaseOrderSchema.methods.getOutstandingQuantity = function(itemId) {
+  const item = this.items.id(itemId);
+  return item ? Math.max(0, item.quantity - item.receivedQuantity) : 0;
+};
+
+// Instance method to move the order to a new status
+purchaseOrderSchema.methods.transitionTo = function(status, changedBy, note = "") {
+  if (!(PURCHASE_ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status)) {
+    const error = new Error(`Cannot change purchase order status from ${this.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note, timestamp: new Date() });
+
+  if (status === "ordered") {
+    this.orderedAt = new Date();
+  }
+
+  return this;
+};
+
+// Instance method to record a goods received note and move the order on
+purchaseOrderSchema.methods.addReceipt = function(receipt, receivedBy) {
+  for (const line of receipt.items) {
+    this.items.id(line.itemId).receivedQuantity += line.quantity;
+  }
+
+  const totalCost = Math.round(receipt.items.reduce((sum, line) => sum + line.quantity * line.unitCost, 0) * 100) / 100;
+  this.receipts.push({
+    ...receipt,
+    grnNumber: `${this.poNumber}-GRN${this.receipts.length + 1}`,
+    totalCost,
+    receivedBy,
+    receivedAt: new Date()
+  });
+  this.totals.receivedCost = Math.round((this.totals.receivedCost + totalCost) * 100) / 100;
+
+  const status = this.items.every(item => item.receivedQuantity >= item.quantity) ? "received" : "partially-received";
+  if (status !== this.status) {
+    this.status = status;
+    this.statusHistory.push({ status, changedBy: receivedBy, note: receipt.notes, timestamp: new Date() });
+  }
+
+  return this.receipts[this.receipts.length - 1];
+};
+
+// Instance method to take back a receipt whose stock could not be booked, restoring the status it
+// was recorded over
+purchaseOrderSchema.methods.removeReceipt = function(receipt, previousStatus) {
+  for (const line of receipt.items) {
+    this.items.id(line.itemId).receivedQuantity -= line.quantity;
+  }
+
+  this.receipts.pull(receipt._id);
+  this.totals.receivedCost = Math.round((this.totals.receivedCost - receipt.totalCost) * 100) / 100;
+
+  if (this.status !== previousStatus) {
+    this.status = previousStatus;
+    this.statusHistory.pop();
+  }
+};
+
+// Static method to get quantities ordered but not yet received, per medicine
+purchaseOrderSchema.statics.getOnOrderQuantities = async function(shopId) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        shopId: new mongoose.Types.ObjectId(shopId),
+        status: { $in: RECEIVABLE_STATUSES }
+      }
+    },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.medicineId",
+        onOrder: { $sum: { $max: [{ $subtract: ["$items.quantity", "$items.receivedQuantity"] }, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.onOrder]));
+};
+
+// Static method to get the latest supplier and unit cost each medicine was ordered at
+purchaseOrderSchema.statics.getLastPurchases = async function(shopId, medicineIds) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        shopId: new mongoose.Types.ObjectId(shopId),
+        status: { $nin: ["draft", "cancelled"] },
+        "items.medicineId": { $in: medicineIds.map(id => new mongoose.Types.ObjectId(id)) }
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.medicineId",
+        supplierId: { $first: "$supplierId" },
+        unitCost: { $first: "$items.unitCost" },
+        orderedAt: { $first: "$createdAt" }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result]));
+};
+
+// Static method to summarise purchases from a supplier
+purchaseOrderSchema.statics.getSupplierSummary = async function(supplierId) {
+  const [summary] = await this.aggregate([
+    {
+      $match: {
+        supplierId: new mongoose.Types.ObjectId(supplierId),
+        status: { $nin: ["draft", "cancelled"] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        orderCount: { $sum: 1 },
+        openOrders: { $sum: { $cond: [{ $in: ["$status", RECEIVABLE_STATUSES] }, 1, 0] } },
+        orderedValue: { $sum: "$totals.total" },
+        receivedValue: { $sum: "$totals.receivedCost" },
+        receiptCount: { $sum: { $size: "$receipts" } },
+        lastOrderAt: { $max: "$orderedAt" }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
+  return summary || {
+    orderCount: 0,
+    openOrders: 0,
+    orderedValue: 0,
+    receivedValue: 0,
+    receiptCount: 0,
+    lastOrderAt: null
+  };
+};
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+export default PurchaseOrder;
@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import MedicalShop from "./MedicalShop.js";
+
+// Reasons a customer can give when reporting a review
+export const REVIEW_FLAG_REASONS = ["spam", "offensive", "fake", "irrelevant", "other"];
+
+// Reports after which a review is taken down until an admin looks at it
+const FLAG_THRESHOLD = parseInt(process.env.REVIEW_FLAG_THRESHOLD) || 3;
+
+const reviewSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"]
+    },
+
+    // Delivered order that makes this a verified purchase
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "A delivered order is required to review a shop"]
+    },
+
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number"
+      }
+    },
+
+    comment: {
+      type: String,
+      maxlength: [1000, "Review cannot exceed 1000 characters"],
+      trim: true
+    },
+
+    photos: [{
+      url: { type: String, required: true },
+      mimetype: { type: String },
+      size: { type: Number }
+    }],
+
+    // Only published reviews are shown and count towards the shop's rating
+    status: {
+      type: String,
+      enum: ["published", "flagged", "hidden"],
+      default: "published"
+    },
+
+    ownerReply: {
+      text: { type: String, trim: true },
+      repliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      repliedAt: { type: Date }
+    },
+
+    flags: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      reason: { type: String, enum: REVIEW_FLAG_REASONS, required: true },
+      note: { type: String, trim: true },
+      createdAt: { type: Date, default: Date.now }
+    }],
+
+    flagCount: {
+      type: Number,
+      default: 0
+    },
+
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      moderatedAt: { type: Date },
+      reason: { type: String, trim: true }
+    },
+
+    editedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+reviewSchema.index({ shopId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ shopId: 1, status: 1, rating: -1 });
+reviewSchema.index({ status: 1, flagCount: -1 });
+
+// Static method to adjust a shop's rating without re-reading every review
+// (countDelta is +1/-1 when a review starts/stops counting, ratingDelta the change in star total)
+reviewSchema.statics.updateShopRating = function(shopId, countDelta, ratingDelta) {
+  if (countDelta === 0 && ratingDelta === 0) return Promise.resolve();
+
+  const count = { $ifNull: ["$ratings.count", 0] };
+  const newCount = { $add: [count, countDelta] };
+  const newTotal = { $add: [{ $multiply: [{ $ifNull: ["$ratings.average", 0] }, count] }, ratingDelta] };
+
+  return MedicalShop.updateOne({ _id: shopId }, [
+    {
+      $set: {
+        "ratings.count": { $max: [newCount, 0] },
+        "ratings.average": {
+          $cond: [{ $gt: [newCount, 0] }, { $min: [{ $max: [{ $divide: [newTotal, newCount] }, 0] }, 5] }, 0]
+        }
+      }
+    }
+  ]);
+};
+
+// Static method to record a customer report, taking the review down once enough users flag it
+reviewSchema.statics.addFlag = async function(reviewId, flag) {
+  const review = await this.findOneAndUpdate(
+    { _id: reviewId, "flags.userId": { $ne: flag.userId } },
+    { $push: { flags: flag }, $inc: { flagCount: 1 } },
+    { new: true }
+  );
+  if (!review) return null;
+
+  if (review.status === "published" && review.flagCount >= FLAG_THRESHOLD) {
+    // Only the request that moves it out of published adjusts the rating
+    const flagged = await this.findOneAndUpdate(
+      { _id: reviewId, status: "published" },
+      { status: "flagged" },
+      { new: true }
+    );
+    if (flagged) {
+      await this.updateShopRating(flagged.shopId, -1, -flagged.rating);
+      return flagged;
+    }
+  }
+
+  return review;
+};
+
+// Static method to get the star breakdown of a shop's published reviews
+reviewSchema.statics.getRatingDistribution = async function(shopId) {
+  const counts = await this.aggregate([
+    { $match: { shopId: new mongoose.Types.ObjectId(shopId), status: "published" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id, count }) => { distribution[_id] = count; });
+  return distribution;
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+export default Review;
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+
+// Riders are only offered orders within this distance of the shop
+const SEARCH_RADIUS_KM = parseFloat(process.env.RIDER_SEARCH_RADIUS_KM) || 10;
+
+// A rider whose last location ping is older than this is not offered new orders
+const LOCATION_STALE_MINUTES = parseInt(process.env.RIDER_LOCATION_STALE_MINUTES) || 10;
+
+// Delivery riders, mirrored from user-service onboarding (user.rider_status_changed events)
+const riderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      unique: true
+    },
+
+    // active once user-service has approved the rider's documents
+    status: {
+      type: String,
+      enum: ["active", "inactive", "suspended"],
+      default: "inactive"
+    },
+
+    vehicleType: {
+      type: String,
+      trim: true
+    },
+
+    vehicleNumber: {
+      type: String,
+      trim: true
+    },
+
+    isAvailable: {
+      type: Boolean,
+      default: false
+    },
+
+    // Last reported position (GeoJSON, [longitude, latitude])
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"]
+      },
+      coordinates: [Number]
+    },
+
+    lastLocationAt: {
+      type: Date
+    },
+
+    // Order the rider is currently assigned to, one at a time
+    activeOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null
+    },
+
+    stats: {
+      offered: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      delivered: { type: Number, default: 0 }
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+riderSchema.index({ location: "2dsphere" });
+riderSchema.index({ status: 1, isAvailable: 1, activeOrderId: 1 });
+
+// Static method to find free riders nearest to a point, closest first
+riderSchema.statics.findNearestAvailable = function(lat, lng, excludeUserIds = []) {
+  return this.find({
+    location: {
+      $near: {
+        $geometry: {
+          type: "Point",
+          coordinates: [lng, lat]
+        },
+        $maxDistance: SEARCH_RADIUS_KM * 1000 // Convert km to meters
+      }
+    },
+    status: "active",
+    isAvailable: true,
+    activeOrderId: null,
+    lastLocationAt: { $gte: new Date(Date.now() - LOCATION_STALE_MINUTES * 60 * 1000) },
+    userId: { $nin: excludeUserIds }
+  }).limit(5);
+};
+
+// Static method to reserve a rider for an order - fails if someone else got them first
+riderSchema.statics.claimForOrder = function(riderId, orderId) {
+  return this.findOneAndUpdate(
+    { _id: riderId, status: "active", isAvailable: true, activeOrderId: null },
+    { activeOrderId: orderId, $inc: { "stats.offered": 1 } },
+    { new: true }
+  );
+};
+
+// Static method to free a rider from an order, counting how it ended
+riderSchema.statics.releaseFromOrder = function(userId, orderId, outcome) {
+  const update = { activeOrderId: null };
+  if (outcome) {
+    update.$inc = { [`stats.${outcome}`]: 1 };
+  }
+  return this.updateOne({ userId, activeOrderId: orderId }, update);
+};
+
+// Instance method to calculate distance from the rider's last position to coordinates
+riderSchema.methods.calculateDistance = function(lat, lng) {
+  if (!this.location?.coordinates?.length) return null;
+
+  const [riderLng, riderLat] = this.location.coordinates;
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat - riderLat) * Math.PI / 180;
+  const dLng = (lng - riderLng) * Math.PI / 180;
+
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(riderLat * Math.PI / 180) *
+    Math.cos(lat * Math.PI / 180) *
+    Math.sin(dLng/2) * Math.sin(dLng/2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c; // Distance in kilometers
+};
+
+const Rider = mongoose.model("Rider", riderSchema);
+export default Rider;
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_METHODS = ["cash", "card", "upi", "other"];
+
+// One invoice line per batch sold, so the bill shows batch and expiry as pharmacy bills must
+const saleItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Medicine",
+    required: true
+  },
+  name: { type: String, required: true },
+  manufacturer: { type: String },
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+    required: true
+  },
+  batchNumber: { type: String, required: true },
+  expiryDate: { type: Date },
+  quantity: { type: Number, required: true, min: 1 },
+  mrp: { type: Number, min: 0 },
+  unitPrice: { type: Number, required: true, min: 0 }, // selling price before discount and tax
+  costPrice: { type: Number, min: 0 }, // batch cost at the time of sale, for margin reporting
+  discountPercentage: { type: Number, min: 0, max: 100, default: 0 },
+  discountAmount: { type: Number, min: 0, default: 0 },
+  taxableValue: { type: Number, min: 0, required: true },
+  taxPercentage: { type: Number, min: 0, max: 100, default: 0 },
+  cgst: { type: Number, min: 0, default: 0 },
+  sgst: { type: Number, min: 0, default: 0 },
+  igst: { type: Number, min: 0, default: 0 },
+  total: { type: Number, min: 0, required: true }
+}, { _id: false });
+
+// Walk-in (point-of-sale) sale and its GST invoice
+const saleSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    // Sequential per shop within a financial year, e.g. 2026-27/000042
+    invoiceNumber: {
+      type: String,
+      required: true
+    },
+
+    financialYear: {
+      type: String,
+      required: true
+    },
+
+    // Tax invoice when the shop has a GSTIN, otherwise a bill of supply without GST
+    documentType: {
+      type: String,
+      enum: ["tax-invoice", "bill-of-supply"],
+      default: "tax-invoice"
+    },
+
+    customer: {
+      name: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      gstNumber: { type: String, trim: true, uppercase: true },
+      address: { type: String, trim: true },
+      state: { type: String, trim: true }
+    },
+
+    // CGST + SGST within the shop's state, IGST across states
+    supplyType: {
+      type: String,
+      enum: ["intra-state", "inter-state"],
+      default: "intra-state"
+    },
+
+    placeOfSupply: {
+      type: String,
+      trim: true
+    },
+
+    items: {
+      type: [saleItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: "Sale must have at least one item"
+      }
+    },
+
+    totals: {
+      gross: { type: Number, min: 0, default: 0 },
+      discount: { type: Number, min: 0, default: 0 },
+      taxableValue: { type: Number, min: 0, default: 0 },
+      cgst: { type: Number, min: 0, default: 0 },
+      sgst: { type: Number, min: 0, default: 0 },
+      igst: { type: Number, min: 0, default: 0 },
+      tax: { type: Number, min: 0, default: 0 },
+      roundOff: { type: Number, default: 0 },
+      grandTotal: { type: Number, min: 0, default: 0 }
+    },
+
+    payment: {
+      method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        default: "cash"
+      },
+      amountReceived: { type: Number, min: 0 },
+      change: { type: Number, min: 0, default: 0 },
+      reference: { type: String, trim: true } // card/UPI transaction ID
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Notes cannot exceed 300 characters"]
+    },
+
+    soldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    soldAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+saleSchema.index({ shopId: 1, invoiceNumber: 1 }, { unique: true });
+saleSchema.index({ shopId: 1, soldAt: -1 });
+saleSchema.index({ shopId: 1, "items.medicineId": 1 });
+
+// Static method to get the Indian financial year (April-March) of a YYYY-MM-DD date, e.g. 2026-27
+saleSchema.statics.getFinancialYear = function(dateKey) {
+  const [year, month] = dateKey.split("-").map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+};
+
+// Instance method to add up the lines and round the bill to the nearest rupee
+saleSchema.methods.calculateTotals = function() {
+  const round = value => Math.round(value * 100) / 100;
+  const sum = field => round(this.items.reduce((total, item) => total + item[field], 0));
+
+  this.totals.gross = round(this.items.reduce((total, item) => total + item.unitPrice * item.quantity, 0));
+  this.totals.discount = sum("discountAmount");
+  this.totals.taxableValue = sum("taxableValue");
+  this.totals.cgst = sum("cgst");
+  this.totals.sgst = sum("sgst");
+  this.totals.igst = sum("igst");
+  this.totals.tax = round(this.totals.cgst + this.totals.sgst + this.totals.igst);
+
+  const exact = round(this.totals.taxableValue + this.totals.tax);
+  this.totals.grandTotal = Math.round(exact);
+  this.totals.roundOff = round(this.totals.grandTotal - exact);
+  return this;
+};
+
+const Sale = mongoose.model("Sale", saleSchema);
+export default Sale;
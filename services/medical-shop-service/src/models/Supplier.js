@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// Distributors and wholesalers a shop buys stock from
+const supplierSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MedicalShop",
+      required: [true, "Shop ID is required"]
+    },
+
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: [100, "Supplier name cannot exceed 100 characters"]
+    },
+
+    contactPerson: {
+      type: String,
+      trim: true
+    },
+
+    phone: {
+      type: String,
+      trim: true
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+
+    address: {
+      type: String,
+      trim: true
+    },
+
+    gstNumber: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+
+    drugLicenseNumber: {
+      type: String,
+      trim: true
+    },
+
+    // Days between placing a purchase order and the goods arriving
+    leadTimeDays: {
+      type: Number,
+      min: [0, "Lead time cannot be negative"],
+      default: 2
+    },
+
+    paymentTermsDays: {
+      type: Number,
+      min: [0, "Payment terms cannot be negative"],
+      default: 0
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"]
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active"
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes for better query performance
+supplierSchema.index({ shopId: 1, name: 1 }, { unique: true });
+supplierSchema.index({ shopId: 1, status: 1 });
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+export default Supplier;
@@ -0,0 +1,107 @@
+import express from "express";
+import {
+  getMyRider,
+  updateAvailability,
+  updateLocation,
+  acceptDelivery,
+  rejectDelivery,
+  pickupDelivery,
+  completeDelivery,
+  assignRider,
+  getOrderTracking
+} from "../controllers/deliveryController.js";
+import { protect, requireShopOwner, requireRider } from "../middlewares/authMiddleware.js";
+import {
+  uploadDeliveryProof,
+  processImages,
+  handleMulterError
+} from "../middlewares/uploadMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  riderAvailabilitySchema,
+  riderLocationSchema,
+  rejectDeliverySchema,
+  completeDeliverySchema
+} from "../validators/deliveryValidator.js";
+
+const router = express.Router();
+
+// ========== RIDER ROUTES ==========
+
+// @route   GET /api/shops/riders/me
+// @desc    Get current rider's status and active delivery
+// @access  Private (Rider)
+router.get("/riders/me", protect, requireRider, getMyRider);
+
+// @route   PATCH /api/shops/riders/me/availability
+// @desc    Go online or offline for new deliveries
+// @access  Private (Rider)
+router.patch(
+  "/riders/me/availability",
+  protect,
+  requireRider,
+  validate(riderAvailabilitySchema),
+  updateAvailability
+);
+
+// @route   PUT /api/shops/riders/me/location
+// @desc    Report current position (sent periodically by the rider app)
+// @access  Private (Rider)
+router.put(
+  "/riders/me/location",
+  protect,
+  requireRider,
+  validate(riderLocationSchema),
+  updateLocation
+);
+
+// ========== DELIVERY ROUTES ==========
+
+// @route   POST /api/shops/deliveries/:orderId/accept
+// @desc    Accept an assigned delivery
+// @access  Private (Rider)
+router.post("/deliveries/:orderId/accept", protect, requireRider, acceptDelivery);
+
+// @route   POST /api/shops/deliveries/:orderId/reject
+// @desc    Reject an assigned delivery
+// @access  Private (Rider)
+router.post(
+  "/deliveries/:orderId/reject",
+  protect,
+  requireRider,
+  validate(rejectDeliverySchema),
+  rejectDelivery
+);
+
+// @route   POST /api/shops/deliveries/:orderId/pickup
+// @desc    Mark the order as picked up from the shop
+// @access  Private (Rider)
+router.post("/deliveries/:orderId/pickup", protect, requireRider, pickupDelivery);
+
+// @route   POST /api/shops/deliveries/:orderId/complete
+// @desc    Complete a delivery with the customer's code (otp) or a photo
+// @access  Private (Rider)
+router.post(
+  "/deliveries/:orderId/complete",
+  protect,
+  requireRider,
+  uploadDeliveryProof.array("photo", 1),
+  processImages,
+  validate(completeDeliverySchema),
+  completeDelivery
+);
+
+// @route   POST /api/shops/orders/:id/delivery/assign
+// @desc    Assign the nearest available rider to a packed order
+// @access  Private (Shop Owner/Admin)
+router.post("/orders/:id/delivery/assign", protect, requireShopOwner, assignRider);
+
+// @route   GET /api/shops/orders/:id/tracking
+// @desc    Track the rider delivering an order
+// @access  Private (Customer/Shop Owner/Admin/Rider)
+router.get("/orders/:id/tracking", protect, getOrderTracking);
+
+// Handle multer errors
+router.use(handleMulterError);
+
+export default router;
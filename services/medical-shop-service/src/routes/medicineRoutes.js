@@ -6,6 +6,7 @@ import {
   updateMedicine,
   deleteMedicine,
   searchMedicines,
+  getMedicineSubstitutes,
   getMedicinesByCategory,
   getPrescriptionMedicines,
   bulkImportMedicines,
@@ -14,41 +15,17 @@ import {
 import { protect, requireShopOwner } from "../middlewares/authMiddleware.js";
 import { validateUploads, handleMulterError } from "../middlewares/uploadMiddleware.js";
 import { uploadMedicineImages } from "../middlewares/uploadMiddleware.js";
+import { validate, validateQuery } from "../middlewares/validationMiddleware.js";
 import {
   createMedicineSchema,
   updateMedicineSchema,
   medicineSearchSchema,
+  substituteSearchSchema,
   bulkImportSchema
 } from "../validators/medicineValidator.js";
 
 const router = express.Router();
 
-// Validation middleware wrapper
-const validate = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.body);
-    next();
-  } catch (error) {
-    const err = new Error("Validation failed");
-    err.statusCode = 400;
-    err.details = error.errors;
-    next(err);
-  }
-};
-
-// Query validation middleware
-const validateQuery = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.query);
-    next();
-  } catch (error) {
-    const err = new Error("Query validation failed");
-    err.statusCode = 400;
-    err.details = error.errors;
-    next(err);
-  }
-};
-
 // ========== MEDICINE CATALOG MANAGEMENT ROUTES ==========
 
 // @route   POST /api/medicines
@@ -79,6 +56,15 @@ router.get(
   searchMedicines
 );
 
+// @route   GET /api/medicines/:id/substitutes
+// @desc    Get substitutes with the same composition and dosage form
+// @access  Public
+router.get(
+  "/:id/substitutes",
+  validateQuery(substituteSearchSchema),
+  getMedicineSubstitutes
+);
+
 // @route   GET /api/medicines/:id
 // @desc    Get single medicine by ID
 // @access  Public
@@ -0,0 +1,116 @@
+import express from "express";
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+  getMyOrders,
+  getShopOrders,
+  getOrderById,
+  updateOrderStatus,
+  cancelOrder
+} from "../controllers/orderController.js";
+import { protect, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  addCartItemSchema,
+  updateCartItemSchema,
+  checkoutSchema,
+  updateOrderStatusSchema,
+  cancelOrderSchema
+} from "../validators/orderValidator.js";
+
+const router = express.Router();
+
+// ========== CART ROUTES ==========
+
+// @route   GET /api/shops/cart
+// @desc    Get current user's cart
+// @access  Private
+router.get("/cart", protect, getCart);
+
+// @route   POST /api/shops/cart/items
+// @desc    Add item to cart
+// @access  Private
+router.post(
+  "/cart/items",
+  protect,
+  validate(addCartItemSchema),
+  addCartItem
+);
+
+// @route   PUT /api/shops/cart/items/:medicineId
+// @desc    Update cart item quantity
+// @access  Private
+router.put(
+  "/cart/items/:medicineId",
+  protect,
+  validate(updateCartItemSchema),
+  updateCartItem
+);
+
+// @route   DELETE /api/shops/cart/items/:medicineId
+// @desc    Remove item from cart
+// @access  Private
+router.delete("/cart/items/:medicineId", protect, removeCartItem);
+
+// @route   DELETE /api/shops/cart
+// @desc    Clear cart
+// @access  Private
+router.delete("/cart", protect, clearCart);
+
+// ========== ORDER ROUTES ==========
+
+// @route   POST /api/shops/orders/checkout
+// @desc    Checkout cart and place an order
+// @access  Private
+router.post(
+  "/orders/checkout",
+  protect,
+  validate(checkoutSchema),
+  checkout
+);
+
+// @route   GET /api/shops/orders/my
+// @desc    Get current user's orders
+// @access  Private
+router.get("/orders/my", protect, getMyOrders);
+
+// @route   GET /api/shops/orders/shop/:shopId
+// @desc    Get orders for a shop
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/orders/shop/:shopId",
+  protect,
+  requireShopOwnership("shopId"),
+  getShopOrders
+);
+
+// @route   GET /api/shops/orders/:id
+// @desc    Get single order by ID
+// @access  Private (Customer/Shop Owner/Admin)
+router.get("/orders/:id", protect, getOrderById);
+
+// @route   PATCH /api/shops/orders/:id/status
+// @desc    Move order through its lifecycle
+// @access  Private (Shop Owner/Admin)
+router.patch(
+  "/orders/:id/status",
+  protect,
+  validate(updateOrderStatusSchema),
+  updateOrderStatus
+);
+
+// @route   POST /api/shops/orders/:id/cancel
+// @desc    Cancel an order
+// @access  Private (Customer/Shop Owner/Admin)
+router.post(
+  "/orders/:id/cancel",
+  protect,
+  validate(cancelOrderSchema),
+  cancelOrder
+);
+
+export default router;
@@ -0,0 +1,72 @@
+import express from "express";
+import {
+  uploadPrescription,
+  getMyPrescriptions,
+  getReviewQueue,
+  getPrescriptionById,
+  reviewPrescription
+} from "../controllers/prescriptionController.js";
+import { protect, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import {
+  uploadPrescriptions,
+  processImages,
+  validateUploads,
+  handleMulterError
+} from "../middlewares/uploadMiddleware.js";
+import { validate } from "../middlewares/validationMiddleware.js";
+import {
+  uploadPrescriptionSchema,
+  reviewPrescriptionSchema
+} from "../validators/prescriptionValidator.js";
+
+const router = express.Router();
+
+// ========== PRESCRIPTION ROUTES ==========
+
+// @route   POST /api/shops/prescriptions
+// @desc    Upload a prescription for pharmacist review
+// @access  Private
+router.post(
+  "/prescriptions",
+  protect,
+  uploadPrescriptions.array("files", 5),
+  validateUploads,
+  processImages,
+  validate(uploadPrescriptionSchema),
+  uploadPrescription
+);
+
+// @route   GET /api/shops/prescriptions/my
+// @desc    Get current user's prescriptions
+// @access  Private
+router.get("/prescriptions/my", protect, getMyPrescriptions);
+
+// @route   GET /api/shops/prescriptions/shop/:shopId/queue
+// @desc    Get a shop's prescription review queue
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/prescriptions/shop/:shopId/queue",
+  protect,
+  requireShopOwnership("shopId"),
+  getReviewQueue
+);
+
+// @route   GET /api/shops/prescriptions/:id
+// @desc    Get single prescription
+// @access  Private (Patient/Shop Owner/Admin)
+router.get("/prescriptions/:id", protect, getPrescriptionById);
+
+// @route   PATCH /api/shops/prescriptions/:id/review
+// @desc    Approve or reject a prescription
+// @access  Private (Shop Owner/Admin)
+router.patch(
+  "/prescriptions/:id/review",
+  protect,
+  validate(reviewPrescriptionSchema),
+  reviewPrescription
+);
+
+// Handle multer errors
+router.use(handleMulterError);
+
+export default router;
@@ -0,0 +1,157 @@
+import express from "express";
+import {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  updateSupplier,
+  getSupplierHistory,
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+  getReorderSuggestions
+} from "../controllers/purchaseController.js";
+import { protect, requireShopOwner, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import { validate, validateQuery } from "../middlewares/validationMiddleware.js";
+import {
+  createSupplierSchema,
+  updateSupplierSchema,
+  supplierListSchema,
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  purchaseOrderStatusSchema,
+  purchaseOrderListSchema,
+  receivePurchaseOrderSchema,
+  reorderSuggestionSchema
+} from "../validators/purchaseValidator.js";
+
+const router = express.Router();
+
+// ========== SUPPLIER ROUTES ==========
+
+// @route   GET /api/shops/suppliers/:id
+// @desc    Get a supplier
+// @access  Private (Shop Owner/Admin)
+router.get("/suppliers/:id", protect, getSupplier);
+
+// @route   PUT /api/shops/suppliers/:id
+// @desc    Update a supplier
+// @access  Private (Shop Owner)
+router.put(
+  "/suppliers/:id",
+  protect,
+  requireShopOwner,
+  validate(updateSupplierSchema),
+  updateSupplier
+);
+
+// @route   GET /api/shops/suppliers/:id/history
+// @desc    Get purchase orders and totals for a supplier
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/suppliers/:id/history",
+  protect,
+  validateQuery(purchaseOrderListSchema),
+  getSupplierHistory
+);
+
+// @route   POST /api/shops/:shopId/suppliers
+// @desc    Add a supplier
+// @access  Private (Shop Owner)
+router.post(
+  "/:shopId/suppliers",
+  protect,
+  requireShopOwner,
+  requireShopOwnership("shopId"),
+  validate(createSupplierSchema),
+  createSupplier
+);
+
+// @route   GET /api/shops/:shopId/suppliers
+// @desc    Get a shop's suppliers
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/suppliers",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(supplierListSchema),
+  getSuppliers
+);
+
+// ========== PURCHASE ORDER ROUTES ==========
+
+// @route   GET /api/shops/purchase-orders/:id
+// @desc    Get a purchase order with its goods received notes
+// @access  Private (Shop Owner/Admin)
+router.get("/purchase-orders/:id", protect, getPurchaseOrder);
+
+// @route   PUT /api/shops/purchase-orders/:id
+// @desc    Edit a draft purchase order
+// @access  Private (Shop Owner)
+router.put(
+  "/purchase-orders/:id",
+  protect,
+  requireShopOwner,
+  validate(updatePurchaseOrderSchema),
+  updatePurchaseOrder
+);
+
+// @route   PATCH /api/shops/purchase-orders/:id/status
+// @desc    Place, cancel or close a purchase order
+// @access  Private (Shop Owner)
+router.patch(
+  "/purchase-orders/:id/status",
+  protect,
+  requireShopOwner,
+  validate(purchaseOrderStatusSchema),
+  updatePurchaseOrderStatus
+);
+
+// @route   POST /api/shops/purchase-orders/:id/receive
+// @desc    Receive goods into stock against a purchase order
+// @access  Private (Shop Owner)
+router.post(
+  "/purchase-orders/:id/receive",
+  protect,
+  requireShopOwner,
+  validate(receivePurchaseOrderSchema),
+  receivePurchaseOrder
+);
+
+// @route   POST /api/shops/:shopId/purchase-orders
+// @desc    Create a purchase order
+// @access  Private (Shop Owner)
+router.post(
+  "/:shopId/purchase-orders",
+  protect,
+  requireShopOwner,
+  requireShopOwnership("shopId"),
+  validate(createPurchaseOrderSchema),
+  createPurchaseOrder
+);
+
+// @route   GET /api/shops/:shopId/purchase-orders
+// @desc    Get a shop's purchase orders
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/purchase-orders",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(purchaseOrderListSchema),
+  getPurchaseOrders
+);
+
+// @route   GET /api/shops/:shopId/reorder-suggestions
+// @desc    Suggest reorder quantities for low-stock medicines
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reorder-suggestions",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(reorderSuggestionSchema),
+  getReorderSuggestions
+);
+
+export default router;
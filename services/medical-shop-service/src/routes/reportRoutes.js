@@ -0,0 +1,91 @@
+import express from "express";
+import {
+  getSalesReport,
+  getTopSellersReport,
+  getMarginReport,
+  getSlowMoversReport,
+  getDeadStockReport,
+  getExpiryWriteOffReport
+} from "../controllers/reportController.js";
+import { protect, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import { validateQuery } from "../middlewares/validationMiddleware.js";
+import {
+  reportPeriodSchema,
+  salesReportSchema,
+  topSellersSchema,
+  marginReportSchema,
+  stockActivitySchema
+} from "../validators/reportValidator.js";
+
+const router = express.Router();
+
+// ========== REPORT ROUTES ==========
+// Every report takes ?format=csv to download it instead of JSON
+
+// @route   GET /api/shops/:shopId/reports/sales
+// @desc    Sales per day, week or month
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/sales",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(salesReportSchema),
+  getSalesReport
+);
+
+// @route   GET /api/shops/:shopId/reports/top-sellers
+// @desc    Best selling medicines of a period
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/top-sellers",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(topSellersSchema),
+  getTopSellersReport
+);
+
+// @route   GET /api/shops/:shopId/reports/margin
+// @desc    Gross margin by category or manufacturer
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/margin",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(marginReportSchema),
+  getMarginReport
+);
+
+// @route   GET /api/shops/:shopId/reports/slow-movers
+// @desc    In-stock medicines selling the least
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/slow-movers",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(stockActivitySchema),
+  getSlowMoversReport
+);
+
+// @route   GET /api/shops/:shopId/reports/dead-stock
+// @desc    In-stock medicines with no recent sales
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/dead-stock",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(stockActivitySchema),
+  getDeadStockReport
+);
+
+// @route   GET /api/shops/:shopId/reports/expiry-write-offs
+// @desc    Expired stock written off and still on the shelf
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/reports/expiry-write-offs",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(reportPeriodSchema),
+  getExpiryWriteOffReport
+);
+
+export default router;
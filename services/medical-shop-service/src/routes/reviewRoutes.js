@@ -0,0 +1,127 @@
+import express from "express";
+import {
+  createReview,
+  getShopReviews,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  flagReview,
+  getModerationQueue,
+  moderateReview
+} from "../controllers/reviewController.js";
+import { protect, requireShopOwner } from "../middlewares/authMiddleware.js";
+import {
+  uploadReviewPhotos,
+  processImages,
+  handleMulterError
+} from "../middlewares/uploadMiddleware.js";
+import { validate, validateQuery } from "../middlewares/validationMiddleware.js";
+import {
+  createReviewSchema,
+  updateReviewSchema,
+  replyReviewSchema,
+  flagReviewSchema,
+  moderateReviewSchema,
+  reviewListSchema
+} from "../validators/reviewValidator.js";
+
+const router = express.Router();
+
+// ========== REVIEW ROUTES ==========
+
+// @route   GET /api/shops/reviews/moderation
+// @desc    Get reviews waiting for moderation (?status=flagged|hidden|reported)
+// @access  Private (Admin)
+router.get(
+  "/reviews/moderation",
+  protect,
+  (req, res, next) => {
+    if (req.user.role !== "admin") {
+      const error = new Error("Admin access required");
+      error.statusCode = 403;
+      throw error;
+    }
+    next();
+  },
+  getModerationQueue
+);
+
+// @route   PUT /api/shops/reviews/:id
+// @desc    Edit own review
+// @access  Private (Author)
+router.put(
+  "/reviews/:id",
+  protect,
+  validate(updateReviewSchema),
+  updateReview
+);
+
+// @route   DELETE /api/shops/reviews/:id
+// @desc    Delete a review
+// @access  Private (Author/Admin)
+router.delete("/reviews/:id", protect, deleteReview);
+
+// @route   PUT /api/shops/reviews/:id/reply
+// @desc    Reply to a review of the owner's shop
+// @access  Private (Shop Owner)
+router.put(
+  "/reviews/:id/reply",
+  protect,
+  requireShopOwner,
+  validate(replyReviewSchema),
+  replyToReview
+);
+
+// @route   POST /api/shops/reviews/:id/flag
+// @desc    Report a review for moderation
+// @access  Private
+router.post(
+  "/reviews/:id/flag",
+  protect,
+  validate(flagReviewSchema),
+  flagReview
+);
+
+// @route   PATCH /api/shops/reviews/:id/moderate
+// @desc    Publish or hide a review
+// @access  Private (Admin)
+router.patch(
+  "/reviews/:id/moderate",
+  protect,
+  (req, res, next) => {
+    if (req.user.role !== "admin") {
+      const error = new Error("Admin access required");
+      error.statusCode = 403;
+      throw error;
+    }
+    next();
+  },
+  validate(moderateReviewSchema),
+  moderateReview
+);
+
+// @route   POST /api/shops/:shopId/reviews
+// @desc    Review a shop after a delivered order (optional photos)
+// @access  Private
+router.post(
+  "/:shopId/reviews",
+  protect,
+  uploadReviewPhotos.array("photos", 3),
+  processImages,
+  validate(createReviewSchema),
+  createReview
+);
+
+// @route   GET /api/shops/:shopId/reviews
+// @desc    Get a shop's reviews and rating breakdown
+// @access  Public
+router.get(
+  "/:shopId/reviews",
+  validateQuery(reviewListSchema),
+  getShopReviews
+);
+
+// Handle multer errors
+router.use(handleMulterError);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import {
+  createSale,
+  getSales,
+  getSale,
+  getSaleInvoice
+} from "../controllers/saleController.js";
+import { protect, requireShopOwner, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import { validate, validateQuery } from "../middlewares/validationMiddleware.js";
+import {
+  createSaleSchema,
+  saleListSchema,
+  invoiceFormatSchema
+} from "../validators/saleValidator.js";
+
+const router = express.Router();
+
+// ========== POINT OF SALE ROUTES ==========
+
+// @route   GET /api/shops/sales/:id
+// @desc    Get a sale
+// @access  Private (Shop Owner/Admin)
+router.get("/sales/:id", protect, getSale);
+
+// @route   GET /api/shops/sales/:id/invoice
+// @desc    Printable invoice (?format=html|pdf)
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/sales/:id/invoice",
+  protect,
+  validateQuery(invoiceFormatSchema),
+  getSaleInvoice
+);
+
+// @route   POST /api/shops/:shopId/sales
+// @desc    Bill a walk-in sale
+// @access  Private (Shop Owner)
+router.post(
+  "/:shopId/sales",
+  protect,
+  requireShopOwner,
+  requireShopOwnership("shopId"),
+  validate(createSaleSchema),
+  createSale
+);
+
+// @route   GET /api/shops/:shopId/sales
+// @desc    Get a shop's counter sales
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:shopId/sales",
+  protect,
+  requireShopOwnership("shopId"),
+  validateQuery(saleListSchema),
+  getSales
+);
+
+export default router;
@@ -2,22 +2,40 @@ import express from "express";
 import {
   createShop,
   getShops,
+  getMedicineAvailability,
+  getNearbyShopOwners,
   getShopById,
+  getDeliveryQuote,
   updateShop,
   updateShopStatus,
   getShopInventory,
   getShopMedicines,
   getShopDashboard
 } from "../controllers/shopController.js";
+import {
+  submitVerification,
+  getVerification,
+  getVerificationQueue,
+  reviewVerification
+} from "../controllers/shopVerificationController.js";
+import {
+  getShopHours,
+  setSpecialHours,
+  deleteSpecialHours,
+  addClosure,
+  deleteClosure
+} from "../controllers/shopHoursController.js";
 import {
   addInventoryItem,
-  getShopInventory,
+  getShopInventory as getShopInventoryItems,
   updateInventoryItem,
   addStockMovement,
   getInventoryAlerts,
   bulkUpdateInventory,
   getInventorySummary,
-  updateAlertSettings
+  updateAlertSettings,
+  getMedicineStockTotals,
+  dispenseStock
 } from "../controllers/inventoryController.js";
 import {
   createMedicine,
@@ -26,19 +44,30 @@ import {
   updateMedicine,
   deleteMedicine,
   searchMedicines,
+  getMedicineSubstitutes,
   getMedicinesByCategory,
   getPrescriptionMedicines,
   bulkImportMedicines,
   getMedicineStats
 } from "../controllers/medicineController.js";
-import { protect, requireShopOwner, requireShopOwnership } from "../middlewares/authMiddleware.js";
+import { protect, protectInternal, requireShopOwner, requireShopOwnership } from "../middlewares/authMiddleware.js";
 import { validateUploads, handleMulterError } from "../middlewares/uploadMiddleware.js";
-import { uploadShopImages, uploadMedicineImages } from "../middlewares/uploadMiddleware.js";
+import { uploadShopImages, uploadMedicineImages, uploadShopDocuments } from "../middlewares/uploadMiddleware.js";
+import { validate, validateQuery } from "../middlewares/validationMiddleware.js";
 import {
   createShopSchema,
   updateShopSchema,
   updateShopStatusSchema,
-  shopSearchSchema
+  shopSearchSchema,
+  availabilitySearchSchema,
+  deliveryQuoteSchema,
+  nearbyOwnersSearchSchema,
+  submitVerificationSchema,
+  verificationDecisionSchema,
+  verificationQueueSchema,
+  specialHoursSchema,
+  closureSchema,
+  shopHoursQuerySchema
 } from "../validators/shopValidator.js";
 import {
   createInventorySchema,
@@ -46,43 +75,19 @@ import {
   stockMovementSchema,
   bulkInventoryUpdateSchema,
   inventorySearchSchema,
-  updateAlertSettingsSchema
+  updateAlertSettingsSchema,
+  dispenseStockSchema
 } from "../validators/inventoryValidator.js";
 import {
   createMedicineSchema,
   updateMedicineSchema,
   medicineSearchSchema,
+  substituteSearchSchema,
   bulkImportSchema
 } from "../validators/medicineValidator.js";
 
 const router = express.Router();
 
-// Validation middleware wrapper
-const validate = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.body);
-    next();
-  } catch (error) {
-    const err = new Error("Validation failed");
-    err.statusCode = 400;
-    err.details = error.errors;
-    next(err);
-  }
-};
-
-// Query validation middleware
-const validateQuery = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.query);
-    next();
-  } catch (error) {
-    const err = new Error("Query validation failed");
-    err.statusCode = 400;
-    err.details = error.errors;
-    next(err);
-  }
-};
-
 // ========== SHOP MANAGEMENT ROUTES ==========
 
 // @route   POST /api/shops
@@ -105,18 +110,65 @@ router.get(
   getShops
 );
 
+// @route   GET /api/shops/availability
+// @desc    Find nearby shops that have a medicine in stock
+// @access  Public
+router.get(
+  "/availability",
+  validateQuery(availabilitySearchSchema),
+  getMedicineAvailability
+);
+
+// @route   GET /api/shops/internal/owners
+// @desc    Get the owners of shops within a radius (campaign segments)
+// @access  Internal
+router.get(
+  "/internal/owners",
+  protectInternal,
+  validateQuery(nearbyOwnersSearchSchema),
+  getNearbyShopOwners
+);
+
+// @route   GET /api/shops/verification/queue
+// @desc    Get shops waiting for verification review
+// @access  Private (Admin)
+router.get(
+  "/verification/queue",
+  protect,
+  (req, res, next) => {
+    if (req.user.role !== "admin") {
+      const error = new Error("Admin access required");
+      error.statusCode = 403;
+      throw error;
+    }
+    next();
+  },
+  validateQuery(verificationQueueSchema),
+  getVerificationQueue
+);
+
 // @route   GET /api/shops/:id
 // @desc    Get single shop by ID
 // @access  Public
 router.get("/:id", getShopById);
 
+// @route   GET /api/shops/:id/delivery-quote
+// @desc    Check delivery to a saved address (addressId) or coordinates, with fee and ETA
+// @access  Private
+router.get(
+  "/:id/delivery-quote",
+  protect,
+  validateQuery(deliveryQuoteSchema),
+  getDeliveryQuote
+);
+
 // @route   PUT /api/shops/:id
 // @desc    Update shop details
 // @access  Private (Shop Owner/Admin)
 router.put(
   "/:id",
   protect,
-  requireShopOwnership(),
+  requireShopOwnership("id"),
   validate(updateShopSchema),
   updateShop
 );
@@ -145,7 +197,7 @@ router.patch(
 router.post(
   "/:id/images",
   protect,
-  requireShopOwnership(),
+  requireShopOwnership("id"),
   uploadShopImages.array("images", 5),
   validateUploads,
   (req, res) => {
@@ -164,6 +216,106 @@ router.post(
   }
 );
 
+// ========== SHOP VERIFICATION ROUTES ==========
+
+// @route   POST /api/shops/:id/verification
+// @desc    Submit or resubmit verification documents (license, gstCertificate, addressProof)
+// @access  Private (Shop Owner)
+router.post(
+  "/:id/verification",
+  protect,
+  requireShopOwner,
+  requireShopOwnership("id"),
+  uploadShopDocuments.fields([
+    { name: "license", maxCount: 1 },
+    { name: "gstCertificate", maxCount: 1 },
+    { name: "addressProof", maxCount: 1 }
+  ]),
+  validate(submitVerificationSchema),
+  submitVerification
+);
+
+// @route   GET /api/shops/:id/verification
+// @desc    Get verification status, documents and history
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/:id/verification",
+  protect,
+  requireShopOwnership("id"),
+  getVerification
+);
+
+// @route   PATCH /api/shops/:id/verification
+// @desc    Approve or reject a pending verification
+// @access  Private (Admin)
+router.patch(
+  "/:id/verification",
+  protect,
+  (req, res, next) => {
+    if (req.user.role !== "admin") {
+      const error = new Error("Admin access required");
+      error.statusCode = 403;
+      throw error;
+    }
+    next();
+  },
+  validate(verificationDecisionSchema),
+  reviewVerification
+);
+
+// ========== SHOP HOURS ROUTES ==========
+
+// @route   GET /api/shops/:id/hours
+// @desc    Get open status, upcoming schedule, special hours and closures
+// @access  Public
+router.get(
+  "/:id/hours",
+  validateQuery(shopHoursQuerySchema),
+  getShopHours
+);
+
+// @route   PUT /api/shops/:id/special-hours
+// @desc    Set special hours (or a full-day closure) for a date
+// @access  Private (Shop Owner/Admin)
+router.put(
+  "/:id/special-hours",
+  protect,
+  requireShopOwnership("id"),
+  validate(specialHoursSchema),
+  setSpecialHours
+);
+
+// @route   DELETE /api/shops/:id/special-hours/:date
+// @desc    Remove the special hours for a date
+// @access  Private (Shop Owner/Admin)
+router.delete(
+  "/:id/special-hours/:date",
+  protect,
+  requireShopOwnership("id"),
+  deleteSpecialHours
+);
+
+// @route   POST /api/shops/:id/closures
+// @desc    Add a temporary closure over a range of dates
+// @access  Private (Shop Owner/Admin)
+router.post(
+  "/:id/closures",
+  protect,
+  requireShopOwnership("id"),
+  validate(closureSchema),
+  addClosure
+);
+
+// @route   DELETE /api/shops/:id/closures/:closureId
+// @desc    Remove a temporary closure
+// @access  Private (Shop Owner/Admin)
+router.delete(
+  "/:id/closures/:closureId",
+  protect,
+  requireShopOwnership("id"),
+  deleteClosure
+);
+
 // ========== SHOP INVENTORY ROUTES ==========
 
 // @route   GET /api/shops/:id/inventory
@@ -172,7 +324,7 @@ router.post(
 router.get(
   "/:id/inventory",
   protect,
-  requireShopOwnership(),
+  requireShopOwnership("id"),
   getShopInventory
 );
 
@@ -187,7 +339,7 @@ router.get("/:id/medicines", getShopMedicines);
 router.get(
   "/:id/dashboard",
   protect,
-  requireShopOwnership(),
+  requireShopOwnership("id"),
   getShopDashboard
 );
 
@@ -211,7 +363,28 @@ router.get(
   protect,
   requireShopOwnership("shopId"),
   validateQuery(inventorySearchSchema),
-  getShopInventory
+  getShopInventoryItems
+);
+
+// @route   GET /api/shops/inventory/shop/:shopId/stock
+// @desc    Get per-medicine stock totals across batches
+// @access  Private (Shop Owner/Admin)
+router.get(
+  "/inventory/shop/:shopId/stock",
+  protect,
+  requireShopOwnership("shopId"),
+  getMedicineStockTotals
+);
+
+// @route   POST /api/shops/inventory/shop/:shopId/dispense
+// @desc    Take stock out first-expiry-first-out across batches
+// @access  Private (Shop Owner)
+router.post(
+  "/inventory/shop/:shopId/dispense",
+  protect,
+  requireShopOwnership("shopId"),
+  validate(dispenseStockSchema),
+  dispenseStock
 );
 
 // @route   PUT /api/shops/inventory/:id
@@ -304,6 +477,15 @@ router.get(
   searchMedicines
 );
 
+// @route   GET /api/shops/medicines/:id/substitutes
+// @desc    Get substitutes with the same composition and dosage form
+// @access  Public
+router.get(
+  "/medicines/:id/substitutes",
+  validateQuery(substituteSearchSchema),
+  getMedicineSubstitutes
+);
+
 // @route   GET /api/shops/medicines/:id
 // @desc    Get single medicine by ID
 // @access  Public
@@ -0,0 +1,24 @@
+import axios from "axios";
+
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || "http://user-service:3002";
+
+// Get one of a user's saved addresses from user service, or null if it does not exist
+export const getUserAddress = async (userId, addressId) => {
+  try {
+    const response = await axios.get(`${USER_SERVICE_URL}/api/users/internal/${userId}/addresses/${addressId}`, {
+      headers: {
+        "Authorization": `Bearer ${process.env.INTERNAL_API_KEY}`
+      },
+      timeout: 5000
+    });
+
+    return response.data.address;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+
+    console.error(`Error fetching address ${addressId} for user ${userId}:`, error.message);
+    const serviceError = new Error("Saved addresses are unavailable right now, please try again");
+    serviceError.statusCode = 503;
+    throw serviceError;
+  }
+};
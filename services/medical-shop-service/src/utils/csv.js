@@ -0,0 +1,23 @@
+// CSV export for reports (RFC 4180, CRLF line endings)
+
+// Quote a field when needed; text that a spreadsheet would run as a formula is prefixed with '
+const escapeField = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows, with columns given as [header, row => value] pairs
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(([header]) => escapeField(header)).join(","),
+    ...rows.map(row => columns.map(([, getValue]) => escapeField(getValue(row))).join(","))
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+};
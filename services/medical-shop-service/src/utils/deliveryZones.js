@@ -0,0 +1,115 @@
+// Delivery coverage, fees and ETAs.
+// A shop with active delivery zones delivers inside those polygons; without any it falls
+// back to a circle of deliveryRadius km around the shop. GeoJSON positions are [longitude, latitude].
+
+// Time to pick and pack an order before it leaves the shop
+const PREPARATION_MINUTES = parseInt(process.env.DELIVERY_PREPARATION_MINUTES) || 15;
+
+// Riding time per kilometre from the shop
+const MINUTES_PER_KM = parseFloat(process.env.DELIVERY_MINUTES_PER_KM) || 4;
+
+// Ray casting test against one ring of a polygon
+const isInsideRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a point lies inside a GeoJSON polygon (outer ring, minus any holes)
+export const isInsidePolygon = (lng, lat, coordinates) => {
+  const [outer, ...holes] = coordinates;
+  return isInsideRing(lng, lat, outer) && !holes.some(hole => isInsideRing(lng, lat, hole));
+};
+
+// First active zone of the shop that covers a point, or null
+export const findDeliveryZone = (shop, lat, lng) => {
+  return (shop.deliveryZones || [])
+    .find(zone => zone.isActive && isInsidePolygon(lng, lat, zone.area.coordinates)) || null;
+};
+
+// Fee for a distance and order amount: the first distance band that reaches the customer,
+// waived above the free delivery threshold. Null when the distance is beyond every band.
+export const getDeliveryFee = (shop, distanceKm, amount = 0) => {
+  const { bands = [], freeDeliveryAbove } = shop.deliveryPricing || {};
+
+  // Shops without bands (or a customer without coordinates) pay the flat fee
+  let fee = shop.deliveryFee || 0;
+  if (bands.length > 0 && distanceKm !== null) {
+    const band = [...bands]
+      .sort((a, b) => a.maxDistanceKm - b.maxDistanceKm)
+      .find(entry => distanceKm <= entry.maxDistanceKm);
+    if (!band) return null;
+    fee = band.fee;
+  }
+
+  if (freeDeliveryAbove !== undefined && freeDeliveryAbove !== null && amount >= freeDeliveryAbove) {
+    return 0;
+  }
+
+  return fee;
+};
+
+// Whether the shop delivers to a point, the fee for an order amount and when it would arrive
+export const getDeliveryQuote = (shop, lat, lng, amount = 0, at = new Date()) => {
+  const { freeDeliveryAbove } = shop.deliveryPricing || {};
+  const quote = {
+    deliverable: false,
+    reason: null,
+    distanceKm: null,
+    zone: null,
+    fee: null,
+    freeDeliveryAbove: freeDeliveryAbove ?? null,
+    amountForFreeDelivery: null,
+    minimumOrder: shop.minimumOrder || 0,
+    meetsMinimumOrder: amount >= (shop.minimumOrder || 0),
+    etaMinutes: null,
+    estimatedDeliveryAt: null
+  };
+
+  const origin = shop.address?.coordinates;
+  if (origin?.latitude === undefined || origin?.longitude === undefined) {
+    quote.reason = "Shop location is not set";
+    return quote;
+  }
+
+  const distanceKm = Math.round(shop.calculateDistance(lat, lng) * 100) / 100;
+  quote.distanceKm = distanceKm;
+
+  if ((shop.deliveryZones || []).some(zone => zone.isActive)) {
+    const zone = findDeliveryZone(shop, lat, lng);
+    if (!zone) {
+      quote.reason = "Address is outside the shop's delivery zones";
+      return quote;
+    }
+    quote.zone = { id: zone._id, name: zone.name };
+  } else if (distanceKm > shop.deliveryRadius) {
+    quote.reason = `Address is beyond the shop's ${shop.deliveryRadius} km delivery radius`;
+    return quote;
+  }
+
+  const fee = getDeliveryFee(shop, distanceKm, amount);
+  if (fee === null) {
+    quote.reason = "Address is beyond the shop's delivery fee bands";
+    return quote;
+  }
+
+  quote.deliverable = true;
+  quote.fee = fee;
+  if (fee > 0 && quote.freeDeliveryAbove !== null) {
+    quote.amountForFreeDelivery = Math.round((quote.freeDeliveryAbove - amount) * 100) / 100;
+  }
+
+  // A closed shop starts preparing when it next opens
+  const { isOpen, opensAt } = shop.getOpeningStatus(at);
+  quote.etaMinutes = Math.ceil(PREPARATION_MINUTES + distanceKm * MINUTES_PER_KM);
+  const start = isOpen ? at : opensAt;
+  quote.estimatedDeliveryAt = start ? new Date(start.getTime() + quote.etaMinutes * 60000) : null;
+
+  return quote;
+};
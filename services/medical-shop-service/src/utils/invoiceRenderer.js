@@ -0,0 +1,262 @@
+import { DEFAULT_TIMEZONE } from "./shopHours.js";
+
+// Printable sale invoices as HTML (for the browser's print dialog) or a plain A4 PDF.
+// The PDF is written by hand with the built-in Courier font, so no PDF library is needed.
+
+const formatMoney = (value) => (value || 0).toFixed(2);
+
+// Expiry is printed MM/YY as on the strip
+const formatExpiry = (date) => {
+  if (!date) return "";
+  const d = new Date(date);
+  return `${String(d.getUTCMonth() + 1).padStart(2, "0")}/${String(d.getUTCFullYear()).slice(2)}`;
+};
+
+const formatDateTime = (date, timeZone) => new Date(date).toLocaleString("en-IN", {
+  timeZone,
+  dateStyle: "medium",
+  timeStyle: "short"
+});
+
+// Everything both formats print, in display order
+const buildInvoiceView = (sale, shop) => {
+  const isTaxInvoice = sale.documentType === "tax-invoice";
+  const interState = sale.supplyType === "inter-state";
+
+  const shopLines = [
+    shop.name,
+    shop.fullAddress,
+    `Phone: ${shop.contactInfo?.phone || ""}`,
+    `Drug License: ${shop.licenseNumber}`,
+    isTaxInvoice ? `GSTIN: ${shop.gstNumber}` : null
+  ].filter(Boolean);
+
+  const customerLines = [
+    sale.customer?.name ? `Customer: ${sale.customer.name}` : "Customer: Walk-in",
+    sale.customer?.phone ? `Phone: ${sale.customer.phone}` : null,
+    sale.customer?.address ? `Address: ${sale.customer.address}` : null,
+    sale.customer?.gstNumber ? `GSTIN: ${sale.customer.gstNumber}` : null,
+    isTaxInvoice ? `Place of supply: ${sale.placeOfSupply || shop.address.state}` : null
+  ].filter(Boolean);
+
+  const rows = sale.items.map((item, index) => ({
+    index: index + 1,
+    name: item.manufacturer ? `${item.name} (${item.manufacturer})` : item.name,
+    batchNumber: item.batchNumber,
+    expiry: formatExpiry(item.expiryDate),
+    quantity: item.quantity,
+    mrp: formatMoney(item.mrp),
+    rate: formatMoney(item.unitPrice),
+    discount: item.discountPercentage ? `${item.discountPercentage}%` : "",
+    taxable: formatMoney(item.taxableValue),
+    gstRate: isTaxInvoice ? `${item.taxPercentage}%` : "",
+    tax: isTaxInvoice ? formatMoney(item.cgst + item.sgst + item.igst) : "",
+    total: formatMoney(item.total)
+  }));
+
+  const totals = [
+    ["Gross amount", sale.totals.gross],
+    ["Discount", -sale.totals.discount],
+    ["Taxable value", sale.totals.taxableValue]
+  ];
+  if (isTaxInvoice) {
+    if (interState) {
+      totals.push(["IGST", sale.totals.igst]);
+    } else {
+      totals.push(["CGST", sale.totals.cgst], ["SGST", sale.totals.sgst]);
+    }
+  }
+  totals.push(["Round off", sale.totals.roundOff], ["Grand total", sale.totals.grandTotal]);
+
+  const paymentLines = [`Paid by ${sale.payment.method.toUpperCase()}`];
+  if (sale.payment.reference) paymentLines.push(`Ref: ${sale.payment.reference}`);
+  if (sale.payment.amountReceived !== undefined && sale.payment.amountReceived !== null) {
+    paymentLines.push(`Received Rs. ${formatMoney(sale.payment.amountReceived)}, change Rs. ${formatMoney(sale.payment.change)}`);
+  }
+
+  return {
+    title: isTaxInvoice ? "TAX INVOICE" : "BILL OF SUPPLY",
+    invoiceNumber: sale.invoiceNumber,
+    date: formatDateTime(sale.soldAt, shop.timezone || DEFAULT_TIMEZONE),
+    shopLines,
+    customerLines,
+    rows,
+    totals: totals.map(([label, value]) => [label, formatMoney(value)]),
+    paymentLines,
+    footer: isTaxInvoice
+      ? "Prices are exclusive of GST, which is shown separately."
+      : "Seller is not registered under GST, no tax is charged."
+  };
+};
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// Render a sale as a standalone HTML page
+export const renderInvoiceHtml = (sale, shop) => {
+  const view = buildInvoiceView(sale, shop);
+  const lines = (items) => items.map(line => `<div>${escapeHtml(line)}</div>`).join("");
+
+  const rows = view.rows.map(row => `
+        <tr>
+          <td>${row.index}</td>
+          <td>${escapeHtml(row.name)}</td>
+          <td>${escapeHtml(row.batchNumber)}</td>
+          <td>${row.expiry}</td>
+          <td class="num">${row.quantity}</td>
+          <td class="num">${row.mrp}</td>
+          <td class="num">${row.rate}</td>
+          <td class="num">${row.discount}</td>
+          <td class="num">${row.taxable}</td>
+          <td class="num">${row.gstRate}</td>
+          <td class="num">${row.tax}</td>
+          <td class="num">${row.total}</td>
+        </tr>`).join("");
+
+  const totals = view.totals.map(([label, value]) => `
+        <tr><td>${label}</td><td class="num">${value}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(view.title)} ${escapeHtml(view.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 24px; color: #111; }
+    h1 { font-size: 16px; text-align: center; margin: 0 0 12px; }
+    .header { display: flex; justify-content: space-between; margin-bottom: 12px; }
+    .shop div:first-child { font-weight: bold; font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px; text-align: left; }
+    th { background: #f0f0f0; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin: 12px 0 0 auto; }
+    .totals tr:last-child td { font-weight: bold; }
+    .footer { margin-top: 16px; font-size: 11px; color: #555; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${view.title}</h1>
+  <div class="header">
+    <div class="shop">${lines(view.shopLines)}</div>
+    <div>
+      <div>Invoice No: <strong>${escapeHtml(view.invoiceNumber)}</strong></div>
+      <div>Date: ${escapeHtml(view.date)}</div>
+      ${lines(view.customerLines)}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>Batch</th><th>Exp</th><th class="num">Qty</th><th class="num">MRP</th>
+        <th class="num">Rate</th><th class="num">Disc</th><th class="num">Taxable</th><th class="num">GST</th>
+        <th class="num">Tax</th><th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tbody>${totals}
+    </tbody>
+  </table>
+  <div class="footer">
+    ${lines(view.paymentLines)}
+    <div>${escapeHtml(view.footer)}</div>
+  </div>
+</body>
+</html>
+`;
+};
+
+// Fit text into a fixed-width column
+const pad = (value, width, alignRight = false) => {
+  const text = String(value ?? "").slice(0, width);
+  return alignRight ? text.padStart(width) : text.padEnd(width);
+};
+
+// PDF string literal - Courier only covers Latin-1, so anything else becomes "?"
+const pdfText = (text) => text
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+  .replace(/([\\()])/g, "\\$1");
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Render a sale as a PDF document (returns a Buffer)
+export const renderInvoicePdf = (sale, shop) => {
+  const view = buildInvoiceView(sale, shop);
+  const rule = "-".repeat(107);
+
+  const text = [
+    view.title.padStart(Math.floor((107 + view.title.length) / 2)),
+    "",
+    ...view.shopLines,
+    "",
+    `Invoice No: ${view.invoiceNumber}`,
+    `Date: ${view.date}`,
+    ...view.customerLines,
+    rule,
+    `${pad("#", 3)}${pad("Item", 26)}${pad("Batch", 11)}${pad("Exp", 6)}${pad("Qty", 5, true)}${pad("MRP", 9, true)}${pad("Rate", 9, true)}${pad("Disc", 6, true)}${pad("Taxable", 10, true)}${pad("GST", 5, true)}${pad("Tax", 8, true)}${pad("Amount", 9, true)}`,
+    rule,
+    ...view.rows.map(row =>
+      `${pad(row.index, 3)}${pad(row.name, 25)} ${pad(row.batchNumber, 10)} ${pad(row.expiry, 6)}${pad(row.quantity, 5, true)}${pad(row.mrp, 9, true)}${pad(row.rate, 9, true)}${pad(row.discount, 6, true)}${pad(row.taxable, 10, true)}${pad(row.gstRate, 5, true)}${pad(row.tax, 8, true)}${pad(row.total, 9, true)}`
+    ),
+    rule,
+    ...view.totals.map(([label, value]) => `${pad(label, 92, true)}${pad(value, 15, true)}`),
+    rule,
+    ...view.paymentLines,
+    view.footer
+  ];
+
+  const pages = [];
+  for (let i = 0; i < text.length; i += LINES_PER_PAGE) {
+    pages.push(text.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const content = [
+      "BT",
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...lines.map(line => `(${pdfText(line)}) Tj T*`),
+      "ET"
+    ].join("\n");
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, "latin1");
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
@@ -0,0 +1,174 @@
+// Opening hours evaluated in the shop's own timezone.
+// A day's hours are a list of intervals; an interval whose close is not after its open
+// runs past midnight (22:00-06:00), and 00:00-00:00 means open all day.
+// Time after midnight still belongs to the day the interval started on.
+
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far ahead to look for the next opening (covers long closures)
+const LOOKAHEAD_DAYS = 14;
+
+// Intl formatters are expensive to build, keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit"
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check an IANA timezone name such as "Asia/Kolkata"
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Timezone the shop's hours are read in - the default covers shops saved before timezones existed
+export const getShopTimeZone = (shop) => {
+  return shop.timezone && isValidTimeZone(shop.timezone) ? shop.timezone : DEFAULT_TIMEZONE;
+};
+
+// "HH:MM" -> minutes since midnight
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Length of an interval in minutes, following it past midnight when needed
+export const getIntervalLength = ({ open, close }) => {
+  const length = toMinutes(close) - toMinutes(open);
+  return length > 0 ? length : length + MINUTES_PER_DAY;
+};
+
+// Calendar date ("YYYY-MM-DD") and minute of day of an instant in a timezone
+export const getLocalTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+// Move a "YYYY-MM-DD" date by a number of days
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Day of the week ("monday") of a "YYYY-MM-DD" date
+export const getWeekday = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// Offset of the timezone from UTC in minutes at an instant
+const getOffsetMinutes = (date, timeZone) => {
+  const local = getLocalTime(date, timeZone);
+  const localAsUtc = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000;
+  return Math.round((localAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+// Instant of a local date and minute of day (minutes past 24:00 spill into the next day)
+const toInstant = (dateKey, minutes, timeZone) => {
+  const localAsUtc = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60000;
+  const offset = getOffsetMinutes(new Date(localAsUtc), timeZone);
+  // Re-check the offset at the result so times next to a DST change land correctly
+  const corrected = getOffsetMinutes(new Date(localAsUtc - offset * 60000), timeZone);
+  return new Date(localAsUtc - corrected * 60000);
+};
+
+// Resolve the hours that apply on a local date: closures, then special hours, then the weekly schedule
+export const getHoursForDate = (shop, dateKey) => {
+  const closure = (shop.closures || []).find(c => c.startDate <= dateKey && dateKey <= c.endDate);
+  if (closure) {
+    return { date: dateKey, source: "closure", intervals: [], reason: closure.reason };
+  }
+
+  const special = (shop.specialHours || []).find(entry => entry.date === dateKey);
+  if (special) {
+    return {
+      date: dateKey,
+      source: "special",
+      intervals: special.isClosed ? [] : special.intervals.map(({ open, close }) => ({ open, close })),
+      reason: special.reason
+    };
+  }
+
+  const day = shop.operatingHours?.[getWeekday(dateKey)];
+  let intervals = [];
+  if (day?.isOpen) {
+    intervals = day.intervals?.length
+      ? day.intervals.map(({ open, close }) => ({ open, close }))
+      : [{ open: day.open, close: day.close }];
+  }
+
+  return { date: dateKey, source: "regular", intervals };
+};
+
+// Opening periods as instants for the days starting at fromDate, in start order
+const getOpenSpans = (shop, fromDate, days) => {
+  const timeZone = getShopTimeZone(shop);
+  const spans = [];
+
+  for (let i = 0; i < days; i++) {
+    const dateKey = addDays(fromDate, i);
+    for (const interval of getHoursForDate(shop, dateKey).intervals) {
+      const start = toMinutes(interval.open);
+      spans.push({
+        start: toInstant(dateKey, start, timeZone),
+        end: toInstant(dateKey, start + getIntervalLength(interval), timeZone)
+      });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+// Whether the shop is open at an instant (yesterday's hours may run past midnight)
+export const isOpenAt = (shop, at = new Date()) => {
+  const today = getLocalTime(at, getShopTimeZone(shop)).date;
+  return getOpenSpans(shop, addDays(today, -1), 2).some(span => span.start <= at && at < span.end);
+};
+
+// Open/closed state at an instant, with when the shop next closes or opens
+export const getOpeningStatus = (shop, at = new Date()) => {
+  const timezone = getShopTimeZone(shop);
+  const today = getLocalTime(at, timezone).date;
+  const spans = getOpenSpans(shop, addDays(today, -1), LOOKAHEAD_DAYS + 1);
+
+  const current = spans.find(span => span.start <= at && at < span.end);
+  if (current) {
+    // Back-to-back intervals (e.g. 18:00-00:00 then 00:00-02:00) count as one opening
+    let closesAt = current.end;
+    for (const span of spans) {
+      if (span.start <= closesAt && span.end > closesAt) closesAt = span.end;
+    }
+    return { isOpen: true, closesAt, opensAt: null, timezone };
+  }
+
+  const next = spans.find(span => span.start > at);
+  return { isOpen: false, closesAt: null, opensAt: next ? next.start : null, timezone };
+};
+
+// Today's local date in the shop's timezone
+export const getShopDate = (shop, at = new Date()) => getLocalTime(at, getShopTimeZone(shop)).date;
+
+// Instant a shop's local calendar day ("YYYY-MM-DD") starts
+export const getShopDayStart = (shop, dateKey) => toInstant(dateKey, 0, getShopTimeZone(shop));
@@ -0,0 +1,23 @@
+import { z } from "zod";
+
+// Rider availability toggle schema
+export const riderAvailabilitySchema = z.object({
+  isAvailable: z.boolean()
+});
+
+// Rider location ping schema
+export const riderLocationSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180)
+});
+
+// Delivery rejection schema
+export const rejectDeliverySchema = z.object({
+  reason: z.string().min(3, "Reason must be at least 3 characters").max(200, "Reason cannot exceed 200 characters")
+});
+
+// Proof of delivery schema (multipart form fields; a photo may be sent as "photo")
+export const completeDeliverySchema = z.object({
+  otp: z.string().regex(/^\d{4}$/, "Delivery code must be 4 digits").optional(),
+  recipientName: z.string().max(100, "Recipient name cannot exceed 100 characters").optional()
+});
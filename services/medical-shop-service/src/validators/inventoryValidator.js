@@ -68,6 +68,15 @@ export const stockMovementSchema = z.object({
   notes: z.string().max(200, "Notes cannot exceed 200 characters").optional()
 });
 
+// FEFO dispense validation schema
+export const dispenseStockSchema = z.object({
+  medicineId: z.string().min(1, "Medicine ID is required"),
+  quantity: z.number().int().min(1, "Quantity must be at least 1"),
+  reason: z.enum(["sale", "damage", "transfer"]).default("sale"),
+  reference: z.string().optional(),
+  notes: z.string().max(200, "Notes cannot exceed 200 characters").optional()
+});
+
 // Bulk inventory update validation schema
 export const bulkInventoryUpdateSchema = z.object({
   items: z.array(z.object({
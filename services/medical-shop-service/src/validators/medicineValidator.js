@@ -101,6 +101,20 @@ export const medicineSearchSchema = z.object({
   sortOrder: z.enum(["asc", "desc"]).default("asc")
 });
 
+// Substitute search validation schema
+export const substituteSearchSchema = z.object({
+  shopId: z.string().optional(),
+  lat: z.coerce.number().min(-90).max(90).optional(),
+  lng: z.coerce.number().min(-180).max(180).optional(),
+  radius: z.coerce.number().min(1).max(50).default(10),
+  inStockOnly: z.enum(["true", "false"]).optional(),
+  sortOrder: z.enum(["asc", "desc"]).default("asc"),
+  limit: z.coerce.number().min(1).max(50).default(20)
+}).refine(data => (data.lat === undefined) === (data.lng === undefined), {
+  message: "lat and lng must be provided together",
+  path: ["lat"]
+});
+
 // Medicine bulk import validation schema
 export const bulkImportSchema = z.object({
   medicines: z.array(createMedicineSchema).min(1, "At least one medicine is required").max(100, "Cannot import more than 100 medicines at once")
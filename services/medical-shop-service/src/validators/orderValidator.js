@@ -0,0 +1,53 @@
+import { z } from "zod";
+
+// Delivery address validation schema
+const deliveryAddressSchema = z.object({
+  street: z.string().min(5, "Street address must be at least 5 characters"),
+  city: z.string().min(2, "City must be at least 2 characters"),
+  state: z.string().min(2, "State must be at least 2 characters"),
+  postalCode: z.string().regex(/^\d{6}$/, "Postal code must be 6 digits"),
+  country: z.string().default("India"),
+  coordinates: z.object({
+    latitude: z.number().min(-90).max(90),
+    longitude: z.number().min(-180).max(180)
+  }).optional()
+});
+
+// Add to cart validation schema
+export const addCartItemSchema = z.object({
+  shopId: z.string().min(1, "Shop ID is required"),
+  medicineId: z.string().min(1, "Medicine ID is required"),
+  quantity: z.number().int().min(1, "Quantity must be at least 1").max(100, "Quantity cannot exceed 100"),
+  prescriptionId: z.string().min(1).optional()
+});
+
+// Update cart item validation schema
+export const updateCartItemSchema = z.object({
+  quantity: z.number().int().min(1, "Quantity must be at least 1").max(100, "Quantity cannot exceed 100").optional(),
+  prescriptionId: z.string().min(1).optional()
+}).refine(data => data.quantity !== undefined || data.prescriptionId !== undefined, {
+  message: "Quantity or prescription is required"
+});
+
+// Checkout validation schema
+export const checkoutSchema = z.object({
+  deliveryAddress: deliveryAddressSchema.optional(),
+  addressId: z.string().min(1, "Address ID is required").optional(),
+  contactPhone: z.string().regex(/^\+91[6-9]\d{9}$/, "Invalid Indian mobile number format").optional(),
+  paymentMethod: z.enum(["cash", "card", "upi", "net-banking", "wallet"]).default("cash"),
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional()
+}).refine(data => data.deliveryAddress || data.addressId, {
+  message: "Delivery address or a saved address is required",
+  path: ["deliveryAddress"]
+});
+
+// Order status update validation schema
+export const updateOrderStatusSchema = z.object({
+  status: z.enum(["confirmed", "packed", "out-for-delivery", "delivered", "cancelled"]),
+  note: z.string().max(200, "Note cannot exceed 200 characters").optional()
+});
+
+// Order cancellation validation schema
+export const cancelOrderSchema = z.object({
+  reason: z.string().min(3, "Reason must be at least 3 characters").max(200, "Reason cannot exceed 200 characters")
+});
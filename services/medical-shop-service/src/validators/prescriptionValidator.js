@@ -0,0 +1,29 @@
+import { z } from "zod";
+
+// Prescription upload validation schema (multipart form fields)
+export const uploadPrescriptionSchema = z.object({
+  shopId: z.string().min(1, "Shop ID is required"),
+  patientName: z.string().max(100, "Patient name cannot exceed 100 characters").optional(),
+  doctorName: z.string().max(100, "Doctor name cannot exceed 100 characters").optional(),
+  doctorRegistrationNumber: z.string().max(50, "Registration number cannot exceed 50 characters").optional(),
+  issuedAt: z.string().refine(str => !isNaN(Date.parse(str)), "Invalid issue date").optional(),
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional()
+});
+
+// Prescription review validation schema
+export const reviewPrescriptionSchema = z.object({
+  decision: z.enum(["approved", "rejected"]),
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional(),
+  rejectionReason: z.string().min(5, "Rejection reason must be at least 5 characters").optional(),
+  approvedMedicines: z.array(z.object({
+    medicineId: z.string().min(1, "Medicine ID is required"),
+    maxQuantity: z.number().int().min(1).optional()
+  })).optional(),
+  validUntil: z.string().refine(str => !isNaN(Date.parse(str)), "Invalid validity date").optional()
+}).refine(data => data.decision !== "rejected" || data.rejectionReason, {
+  message: "Rejection reason is required when rejecting a prescription",
+  path: ["rejectionReason"]
+}).refine(data => data.decision !== "approved" || data.approvedMedicines?.length > 0, {
+  message: "List the medicines the prescription covers when approving it",
+  path: ["approvedMedicines"]
+});
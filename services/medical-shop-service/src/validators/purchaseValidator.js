@@ -0,0 +1,107 @@
+import { z } from "zod";
+
+// Supplier creation validation schema
+export const createSupplierSchema = z.object({
+  name: z.string().trim().min(2, "Supplier name must be at least 2 characters").max(100, "Supplier name cannot exceed 100 characters"),
+  contactPerson: z.string().max(100, "Contact person cannot exceed 100 characters").optional(),
+  phone: z.string().min(10, "Phone must be at least 10 characters").max(15, "Phone cannot exceed 15 characters").optional(),
+  email: z.string().email("Invalid email address").optional(),
+  address: z.string().max(300, "Address cannot exceed 300 characters").optional(),
+  gstNumber: z.string().regex(/^[0-9A-Za-z]{15}$/, "GST number must be 15 characters").optional(),
+  drugLicenseNumber: z.string().max(50, "Drug license number cannot exceed 50 characters").optional(),
+  leadTimeDays: z.number().int().min(0, "Lead time cannot be negative").max(90, "Lead time cannot exceed 90 days").optional(),
+  paymentTermsDays: z.number().int().min(0, "Payment terms cannot be negative").max(180, "Payment terms cannot exceed 180 days").optional(),
+  notes: z.string().max(500, "Notes cannot exceed 500 characters").optional()
+});
+
+// Supplier update validation schema
+export const updateSupplierSchema = createSupplierSchema.partial().extend({
+  status: z.enum(["active", "inactive"]).optional()
+});
+
+// Supplier list query validation schema
+export const supplierListSchema = z.object({
+  status: z.enum(["active", "inactive"]).optional(),
+  search: z.string().optional(),
+  limit: z.coerce.number().min(1).max(100).default(20),
+  offset: z.coerce.number().min(0).default(0)
+});
+
+// Purchase order line validation schema
+const purchaseOrderItemSchema = z.object({
+  medicineId: z.string().min(1, "Medicine ID is required"),
+  quantity: z.number().int().min(1, "Quantity must be at least 1"),
+  unitCost: z.number().min(0, "Unit cost cannot be negative"),
+  taxPercentage: z.number().min(0, "Tax cannot be negative").max(100, "Tax cannot exceed 100%").default(0)
+});
+
+// Purchase order creation validation schema
+export const createPurchaseOrderSchema = z.object({
+  supplierId: z.string().min(1, "Supplier ID is required"),
+  items: z.array(purchaseOrderItemSchema).min(1, "Purchase order must have at least one item").max(100, "Purchase order cannot exceed 100 items"),
+  expectedDeliveryDate: z.string().optional(),
+  notes: z.string().max(500, "Notes cannot exceed 500 characters").optional(),
+  placeOrder: z.boolean().default(false)
+}).refine(data => new Set(data.items.map(item => item.medicineId)).size === data.items.length, {
+  message: "Each medicine can only appear once in a purchase order",
+  path: ["items"]
+});
+
+// Purchase order update validation schema (drafts only)
+export const updatePurchaseOrderSchema = z.object({
+  items: z.array(purchaseOrderItemSchema).min(1, "Purchase order must have at least one item").max(100, "Purchase order cannot exceed 100 items").optional(),
+  expectedDeliveryDate: z.string().optional(),
+  notes: z.string().max(500, "Notes cannot exceed 500 characters").optional()
+}).refine(data => !data.items || new Set(data.items.map(item => item.medicineId)).size === data.items.length, {
+  message: "Each medicine can only appear once in a purchase order",
+  path: ["items"]
+});
+
+// Purchase order status update validation schema
+export const purchaseOrderStatusSchema = z.object({
+  status: z.enum(["ordered", "cancelled", "closed"]),
+  note: z.string().max(200, "Note cannot exceed 200 characters").optional()
+});
+
+// Purchase order list query validation schema
+export const purchaseOrderListSchema = z.object({
+  status: z.enum(["draft", "ordered", "partially-received", "received", "closed", "cancelled"]).optional(),
+  supplierId: z.string().optional(),
+  limit: z.coerce.number().min(1).max(100).default(20),
+  offset: z.coerce.number().min(0).default(0)
+});
+
+// Goods received note line - new batches need their dates and selling prices
+const receiptItemSchema = z.object({
+  itemId: z.string().min(1, "Purchase order item ID is required"),
+  batchNumber: z.string().min(1, "Batch number is required").max(50, "Batch number cannot exceed 50 characters"),
+  quantity: z.number().int().min(1, "Quantity must be at least 1"),
+  unitCost: z.number().min(0.01, "Unit cost must be greater than 0").optional(),
+  manufacturingDate: z.string().optional(),
+  expiryDate: z.string().optional(),
+  mrp: z.number().min(0.01, "MRP must be greater than 0").optional(),
+  sellingPrice: z.number().min(0.01, "Selling price must be greater than 0").optional(),
+  unit: z.enum(["tablets", "capsules", "bottles", "tubes", "packs", "strips", "vials", "pieces"]).optional()
+}).refine(data => !data.sellingPrice || !data.mrp || data.sellingPrice <= data.mrp, {
+  message: "Selling price cannot exceed MRP",
+  path: ["sellingPrice"]
+});
+
+// Goods receiving validation schema
+export const receivePurchaseOrderSchema = z.object({
+  invoiceNumber: z.string().max(50, "Invoice number cannot exceed 50 characters").optional(),
+  notes: z.string().max(200, "Notes cannot exceed 200 characters").optional(),
+  items: z.array(receiptItemSchema).min(1, "Receive at least one item")
+}).refine(data => {
+  const lines = data.items.map(item => `${item.itemId}:${item.batchNumber}`);
+  return new Set(lines).size === lines.length;
+}, {
+  message: "Each batch of an item can only be received once per note - combine the quantities",
+  path: ["items"]
+});
+
+// Reorder suggestion query validation schema
+export const reorderSuggestionSchema = z.object({
+  days: z.coerce.number().int().min(7).max(180).default(30),
+  coverDays: z.coerce.number().int().min(1).max(90).default(14)
+});
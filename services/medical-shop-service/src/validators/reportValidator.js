@@ -0,0 +1,36 @@
+import { z } from "zod";
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format");
+
+// Report period validation schema - days are the shop's local calendar days, both ends included
+export const reportPeriodSchema = z.object({
+  from: dateKey.optional(),
+  to: dateKey.optional(),
+  format: z.enum(["json", "csv"]).default("json")
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+  message: "From date must be on or before to date",
+  path: ["from"]
+});
+
+// Sales report query validation schema
+export const salesReportSchema = reportPeriodSchema.safeExtend({
+  groupBy: z.enum(["day", "week", "month"]).default("day")
+});
+
+// Top sellers query validation schema
+export const topSellersSchema = reportPeriodSchema.safeExtend({
+  sortBy: z.enum(["quantity", "revenue"]).default("quantity"),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+// Gross margin query validation schema
+export const marginReportSchema = reportPeriodSchema.safeExtend({
+  groupBy: z.enum(["category", "manufacturer"]).default("category")
+});
+
+// Slow movers and dead stock query validation schema
+export const stockActivitySchema = z.object({
+  days: z.coerce.number().int().min(7).max(365).default(90),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  format: z.enum(["json", "csv"]).default("json")
+});
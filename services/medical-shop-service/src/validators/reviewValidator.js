@@ -0,0 +1,45 @@
+import { z } from "zod";
+import { REVIEW_FLAG_REASONS } from "../models/Review.js";
+
+// Review creation validation schema (multipart form fields)
+export const createReviewSchema = z.object({
+  rating: z.coerce.number().int("Rating must be a whole number").min(1, "Rating must be between 1 and 5").max(5, "Rating must be between 1 and 5"),
+  comment: z.string().max(1000, "Review cannot exceed 1000 characters").optional()
+});
+
+// Review update validation schema
+export const updateReviewSchema = z.object({
+  rating: z.number().int("Rating must be a whole number").min(1, "Rating must be between 1 and 5").max(5, "Rating must be between 1 and 5").optional(),
+  comment: z.string().max(1000, "Review cannot exceed 1000 characters").optional()
+}).refine(data => data.rating !== undefined || data.comment !== undefined, {
+  message: "Provide a rating or comment to update"
+});
+
+// Shop owner reply validation schema
+export const replyReviewSchema = z.object({
+  text: z.string().trim().min(2, "Reply must be at least 2 characters").max(500, "Reply cannot exceed 500 characters")
+});
+
+// Review report validation schema
+export const flagReviewSchema = z.object({
+  reason: z.enum(REVIEW_FLAG_REASONS),
+  note: z.string().max(200, "Note cannot exceed 200 characters").optional()
+});
+
+// Review moderation validation schema
+export const moderateReviewSchema = z.object({
+  decision: z.enum(["publish", "hide"]),
+  reason: z.string().max(300, "Reason cannot exceed 300 characters").optional()
+}).refine(data => data.decision !== "hide" || data.reason, {
+  message: "A reason is required when hiding a review",
+  path: ["reason"]
+});
+
+// Review listing query schema
+export const reviewListSchema = z.object({
+  sortBy: z.enum(["recent", "rating"]).default("recent"),
+  sortOrder: z.enum(["asc", "desc"]).default("desc"),
+  rating: z.coerce.number().int().min(1).max(5).optional(),
+  limit: z.coerce.number().min(1).max(50).default(10),
+  offset: z.coerce.number().min(0).default(0)
+});
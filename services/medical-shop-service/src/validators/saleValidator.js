@@ -0,0 +1,48 @@
+import { z } from "zod";
+import { PAYMENT_METHODS } from "../models/Sale.js";
+
+// Sale line validation schema - discountPercentage overrides the batch's own discount
+const saleItemSchema = z.object({
+  medicineId: z.string().min(1, "Medicine ID is required"),
+  quantity: z.number().int().min(1, "Quantity must be at least 1"),
+  discountPercentage: z.number().min(0, "Discount cannot be negative").max(100, "Discount cannot exceed 100%").optional()
+});
+
+// Walk-in customer details (needed on B2B and inter-state invoices)
+const customerSchema = z.object({
+  name: z.string().max(100, "Customer name cannot exceed 100 characters").optional(),
+  phone: z.string().min(10, "Phone must be at least 10 characters").max(15, "Phone cannot exceed 15 characters").optional(),
+  gstNumber: z.string().regex(/^[0-9A-Za-z]{15}$/, "GST number must be 15 characters").optional(),
+  address: z.string().max(300, "Address cannot exceed 300 characters").optional(),
+  state: z.string().max(50, "State cannot exceed 50 characters").optional()
+});
+
+// Point-of-sale sale validation schema
+export const createSaleSchema = z.object({
+  items: z.array(saleItemSchema).min(1, "Sale must have at least one item").max(50, "Sale cannot exceed 50 items"),
+  customer: customerSchema.optional(),
+  payment: z.object({
+    method: z.enum(PAYMENT_METHODS).default("cash"),
+    amountReceived: z.number().min(0, "Amount received cannot be negative").optional(),
+    reference: z.string().max(100, "Payment reference cannot exceed 100 characters").optional()
+  }).optional(),
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional()
+}).refine(data => new Set(data.items.map(item => item.medicineId)).size === data.items.length, {
+  message: "Each medicine can only appear once in a sale",
+  path: ["items"]
+});
+
+// Sale list query validation schema
+export const saleListSchema = z.object({
+  from: z.string().optional(),
+  to: z.string().optional(),
+  paymentMethod: z.enum(PAYMENT_METHODS).optional(),
+  invoiceNumber: z.string().optional(),
+  limit: z.coerce.number().min(1).max(100).default(20),
+  offset: z.coerce.number().min(0).default(0)
+});
+
+// Invoice rendering query validation schema
+export const invoiceFormatSchema = z.object({
+  format: z.enum(["html", "pdf"]).default("html")
+});
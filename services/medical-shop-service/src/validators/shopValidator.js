@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { isValidTimeZone, toMinutes, getIntervalLength } from "../utils/shopHours.js";
 
 // Address validation schema
 const addressSchema = z.object({
@@ -13,43 +14,87 @@ const addressSchema = z.object({
   }).optional()
 });
 
+// Time of day validation schema (HH:MM, 24-hour)
+const timeSchema = z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)");
+
+// Calendar date validation schema (YYYY-MM-DD)
+const dateSchema = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Invalid date format (YYYY-MM-DD)")
+  .refine(value => {
+    // Date.parse rolls 2026-02-30 over into March, so compare the round trip
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+  }, "Invalid date");
+
+// Opening intervals for one day - a close at or before the open runs past midnight
+const intervalsSchema = z.array(z.object({
+  open: timeSchema,
+  close: timeSchema
+})).max(4, "At most 4 intervals per day").refine(intervals => {
+  const spans = intervals
+    .map(({ open, close }) => {
+      const start = toMinutes(open);
+      return { start, end: start + getIntervalLength({ open, close }) };
+    })
+    .sort((a, b) => a.start - b.start);
+  return spans.every((span, i) => i === 0 || span.start >= spans[i - 1].end);
+}, "Intervals cannot overlap");
+
+// Hours for one day of the week
+const dayHoursSchema = z.object({
+  open: timeSchema,
+  close: timeSchema,
+  isOpen: z.boolean(),
+  intervals: intervalsSchema.optional()
+});
+
 // Operating hours validation schema
 const operatingHoursSchema = z.object({
-  monday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  }),
-  tuesday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  }),
-  wednesday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  }),
-  thursday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  }),
-  friday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  }),
-  saturday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
+  monday: dayHoursSchema,
+  tuesday: dayHoursSchema,
+  wednesday: dayHoursSchema,
+  thursday: dayHoursSchema,
+  friday: dayHoursSchema,
+  saturday: dayHoursSchema,
+  sunday: dayHoursSchema
+});
+
+// IANA timezone validation schema
+const timezoneSchema = z.string().refine(isValidTimeZone, "Invalid timezone (use an IANA name such as Asia/Kolkata)");
+
+// GeoJSON position [longitude, latitude]
+const positionSchema = z.tuple([z.number().min(-180).max(180), z.number().min(-90).max(90)]);
+
+// Closed ring of at least 3 distinct points (the first position repeated at the end)
+const ringSchema = z.array(positionSchema)
+  .min(4, "A ring needs at least 3 points plus the closing point")
+  .max(500, "A ring cannot exceed 500 points")
+  .refine(ring => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+  }, "A ring must end at its first point");
+
+// Delivery zone validation schema (outer ring, then optional holes)
+const deliveryZoneSchema = z.object({
+  name: z.string().min(1, "Zone name is required").max(50, "Zone name cannot exceed 50 characters"),
+  area: z.object({
+    type: z.literal("Polygon"),
+    coordinates: z.array(ringSchema).min(1).max(10, "At most 9 holes per zone")
   }),
-  sunday: z.object({
-    open: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    close: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, "Invalid time format (HH:MM)"),
-    isOpen: z.boolean()
-  })
+  isActive: z.boolean().optional()
+});
+
+// Delivery pricing validation schema (distance bands, free delivery threshold)
+const deliveryPricingSchema = z.object({
+  bands: z.array(z.object({
+    maxDistanceKm: z.number().positive("Band distance must be positive").max(50, "Band distance cannot exceed 50 km"),
+    fee: z.number().min(0, "Delivery fee cannot be negative")
+  })).max(10, "At most 10 fee bands").refine(bands => {
+    const distances = bands.map(band => band.maxDistanceKm);
+    return new Set(distances).size === distances.length;
+  }, "Each band needs a different distance").optional(),
+  freeDeliveryAbove: z.number().min(0, "Free delivery threshold cannot be negative").optional()
 });
 
 // Shop creation validation schema
@@ -64,11 +109,14 @@ export const createShopSchema = z.object({
   }),
   address: addressSchema,
   operatingHours: operatingHoursSchema,
+  timezone: timezoneSchema.optional(),
   description: z.string().max(500, "Description cannot exceed 500 characters").optional(),
   services: z.array(z.enum(["24/7", "home-delivery", "online-ordering", "prescription-upload", "teleconsultation"])).optional(),
   deliveryRadius: z.number().min(1, "Delivery radius must be at least 1 km").max(50, "Delivery radius cannot exceed 50 km").optional(),
   deliveryFee: z.number().min(0, "Delivery fee cannot be negative").optional(),
   minimumOrder: z.number().min(0, "Minimum order cannot be negative").optional(),
+  deliveryZones: z.array(deliveryZoneSchema).max(20, "At most 20 delivery zones").optional(),
+  deliveryPricing: deliveryPricingSchema.optional(),
   paymentMethods: z.array(z.enum(["cash", "card", "upi", "net-banking", "wallet"])).min(1, "At least one payment method required")
 });
 
@@ -83,11 +131,14 @@ export const updateShopSchema = z.object({
   }).optional(),
   address: addressSchema.optional(),
   operatingHours: operatingHoursSchema.optional(),
+  timezone: timezoneSchema.optional(),
   description: z.string().max(500).optional(),
   services: z.array(z.enum(["24/7", "home-delivery", "online-ordering", "prescription-upload", "teleconsultation"])).optional(),
   deliveryRadius: z.number().min(1).max(50).optional(),
   deliveryFee: z.number().min(0).optional(),
   minimumOrder: z.number().min(0).optional(),
+  deliveryZones: z.array(deliveryZoneSchema).max(20).optional(),
+  deliveryPricing: deliveryPricingSchema.optional(),
   paymentMethods: z.array(z.enum(["cash", "card", "upi", "net-banking", "wallet"])).min(1).optional()
 });
 
@@ -96,14 +147,40 @@ export const shopSearchSchema = z.object({
   query: z.string().optional(),
   city: z.string().optional(),
   category: z.string().optional(),
-  services: z.array(z.string()).optional(),
-  latitude: z.number().min(-90).max(90).optional(),
-  longitude: z.number().min(-180).max(180).optional(),
-  radius: z.number().min(1).max(50).default(10),
-  limit: z.number().min(1).max(100).default(20),
-  offset: z.number().min(0).default(0),
+  services: z.union([z.string(), z.array(z.string())]).optional(),
+  latitude: z.coerce.number().min(-90).max(90).optional(),
+  longitude: z.coerce.number().min(-180).max(180).optional(),
+  radius: z.coerce.number().min(1).max(50).default(10),
+  limit: z.coerce.number().min(1).max(100).default(20),
+  offset: z.coerce.number().min(0).default(0),
   sortBy: z.enum(["distance", "rating", "name"]).default("distance"),
-  sortOrder: z.enum(["asc", "desc"]).default("asc")
+  sortOrder: z.enum(["asc", "desc"]).default("asc"),
+  openNow: z.enum(["true", "false"]).optional(),
+  openAt: z.string().refine(value => !isNaN(Date.parse(value)), "openAt must be a date-time (ISO 8601)").optional(),
+  deliversTo: z.enum(["true", "false"]).optional()
+}).refine(data => data.deliversTo !== "true" || (data.latitude !== undefined && data.longitude !== undefined), {
+  message: "latitude and longitude are required to find shops that deliver to you",
+  path: ["deliversTo"]
+});
+
+// Medicine availability search schema
+export const availabilitySearchSchema = z.object({
+  medicineId: z.string().optional(),
+  q: z.string().min(2, "Search term must be at least 2 characters").optional(),
+  lat: z.coerce.number().min(-90).max(90),
+  lng: z.coerce.number().min(-180).max(180),
+  radius: z.coerce.number().min(1).max(50).default(10),
+  limit: z.coerce.number().min(1).max(50).default(20)
+}).refine(data => data.medicineId || data.q, {
+  message: "Either medicineId or q is required",
+  path: ["medicineId"]
+});
+
+// Nearby shop owners schema (internal, used for notification campaigns)
+export const nearbyOwnersSearchSchema = z.object({
+  lat: z.coerce.number().min(-90).max(90),
+  lng: z.coerce.number().min(-180).max(180),
+  radius: z.coerce.number().min(1).max(100).default(10)
 });
 
 // Shop status update schema
@@ -111,3 +188,63 @@ export const updateShopStatusSchema = z.object({
   status: z.enum(["active", "inactive", "suspended"]),
   reason: z.string().min(10, "Reason must be at least 10 characters").optional()
 });
+
+// Verification submission schema (multipart form fields, files are license, gstCertificate, addressProof)
+export const submitVerificationSchema = z.object({
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional()
+});
+
+// Verification decision schema
+export const verificationDecisionSchema = z.object({
+  decision: z.enum(["approve", "reject"]),
+  reason: z.string().min(10, "Reason must be at least 10 characters").optional(),
+  notes: z.string().max(300, "Notes cannot exceed 300 characters").optional()
+}).refine(data => data.decision !== "reject" || data.reason, {
+  message: "A reason is required when rejecting a verification",
+  path: ["reason"]
+});
+
+// Verification queue query schema
+export const verificationQueueSchema = z.object({
+  status: z.enum(["pending", "rejected", "verified", "unverified"]).default("pending"),
+  city: z.string().optional(),
+  limit: z.coerce.number().min(1).max(100).default(20),
+  offset: z.coerce.number().min(0).default(0)
+});
+
+// Special hours for one date - closed all day, or open during the given intervals
+export const specialHoursSchema = z.object({
+  date: dateSchema,
+  isClosed: z.boolean().default(false),
+  intervals: intervalsSchema.optional(),
+  reason: z.string().max(100, "Reason cannot exceed 100 characters").optional()
+}).refine(data => data.isClosed || data.intervals?.length, {
+  message: "Give the opening intervals or mark the day as closed",
+  path: ["intervals"]
+});
+
+// Temporary closure schema (both dates inclusive, in the shop's timezone)
+export const closureSchema = z.object({
+  startDate: dateSchema,
+  endDate: dateSchema,
+  reason: z.string().max(100, "Reason cannot exceed 100 characters").optional()
+}).refine(data => data.startDate <= data.endDate, {
+  message: "End date cannot be before the start date",
+  path: ["endDate"]
+});
+
+// Shop hours query schema
+export const shopHoursQuerySchema = z.object({
+  days: z.coerce.number().min(1).max(31).default(7)
+});
+
+// Delivery quote query schema (a saved address, or coordinates)
+export const deliveryQuoteSchema = z.object({
+  addressId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid address ID").optional(),
+  latitude: z.coerce.number().min(-90).max(90).optional(),
+  longitude: z.coerce.number().min(-180).max(180).optional(),
+  amount: z.coerce.number().min(0).default(0)
+}).refine(data => data.addressId || (data.latitude !== undefined && data.longitude !== undefined), {
+  message: "Either addressId or latitude and longitude are required",
+  path: ["addressId"]
+});
@@ -6,11 +6,17 @@ import rateLimit from "express-rate-limit";
 import connectDB from "./src/config/db.js";
 import notificationRoutes from "./src/routes/notificationRoutes.js";
 import { errorHandler } from "./src/middlewares/errorMiddleware.js";
-import { initKafkaProducer, subscribeToTopic, closeKafkaConnections } from "./src/events/kafka.js";
+import { initKafkaProducer, subscribeToTopics, closeKafkaConnections } from "./src/events/kafka.js";
 import { TOPICS } from "./src/events/eventTypes.js";
 import { handleNotificationEvents } from "./src/events/notificationEventHandlers.js";
 import { initializeNotificationService } from "./src/utils/templateSeeder.js";
 import { initEmailServices } from "./src/services/emailService.js";
+import { initSmsService } from "./src/services/smsService.js";
+import { initPushService } from "./src/services/pushService.js";
+import { closeAllStreams, getStreamStats } from "./src/services/realtimeService.js";
+import { startNotificationDispatcher, stopNotificationDispatcher } from "./src/jobs/notificationDispatcher.js";
+import { startNotificationRetryWorker, stopNotificationRetryWorker } from "./src/jobs/notificationRetryWorker.js";
+import { startCampaignWorker, stopCampaignWorker } from "./src/jobs/campaignWorker.js";
 
 dotenv.config();
 
@@ -31,7 +37,9 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later."
+  message: "Too many requests from this IP, please try again later.",
+  // Provider webhooks and email tracking arrive in bursts and should not eat into user limits
+  skip: (req) => /^\/notifications\/(webhooks|track)\//.test(req.path)
 });
 app.use('/api/', limiter);
 
@@ -45,7 +53,8 @@ app.get('/health', (req, res) => {
     service: 'notification-service',
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    streams: getStreamStats()
   });
 });
 
@@ -69,17 +78,37 @@ async function initializeServices() {
     // Initialize email service
     initEmailServices();
 
+    // Initialize SMS provider
+    initSmsService();
+
+    // Initialize push provider
+    initPushService();
+
     // Initialize Kafka producer
     await initKafkaProducer();
 
     // Subscribe to notification events
-    await subscribeToTopic(TOPICS.USER_EVENTS, handleNotificationEvents);
-    await subscribeToTopic(TOPICS.AUTH_EVENTS, handleNotificationEvents);
-    await subscribeToTopic(TOPICS.SYSTEM_EVENTS, handleNotificationEvents);
+    await subscribeToTopics({
+      [TOPICS.USER_EVENTS]: handleNotificationEvents,
+      [TOPICS.AUTH_EVENTS]: handleNotificationEvents,
+      [TOPICS.SYSTEM_EVENTS]: handleNotificationEvents,
+      [TOPICS.INVENTORY_EVENTS]: handleNotificationEvents,
+      [TOPICS.SHOP_EVENTS]: handleNotificationEvents,
+      [TOPICS.ORDER_EVENTS]: handleNotificationEvents
+    });
 
     // Initialize notification templates
     await initializeNotificationService();
 
+    // Send scheduled notifications and digests
+    startNotificationDispatcher();
+
+    // Retry failed notifications with backoff
+    startNotificationRetryWorker();
+
+    // Send scheduled campaigns in throttled batches
+    startCampaignWorker();
+
     console.log('📡 Notification service fully initialized');
   } catch (error) {
     console.error('❌ Failed to initialize services:', error);
@@ -98,12 +127,20 @@ app.listen(PORT, async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopNotificationDispatcher();
+  stopNotificationRetryWorker();
+  stopCampaignWorker();
+  closeAllStreams();
   await closeKafkaConnections();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopNotificationDispatcher();
+  stopNotificationRetryWorker();
+  stopCampaignWorker();
+  closeAllStreams();
   await closeKafkaConnections();
   process.exit(0);
 });
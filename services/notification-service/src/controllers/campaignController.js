@@ -0,0 +1,235 @@
+import Campaign from '../models/Campaign.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import { findMissingCampaignTemplates, calculateCampaignStats } from '../services/campaignService.js';
+
+// Fields an admin sets on a campaign - status, stats and timestamps are managed by the service
+const CAMPAIGN_FIELDS = [
+  'name',
+  'description',
+  'template',
+  'channels',
+  'category',
+  'templateData',
+  'actionUrl',
+  'segment',
+  'throttlePerMinute'
+];
+
+// Campaigns that have not started sending can still be edited
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+/**
+ * Copy the admin-settable fields out of a request body
+ */
+const pickCampaignFields = (body) => {
+  const fields = {};
+  for (const field of CAMPAIGN_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Check the segment's shop radius is complete and every channel has a template to render
+ */
+const assertCampaignSendable = async (campaign) => {
+  const nearShops = campaign.segment?.nearShops;
+  const radiusFields = ['latitude', 'longitude', 'radiusKm'].filter(field => nearShops?.[field] != null);
+
+  if (radiusFields.length > 0 && radiusFields.length < 3) {
+    const error = new Error('segment.nearShops needs latitude, longitude and radiusKm');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const missing = await findMissingCampaignTemplates(campaign.template, campaign.channels);
+
+  if (missing.length > 0) {
+    const error = new Error(`No active '${campaign.template}' template for: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Load a campaign, or fail with a 404
+ */
+const findCampaignOrFail = async (id) => {
+  const campaign = await Campaign.findById(id);
+
+  if (!campaign) {
+    const error = new Error('Campaign not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return campaign;
+};
+
+/**
+ * Create a campaign as a draft (Admin only)
+ */
+export const createCampaign = asyncHandler(async (req, res) => {
+  const campaign = new Campaign({
+    ...pickCampaignFields(req.body),
+    createdBy: req.user.id
+  });
+
+  await campaign.validate();
+  await assertCampaignSendable(campaign);
+  await campaign.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Campaign created',
+    campaign
+  });
+});
+
+/**
+ * Get campaigns (Admin only)
+ */
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = {};
+  if (status) query.status = status;
+
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v'),
+    Campaign.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    campaigns,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Get campaign by ID (Admin only)
+ */
+export const getCampaignById = asyncHandler(async (req, res) => {
+  const campaign = await findCampaignOrFail(req.params.id);
+
+  res.json({
+    success: true,
+    campaign
+  });
+});
+
+/**
+ * Update a campaign that has not started sending (Admin only)
+ */
+export const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaignOrFail(req.params.id);
+
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    const error = new Error(`A ${campaign.status} campaign can no longer be edited`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  campaign.set(pickCampaignFields(req.body));
+
+  await campaign.validate();
+  await assertCampaignSendable(campaign);
+  await campaign.save();
+
+  res.json({
+    success: true,
+    message: 'Campaign updated',
+    campaign
+  });
+});
+
+/**
+ * Schedule a campaign - sends start at scheduledAt, or on the next worker run if omitted (Admin only)
+ * Failed campaigns can be scheduled again once the cause is fixed
+ */
+export const scheduleCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaignOrFail(req.params.id);
+
+  if (![...EDITABLE_STATUSES, 'failed'].includes(campaign.status)) {
+    const error = new Error(`A ${campaign.status} campaign cannot be scheduled`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+
+  if (Number.isNaN(scheduledAt.getTime())) {
+    const error = new Error('scheduledAt must be a valid date');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await assertCampaignSendable(campaign);
+
+  campaign.status = 'scheduled';
+  campaign.scheduledAt = scheduledAt;
+  campaign.errorMessage = undefined;
+  await campaign.save();
+
+  res.json({
+    success: true,
+    message: `Campaign scheduled for ${scheduledAt.toISOString()}`,
+    campaign
+  });
+});
+
+/**
+ * Cancel a campaign - recipients not yet reached are left unsent (Admin only)
+ */
+export const cancelCampaign = asyncHandler(async (req, res) => {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: [...EDITABLE_STATUSES, 'sending'] } },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+
+  if (!campaign) {
+    const error = new Error('Campaign not found or already finished');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Campaign cancelled',
+    campaign
+  });
+});
+
+/**
+ * Get a campaign's recipient progress and per-channel delivery and read stats (Admin only)
+ */
+export const getCampaignStats = asyncHandler(async (req, res) => {
+  const campaign = await findCampaignOrFail(req.params.id);
+  const stats = await calculateCampaignStats(campaign);
+
+  res.json({
+    success: true,
+    campaign: {
+      id: campaign._id,
+      name: campaign.name,
+      status: campaign.status,
+      scheduledAt: campaign.scheduledAt,
+      startedAt: campaign.startedAt,
+      completedAt: campaign.completedAt
+    },
+    stats
+  });
+});
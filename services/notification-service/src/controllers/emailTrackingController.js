@@ -0,0 +1,128 @@
+import Notification from '../models/Notification.js';
+import EmailSuppression from '../models/EmailSuppression.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import {
+  processBrevoEvent,
+  recordEmailEvent,
+  verifyOpenSignature,
+  verifyClickSignature,
+  getTrackingPixel
+} from '../services/emailTrackingService.js';
+
+/**
+ * Receive Brevo transactional email events - one event, or an array when batching is enabled (Webhook)
+ */
+export const handleBrevoWebhook = asyncHandler(async (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+  const results = {};
+
+  for (const event of events) {
+    const outcome = await processBrevoEvent(event);
+    results[outcome] = (results[outcome] || 0) + 1;
+  }
+
+  res.json({
+    success: true,
+    processed: events.length,
+    results
+  });
+});
+
+/**
+ * Open-tracking pixel - always answers with the image so broken links never show in the email (Public)
+ */
+export const trackEmailOpen = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  if (verifyOpenSignature(notificationId, req.query.sig)) {
+    try {
+      const notification = await Notification.findById(notificationId);
+      if (notification) await recordEmailEvent(notification, 'opened');
+    } catch (error) {
+      console.error('Error recording email open:', error.message);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(getTrackingPixel());
+});
+
+/**
+ * Click redirect - only signed links from our own emails are followed (Public)
+ */
+export const trackEmailClick = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+  const url = req.query.url;
+
+  if (typeof url !== 'string' || !verifyClickSignature(notificationId, url, req.query.sig)) {
+    const error = new Error('Invalid tracking link');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    const notification = await Notification.findById(notificationId);
+    if (notification) await recordEmailEvent(notification, 'clicked');
+  } catch (error) {
+    console.error('Error recording email click:', error.message);
+  }
+
+  res.redirect(302, url);
+});
+
+/**
+ * Get suppressed email addresses (Admin only)
+ */
+export const getEmailSuppressions = asyncHandler(async (req, res) => {
+  const { email, reason } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = {};
+  if (email) query.email = email.toLowerCase().trim();
+  if (reason) query.reason = reason;
+
+  const [suppressions, total] = await Promise.all([
+    EmailSuppression.find(query)
+      .sort({ suppressedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v'),
+    EmailSuppression.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    suppressions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Allow email to a suppressed address again, e.g. after the user fixed their mailbox (Admin only)
+ */
+export const deleteEmailSuppression = asyncHandler(async (req, res) => {
+  const suppression = await EmailSuppression.findOneAndDelete({
+    email: req.params.email.toLowerCase().trim()
+  });
+
+  if (!suppression) {
+    const error = new Error('Suppression not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: `Email to ${suppression.email} is allowed again`
+  });
+});
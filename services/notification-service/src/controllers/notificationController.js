@@ -1,8 +1,11 @@
 import Notification from '../models/Notification.js';
 import NotificationTemplate from '../models/NotificationTemplate.js';
+import NotificationTemplateVersion from '../models/NotificationTemplateVersion.js';
 import NotificationPreference from '../models/NotificationPreference.js';
 import { asyncHandler } from '../middlewares/asyncHandler.js';
 import { sendEmailNotification } from '../services/emailService.js';
+import { sendSmsNotification } from '../services/smsService.js';
+import { sendPushNotification, registerDevice, unregisterDevice } from '../services/pushService.js';
 import {
   createInAppNotification,
   getUserNotifications,
@@ -11,6 +14,20 @@ import {
   deleteNotification,
   getNotificationStats
 } from '../services/inAppService.js';
+import { addStreamClient, sendStreamGreeting } from '../services/realtimeService.js';
+import { deliverNotification } from '../services/deliveryService.js';
+import { markNotificationFailed } from '../services/deliveryStatusService.js';
+import { findLocalizedTemplate, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../services/templateService.js';
+import { calculateEmailEngagement } from '../services/emailTrackingService.js';
+import {
+  pickVersionedContent,
+  ensureInitialVersion,
+  createTemplateDraft,
+  validateVersionContent,
+  publishTemplateVersion,
+  rollbackTemplate,
+  diffTemplateVersions
+} from '../services/templateVersionService.js';
 import { validateTemplate, previewTemplate } from '../utils/templateUtils.js';
 
 /**
@@ -28,6 +45,27 @@ export const getNotifications = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Open a real-time notification stream (Server-Sent Events)
+ */
+export const streamNotifications = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  addStreamClient(userId, res);
+  await sendStreamGreeting(userId, res);
+});
+
 /**
  * Get notification by ID
  */
@@ -116,7 +154,13 @@ export const getStats = asyncHandler(async (req, res) => {
  * Send test notification (Admin only)
  */
 export const sendTestNotification = asyncHandler(async (req, res) => {
-  const { type, recipient, title, message, category } = req.body;
+  const { type, recipient, title, message, category, scheduledAt } = req.body;
+
+  if (scheduledAt && isNaN(new Date(scheduledAt).getTime())) {
+    const error = new Error('scheduledAt must be a valid date');
+    error.statusCode = 400;
+    throw error;
+  }
 
   let result;
   switch (type) {
@@ -125,18 +169,39 @@ export const sendTestNotification = asyncHandler(async (req, res) => {
         userId: req.user.id,
         recipient,
         subject: title,
+        body: message,
+        category: category || 'system',
+        scheduledAt
+      });
+      break;
+
+    case 'sms':
+      result = await sendSmsNotification({
+        userId: req.user.id,
+        recipient,
         message,
-        category: category || 'system'
+        category: category || 'system',
+        scheduledAt
       });
       break;
 
+    case 'push':
+      result = await sendPushNotification({
+        userId: req.user.id,
+        title,
+        message,
+        category: category || 'system',
+        scheduledAt
+      });
+      break;
 
     case 'in_app':
       result = await createInAppNotification({
         userId: req.user.id,
         title,
         message,
-        category: category || 'system'
+        category: category || 'system',
+        scheduledAt
       });
       break;
 
@@ -187,13 +252,77 @@ export const updatePreferences = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get user's registered push devices
+ */
+export const getDevices = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const preferences = await NotificationPreference.findOne({ userId }).select('devices').lean();
+
+  res.json({
+    success: true,
+    devices: preferences?.devices || []
+  });
+});
+
+/**
+ * Register or refresh a push device
+ */
+export const registerPushDevice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { deviceId, deviceType, pushToken } = req.body;
+
+  if (!deviceId || !pushToken) {
+    const error = new Error('deviceId and pushToken are required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!['mobile', 'desktop', 'tablet'].includes(deviceType)) {
+    const error = new Error('deviceType must be one of mobile, desktop, tablet');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const device = await registerDevice(userId, { deviceId, deviceType, pushToken });
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered for push notifications',
+    device
+  });
+});
+
+/**
+ * Unregister a push device
+ */
+export const unregisterPushDevice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { deviceId } = req.params;
+
+  const removed = await unregisterDevice(userId, deviceId);
+
+  if (!removed) {
+    const error = new Error('Device not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Device unregistered'
+  });
+});
+
 /**
  * Create notification template (Admin only)
  */
 export const createTemplate = asyncHandler(async (req, res) => {
-  const templateData = req.body;
+  const { version, latestVersion, ...templateData } = req.body;
 
   const template = await NotificationTemplate.create(templateData);
+  await ensureInitialVersion(template);
 
   res.status(201).json({
     success: true,
@@ -206,11 +335,12 @@ export const createTemplate = asyncHandler(async (req, res) => {
  * Get notification templates (Admin only)
  */
 export const getTemplates = asyncHandler(async (req, res) => {
-  const { type, category, isActive } = req.query;
+  const { type, category, language, isActive } = req.query;
 
   const query = {};
   if (type) query.type = type;
   if (category) query.category = category;
+  if (language) query.language = language;
   if (isActive !== undefined) query.isActive = isActive === 'true';
 
   const templates = await NotificationTemplate.find(query)
@@ -243,18 +373,62 @@ export const getTemplateById = asyncHandler(async (req, res) => {
   });
 });
 
+// Template details that change in place - content changes always create a new version
+const TEMPLATE_DETAIL_FIELDS = ['name', 'description', 'category', 'language', 'isActive', 'tags', 'previewData'];
+
+/**
+ * Apply an admin edit to a template
+ * Content changes become a draft version, published straight away when `publish` is set and it validates
+ */
+const applyTemplateChanges = async (template, changes, userId) => {
+  const details = {};
+  for (const field of TEMPLATE_DETAIL_FIELDS) {
+    if (changes[field] !== undefined) details[field] = changes[field];
+  }
+
+  if (Object.keys(details).length > 0) {
+    template = await NotificationTemplate.findByIdAndUpdate(
+      template._id,
+      details,
+      { new: true, runValidators: true }
+    );
+  }
+
+  const content = pickVersionedContent(changes);
+  if (Object.keys(content).length === 0) return { template };
+
+  const version = await createTemplateDraft(template, content, { changeNote: changes.changeNote, userId });
+  if (!changes.publish) return { template, version };
+
+  const validation = validateVersionContent(version, template.type);
+  if (!validation.valid) return { template, version, validation };
+
+  return {
+    template: await publishTemplateVersion(template, version, userId),
+    version,
+    validation
+  };
+};
+
+/**
+ * Describe the outcome of a template edit
+ */
+const describeTemplateChanges = ({ version, validation }, fallback) => {
+  if (!version) return fallback;
+  if (validation && !validation.valid) return `Draft version ${version.version} created but failed validation, so it was not published`;
+  return version.status === 'published'
+    ? `Version ${version.version} published`
+    : `Draft version ${version.version} created`;
+};
+
 /**
  * Update template (Admin only)
+ * Details are updated in place, content edits create a draft version - pass publish: true to go live immediately
  */
 export const updateTemplate = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
 
-  const template = await NotificationTemplate.findByIdAndUpdate(
-    id,
-    updates,
-    { new: true, runValidators: true }
-  );
+  const template = await NotificationTemplate.findById(id);
 
   if (!template) {
     const error = new Error('Template not found');
@@ -262,10 +436,15 @@ export const updateTemplate = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  res.json({
-    success: true,
-    message: 'Template updated',
-    template
+  const result = await applyTemplateChanges(template, req.body, req.user.id);
+  const rejected = result.validation && !result.validation.valid;
+
+  res.status(rejected ? 400 : 200).json({
+    success: !rejected,
+    message: describeTemplateChanges(result, 'Template updated'),
+    template: result.template,
+    ...(result.version && { version: result.version }),
+    ...(result.validation && { validation: result.validation })
   });
 });
 
@@ -283,20 +462,121 @@ export const deleteTemplate = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  await NotificationTemplateVersion.deleteMany({ templateId: template._id });
+
   res.json({
     success: true,
     message: 'Template deleted'
   });
 });
 
+/**
+ * Get all language variants of a template (Admin only)
+ */
+export const getTemplateTranslations = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const template = await NotificationTemplate.findById(id);
+
+  if (!template) {
+    const error = new Error('Template not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const translations = await NotificationTemplate.find({ name: template.name, type: template.type })
+    .sort({ language: 1 })
+    .select('-__v');
+
+  const translated = translations.map(translation => translation.language);
+
+  res.json({
+    success: true,
+    translations,
+    missingLanguages: SUPPORTED_LANGUAGES.filter(language => !translated.includes(language))
+  });
+});
+
+/**
+ * Create or update a template's translation for a language (Admin only)
+ * Updates to an existing translation are versioned like any other template edit
+ */
+export const upsertTemplateTranslation = asyncHandler(async (req, res) => {
+  const { id, language } = req.params;
+  const { subject, body, htmlBody, description, isActive, changeNote, publish } = req.body;
+
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    const error = new Error(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const template = await NotificationTemplate.findById(id);
+
+  if (!template) {
+    const error = new Error('Template not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const translation = await NotificationTemplate.findOne({ name: template.name, type: template.type, language });
+
+  if (translation) {
+    const result = await applyTemplateChanges(
+      translation,
+      { subject, body, htmlBody, description, isActive, changeNote, publish },
+      req.user.id
+    );
+    const rejected = result.validation && !result.validation.valid;
+
+    return res.status(rejected ? 400 : 200).json({
+      success: !rejected,
+      message: describeTemplateChanges(result, 'Template translation updated'),
+      template: result.template,
+      ...(result.version && { version: result.version }),
+      ...(result.validation && { validation: result.validation })
+    });
+  }
+
+  // Translations share the name, type, category and variables of the template they translate
+  const created = new NotificationTemplate({
+    name: template.name,
+    type: template.type,
+    category: template.category,
+    variables: template.variables,
+    tags: template.tags,
+    previewData: template.previewData,
+    description: template.description,
+    language
+  });
+
+  if (subject !== undefined) created.subject = subject;
+  if (body !== undefined) created.body = body;
+  if (htmlBody !== undefined) created.htmlBody = htmlBody;
+  if (description !== undefined) created.description = description;
+  if (isActive !== undefined) created.isActive = isActive;
+
+  await created.save();
+  await ensureInitialVersion(created);
+
+  res.status(201).json({
+    success: true,
+    message: 'Template translation created',
+    template: created
+  });
+});
+
 /**
  * Preview template (Admin only)
+ * Pass ?language= to preview a translation - missing translations fall back to English
+ * Pass ?version= to preview a draft or earlier version of this template instead of the published one
  */
 export const previewTemplateById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { language, version } = req.query;
   const sampleData = req.body;
 
-  const template = await NotificationTemplate.findById(id);
+  let template = await NotificationTemplate.findById(id);
 
   if (!template) {
     const error = new Error('Template not found');
@@ -304,30 +584,55 @@ export const previewTemplateById = asyncHandler(async (req, res) => {
     throw error;
   }
 
+  if (language && !SUPPORTED_LANGUAGES.includes(language)) {
+    const error = new Error(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Version numbers belong to a single language variant
+  if (language && version) {
+    const error = new Error('Preview either a language or a version, not both');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (language && language !== template.language) {
+    template = await findLocalizedTemplate(template.name, template.type, language) || template;
+  }
+
+  const content = version ? await findTemplateVersion(template, version) : template;
+  const previewLanguage = template.language || DEFAULT_LANGUAGE;
+
   let preview;
   if (template.type === 'email') {
     preview = {
-      subject: previewTemplate(template.subject, sampleData),
-      textBody: previewTemplate(template.body, sampleData),
-      htmlBody: previewTemplate(template.htmlBody || template.body, sampleData)
+      subject: previewTemplate(content.subject, sampleData, previewLanguage),
+      textBody: previewTemplate(content.body, sampleData, previewLanguage),
+      htmlBody: previewTemplate(content.htmlBody || content.body, sampleData, previewLanguage)
     };
   } else {
     preview = {
-      content: previewTemplate(template.body, sampleData)
+      content: previewTemplate(content.body, sampleData, previewLanguage)
     };
   }
 
   res.json({
     success: true,
+    language: previewLanguage,
+    fallback: Boolean(language) && previewLanguage !== language,
+    version: content.version,
     preview
   });
 });
 
 /**
- * Validate template (Admin only)
+ * Validate template and its translations (Admin only)
+ * Pass ?version= to check a draft before publishing it
  */
 export const validateTemplateById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { version } = req.query;
 
   const template = await NotificationTemplate.findById(id);
 
@@ -337,11 +642,367 @@ export const validateTemplateById = asyncHandler(async (req, res) => {
     throw error;
   }
 
-  const validation = validateTemplate(template.body, template.variables || []);
+  if (version) {
+    const templateVersion = await findTemplateVersion(template, version);
+
+    return res.json({
+      success: true,
+      version: templateVersion.version,
+      validation: validateVersionContent(templateVersion, template.type)
+    });
+  }
+
+  const requiredVariables = (template.variables || [])
+    .filter(variable => variable.required)
+    .map(variable => variable.name);
+
+  const translations = await NotificationTemplate.find({ name: template.name, type: template.type });
+
+  const byLanguage = {};
+  for (const translation of translations) {
+    const { valid, missingVariables, error } = validateTemplate(translation.body, requiredVariables);
+    byLanguage[translation.language] = { valid, missingVariables, error };
+  }
+
+  const translated = Object.keys(byLanguage);
 
   res.json({
     success: true,
-    validation
+    validation: byLanguage[template.language],
+    translations: byLanguage,
+    missingLanguages: SUPPORTED_LANGUAGES.filter(language => !translated.includes(language))
+  });
+});
+
+/**
+ * Load a template for the version routes, or fail with a 404
+ */
+const findTemplateOrFail = async (id) => {
+  const template = await NotificationTemplate.findById(id);
+
+  if (!template) {
+    const error = new Error('Template not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return template;
+};
+
+/**
+ * Load one version of a template - templates from before versioning get their history started first
+ */
+const findTemplateVersion = async (template, version) => {
+  if (!Number.isInteger(Number(version)) || Number(version) < 1) {
+    const error = new Error('version must be a positive whole number');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await ensureInitialVersion(template);
+
+  const templateVersion = await NotificationTemplateVersion.findOne({
+    templateId: template._id,
+    version: Number(version)
+  });
+
+  if (!templateVersion) {
+    const error = new Error('Template version not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return templateVersion;
+};
+
+/**
+ * Get a template's version history (Admin only)
+ */
+export const getTemplateVersions = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const template = await findTemplateOrFail(req.params.id);
+  await ensureInitialVersion(template);
+
+  const query = { templateId: template._id };
+  if (status) query.status = status;
+
+  const versions = await NotificationTemplateVersion.find(query)
+    .sort({ version: -1 })
+    .select('-__v');
+
+  res.json({
+    success: true,
+    publishedVersion: template.version,
+    versions
+  });
+});
+
+/**
+ * Get a single template version (Admin only)
+ */
+export const getTemplateVersionById = asyncHandler(async (req, res) => {
+  const template = await findTemplateOrFail(req.params.id);
+  const version = await findTemplateVersion(template, req.params.version);
+
+  res.json({
+    success: true,
+    version
+  });
+});
+
+/**
+ * Create a draft version of a template (Admin only)
+ * Fields left out carry over from the published version
+ */
+export const createTemplateVersion = asyncHandler(async (req, res) => {
+  const { changeNote } = req.body;
+
+  const template = await findTemplateOrFail(req.params.id);
+  const content = pickVersionedContent(req.body);
+
+  if (Object.keys(content).length === 0) {
+    const error = new Error('Provide at least one of subject, body, htmlBody or variables');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const version = await createTemplateDraft(template, content, { changeNote, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: `Draft version ${version.version} created`,
+    version
+  });
+});
+
+/**
+ * Publish a template version, making it the content every new notification renders with (Admin only)
+ */
+export const publishTemplateVersionById = asyncHandler(async (req, res) => {
+  const template = await findTemplateOrFail(req.params.id);
+  const version = await findTemplateVersion(template, req.params.version);
+
+  if (version.status === 'published') {
+    const error = new Error(`Version ${version.version} is already published`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Earlier versions go through rollback so the history records them being restored
+  if (version.status === 'archived') {
+    const error = new Error(`Version ${version.version} was published before - roll back to it instead`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const validation = validateVersionContent(version, template.type);
+
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      message: `Version ${version.version} failed validation`,
+      validation
+    });
+  }
+
+  const published = await publishTemplateVersion(template, version, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Version ${version.version} published`,
+    template: published,
+    version
+  });
+});
+
+/**
+ * Roll a template back to any earlier version (Admin only)
+ * The old content is republished as a new version, so the rollback shows up in the history
+ */
+export const rollbackTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findTemplateOrFail(req.params.id);
+  const target = await findTemplateVersion(template, req.params.version);
+
+  if (target.version === template.version) {
+    const error = new Error(`Version ${target.version} is already published`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const validation = validateVersionContent(target, template.type);
+
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      message: `Version ${target.version} failed validation`,
+      validation
+    });
+  }
+
+  const { template: published, version } = await rollbackTemplate(template, target, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Rolled back to version ${target.version} as version ${version.version}`,
+    template: published,
+    version
+  });
+});
+
+/**
+ * Diff a template version against another version (Admin only)
+ * Compares against the published version unless ?against= is given
+ */
+export const diffTemplateVersionById = asyncHandler(async (req, res) => {
+  const template = await findTemplateOrFail(req.params.id);
+  const version = await findTemplateVersion(template, req.params.version);
+  const against = await findTemplateVersion(template, req.query.against || template.version);
+
+  res.json({
+    success: true,
+    from: against.version,
+    to: version.version,
+    ...diffTemplateVersions(against, version)
+  });
+});
+
+/**
+ * Discard a draft version (Admin only)
+ */
+export const deleteTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findTemplateOrFail(req.params.id);
+  const version = await findTemplateVersion(template, req.params.version);
+
+  // Published and archived versions are history that sent notifications point to
+  if (version.status !== 'draft') {
+    const error = new Error('Only draft versions can be deleted');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await version.deleteOne();
+
+  res.json({
+    success: true,
+    message: `Draft version ${version.version} deleted`
+  });
+});
+
+// Statuses of notifications the retry worker has given up on or is still retrying
+const FAILURE_STATUSES = ['failed', 'dead_letter'];
+
+/**
+ * Get failed and dead-lettered notifications (Admin only)
+ */
+export const getFailedNotifications = asyncHandler(async (req, res) => {
+  const { status, type, category, userId } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (status && !FAILURE_STATUSES.includes(status)) {
+    const error = new Error(`status must be one of: ${FAILURE_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { status: status || { $in: FAILURE_STATUSES } };
+  if (type) query.type = type;
+  if (category) query.category = category;
+  if (userId) query.userId = userId;
+
+  const [notifications, total, counts] = await Promise.all([
+    Notification.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v -htmlMessage'),
+    Notification.countDocuments(query),
+    Notification.aggregate([
+      { $match: { status: { $in: FAILURE_STATUSES } } },
+      { $group: { _id: { status: '$status', type: '$type' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const summary = { failed: {}, dead_letter: {} };
+  counts.forEach(({ _id, count }) => {
+    summary[_id.status][_id.type] = count;
+  });
+
+  res.json({
+    success: true,
+    notifications,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    summary
+  });
+});
+
+/**
+ * Replay a failed or dead-lettered notification now (Admin only)
+ */
+export const replayFailedNotification = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // A replay starts with a fresh retry budget
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, status: { $in: FAILURE_STATUSES } },
+    { status: 'pending', retryCount: 0, $unset: { nextRetryAt: 1, deadLetteredAt: 1 } },
+    { new: true }
+  );
+
+  if (!notification) {
+    const error = new Error('Failed notification not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  try {
+    await deliverNotification(notification);
+  } catch (error) {
+    // Delivery records its own failures - this covers errors before the provider was reached
+    if (!error.notificationId) {
+      await markNotificationFailed(notification, error.message);
+    }
+  }
+
+  const replayed = await Notification.findById(id).select('-__v -htmlMessage');
+
+  res.json({
+    success: replayed.status === 'sent',
+    message: replayed.status === 'sent'
+      ? 'Notification replayed successfully'
+      : `Replay failed: ${replayed.errorMessage}`,
+    notification: replayed
+  });
+});
+
+/**
+ * Cancel a failed or dead-lettered notification (Admin only)
+ */
+export const cancelFailedNotification = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, status: { $in: FAILURE_STATUSES } },
+    { status: 'cancelled', $unset: { nextRetryAt: 1 } },
+    { new: true }
+  ).select('-__v -htmlMessage');
+
+  if (!notification) {
+    const error = new Error('Failed notification not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification cancelled',
+    notification
   });
 });
 
@@ -351,7 +1012,8 @@ export const validateTemplateById = asyncHandler(async (req, res) => {
 export const getAnalytics = asyncHandler(async (req, res) => {
   const { startDate, endDate, type, category } = req.query;
 
-  const matchStage = { createdAt: {} };
+  const matchStage = {};
+  if (startDate || endDate) matchStage.createdAt = {};
   if (startDate) matchStage.createdAt.$gte = new Date(startDate);
   if (endDate) matchStage.createdAt.$lte = new Date(endDate);
   if (type) matchStage.type = type;
@@ -422,9 +1084,13 @@ export const getAnalytics = asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Delivery, open and bounce rates from provider webhooks and first-party tracking
+  const email = await calculateEmailEngagement(matchStage);
+
   res.json({
     success: true,
     analytics,
-    overall: overallStats[0] || {}
+    overall: overallStats[0] || {},
+    email
   });
 });
@@ -0,0 +1,193 @@
+import { z } from 'zod';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { asyncHandler } from '../middlewares/asyncHandler.js';
+import {
+  verifyPreferenceToken,
+  unsubscribeFromCategory,
+  resubscribeToCategory,
+  UNSUBSCRIBABLE_CATEGORIES
+} from '../services/unsubscribeService.js';
+
+// Settings a preference-center link may change - devices stay behind login
+const PREFERENCE_CENTER_FIELDS = ['notificationsEnabled', 'email', 'sms', 'push', 'inApp', 'quietHours'];
+
+const NOTIFICATION_CATEGORIES = NotificationPreference.schema
+  .path('unsubscribedCategories').schema.path('category').enumValues;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const channelSettingsSchema = z.object({
+  enabled: z.boolean().optional(),
+  frequency: z.enum(['immediate', 'daily', 'weekly', 'never']).optional(),
+  categories: z.partialRecord(z.enum(NOTIFICATION_CATEGORIES), z.boolean()).optional()
+}).strict();
+
+const timeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in 24-hour HH:mm format');
+const categoryListSchema = z.preprocess(
+  value => [].concat(value),
+  z.array(z.enum(UNSUBSCRIBABLE_CATEGORIES, { error: `Categories must be one of ${UNSUBSCRIBABLE_CATEGORIES.join(', ')}` }))
+);
+
+// Only the preference-center settings may be sent - unknown fields such as devices are rejected
+const preferenceCenterUpdateSchema = z.object({
+  token: z.string().optional(),
+  notificationsEnabled: z.boolean().optional(),
+  email: channelSettingsSchema.optional(),
+  sms: channelSettingsSchema.optional(),
+  push: channelSettingsSchema.optional(),
+  inApp: channelSettingsSchema.optional(),
+  quietHours: z.object({
+    enabled: z.boolean().optional(),
+    startTime: timeOfDaySchema.optional(),
+    endTime: timeOfDaySchema.optional(),
+    timezone: z.string().refine(isTimeZone, 'Unknown timezone').optional()
+  }).strict().optional(),
+  unsubscribe: categoryListSchema.optional(),
+  resubscribe: categoryListSchema.optional()
+}).strict();
+
+/**
+ * Minimal standalone page for unsubscribe links opened in a browser
+ */
+const renderPage = (title, content) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title} - MedicineFinder</title>
+</head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#333;">
+  <h2>${title}</h2>
+  ${content}
+</body>
+</html>`;
+
+/**
+ * Read the token of an unsubscribe link, answering with an error page for browsers
+ */
+const readUnsubscribeToken = (req, res) => {
+  const token = req.query.token || req.body?.token;
+
+  try {
+    if (!token) throw Object.assign(new Error('No token provided'), { statusCode: 401 });
+    return { token, ...verifyPreferenceToken(token) };
+  } catch (error) {
+    if (req.accepts(['json', 'html']) === 'html') {
+      res.status(error.statusCode || 400).send(renderPage('Link not valid', `<p>${error.message}. Use the link from a more recent email, or manage your preferences from your account.</p>`));
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Only hand back the settings the preference center manages
+ */
+const toPreferenceCenterView = (preferences, category) => {
+  const source = preferences?.toObject ? preferences.toObject() : (preferences || {});
+  const view = { category };
+
+  for (const field of PREFERENCE_CENTER_FIELDS) {
+    if (source[field] !== undefined) view[field] = source[field];
+  }
+  view.unsubscribedCategories = source.unsubscribedCategories || [];
+  view.unsubscribableCategories = UNSUBSCRIBABLE_CATEGORIES;
+
+  return view;
+};
+
+/**
+ * Confirmation page for an unsubscribe link (Public)
+ * Opening the link never unsubscribes on its own, so mail scanners that prefetch links change nothing
+ */
+export const showUnsubscribePage = asyncHandler(async (req, res) => {
+  const link = readUnsubscribeToken(req, res);
+  if (!link) return;
+
+  res.send(renderPage(
+    `Unsubscribe from ${link.category} emails`,
+    `<p>You will no longer receive ${link.category} notifications from MedicineFinder.</p>
+  <form method="POST" action="?token=${link.token}">
+    <input type="text" name="reason" placeholder="Reason (optional)" maxlength="200" style="width:100%;padding:8px;margin-bottom:12px;">
+    <button type="submit" style="padding:10px 20px;">Unsubscribe</button>
+  </form>`
+  ));
+});
+
+/**
+ * Unsubscribe from the link's category - also the RFC 8058 one-click target (Public)
+ */
+export const unsubscribe = asyncHandler(async (req, res) => {
+  const link = readUnsubscribeToken(req, res);
+  if (!link) return;
+
+  const reason = req.body?.['List-Unsubscribe'] === 'One-Click'
+    ? 'one_click'
+    : (req.body?.reason?.toString().trim().slice(0, 200) || 'email_link');
+
+  await unsubscribeFromCategory(link.userId, link.category, reason);
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.send(renderPage(
+      'You have been unsubscribed',
+      `<p>You will no longer receive ${link.category} notifications from MedicineFinder. You can turn them back on from your notification preferences.</p>`
+    ));
+  }
+
+  res.json({
+    success: true,
+    message: `Unsubscribed from ${link.category} notifications`
+  });
+});
+
+/**
+ * Get preferences with a preference-center link token (Token)
+ */
+export const getPreferenceCenter = asyncHandler(async (req, res) => {
+  const { userId, category } = req.preferenceToken;
+
+  const preferences = await NotificationPreference.findOne({ userId });
+
+  res.json({
+    success: true,
+    preferences: toPreferenceCenterView(preferences, category)
+  });
+});
+
+/**
+ * Update preferences with a preference-center link token (Token)
+ * Nested settings are merged, so sending { email: { enabled: false } } keeps the email categories
+ */
+export const updatePreferenceCenter = asyncHandler(async (req, res) => {
+  const { userId, category } = req.preferenceToken;
+  const updates = preferenceCenterUpdateSchema.parse(req.body ?? {});
+  const { unsubscribe: unsubscribeCategories = [], resubscribe = [] } = updates;
+
+  for (const item of unsubscribeCategories) {
+    await unsubscribeFromCategory(userId, item, 'preference_center');
+  }
+  for (const item of resubscribe) {
+    await resubscribeToCategory(userId, item);
+  }
+
+  const preferences = await NotificationPreference.findOne({ userId })
+    || new NotificationPreference({ userId });
+
+  for (const field of PREFERENCE_CENTER_FIELDS) {
+    if (updates[field] !== undefined) preferences.set(field, updates[field], { merge: true });
+  }
+  await preferences.save();
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    preferences: toPreferenceCenterView(preferences, category)
+  });
+});
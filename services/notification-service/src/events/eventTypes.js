@@ -3,6 +3,9 @@ export const TOPICS = {
   USER_EVENTS: 'user-events',
   AUTH_EVENTS: 'auth-events',
   SYSTEM_EVENTS: 'system-events',
+  INVENTORY_EVENTS: 'inventory-events',
+  SHOP_EVENTS: 'shop-events',
+  ORDER_EVENTS: 'order-events',
   NOTIFICATION_EVENTS: 'notification-events'
 };
 
@@ -23,6 +26,24 @@ export const EVENT_TYPES = {
   TWO_FA_ENABLED: 'auth.two_fa_enabled',
   TWO_FA_DISABLED: 'auth.two_fa_disabled',
 
+  // Inventory Events
+  LOW_STOCK_ALERT: 'inventory.low_stock_alert',
+  EXPIRY_ALERT: 'inventory.expiry_alert',
+
+  // Shop Events
+  SHOP_VERIFIED: 'shop.verified',
+  SHOP_VERIFICATION_REJECTED: 'shop.verification_rejected',
+  SHOP_STATUS_CHANGED: 'shop.status_changed',
+
+  // Order Events
+  ORDER_PLACED: 'order.placed',
+  ORDER_CONFIRMED: 'order.confirmed',
+  ORDER_PACKED: 'order.packed',
+  ORDER_OUT_FOR_DELIVERY: 'order.out_for_delivery',
+  ORDER_DELIVERED: 'order.delivered',
+  ORDER_CANCELLED: 'order.cancelled',
+  ORDER_RIDER_ASSIGNED: 'order.rider_assigned',
+
   // System Events
   SERVICE_STARTED: 'system.service_started',
   SERVICE_STOPPED: 'system.service_stopped',
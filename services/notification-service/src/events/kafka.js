@@ -144,6 +144,51 @@ export const subscribeToTopic = async (topic, handler, groupId = null) => {
   }
 };
 
+/**
+ * Subscribe to multiple topics
+ */
+export const subscribeToTopics = async (topicHandlers, groupId = null) => {
+  try {
+    if (!consumer) {
+      await initKafkaConsumer(groupId);
+    }
+
+    // All topics must be subscribed before the consumer starts running
+    for (const topic of Object.keys(topicHandlers)) {
+      await consumer.subscribe({ topic, fromBeginning: false });
+    }
+
+    await consumer.run({
+      eachMessage: async ({ topic, partition, message }) => {
+        try {
+          const event = JSON.parse(message.value.toString());
+          const headers = message.headers || {};
+
+          console.log(`📥 Event received: ${event.type} from topic: ${topic}`);
+
+          const handler = topicHandlers[topic];
+          if (handler) {
+            await handler(event, {
+              topic,
+              partition,
+              offset: message.offset,
+              key: message.key?.toString(),
+              headers
+            });
+          }
+        } catch (error) {
+          console.error('❌ Error processing message:', error);
+        }
+      }
+    });
+
+    console.log(`📥 Subscribed to topics: ${Object.keys(topicHandlers).join(', ')}`);
+  } catch (error) {
+    console.error('❌ Failed to subscribe to topics:', error);
+    throw error;
+  }
+};
+
 /**
  * Close Kafka connections
  */
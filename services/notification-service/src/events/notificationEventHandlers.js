@@ -1,6 +1,9 @@
 import NotificationPreference from "../models/NotificationPreference.js";
 import { sendEmailNotification } from "../services/emailService.js";
 import { createInAppNotification } from "../services/inAppService.js";
+import { sendSmsNotification, formatPhoneNumber } from "../services/smsService.js";
+import { sendPushNotification } from "../services/pushService.js";
+import { getUserContact } from "../services/userService.js";
 import { EVENT_TYPES } from "./eventTypes.js";
 
 /**
@@ -27,6 +30,39 @@ export const handleNotificationEvents = async (event, messageInfo) => {
         await handlePasswordResetRequest(data, metadata);
         break;
 
+      case EVENT_TYPES.LOW_STOCK_ALERT:
+        await handleLowStockAlert(data, metadata);
+        break;
+
+      case EVENT_TYPES.EXPIRY_ALERT:
+        await handleExpiryAlert(data, metadata);
+        break;
+
+      case EVENT_TYPES.SHOP_VERIFIED:
+        await handleShopVerified(data, metadata);
+        break;
+
+      case EVENT_TYPES.SHOP_VERIFICATION_REJECTED:
+        await handleShopVerificationRejected(data, metadata);
+        break;
+
+      case EVENT_TYPES.SHOP_STATUS_CHANGED:
+        await handleShopStatusChanged(data, metadata);
+        break;
+
+      case EVENT_TYPES.ORDER_PLACED:
+      case EVENT_TYPES.ORDER_CONFIRMED:
+      case EVENT_TYPES.ORDER_PACKED:
+      case EVENT_TYPES.ORDER_OUT_FOR_DELIVERY:
+      case EVENT_TYPES.ORDER_DELIVERED:
+      case EVENT_TYPES.ORDER_CANCELLED:
+        await handleOrderUpdate(type, data, metadata);
+        break;
+
+      case EVENT_TYPES.ORDER_RIDER_ASSIGNED:
+        await handleRiderAssigned(data, metadata);
+        break;
+
       case EVENT_TYPES.SERVICE_STARTED:
         await handleServiceStarted(data, metadata);
         break;
@@ -201,6 +237,233 @@ const handlePasswordResetRequest = async (data, metadata) => {
   }
 };
 
+/**
+ * Handle low stock alert from medical shop service
+ */
+const handleLowStockAlert = async (data, metadata) => {
+  const { shopId, shopName, ownerId, medicineName, currentStock, threshold } = data;
+
+  try {
+    await notifyShopOwner(ownerId, {
+      template: "low_stock",
+      templateData: { shopId, shopName, medicineName, currentStock, threshold },
+      category: "system",
+      priority: currentStock === 0 ? "high" : "normal"
+    });
+
+    console.log(`✅ Low stock notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling low stock alert:', error);
+  }
+};
+
+/**
+ * Handle batch expiry alert from medical shop service
+ */
+const handleExpiryAlert = async (data, metadata) => {
+  const { shopId, shopName, ownerId, medicineName, batchNumber, expiryDate, daysToExpiry, quantity, expired } = data;
+
+  try {
+    await notifyShopOwner(ownerId, {
+      template: "expiry_warning",
+      templateData: { shopId, shopName, medicineName, batchNumber, expiryDate, daysToExpiry, quantity, expired },
+      category: "system",
+      priority: expired ? "high" : "normal"
+    });
+
+    console.log(`✅ Expiry notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling expiry alert:', error);
+  }
+};
+
+/**
+ * Handle shop verified event
+ */
+const handleShopVerified = async (data, metadata) => {
+  const { shopId, shopName, ownerId } = data;
+
+  try {
+    await notifyShopOwner(ownerId, {
+      template: "shop_verified",
+      templateData: { shopId, shopName },
+      category: "account"
+    });
+
+    console.log(`✅ Shop verified notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling shop verified:', error);
+  }
+};
+
+/**
+ * Handle shop verification rejected event
+ */
+const handleShopVerificationRejected = async (data, metadata) => {
+  const { shopId, shopName, ownerId, reason } = data;
+
+  try {
+    await notifyShopOwner(ownerId, {
+      template: "shop_verification_rejected",
+      templateData: { shopId, shopName, reason },
+      category: "account",
+      priority: "high"
+    });
+
+    console.log(`✅ Shop verification rejected notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling shop verification rejected:', error);
+  }
+};
+
+/**
+ * Handle shop status change event
+ */
+const handleShopStatusChanged = async (data, metadata) => {
+  const { shopId, shopName, ownerId, newStatus, reason } = data;
+
+  // Only suspensions are surfaced to the owner for now
+  if (newStatus !== 'suspended') return;
+
+  try {
+    await notifyShopOwner(ownerId, {
+      template: "shop_suspended",
+      templateData: { shopId, shopName, reason },
+      category: "account",
+      priority: "high"
+    });
+
+    console.log(`✅ Shop suspended notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling shop status change:', error);
+  }
+};
+
+/**
+ * Customer-facing wording for each order event
+ */
+const ORDER_STATUS_TEXT = {
+  [EVENT_TYPES.ORDER_PLACED]: "has been placed",
+  [EVENT_TYPES.ORDER_CONFIRMED]: "has been confirmed by the pharmacy",
+  [EVENT_TYPES.ORDER_PACKED]: "is packed and ready",
+  [EVENT_TYPES.ORDER_OUT_FOR_DELIVERY]: "is out for delivery",
+  [EVENT_TYPES.ORDER_DELIVERED]: "has been delivered",
+  [EVENT_TYPES.ORDER_CANCELLED]: "was cancelled"
+};
+
+/**
+ * Handle order status events - notify the customer in-app and by SMS
+ */
+const handleOrderUpdate = async (type, data, metadata) => {
+  const { orderId, orderNumber, userId, reason } = data;
+
+  if (type === EVENT_TYPES.ORDER_PLACED) {
+    await handleNewOrderForShop(data);
+  }
+
+  try {
+    const statusText = type === EVENT_TYPES.ORDER_CANCELLED && reason
+      ? `${ORDER_STATUS_TEXT[type]} (${reason})`
+      : ORDER_STATUS_TEXT[type];
+    const templateData = { orderId, orderNumber, statusText };
+    const priority = type === EVENT_TYPES.ORDER_CANCELLED ? "high" : "normal";
+
+    await sendOnChannel(`order in-app notification for order ${orderId}`, () => createInAppNotification({
+      userId,
+      template: "order_update",
+      templateData,
+      category: "transaction",
+      priority,
+      actionUrl: `/orders/${orderId}`,
+      actionText: "View order"
+    }));
+
+    await sendOnChannel(`order push for order ${orderId}`, () => sendPushNotification({
+      userId,
+      template: "order_update",
+      templateData,
+      category: "transaction",
+      priority,
+      actionUrl: `/orders/${orderId}`,
+      data: { orderId }
+    }));
+
+    await sendOnChannel(`order SMS for order ${orderId}`, async () => {
+      const customer = await getUserContact(userId);
+      const phone = formatPhoneNumber(customer?.mobile, customer?.countryCode);
+      if (!phone) return;
+
+      await sendSmsNotification({
+        userId,
+        recipient: phone,
+        template: "order_update",
+        templateData,
+        category: "transaction",
+        priority
+      });
+    });
+
+    console.log(`✅ Order update notifications sent for order: ${orderId}`);
+  } catch (error) {
+    console.error('Error handling order update:', error);
+  }
+};
+
+/**
+ * Alert the shop owner about a newly placed order
+ */
+const handleNewOrderForShop = async (data) => {
+  const { orderId, orderNumber, shopId, shopName, shopOwnerId, total, items = [] } = data;
+
+  try {
+    await notifyShopOwner(shopOwnerId, {
+      template: "new_order",
+      templateData: { orderId, orderNumber, shopId, shopName, total, itemCount: items.length },
+      category: "transaction",
+      priority: "high"
+    });
+
+    console.log(`✅ New order notifications sent for shop: ${shopId}`);
+  } catch (error) {
+    console.error('Error handling new order for shop:', error);
+  }
+};
+
+/**
+ * Offer a delivery to the rider it was assigned to
+ */
+const handleRiderAssigned = async (data, metadata) => {
+  const { orderId, orderNumber, riderId, shopName, deliveryAddress } = data;
+
+  try {
+    const templateData = { orderId, orderNumber, shopName, deliveryCity: deliveryAddress?.city };
+
+    await sendOnChannel(`delivery in-app notification to rider ${riderId}`, () => createInAppNotification({
+      userId: riderId,
+      template: "delivery_assignment",
+      templateData,
+      category: "transaction",
+      priority: "high",
+      actionUrl: `/deliveries/${orderId}`,
+      actionText: "View delivery"
+    }));
+
+    await sendOnChannel(`delivery push to rider ${riderId}`, () => sendPushNotification({
+      userId: riderId,
+      template: "delivery_assignment",
+      templateData,
+      category: "transaction",
+      priority: "high",
+      actionUrl: `/deliveries/${orderId}`,
+      data: { orderId }
+    }));
+
+    console.log(`✅ Delivery assignment notifications sent to rider: ${riderId}`);
+  } catch (error) {
+    console.error('Error handling rider assignment:', error);
+  }
+};
+
 /**
  * Handle service started event
  */
@@ -235,13 +498,61 @@ const checkNotificationPreference = async (userId, channel, category) => {
 };
 
 /**
- * Get user email (placeholder - you'd implement this to fetch from user service or cache)
+ * Get user email from auth service
  */
 const getUserEmail = async (userId) => {
-  // This is a placeholder - in production, you'd:
-  // 1. Call the user service API
-  // 2. Use a cached value
-  // 3. Query a local replica
-  // For now, return a placeholder
-  return `user${userId}@example.com`;
+  const contact = await getUserContact(userId);
+  return contact?.email;
+};
+
+/**
+ * Send on one channel, logging a failure so it does not stop the other channels
+ */
+const sendOnChannel = async (description, send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Error sending ${description}:`, error.message);
+  }
+};
+
+/**
+ * Deliver a templated notification to a shop owner by email, in-app and push
+ */
+const notifyShopOwner = async (ownerId, { template, templateData, category, priority = 'normal' }) => {
+  if (!ownerId) {
+    console.warn(`Cannot send '${template}' notification - event has no shop owner`);
+    return;
+  }
+
+  const owner = await getUserContact(ownerId);
+  const data = { ownerName: owner?.name, ...templateData };
+
+  if (owner?.email) {
+    await sendOnChannel(`'${template}' email to shop owner ${ownerId}`, () => sendEmailNotification({
+      userId: ownerId,
+      recipient: owner.email,
+      template,
+      templateData: data,
+      category,
+      priority
+    }));
+  }
+
+  await sendOnChannel(`'${template}' in-app notification to shop owner ${ownerId}`, () => createInAppNotification({
+    userId: ownerId,
+    template,
+    templateData: data,
+    category,
+    priority
+  }));
+
+  await sendOnChannel(`'${template}' push to shop owner ${ownerId}`, () => sendPushNotification({
+    userId: ownerId,
+    template,
+    templateData: data,
+    category,
+    priority,
+    data: { shopId: templateData.shopId }
+  }));
 };
@@ -0,0 +1,187 @@
+import cron from 'node-cron';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import { buildCampaignAudience, sendToCampaignRecipient } from '../services/campaignService.js';
+
+const CAMPAIGN_SCHEDULE = process.env.CAMPAIGN_WORKER_CRON || '* * * * *';
+const STALLED_AFTER_MINUTES = 15;
+
+let campaignTask = null;
+let isSending = false;
+
+/**
+ * Move due scheduled campaigns to sending - the atomic claim keeps concurrent instances from starting one twice
+ */
+const startDueCampaigns = async (now) => {
+  let started = 0;
+
+  while (await Campaign.findOneAndUpdate(
+    { status: 'scheduled', scheduledAt: { $lte: now } },
+    { status: 'sending', startedAt: now },
+    { sort: { scheduledAt: 1 }, new: true }
+  )) {
+    started++;
+  }
+
+  return started;
+};
+
+/**
+ * Mark recipients left mid-send by a crash or restart as failed rather than risk sending twice
+ */
+const recoverStalledRecipients = async (now) => {
+  const stalled = await CampaignRecipient.find({
+    status: 'processing',
+    updatedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MINUTES * 60 * 1000) }
+  });
+
+  for (const recipient of stalled) {
+    await CampaignRecipient.findByIdAndUpdate(recipient._id, { status: 'failed', processedAt: now });
+    await Campaign.findByIdAndUpdate(recipient.campaignId, { $inc: { 'stats.failed': 1 } });
+  }
+
+  return stalled.length;
+};
+
+/**
+ * Store a started campaign's audience, failing the campaign when its segment cannot be resolved
+ */
+const prepareCampaign = async (campaign) => {
+  try {
+    const recipients = await buildCampaignAudience(campaign);
+
+    await Campaign.findByIdAndUpdate(campaign._id, {
+      audienceBuiltAt: new Date(),
+      'stats.recipients': recipients
+    });
+
+    console.log(`📣 Campaign '${campaign.name}' audience built: ${recipients} recipient(s)`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to build audience for campaign '${campaign.name}':`, error.message);
+
+    await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'sending' },
+      { status: 'failed', errorMessage: `Audience could not be built: ${error.message}` }
+    );
+    return false;
+  }
+};
+
+/**
+ * Send to the campaign's next recipients, up to its per-minute throttle
+ */
+const sendCampaignBatch = async (campaign) => {
+  let processed = 0;
+
+  while (processed < campaign.throttlePerMinute) {
+    // Stop promptly when the campaign is cancelled mid-send
+    if (!(await Campaign.exists({ _id: campaign._id, status: 'sending' }))) break;
+
+    const recipient = await CampaignRecipient.findOneAndUpdate(
+      { campaignId: campaign._id, status: 'pending' },
+      { status: 'processing' },
+      { new: true }
+    );
+    if (!recipient) break;
+
+    processed++;
+
+    try {
+      await sendToCampaignRecipient(campaign, recipient);
+    } catch (error) {
+      console.error(`❌ Failed to send campaign '${campaign.name}' to user ${recipient.userId}:`, error.message);
+
+      await CampaignRecipient.findByIdAndUpdate(recipient._id, { status: 'failed', processedAt: new Date() });
+      await Campaign.findByIdAndUpdate(campaign._id, { $inc: { 'stats.failed': 1 } });
+    }
+  }
+
+  const remaining = await CampaignRecipient.exists({
+    campaignId: campaign._id,
+    status: { $in: ['pending', 'processing'] }
+  });
+
+  if (remaining) return { processed, completed: false };
+
+  const completed = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'sending' },
+    { status: 'completed', completedAt: new Date() },
+    { new: true }
+  );
+
+  if (completed) {
+    console.log(
+      `📣 Campaign '${completed.name}' completed: ${completed.stats.sent} sent, ` +
+      `${completed.stats.skipped} skipped, ${completed.stats.failed} failed`
+    );
+  }
+
+  return { processed, completed: Boolean(completed) };
+};
+
+/**
+ * Start due campaigns and send the next throttled batch of every campaign being sent
+ */
+export const runCampaignWorker = async () => {
+  // A slow run must not overlap with the next tick
+  if (isSending) return;
+  isSending = true;
+
+  const summary = { started: 0, recipients: 0, completed: 0, recovered: 0 };
+
+  try {
+    const now = new Date();
+
+    summary.started = await startDueCampaigns(now);
+    summary.recovered = await recoverStalledRecipients(now);
+
+    const campaigns = await Campaign.find({ status: 'sending' }).sort({ startedAt: 1 });
+
+    for (const campaign of campaigns) {
+      if (!campaign.audienceBuiltAt && !(await prepareCampaign(campaign))) continue;
+
+      const { processed, completed } = await sendCampaignBatch(campaign);
+      summary.recipients += processed;
+      if (completed) summary.completed++;
+    }
+
+    if (Object.values(summary).some(count => count > 0)) {
+      console.log(
+        `📣 Campaign run complete: ${summary.started} started, ${summary.recipients} recipients processed, ` +
+        `${summary.completed} completed, ${summary.recovered} recovered`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Campaign run failed:', error);
+  } finally {
+    isSending = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Start the campaign worker
+ */
+export const startCampaignWorker = () => {
+  if (campaignTask) return;
+
+  if (!cron.validate(CAMPAIGN_SCHEDULE)) {
+    console.warn(`⚠️ Invalid CAMPAIGN_WORKER_CRON '${CAMPAIGN_SCHEDULE}', campaign worker not started`);
+    return;
+  }
+
+  campaignTask = cron.schedule(CAMPAIGN_SCHEDULE, runCampaignWorker);
+  console.log(`⏰ Campaign worker running on schedule '${CAMPAIGN_SCHEDULE}'`);
+};
+
+/**
+ * Stop the campaign worker
+ */
+export const stopCampaignWorker = () => {
+  if (campaignTask) {
+    campaignTask.stop();
+    campaignTask = null;
+  }
+};
@@ -0,0 +1,207 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { planDelivery } from '../services/schedulingService.js';
+import { sendEmailNotification } from '../services/emailService.js';
+import { createInAppNotification } from '../services/inAppService.js';
+import { deliverNotification } from '../services/deliveryService.js';
+import { markNotificationFailed } from '../services/deliveryStatusService.js';
+
+const DISPATCH_SCHEDULE = process.env.NOTIFICATION_DISPATCH_CRON || '* * * * *';
+const DISPATCH_BATCH_SIZE = parseInt(process.env.NOTIFICATION_DISPATCH_BATCH_SIZE) || 100;
+const DIGEST_ITEM_LIMIT = 50;
+
+let dispatchTask = null;
+let isDispatching = false;
+
+/**
+ * Claim the next due notification so concurrent instances never send it twice
+ */
+const claimDueNotification = (now) => Notification.findOneAndUpdate(
+  { status: 'scheduled', scheduledAt: { $lte: now }, digest: null },
+  { status: 'pending' },
+  { sort: { scheduledAt: 1 }, new: true }
+);
+
+/**
+ * Re-check preferences for a due notification, then send, reschedule or cancel it
+ */
+const dispatchNotification = async (notification) => {
+  const { userId } = notification;
+
+  // SMS is opt-in, so users without saved preferences get the schema defaults
+  const preferences = await NotificationPreference.findOne({ userId })
+    || (notification.type === 'sms' ? new NotificationPreference({ userId }) : null);
+
+  const plan = planDelivery(preferences, notification.type, notification.category, notification.priority);
+
+  if (plan.action === 'skip') {
+    await Notification.findByIdAndUpdate(notification._id, {
+      status: 'cancelled',
+      errorMessage: 'Cancelled by notification preferences'
+    });
+    return 'cancelled';
+  }
+
+  if (plan.action !== 'send') {
+    await Notification.findByIdAndUpdate(notification._id, {
+      status: 'scheduled',
+      scheduledAt: plan.scheduledAt,
+      ...(plan.digest && { digest: plan.digest })
+    });
+    return 'rescheduled';
+  }
+
+  await deliverNotification(notification);
+  return 'sent';
+};
+
+/**
+ * Batch a user's due notifications for one channel into a single digest
+ */
+const sendDigest = async ({ userId, type, digest }, now) => {
+  // Claim the items under a temporary id so concurrent instances never digest them twice
+  const claimId = new mongoose.Types.ObjectId();
+  const claimed = await Notification.updateMany(
+    { userId, type, digest, status: 'scheduled', scheduledAt: { $lte: now } },
+    { status: 'digested', digestId: claimId }
+  );
+
+  if (claimed.modifiedCount === 0) return null;
+
+  const items = await Notification.find({ digestId: claimId }).sort({ createdAt: 1 });
+
+  const templateData = {
+    period: digest,
+    count: items.length,
+    items: items.slice(0, DIGEST_ITEM_LIMIT).map(item => ({
+      title: item.title,
+      message: item.message,
+      category: item.category,
+      createdAt: item.createdAt,
+      actionUrl: item.templateData?.actionUrl
+    })),
+    moreCount: Math.max(0, items.length - DIGEST_ITEM_LIMIT)
+  };
+
+  try {
+    // Items were checked against preferences when they were queued
+    const result = type === 'email'
+      ? await sendEmailNotification({
+        userId,
+        recipient: items[items.length - 1].recipient,
+        template: 'digest',
+        templateData,
+        category: 'system',
+        immediate: true
+      })
+      : await createInAppNotification({
+        userId,
+        template: 'digest',
+        templateData,
+        category: 'system',
+        immediate: true
+      });
+
+    await Notification.updateMany({ digestId: claimId }, { digestId: result.notificationId });
+    return result;
+  } catch (error) {
+    // The digest was stored before the provider failed - the retry worker takes it from here
+    if (error.notificationId) {
+      await Notification.updateMany({ digestId: claimId }, { digestId: error.notificationId });
+      throw error;
+    }
+
+    await Notification.updateMany(
+      { digestId: claimId },
+      { status: 'failed', errorMessage: `Digest delivery failed: ${error.message}` }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Send due scheduled notifications and digests
+ */
+export const runNotificationDispatch = async () => {
+  // A slow run must not overlap with the next tick
+  if (isDispatching) return;
+  isDispatching = true;
+
+  const summary = { sent: 0, rescheduled: 0, cancelled: 0, failed: 0, digests: 0 };
+
+  try {
+    const now = new Date();
+
+    for (let i = 0; i < DISPATCH_BATCH_SIZE; i++) {
+      const notification = await claimDueNotification(now);
+      if (!notification) break;
+
+      try {
+        summary[await dispatchNotification(notification)]++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to dispatch notification ${notification._id}:`, error.message);
+
+        // Delivery marks its own failures - this covers errors before the provider was reached
+        if (!error.notificationId) {
+          await markNotificationFailed(notification, error.message);
+        }
+      }
+    }
+
+    const digestGroups = await Notification.aggregate([
+      { $match: { status: 'scheduled', digest: { $ne: null }, scheduledAt: { $lte: now } } },
+      { $group: { _id: { userId: '$userId', type: '$type', digest: '$digest' } } },
+      { $limit: DISPATCH_BATCH_SIZE }
+    ]);
+
+    for (const group of digestGroups) {
+      try {
+        if (await sendDigest(group._id, now)) summary.digests++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Failed to send ${group._id.digest} ${group._id.type} digest to user ${group._id.userId}:`, error.message);
+      }
+    }
+
+    if (Object.values(summary).some(count => count > 0)) {
+      console.log(
+        `📬 Notification dispatch complete: ${summary.sent} sent, ${summary.digests} digests, ` +
+        `${summary.rescheduled} rescheduled, ${summary.cancelled} cancelled, ${summary.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Notification dispatch failed:', error);
+  } finally {
+    isDispatching = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Start the scheduled notification dispatcher
+ */
+export const startNotificationDispatcher = () => {
+  if (dispatchTask) return;
+
+  if (!cron.validate(DISPATCH_SCHEDULE)) {
+    console.warn(`⚠️ Invalid NOTIFICATION_DISPATCH_CRON '${DISPATCH_SCHEDULE}', dispatcher not started`);
+    return;
+  }
+
+  dispatchTask = cron.schedule(DISPATCH_SCHEDULE, runNotificationDispatch);
+  console.log(`⏰ Notification dispatcher running on schedule '${DISPATCH_SCHEDULE}'`);
+};
+
+/**
+ * Stop the scheduled notification dispatcher
+ */
+export const stopNotificationDispatcher = () => {
+  if (dispatchTask) {
+    dispatchTask.stop();
+    dispatchTask = null;
+  }
+};
@@ -0,0 +1,110 @@
+import cron from 'node-cron';
+import Notification from '../models/Notification.js';
+import { deliverNotification } from '../services/deliveryService.js';
+import { markNotificationFailed } from '../services/deliveryStatusService.js';
+
+const RETRY_SCHEDULE = process.env.NOTIFICATION_RETRY_CRON || '* * * * *';
+const RETRY_BATCH_SIZE = parseInt(process.env.NOTIFICATION_RETRY_BATCH_SIZE) || 50;
+const STALLED_AFTER_MINUTES = 15;
+
+let retryTask = null;
+let isRetrying = false;
+
+/**
+ * Claim the next failed notification whose backoff has elapsed
+ */
+const claimRetryableNotification = (now) => Notification.findOneAndUpdate(
+  { status: 'failed', nextRetryAt: { $lte: now } },
+  { status: 'pending', $unset: { nextRetryAt: 1 } },
+  { sort: { nextRetryAt: 1 }, new: true }
+);
+
+/**
+ * Count sends interrupted by a crash or restart as a failed attempt so they get retried
+ */
+const recoverStalledNotifications = async (now) => {
+  const stalled = await Notification.find({
+    status: 'pending',
+    updatedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MINUTES * 60 * 1000) }
+  }).limit(RETRY_BATCH_SIZE);
+
+  for (const notification of stalled) {
+    await markNotificationFailed(notification, 'Delivery interrupted before completion');
+  }
+
+  return stalled.length;
+};
+
+/**
+ * Re-attempt failed notifications that are due for a retry
+ */
+export const runNotificationRetries = async () => {
+  // A slow run must not overlap with the next tick
+  if (isRetrying) return;
+  isRetrying = true;
+
+  const summary = { recovered: 0, retried: 0, delivered: 0, failed: 0 };
+
+  try {
+    const now = new Date();
+
+    summary.recovered = await recoverStalledNotifications(now);
+
+    for (let i = 0; i < RETRY_BATCH_SIZE; i++) {
+      const notification = await claimRetryableNotification(now);
+      if (!notification) break;
+
+      summary.retried++;
+
+      try {
+        await deliverNotification(notification);
+        summary.delivered++;
+      } catch (error) {
+        summary.failed++;
+
+        // Delivery records its own failures - this covers errors before the provider was reached
+        if (!error.notificationId) {
+          await markNotificationFailed(notification, error.message);
+        }
+      }
+    }
+
+    if (summary.retried > 0 || summary.recovered > 0) {
+      console.log(
+        `🔁 Notification retries complete: ${summary.retried} retried, ` +
+        `${summary.delivered} delivered, ${summary.failed} failed, ${summary.recovered} recovered`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Notification retry run failed:', error);
+  } finally {
+    isRetrying = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Start the failed notification retry worker
+ */
+export const startNotificationRetryWorker = () => {
+  if (retryTask) return;
+
+  if (!cron.validate(RETRY_SCHEDULE)) {
+    console.warn(`⚠️ Invalid NOTIFICATION_RETRY_CRON '${RETRY_SCHEDULE}', retry worker not started`);
+    return;
+  }
+
+  retryTask = cron.schedule(RETRY_SCHEDULE, runNotificationRetries);
+  console.log(`⏰ Notification retry worker running on schedule '${RETRY_SCHEDULE}'`);
+};
+
+/**
+ * Stop the failed notification retry worker
+ */
+export const stopNotificationRetryWorker = () => {
+  if (retryTask) {
+    retryTask.stop();
+    retryTask = null;
+  }
+};
@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import { verifyPreferenceToken } from "../services/unsubscribeService.js";
 
 export const protect = (req, res, next) => {
   const header = req.headers.authorization;
@@ -19,6 +20,27 @@ export const protect = (req, res, next) => {
   }
 };
 
+// Same JWT check as protect, but also accepts ?token= because browser
+// EventSource connections cannot set an Authorization header
+export const protectStream = (req, res, next) => {
+  const header = req.headers.authorization;
+  const token = header?.startsWith("Bearer ") ? header.split(" ")[1] : req.query.token;
+
+  if (!token) {
+    const error = new Error("No token provided");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    next();
+  } catch (err) {
+    err.statusCode = 401;
+    throw err;
+  }
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -36,3 +58,39 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+// Signed link token from an email (?token=, X-Preference-Token header or body),
+// letting recipients manage preferences without logging in
+export const protectPreferenceToken = (req, res, next) => {
+  const token = req.query.token || req.headers["x-preference-token"] || req.body?.token;
+
+  if (!token) {
+    const error = new Error("No token provided");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  req.preferenceToken = verifyPreferenceToken(token);
+  next();
+};
+
+// Shared secret configured on the provider's webhook (Authorization: Bearer or ?token=)
+export const protectWebhook = (req, res, next) => {
+  const secret = process.env.BREVO_WEBHOOK_SECRET;
+  if (!secret) {
+    const error = new Error("Webhook secret not configured");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const header = req.headers.authorization;
+  const token = header?.startsWith("Bearer ") ? header.split(" ")[1] : req.query.token;
+
+  if (token !== secret) {
+    const error = new Error("Invalid webhook token");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  next();
+};
@@ -7,6 +7,12 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(400).json({ message: firstIssue });
   }
 
+  // Mongoose validation error
+  if (err.name === "ValidationError") {
+    const firstError = Object.values(err.errors || {})[0]?.message || "Validation failed";
+    return res.status(400).json({ message: firstError });
+  }
+
   // Mongoose duplicate key error
   if (err.code === 11000) {
     const field = Object.keys(err.keyValue)[0];
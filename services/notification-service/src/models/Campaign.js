@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+
+const campaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    description: {
+      type: String,
+      trim: true
+    },
+
+    // Template name - each channel renders its own template type in the recipient's language
+    template: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    channels: {
+      type: [{
+        type: String,
+        enum: ["email", "sms", "push", "in_app"]
+      }],
+      validate: {
+        validator: (channels) => channels.length > 0,
+        message: "At least one channel is required"
+      }
+    },
+
+    category: {
+      type: String,
+      enum: ["account", "security", "marketing", "transaction", "system", "reminder"],
+      default: "marketing"
+    },
+
+    // Shared template variables - each recipient's name is added when sending
+    templateData: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    actionUrl: {
+      type: String,
+      trim: true
+    },
+
+    // Audience - every criterion given must match
+    segment: {
+      roles: [{
+        type: String,
+        enum: ["user", "shop-owner", "admin", "rider"]
+      }],
+      cities: [{
+        type: String,
+        trim: true
+      }],
+      languages: [{
+        type: String,
+        enum: ["en", "hi", "bn", "te", "mr", "ta", "gu"]
+      }],
+      // Owners of active, verified shops within a radius of a point
+      nearShops: {
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 },
+        radiusKm: { type: Number, min: 1, max: 100 }
+      }
+    },
+
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "sending", "completed", "cancelled", "failed"],
+      default: "draft"
+    },
+
+    scheduledAt: {
+      type: Date
+    },
+
+    // Recipients sent to per minute
+    throttlePerMinute: {
+      type: Number,
+      min: 1,
+      max: 5000,
+      default: () => parseInt(process.env.CAMPAIGN_DEFAULT_THROTTLE_PER_MINUTE) || 100
+    },
+
+    // Recipient outcomes, counted as the campaign is sent
+    stats: {
+      recipients: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+
+    errorMessage: {
+      type: String
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+
+    startedAt: {
+      type: Date
+    },
+
+    // Set once every recipient has been stored
+    audienceBuiltAt: {
+      type: Date
+    },
+
+    completedAt: {
+      type: Date
+    },
+
+    cancelledAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+export default Campaign;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const campaignRecipientSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    // Contact details captured when the audience was built
+    name: String,
+    email: String,
+    mobile: String,
+    countryCode: String,
+
+    // sent: at least one channel was sent or queued, skipped: opted out everywhere
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "skipped", "failed"],
+      default: "pending"
+    },
+
+    // Outcome per channel
+    deliveries: [{
+      type: {
+        type: String,
+        enum: ["email", "sms", "push", "in_app"]
+      },
+      outcome: {
+        type: String,
+        enum: ["sent", "scheduled", "skipped", "failed"]
+      },
+      notificationIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification"
+      }],
+      error: String
+    }],
+
+    processedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes
+campaignRecipientSchema.index({ campaignId: 1, userId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1 });
+
+const CampaignRecipient = mongoose.model("CampaignRecipient", campaignRecipientSchema);
+export default CampaignRecipient;
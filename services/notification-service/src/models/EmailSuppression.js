@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Addresses email is no longer sent to, e.g. after a hard bounce
+const emailSuppressionSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+
+    reason: {
+      type: String,
+      enum: ["hard_bounce", "invalid_email", "blocked"],
+      required: true
+    },
+
+    // Provider's bounce description
+    detail: {
+      type: String
+    },
+
+    provider: {
+      type: String,
+      enum: ["brevo", "nodemailer"],
+      default: "brevo"
+    },
+
+    // Notification whose bounce caused the suppression
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification"
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+
+    suppressedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+const EmailSuppression = mongoose.model("EmailSuppression", emailSuppressionSchema);
+export default EmailSuppression;
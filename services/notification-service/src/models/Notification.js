@@ -10,7 +10,7 @@ const notificationSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ["email", "in_app"],
+      enum: ["email", "sms", "push", "in_app"],
       required: true
     },
 
@@ -25,11 +25,21 @@ const notificationSchema = new mongoose.Schema(
       required: true
     },
 
+    // HTML version for emails, kept so scheduled emails can be sent later
+    htmlMessage: {
+      type: String
+    },
+
     templateId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "NotificationTemplate"
     },
 
+    // Published template version that rendered this notification
+    templateVersion: {
+      type: Number
+    },
+
     // Template variables/data
     templateData: {
       type: mongoose.Schema.Types.Mixed
@@ -45,14 +55,14 @@ const notificationSchema = new mongoose.Schema(
     // Status tracking
     status: {
       type: String,
-      enum: ["pending", "sent", "delivered", "failed", "cancelled"],
+      enum: ["scheduled", "pending", "sent", "delivered", "bounced", "failed", "dead_letter", "cancelled", "digested"],
       default: "pending"
     },
 
     // Provider information (for tracking)
     provider: {
       type: String,
-      enum: ["brevo", "nodemailer", "twilio", "fcm"],
+      enum: ["brevo", "nodemailer", "twilio", "console", "file", "fcm", "mock", "internal"],
       required: true
     },
 
@@ -65,6 +75,18 @@ const notificationSchema = new mongoose.Schema(
       type: Date
     },
 
+    // Daily or weekly digest this notification is waiting for
+    digest: {
+      type: String,
+      enum: ["daily", "weekly"]
+    },
+
+    // Digest notification this one was delivered in
+    digestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification"
+    },
+
     sentAt: {
       type: Date
     },
@@ -73,6 +95,39 @@ const notificationSchema = new mongoose.Schema(
       type: Date
     },
 
+    // Email engagement reported by the provider webhook or first-party tracking
+    openedAt: {
+      type: Date
+    },
+
+    openCount: {
+      type: Number,
+      default: 0
+    },
+
+    clickedAt: {
+      type: Date
+    },
+
+    clickCount: {
+      type: Number,
+      default: 0
+    },
+
+    bouncedAt: {
+      type: Date
+    },
+
+    bounceType: {
+      type: String,
+      enum: ["hard", "soft"]
+    },
+
+    // Recipient reported the email as spam
+    complainedAt: {
+      type: Date
+    },
+
     // Error information
     errorMessage: {
       type: String
@@ -84,6 +139,16 @@ const notificationSchema = new mongoose.Schema(
       max: 3
     },
 
+    // When the retry worker will next attempt a failed notification
+    nextRetryAt: {
+      type: Date
+    },
+
+    // When retries were exhausted and the notification was dead-lettered
+    deadLetteredAt: {
+      type: Date
+    },
+
     // Priority
     priority: {
       type: String,
@@ -125,8 +190,11 @@ notificationSchema.index({ userId: 1, status: 1 });
 notificationSchema.index({ userId: 1, type: 1 });
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ status: 1, scheduledAt: 1 });
+notificationSchema.index({ status: 1, nextRetryAt: 1 });
 notificationSchema.index({ recipient: 1, type: 1 });
+notificationSchema.index({ providerMessageId: 1 }, { sparse: true });
 notificationSchema.index({ category: 1, createdAt: -1 });
+notificationSchema.index({ "metadata.campaignId": 1, type: 1 }, { sparse: true });
 
 // Pre-save middleware to update sentAt when status changes to sent
 notificationSchema.pre("save", function (next) {
@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import { getNextTimeOfDay, isWithinTimeWindow } from "../utils/timeUtils.js";
+
+const DIGEST_TIME = process.env.DIGEST_TIME || "09:00";
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY ?? 1); // 0 = Sunday
+
+// Channels that can batch notifications into a digest
+const DIGEST_CHANNELS = ["email", "inApp"];
 
 const notificationPreferenceSchema = new mongoose.Schema(
   {
@@ -33,6 +40,39 @@ const notificationPreferenceSchema = new mongoose.Schema(
       }
     },
 
+    sms: {
+      enabled: { type: Boolean, default: false },
+      frequency: {
+        type: String,
+        enum: ["immediate", "daily", "weekly", "never"],
+        default: "immediate"
+      },
+      categories: {
+        account: { type: Boolean, default: false },
+        security: { type: Boolean, default: true },
+        marketing: { type: Boolean, default: false },
+        transaction: { type: Boolean, default: true },
+        system: { type: Boolean, default: false },
+        reminder: { type: Boolean, default: false }
+      }
+    },
+
+    push: {
+      enabled: { type: Boolean, default: true },
+      frequency: {
+        type: String,
+        enum: ["immediate", "daily", "weekly", "never"],
+        default: "immediate"
+      },
+      categories: {
+        account: { type: Boolean, default: true },
+        security: { type: Boolean, default: true },
+        marketing: { type: Boolean, default: false },
+        transaction: { type: Boolean, default: true },
+        system: { type: Boolean, default: true },
+        reminder: { type: Boolean, default: true }
+      }
+    },
 
     inApp: {
       enabled: { type: Boolean, default: true },
@@ -118,40 +158,67 @@ notificationPreferenceSchema.methods.shouldSendNotification = function(type, cat
   // Check category-specific preference
   if (!channelPrefs.categories[category]) return false;
 
-  // Check quiet hours
-  if (this.quietHours.enabled && this.isInQuietHours()) {
-    return false;
-  }
-
   // Check if category is unsubscribed
   const isUnsubscribed = this.unsubscribedCategories.some(
     item => item.category === category
   );
   if (isUnsubscribed) return false;
 
+  // Quiet hours and frequency defer delivery rather than block it - see getDeliveryPlan
   return true;
 };
 
 // Helper method to check quiet hours
-notificationPreferenceSchema.methods.isInQuietHours = function() {
+notificationPreferenceSchema.methods.isInQuietHours = function(at = new Date()) {
   if (!this.quietHours.enabled) return false;
 
-  const now = new Date();
-  const currentTime = now.toLocaleTimeString('en-US', {
-    hour12: false,
-    timeZone: this.quietHours.timezone
-  });
-
-  const startTime = this.quietHours.startTime;
-  const endTime = this.quietHours.endTime;
-
-  if (startTime < endTime) {
-    // Same day range (e.g., 08:00 to 18:00)
-    return currentTime >= startTime && currentTime <= endTime;
-  } else {
-    // Overnight range (e.g., 22:00 to 08:00)
-    return currentTime >= startTime || currentTime <= endTime;
+  return isWithinTimeWindow(
+    this.quietHours.startTime,
+    this.quietHours.endTime,
+    this.quietHours.timezone,
+    at
+  );
+};
+
+// Get the instant the current quiet hours window ends
+notificationPreferenceSchema.methods.getQuietHoursEnd = function(from = new Date()) {
+  return getNextTimeOfDay(this.quietHours.endTime, this.quietHours.timezone, from);
+};
+
+// Get the next daily or weekly digest time, moved past quiet hours when needed
+notificationPreferenceSchema.methods.getNextDigestTime = function(frequency, from = new Date()) {
+  const digestAt = getNextTimeOfDay(
+    DIGEST_TIME,
+    this.quietHours.timezone,
+    from,
+    frequency === "weekly" ? DIGEST_WEEKDAY : undefined
+  );
+
+  return this.isInQuietHours(digestAt) ? this.getQuietHoursEnd(digestAt) : digestAt;
+};
+
+// Decide whether a notification is sent now, deferred past quiet hours, batched into a digest or skipped
+notificationPreferenceSchema.methods.getDeliveryPlan = function(type, category, priority = "normal") {
+  if (!this.shouldSendNotification(type, category)) return { action: "skip" };
+
+  const frequency = this[type].frequency;
+  if (frequency === "never") return { action: "skip" };
+
+  // Security notices (e.g. login codes) and urgent alerts ignore frequency and quiet hours
+  if (category === "security" || priority === "urgent") return { action: "send" };
+
+  if (frequency === "daily" || frequency === "weekly") {
+    // SMS and push have no digest form - the email or in-app digest covers them
+    if (!DIGEST_CHANNELS.includes(type)) return { action: "skip" };
+
+    return { action: "digest", digest: frequency, scheduledAt: this.getNextDigestTime(frequency) };
   }
+
+  if (this.isInQuietHours()) {
+    return { action: "defer", scheduledAt: this.getQuietHoursEnd() };
+  }
+
+  return { action: "send" };
 };
 
 const NotificationPreference = mongoose.model("NotificationPreference", notificationPreferenceSchema);
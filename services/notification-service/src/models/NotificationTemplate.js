@@ -5,7 +5,6 @@ const notificationTemplateSchema = new mongoose.Schema(
     name: {
       type: String,
       required: true,
-      unique: true,
       trim: true
     },
 
@@ -16,7 +15,7 @@ const notificationTemplateSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ["email", "in_app"],
+      enum: ["email", "sms", "in_app"],
       required: true
     },
 
@@ -84,12 +83,18 @@ const notificationTemplateSchema = new mongoose.Schema(
       type: Date
     },
 
-    // Version control
+    // Version control - content above is always the published version's
     version: {
       type: Number,
       default: 1
     },
 
+    // Highest version number handed out, including unpublished drafts
+    latestVersion: {
+      type: Number,
+      default: 1
+    },
+
     parentTemplate: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "NotificationTemplate"
@@ -111,16 +116,8 @@ const notificationTemplateSchema = new mongoose.Schema(
 
 // Indexes
 notificationTemplateSchema.index({ type: 1, category: 1 });
-notificationTemplateSchema.index({ name: 1 });
+notificationTemplateSchema.index({ name: 1, type: 1, language: 1 }, { unique: true });
 notificationTemplateSchema.index({ isActive: 1, type: 1 });
 
-// Pre-save middleware to increment version on updates
-notificationTemplateSchema.pre("save", function (next) {
-  if (this.isModified() && !this.isNew) {
-    this.version += 1;
-  }
-  next();
-});
-
 const NotificationTemplate = mongoose.model("NotificationTemplate", notificationTemplateSchema);
 export default NotificationTemplate;
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Fields captured in every version - a version's content never changes once saved
+export const VERSIONED_FIELDS = ["subject", "body", "htmlBody", "variables"];
+
+const notificationTemplateVersionSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NotificationTemplate",
+      required: true
+    },
+
+    version: {
+      type: Number,
+      required: true
+    },
+
+    // draft: awaiting review, published: live, archived: previously live
+    status: {
+      type: String,
+      enum: ["draft", "published", "archived"],
+      default: "draft"
+    },
+
+    // Snapshot of the template content
+    subject: {
+      type: String
+    },
+
+    body: {
+      type: String,
+      required: true
+    },
+
+    htmlBody: {
+      type: String
+    },
+
+    variables: [{
+      name: {
+        type: String,
+        required: true
+      },
+      description: String,
+      required: {
+        type: Boolean,
+        default: false
+      },
+      defaultValue: String
+    }],
+
+    // Published version the draft was edited from
+    basedOn: {
+      type: Number
+    },
+
+    changeNote: {
+      type: String,
+      trim: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+
+    publishedAt: {
+      type: Date
+    },
+
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  { timestamps: true }
+);
+
+// Indexes
+notificationTemplateVersionSchema.index({ templateId: 1, version: 1 }, { unique: true });
+notificationTemplateVersionSchema.index({ templateId: 1, status: 1 });
+
+// Versions are immutable - edits create a new version instead
+notificationTemplateVersionSchema.pre("save", function (next) {
+  if (!this.isNew && VERSIONED_FIELDS.some(field => this.isModified(field))) {
+    return next(new Error("Template versions cannot be modified"));
+  }
+  next();
+});
+
+const NotificationTemplateVersion = mongoose.model("NotificationTemplateVersion", notificationTemplateVersionSchema);
+export default NotificationTemplateVersion;
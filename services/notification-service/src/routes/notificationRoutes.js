@@ -2,6 +2,7 @@ import express from "express";
 import {
   getNotifications,
   getNotificationById,
+  streamNotifications,
   markAsRead,
   markAllAsRead,
   deleteNotificationById,
@@ -9,6 +10,9 @@ import {
   sendTestNotification,
   getPreferences,
   updatePreferences,
+  getDevices,
+  registerPushDevice,
+  unregisterPushDevice,
   createTemplate,
   getTemplates,
   getTemplateById,
@@ -16,12 +20,64 @@ import {
   deleteTemplate,
   previewTemplateById,
   validateTemplateById,
+  getTemplateTranslations,
+  upsertTemplateTranslation,
+  getTemplateVersions,
+  getTemplateVersionById,
+  createTemplateVersion,
+  publishTemplateVersionById,
+  rollbackTemplateVersion,
+  diffTemplateVersionById,
+  deleteTemplateVersion,
+  getFailedNotifications,
+  replayFailedNotification,
+  cancelFailedNotification,
   getAnalytics
 } from "../controllers/notificationController.js";
-import { protect, authorize } from "../middlewares/authMiddleware.js";
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaignById,
+  updateCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  getCampaignStats
+} from "../controllers/campaignController.js";
+import {
+  showUnsubscribePage,
+  unsubscribe,
+  getPreferenceCenter,
+  updatePreferenceCenter
+} from "../controllers/preferenceCenterController.js";
+import {
+  handleBrevoWebhook,
+  trackEmailOpen,
+  trackEmailClick,
+  getEmailSuppressions,
+  deleteEmailSuppression
+} from "../controllers/emailTrackingController.js";
+import { protect, protectStream, protectPreferenceToken, protectWebhook, authorize } from "../middlewares/authMiddleware.js";
 
 const notificationRoutes = express.Router();
 
+// Real-time stream (authenticates with header or ?token= for EventSource)
+notificationRoutes.get("/stream", protectStream, streamNotifications);
+
+// Email unsubscribe links (signed token in ?token=, no login)
+notificationRoutes.get("/unsubscribe", showUnsubscribePage);
+notificationRoutes.post("/unsubscribe", unsubscribe);
+
+// Preference center opened from an email (signed token, no login)
+notificationRoutes.get("/preference-center", protectPreferenceToken, getPreferenceCenter);
+notificationRoutes.put("/preference-center", protectPreferenceToken, updatePreferenceCenter);
+
+// Email provider webhooks (shared secret)
+notificationRoutes.post("/webhooks/brevo", protectWebhook, handleBrevoWebhook);
+
+// First-party email open pixel and click redirect (signed URLs, no login)
+notificationRoutes.get("/track/open/:notificationId", trackEmailOpen);
+notificationRoutes.get("/track/click/:notificationId", trackEmailClick);
+
 // All routes require authentication
 notificationRoutes.use(protect);
 
@@ -30,10 +86,19 @@ notificationRoutes.get("/", getNotifications);
 notificationRoutes.get("/stats", getStats);
 notificationRoutes.put("/mark-all-read", markAllAsRead);
 
-// Single notification routes
-notificationRoutes.get("/:id", getNotificationById);
-notificationRoutes.put("/:id/read", markAsRead);
-notificationRoutes.delete("/:id", deleteNotificationById);
+// Push device routes
+notificationRoutes.get("/devices", getDevices);
+notificationRoutes.post("/devices", registerPushDevice);
+notificationRoutes.delete("/devices/:deviceId", unregisterPushDevice);
+
+// Failed delivery routes (Admin only)
+notificationRoutes.get("/failures", authorize("admin"), getFailedNotifications);
+notificationRoutes.post("/failures/:id/replay", authorize("admin"), replayFailedNotification);
+notificationRoutes.post("/failures/:id/cancel", authorize("admin"), cancelFailedNotification);
+
+// Email suppression routes (Admin only)
+notificationRoutes.get("/suppressions", authorize("admin"), getEmailSuppressions);
+notificationRoutes.delete("/suppressions/:email", authorize("admin"), deleteEmailSuppression);
 
 // Preferences routes
 notificationRoutes.get("/preferences/manage", getPreferences);
@@ -53,7 +118,34 @@ notificationRoutes.delete("/templates/:id", authorize("admin"), deleteTemplate);
 notificationRoutes.post("/templates/:id/preview", authorize("admin"), previewTemplateById);
 notificationRoutes.post("/templates/:id/validate", authorize("admin"), validateTemplateById);
 
+// Template translations (Admin only)
+notificationRoutes.get("/templates/:id/translations", authorize("admin"), getTemplateTranslations);
+notificationRoutes.put("/templates/:id/translations/:language", authorize("admin"), upsertTemplateTranslation);
+
+// Template versions (Admin only)
+notificationRoutes.get("/templates/:id/versions", authorize("admin"), getTemplateVersions);
+notificationRoutes.post("/templates/:id/versions", authorize("admin"), createTemplateVersion);
+notificationRoutes.get("/templates/:id/versions/:version", authorize("admin"), getTemplateVersionById);
+notificationRoutes.delete("/templates/:id/versions/:version", authorize("admin"), deleteTemplateVersion);
+notificationRoutes.get("/templates/:id/versions/:version/diff", authorize("admin"), diffTemplateVersionById);
+notificationRoutes.post("/templates/:id/versions/:version/publish", authorize("admin"), publishTemplateVersionById);
+notificationRoutes.post("/templates/:id/versions/:version/rollback", authorize("admin"), rollbackTemplateVersion);
+
+// Campaign routes (Admin only)
+notificationRoutes.post("/campaigns", authorize("admin"), createCampaign);
+notificationRoutes.get("/campaigns", authorize("admin"), getCampaigns);
+notificationRoutes.get("/campaigns/:id", authorize("admin"), getCampaignById);
+notificationRoutes.put("/campaigns/:id", authorize("admin"), updateCampaign);
+notificationRoutes.post("/campaigns/:id/schedule", authorize("admin"), scheduleCampaign);
+notificationRoutes.post("/campaigns/:id/cancel", authorize("admin"), cancelCampaign);
+notificationRoutes.get("/campaigns/:id/stats", authorize("admin"), getCampaignStats);
+
 // Analytics routes (Admin only)
 notificationRoutes.get("/analytics/overview", authorize("admin"), getAnalytics);
 
+// Single notification routes (last, so /:id does not shadow the routes above)
+notificationRoutes.get("/:id", getNotificationById);
+notificationRoutes.put("/:id/read", markAsRead);
+notificationRoutes.delete("/:id", deleteNotificationById);
+
 export default notificationRoutes;
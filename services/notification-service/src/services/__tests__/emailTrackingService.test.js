@@ -0,0 +1,48 @@
+import { createHmac } from 'crypto';
+import {
+  isEmailTrackingEnabled,
+  addEmailTracking,
+  verifyOpenSignature,
+  verifyClickSignature
+} from '../emailTrackingService.js';
+
+const NOTIFICATION_ID = '64b7f0c2a1b2c3d4e5f60718';
+const HTML = '<p><a href="https://medicinefinder.example/orders/1">View order</a></p>';
+
+describe('emailTrackingService signed URLs', () => {
+  const clearSecrets = () => {
+    delete process.env.EMAIL_TRACKING_SECRET;
+    delete process.env.JWT_SECRET;
+    delete process.env.EMAIL_TRACKING_ENABLED;
+  };
+
+  beforeEach(clearSecrets);
+  afterEach(clearSecrets);
+
+  it('verifies the open pixel and click redirect it signed', () => {
+    process.env.EMAIL_TRACKING_SECRET = 'test-tracking-secret';
+
+    const tracked = addEmailTracking(HTML, NOTIFICATION_ID);
+    const openSig = tracked.match(/\/open\/\w+\?sig=(\w+)/)[1];
+    const clickSig = tracked.match(/\/click\/\w+\?url=[^&]+&amp;sig=(\w+)/)[1];
+
+    expect(verifyOpenSignature(NOTIFICATION_ID, openSig)).toBe(true);
+    expect(verifyClickSignature(NOTIFICATION_ID, 'https://medicinefinder.example/orders/1', clickSig)).toBe(true);
+    expect(verifyClickSignature(NOTIFICATION_ID, 'https://attacker.example', clickSig)).toBe(false);
+  });
+
+  it('stays off and refuses to sign without a secret', () => {
+    process.env.EMAIL_TRACKING_ENABLED = 'true';
+
+    expect(isEmailTrackingEnabled()).toBe(false);
+    expect(() => addEmailTracking(HTML, NOTIFICATION_ID)).toThrow('EMAIL_TRACKING_SECRET or JWT_SECRET');
+  });
+
+  it('rejects a URL signed with a key derived from an empty secret', () => {
+    const guessableKey = createHmac('sha256', '').update('email_tracking').digest('hex');
+    const url = 'https://attacker.example';
+    const forged = createHmac('sha256', guessableKey).update(`click:${NOTIFICATION_ID}:${url}`).digest('hex').slice(0, 32);
+
+    expect(verifyClickSignature(NOTIFICATION_ID, url, forged)).toBe(false);
+  });
+});
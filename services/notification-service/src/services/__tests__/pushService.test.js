@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+
+const markNotificationSent = jest.fn();
+const markNotificationFailed = jest.fn();
+const updateOne = jest.fn();
+
+jest.unstable_mockModule('../deliveryStatusService.js', () => ({
+  markNotificationSent,
+  markNotificationFailed,
+  attachNotificationId: (error, notification) => Object.assign(error, { notificationId: notification._id })
+}));
+
+jest.unstable_mockModule('../../models/NotificationPreference.js', () => ({
+  default: { updateOne }
+}));
+
+const {
+  initPushService,
+  deliverPushNotification,
+  getMockPushOutbox,
+  clearMockPushOutbox
+} = await import('../pushService.js');
+
+const buildNotification = (overrides = {}) => ({
+  _id: 'notification-1',
+  userId: 'user-1',
+  recipient: 'device-token-1',
+  title: 'Order update',
+  message: 'Your order ORD-TEST-0001 has been delivered.',
+  priority: 'high',
+  templateData: {
+    deviceId: 'device-1',
+    actionUrl: '/orders/ORD-TEST-0001',
+    pushData: { orderNumber: 'ORD-TEST-0001' }
+  },
+  ...overrides
+});
+
+describe('pushService mock transport', () => {
+  beforeAll(() => {
+    process.env.PUSH_PROVIDER = 'mock';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    initPushService();
+  });
+
+  afterAll(() => {
+    delete process.env.PUSH_PROVIDER;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    clearMockPushOutbox();
+    markNotificationSent.mockReset();
+    markNotificationFailed.mockReset();
+    updateOne.mockReset();
+  });
+
+  it('captures the message in the outbox and marks the notification sent', async () => {
+    const result = await deliverPushNotification(buildNotification());
+
+    expect(result).toEqual({ notificationId: 'notification-1', messageId: expect.stringMatching(/^mock-/) });
+    expect(getMockPushOutbox()).toEqual([
+      expect.objectContaining({
+        messageId: result.messageId,
+        token: 'device-token-1',
+        title: 'Order update',
+        body: 'Your order ORD-TEST-0001 has been delivered.',
+        data: { orderNumber: 'ORD-TEST-0001' },
+        link: '/orders/ORD-TEST-0001',
+        priority: 'high'
+      })
+    ]);
+    expect(markNotificationSent).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'notification-1' }),
+      { messageId: result.messageId, provider: 'mock' }
+    );
+  });
+
+  it('returns a copy of the outbox and clears it', async () => {
+    await deliverPushNotification(buildNotification());
+
+    const outbox = getMockPushOutbox();
+    outbox.pop();
+    expect(getMockPushOutbox()).toHaveLength(1);
+
+    clearMockPushOutbox();
+    expect(getMockPushOutbox()).toHaveLength(0);
+  });
+
+  it('fails invalid tokens permanently and prunes them from the user', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(deliverPushNotification(buildNotification({ recipient: 'invalid-token' })))
+      .rejects.toMatchObject({ invalidToken: true, notificationId: 'notification-1' });
+
+    expect(getMockPushOutbox()).toHaveLength(0);
+    expect(markNotificationSent).not.toHaveBeenCalled();
+    expect(markNotificationFailed).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: 'notification-1' }),
+      'Requested entity was not found.',
+      { permanent: true }
+    );
+    expect(updateOne).toHaveBeenCalledWith(
+      { userId: 'user-1' },
+      { $pull: { devices: { pushToken: 'invalid-token' } } }
+    );
+  });
+});
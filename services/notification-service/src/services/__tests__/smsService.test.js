@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const markNotificationSent = jest.fn();
+const markNotificationFailed = jest.fn();
+
+jest.unstable_mockModule('../deliveryStatusService.js', () => ({
+  markNotificationSent,
+  markNotificationFailed,
+  attachNotificationId: (error, notification) => Object.assign(error, { notificationId: notification._id })
+}));
+
+const { initSmsService, deliverSmsNotification, formatPhoneNumber } = await import('../smsService.js');
+
+const buildNotification = (overrides = {}) => ({
+  _id: 'notification-1',
+  recipient: '+919876543210',
+  message: 'Your order ORD-TEST-0001 is out for delivery.',
+  ...overrides
+});
+
+describe('smsService', () => {
+  let outboxDir;
+
+  beforeEach(async () => {
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sms-outbox-'));
+    process.env.SMS_OUTBOX_PATH = path.join(outboxDir, 'outbox.log');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    markNotificationSent.mockReset();
+    markNotificationFailed.mockReset();
+  });
+
+  afterEach(async () => {
+    delete process.env.SMS_PROVIDER;
+    delete process.env.SMS_OUTBOX_PATH;
+    jest.restoreAllMocks();
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  describe('formatPhoneNumber', () => {
+    it('prefixes the country code and strips formatting and leading zeros', () => {
+      expect(formatPhoneNumber('098765 43210')).toBe('+919876543210');
+      expect(formatPhoneNumber('9876543210', '+44')).toBe('+449876543210');
+    });
+
+    it('keeps numbers already in E.164', () => {
+      expect(formatPhoneNumber('+1 (555) 010-9999')).toBe('+15550109999');
+    });
+
+    it('returns null without a number', () => {
+      expect(formatPhoneNumber(undefined)).toBeNull();
+    });
+  });
+
+  describe('file provider', () => {
+    it('appends the message to the outbox and marks the notification sent', async () => {
+      process.env.SMS_PROVIDER = 'file';
+      initSmsService();
+
+      const result = await deliverSmsNotification(buildNotification());
+
+      const lines = (await fs.readFile(process.env.SMS_OUTBOX_PATH, 'utf8')).trim().split('\n');
+      expect(lines).toHaveLength(1);
+
+      const entry = JSON.parse(lines[0]);
+      expect(entry).toMatchObject({
+        messageId: result.messageId,
+        to: '+919876543210',
+        body: 'Your order ORD-TEST-0001 is out for delivery.'
+      });
+      expect(result.messageId).toMatch(/^file-/);
+      expect(markNotificationSent).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'notification-1' }),
+        { messageId: result.messageId, provider: 'file' }
+      );
+    });
+  });
+
+  describe('console provider', () => {
+    it('prints the message instead of sending it', async () => {
+      process.env.SMS_PROVIDER = 'console';
+      initSmsService();
+
+      const result = await deliverSmsNotification(buildNotification({ recipient: '+15550109999' }));
+
+      expect(result.messageId).toMatch(/^console-/);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('[SMS → +15550109999]'));
+      expect(markNotificationSent).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ provider: 'console' })
+      );
+    });
+
+    it('is used when the configured provider is unknown', async () => {
+      process.env.SMS_PROVIDER = 'carrier-pigeon';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      initSmsService();
+
+      const result = await deliverSmsNotification(buildNotification());
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Unknown SMS provider 'carrier-pigeon'"));
+      expect(result.messageId).toMatch(/^console-/);
+    });
+  });
+
+  describe('delivery failures', () => {
+    it('marks the notification failed and rethrows with its id', async () => {
+      process.env.SMS_PROVIDER = 'file';
+      process.env.SMS_OUTBOX_PATH = path.join(outboxDir, 'missing', '\0invalid');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      initSmsService();
+
+      await expect(deliverSmsNotification(buildNotification())).rejects.toMatchObject({
+        notificationId: 'notification-1'
+      });
+      expect(markNotificationSent).not.toHaveBeenCalled();
+      expect(markNotificationFailed).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'notification-1' }),
+        expect.any(String),
+        { permanent: false }
+      );
+    });
+  });
+});
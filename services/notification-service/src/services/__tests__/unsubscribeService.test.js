@@ -0,0 +1,43 @@
+import { createHmac } from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  createPreferenceToken,
+  verifyPreferenceToken,
+  getPreferenceLinks
+} from '../unsubscribeService.js';
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('unsubscribeService preference tokens', () => {
+  const clearSecrets = () => {
+    delete process.env.UNSUBSCRIBE_TOKEN_SECRET;
+    delete process.env.JWT_SECRET;
+  };
+
+  beforeEach(clearSecrets);
+  afterEach(clearSecrets);
+
+  it('round-trips a token signed with the configured secret', () => {
+    process.env.UNSUBSCRIBE_TOKEN_SECRET = 'test-unsubscribe-secret';
+
+    const token = createPreferenceToken(USER_ID, 'marketing');
+
+    expect(verifyPreferenceToken(token)).toEqual({ userId: USER_ID, category: 'marketing' });
+  });
+
+  it('refuses to sign or issue links without a secret', () => {
+    expect(() => createPreferenceToken(USER_ID, 'marketing')).toThrow('UNSUBSCRIBE_TOKEN_SECRET or JWT_SECRET');
+    expect(getPreferenceLinks(USER_ID, 'marketing')).toEqual({});
+  });
+
+  it('rejects a token signed with a key derived from an empty secret', () => {
+    const guessableKey = createHmac('sha256', '').update('notification_preferences').digest('hex');
+    const forged = jwt.sign(
+      { purpose: 'notification_preferences', category: 'marketing' },
+      guessableKey,
+      { subject: USER_ID }
+    );
+
+    expect(() => verifyPreferenceToken(forged)).toThrow(expect.objectContaining({ statusCode: 401 }));
+  });
+});
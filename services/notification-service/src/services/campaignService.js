@@ -0,0 +1,230 @@
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import Notification from '../models/Notification.js';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import { sendEmailNotification } from './emailService.js';
+import { sendSmsNotification, formatPhoneNumber } from './smsService.js';
+import { sendPushNotification } from './pushService.js';
+import { createInAppNotification } from './inAppService.js';
+import { getUsersPage, filterUserSegment } from './userService.js';
+import { getNearbyShopOwners } from './shopService.js';
+
+const AUDIENCE_PAGE_SIZE = 500;
+
+// Template type each channel renders - push reuses the in-app template
+const CHANNEL_TEMPLATE_TYPES = {
+  email: 'email',
+  sms: 'sms',
+  push: 'in_app',
+  in_app: 'in_app'
+};
+
+/**
+ * List the channels a campaign's template has no active template for
+ */
+export const findMissingCampaignTemplates = async (template, channels) => {
+  const missing = [];
+
+  for (const channel of channels) {
+    const exists = await NotificationTemplate.exists({
+      name: template,
+      type: CHANNEL_TEMPLATE_TYPES[channel],
+      isActive: true
+    });
+    if (!exists) missing.push(channel);
+  }
+
+  return missing;
+};
+
+/**
+ * Resolve a campaign's segment and store its recipients
+ * Users come from auth-service (by role), then are narrowed by shop radius, city and language
+ */
+export const buildCampaignAudience = async (campaign) => {
+  const { roles, cities, languages, nearShops } = campaign.segment || {};
+
+  const shopOwnerIds = nearShops?.radiusKm
+    ? new Set(await getNearbyShopOwners(nearShops))
+    : null;
+
+  for (let page = 1; ; page++) {
+    const { users, pagination } = await getUsersPage({ roles, page, limit: AUDIENCE_PAGE_SIZE });
+
+    let batch = shopOwnerIds
+      ? users.filter(user => shopOwnerIds.has(user.id.toString()))
+      : users;
+
+    if (batch.length > 0 && (cities?.length || languages?.length)) {
+      const matched = new Set(await filterUserSegment(batch.map(user => user.id), { cities, languages }));
+      batch = batch.filter(user => matched.has(user.id.toString()));
+    }
+
+    if (batch.length > 0) {
+      // Upserts, so rebuilding after an interrupted run never adds anyone twice
+      await CampaignRecipient.bulkWrite(batch.map(user => ({
+        updateOne: {
+          filter: { campaignId: campaign._id, userId: user.id },
+          update: {
+            $setOnInsert: {
+              name: user.name,
+              email: user.email,
+              mobile: user.mobile,
+              countryCode: user.countryCode
+            }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    if (page >= pagination.pages) break;
+  }
+
+  return CampaignRecipient.countDocuments({ campaignId: campaign._id });
+};
+
+/**
+ * Send a campaign on one channel and describe the outcome
+ */
+const sendCampaignChannel = async (channel, campaign, recipient) => {
+  const options = {
+    userId: recipient.userId,
+    template: campaign.template,
+    templateData: { name: recipient.name, ...campaign.templateData },
+    category: campaign.category,
+    campaignId: campaign._id.toString()
+  };
+
+  let result;
+
+  switch (channel) {
+    case 'email':
+      if (!recipient.email) return { outcome: 'skipped', error: 'No email address' };
+      result = await sendEmailNotification({ ...options, recipient: recipient.email });
+      break;
+
+    case 'sms': {
+      const phone = formatPhoneNumber(recipient.mobile, recipient.countryCode || undefined);
+      if (!phone) return { outcome: 'skipped', error: 'No mobile number' };
+      result = await sendSmsNotification({ ...options, recipient: phone });
+      break;
+    }
+
+    case 'in_app':
+      result = await createInAppNotification({ ...options, actionUrl: campaign.actionUrl });
+      break;
+
+    case 'push': {
+      const results = await sendPushNotification({ ...options, actionUrl: campaign.actionUrl });
+      const notificationIds = results.map(item => item.notificationId).filter(Boolean);
+
+      if (results.length === 0) return { outcome: 'skipped' };
+      if (results.some(item => item.scheduledAt)) return { outcome: 'scheduled', notificationIds };
+      if (results.some(item => item.success)) return { outcome: 'sent', notificationIds };
+      return { outcome: 'failed', notificationIds, error: results[0].error };
+    }
+  }
+
+  // Senders return nothing when preferences or marketing opt-outs rule the channel out
+  if (!result) return { outcome: 'skipped' };
+
+  return {
+    outcome: result.scheduledAt ? 'scheduled' : 'sent',
+    notificationIds: [result.notificationId]
+  };
+};
+
+/**
+ * Send a campaign to one recipient on every channel and record the outcome
+ */
+export const sendToCampaignRecipient = async (campaign, recipient) => {
+  const deliveries = [];
+
+  for (const channel of campaign.channels) {
+    try {
+      deliveries.push({ type: channel, ...await sendCampaignChannel(channel, campaign, recipient) });
+    } catch (error) {
+      // The notification may already exist - the retry worker keeps trying it
+      deliveries.push({
+        type: channel,
+        outcome: 'failed',
+        notificationIds: error.notificationId ? [error.notificationId] : [],
+        error: error.message
+      });
+    }
+  }
+
+  let status = 'skipped';
+  if (deliveries.some(delivery => ['sent', 'scheduled'].includes(delivery.outcome))) {
+    status = 'sent';
+  } else if (deliveries.some(delivery => delivery.outcome === 'failed')) {
+    status = 'failed';
+  }
+
+  await CampaignRecipient.findByIdAndUpdate(recipient._id, {
+    status,
+    deliveries,
+    processedAt: new Date()
+  });
+
+  await Campaign.findByIdAndUpdate(campaign._id, { $inc: { [`stats.${status}`]: 1 } });
+
+  return status;
+};
+
+/**
+ * Recipient progress and per-channel delivery and read stats for a campaign
+ */
+export const calculateCampaignStats = async (campaign) => {
+  const [recipientCounts, notificationCounts] = await Promise.all([
+    CampaignRecipient.aggregate([
+      { $match: { campaignId: campaign._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Notification.aggregate([
+      { $match: { 'metadata.campaignId': campaign._id.toString() } },
+      {
+        $group: {
+          _id: { type: '$type', status: '$status' },
+          count: { $sum: 1 },
+          read: { $sum: { $cond: ['$isRead', 1, 0] } },
+          opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const recipients = { total: 0, pending: 0, processing: 0, sent: 0, skipped: 0, failed: 0 };
+  for (const { _id: status, count } of recipientCounts) {
+    recipients[status] = count;
+    recipients.total += count;
+  }
+
+  const channels = {};
+  for (const { _id: { type, status }, count, read, opened, clicked } of notificationCounts) {
+    channels[type] = channels[type] || { total: 0, read: 0, opened: 0, clicked: 0, byStatus: {} };
+    channels[type].total += count;
+    channels[type].read += read;
+    channels[type].opened += opened;
+    channels[type].clicked += clicked;
+    channels[type].byStatus[status] = count;
+  }
+
+  for (const channel of Object.values(channels)) {
+    const delivered = (channel.byStatus.sent || 0) + (channel.byStatus.delivered || 0);
+    const failed = (channel.byStatus.failed || 0) + (channel.byStatus.dead_letter || 0)
+      + (channel.byStatus.bounced || 0);
+
+    channel.delivered = delivered;
+    channel.failed = failed;
+    channel.deliveryRate = channel.total > 0 ? Math.round((delivered / channel.total) * 10000) / 100 : 0;
+    channel.readRate = delivered > 0 ? Math.round((channel.read / delivered) * 10000) / 100 : 0;
+    // Email opens and clicks are only known when the webhook or first-party tracking is set up
+    channel.openRate = delivered > 0 ? Math.round((channel.opened / delivered) * 10000) / 100 : 0;
+    channel.clickRate = delivered > 0 ? Math.round((channel.clicked / delivered) * 10000) / 100 : 0;
+  }
+
+  return { recipients, channels };
+};
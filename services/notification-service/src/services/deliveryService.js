@@ -0,0 +1,19 @@
+import { deliverEmailNotification } from './emailService.js';
+import { deliverInAppNotification } from './inAppService.js';
+import { deliverSmsNotification } from './smsService.js';
+import { deliverPushNotification } from './pushService.js';
+
+// Channel senders for stored notification records
+const deliverers = {
+  email: deliverEmailNotification,
+  in_app: deliverInAppNotification,
+  sms: deliverSmsNotification,
+  push: deliverPushNotification
+};
+
+/**
+ * Send a stored notification through its channel
+ */
+export const deliverNotification = (notification) => {
+  return deliverers[notification.type](notification);
+};
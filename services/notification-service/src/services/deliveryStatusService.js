@@ -0,0 +1,86 @@
+import Notification from '../models/Notification.js';
+import { publishEvent } from '../events/kafka.js';
+import { TOPICS, EVENT_TYPES } from '../events/eventTypes.js';
+
+// Failed attempts before a notification is dead-lettered (the schema caps retryCount)
+const MAX_RETRIES = Notification.schema.path('retryCount').options.max || 3;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60;
+
+/**
+ * Get the wait before the next attempt - doubles after every failure, with jitter
+ */
+export const getRetryDelay = (retryCount) => {
+  const delay = RETRY_BASE_SECONDS * 1000 * 2 ** (retryCount - 1);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Publish a delivery outcome without holding up the send
+ */
+const publishDeliveryEvent = (eventType, notification, extra = {}) => {
+  publishEvent(TOPICS.NOTIFICATION_EVENTS, eventType, {
+    notificationId: notification._id.toString(),
+    userId: notification.userId.toString(),
+    type: notification.type,
+    category: notification.category,
+    provider: notification.provider,
+    attempts: notification.retryCount + 1,
+    ...extra
+  }).catch(() => {}); // publishEvent logs its own failures
+};
+
+/**
+ * Record a successful provider hand-off
+ */
+export const markNotificationSent = async (notification, { provider, messageId }) => {
+  const sent = await Notification.findByIdAndUpdate(
+    notification._id,
+    {
+      status: 'sent',
+      provider,
+      providerMessageId: messageId,
+      sentAt: new Date(),
+      $unset: { errorMessage: 1, nextRetryAt: 1 }
+    },
+    { new: true }
+  );
+
+  publishDeliveryEvent(EVENT_TYPES.NOTIFICATION_DELIVERED, sent, { providerMessageId: messageId });
+  return sent;
+};
+
+/**
+ * Record a failed attempt and schedule a retry, or dead-letter the notification
+ * once retries are exhausted or the failure is permanent (e.g. an unregistered device)
+ */
+export const markNotificationFailed = async (notification, errorMessage, { permanent = false } = {}) => {
+  const retryCount = (notification.retryCount || 0) + 1;
+  const exhausted = permanent || retryCount >= MAX_RETRIES;
+
+  const update = exhausted
+    ? { status: 'dead_letter', deadLetteredAt: new Date(), $unset: { nextRetryAt: 1 } }
+    : { status: 'failed', nextRetryAt: new Date(Date.now() + getRetryDelay(retryCount)) };
+
+  const failed = await Notification.findByIdAndUpdate(
+    notification._id,
+    { ...update, errorMessage, retryCount },
+    { new: true }
+  );
+
+  if (exhausted) {
+    console.warn(`☠️ Notification ${notification._id} moved to dead letter after ${retryCount} attempt(s): ${errorMessage}`);
+    publishDeliveryEvent(EVENT_TYPES.NOTIFICATION_FAILED, failed, { attempts: retryCount, errorMessage, permanent });
+  } else {
+    console.log(`🔁 Notification ${notification._id} will be retried at ${failed.nextRetryAt.toISOString()}`);
+  }
+
+  return failed;
+};
+
+/**
+ * Tag a delivery error with the notification it was recorded against
+ */
+export const attachNotificationId = (error, notification) => {
+  error.notificationId = notification._id;
+  return error;
+};
@@ -2,7 +2,14 @@ import nodemailer from 'nodemailer';
 import * as Brevo from '@sendinblue/client';
 import Notification from '../models/Notification.js';
 import NotificationTemplate from '../models/NotificationTemplate.js';
+import NotificationPreference from '../models/NotificationPreference.js';
 import { compileTemplate } from '../utils/templateUtils.js';
+import { planDelivery, getScheduleFields } from './schedulingService.js';
+import { resolveLanguage, findLocalizedTemplate } from './templateService.js';
+import { hasMarketingConsent } from './userService.js';
+import { markNotificationSent, markNotificationFailed, attachNotificationId } from './deliveryStatusService.js';
+import { getPreferenceLinks, getListUnsubscribeHeaders } from './unsubscribeService.js';
+import { isEmailSuppressed, isEmailTrackingEnabled, addEmailTracking } from './emailTrackingService.js';
 
 // Brevo (SendinBlue) configuration
 let brevoClient = null;
@@ -21,7 +28,7 @@ export const initEmailServices = () => {
 
   // Initialize Nodemailer transporter (fallback)
   if (process.env.SMTP_HOST) {
-    nodemailerTransporter = nodemailer.createTransporter({
+    nodemailerTransporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: parseInt(process.env.SMTP_PORT) || 587,
       secure: false, // true for 465, false for other ports
@@ -44,12 +51,24 @@ export const sendEmailNotification = async ({
   subject,
   body,
   category = 'system',
-  priority = 'normal'
+  priority = 'normal',
+  scheduledAt,
+  language, // Defaults to the user's language preference
+  campaignId,
+  immediate = false // Skip preference and scheduling checks (used for digests)
 }) => {
   try {
-    // Check if user has email notifications enabled for this category
-    const shouldSend = await checkEmailPreference(userId, category);
-    if (!shouldSend) {
+    // Addresses that hard-bounced never get email again
+    if (await isEmailSuppressed(recipient)) {
+      console.log(`📧 Email notification skipped for user ${userId} - ${recipient} is suppressed`);
+      return null;
+    }
+
+    // Check if user has email notifications enabled for this category, and when to send
+    const plan = immediate
+      ? { action: 'send' }
+      : await getEmailDeliveryPlan(userId, category, priority, scheduledAt);
+    if (plan.action === 'skip') {
       console.log(`📧 Email notification skipped for user ${userId} - preference disabled`);
       return null;
     }
@@ -57,75 +76,118 @@ export const sendEmailNotification = async ({
     let emailSubject = subject;
     let emailBody = body;
     let htmlBody = body;
+    let templateRef = {};
+
+    // Signed links the template can place itself - a footer is added otherwise
+    const { token, preferencesUrl, unsubscribeUrl } = getPreferenceLinks(userId, category);
 
     // Use template if provided
     if (template && !body) {
-      const templateResult = await renderEmailTemplate(template, templateData, userId);
+      const templateResult = await renderEmailTemplate(
+        template,
+        { ...templateData, preferencesUrl, unsubscribeUrl },
+        userId,
+        language
+      );
       if (templateResult) {
         emailSubject = templateResult.subject;
         emailBody = templateResult.textBody;
         htmlBody = templateResult.htmlBody;
+        templateRef = { templateId: templateResult.templateId, templateVersion: templateResult.templateVersion };
       }
     }
 
+    if (token && emailBody && !emailBody.includes(token)) {
+      emailBody += buildTextFooter(preferencesUrl, unsubscribeUrl);
+    }
+    if (token && htmlBody && !htmlBody.includes(token)) {
+      htmlBody += buildHtmlFooter(preferencesUrl, unsubscribeUrl);
+    }
+
     // Create notification record
     const notification = await Notification.create({
       userId,
       type: 'email',
       title: emailSubject,
       message: emailBody,
+      htmlMessage: htmlBody,
       recipient,
       provider: process.env.BREVO_API_KEY ? 'brevo' : 'nodemailer',
       category,
       priority,
       templateData,
-      status: 'pending'
+      ...templateRef,
+      ...(campaignId && { metadata: { campaignId } }),
+      ...getScheduleFields(plan, 'pending')
     });
 
-    // Send email
-    let result;
-    if (brevoClient) {
-      result = await sendWithBrevo(recipient, emailSubject, emailBody, htmlBody);
-    } else if (nodemailerTransporter) {
-      result = await sendWithNodemailer(recipient, emailSubject, emailBody, htmlBody);
-    } else {
-      throw new Error('No email service configured');
+    if (notification.status === 'scheduled') {
+      console.log(`📧 Email for user ${userId} scheduled for ${notification.scheduledAt.toISOString()}`);
+      return { notificationId: notification._id, scheduledAt: notification.scheduledAt };
     }
 
-    // Update notification status
+    return await deliverEmailNotification(notification);
+  } catch (error) {
+    console.error('❌ Failed to send email notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an email notification record through the configured providers
+ */
+export const deliverEmailNotification = async (notification) => {
+  // The address may have bounced since a scheduled or retried email was queued
+  if (await isEmailSuppressed(notification.recipient)) {
     await Notification.findByIdAndUpdate(notification._id, {
-      status: 'sent',
-      providerMessageId: result.messageId,
-      sentAt: new Date()
+      status: 'cancelled',
+      errorMessage: 'Recipient address is suppressed',
+      $unset: { nextRetryAt: 1 }
     });
+    console.log(`📧 Email ${notification._id} cancelled - ${notification.recipient} is suppressed`);
+    return { notificationId: notification._id, suppressed: true };
+  }
 
-    console.log(`📧 Email sent successfully to ${recipient} via ${result.provider}`);
-    return { notificationId: notification._id, messageId: result.messageId };
+  let htmlBody = notification.htmlMessage || notification.message;
+  if (isEmailTrackingEnabled()) htmlBody = addEmailTracking(htmlBody, notification._id);
+  const headers = getListUnsubscribeHeaders(notification.userId, notification.category);
 
-  } catch (error) {
-    console.error('❌ Failed to send email notification:', error);
+  // Brevo first, then SMTP, so an outage at one provider falls back to the other
+  const transports = [
+    brevoClient && sendWithBrevo,
+    nodemailerTransporter && sendWithNodemailer
+  ].filter(Boolean);
 
-    // Update notification status to failed
-    if (userId) {
-      await Notification.findOneAndUpdate(
-        { userId, type: 'email', status: 'pending' },
-        {
-          status: 'failed',
-          errorMessage: error.message,
-          $inc: { retryCount: 1 }
-        },
-        { sort: { createdAt: -1 } }
-      );
+  let result = null;
+  let lastError = new Error('No email service configured');
+
+  for (const send of transports) {
+    try {
+      result = await send(notification.recipient, notification.title, notification.message, htmlBody, headers);
+      break;
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Email provider failed for ${notification.recipient}: ${error.message}`);
     }
+  }
 
-    throw error;
+  if (!result) {
+    // Update notification status to failed
+    await markNotificationFailed(notification, lastError.message);
+    throw attachNotificationId(lastError, notification);
   }
+
+  // Update notification status
+  await markNotificationSent(notification, result);
+
+  console.log(`📧 Email sent successfully to ${notification.recipient} via ${result.provider}`);
+  return { notificationId: notification._id, messageId: result.messageId };
 };
 
 /**
  * Send email using Brevo (SendinBlue)
  */
-const sendWithBrevo = async (to, subject, textBody, htmlBody) => {
+const sendWithBrevo = async (to, subject, textBody, htmlBody, headers) => {
   const apiInstance = new Brevo.TransactionalEmailsApi();
 
   const sendSmtpEmail = new Brevo.SendSmtpEmail();
@@ -137,6 +199,7 @@ const sendWithBrevo = async (to, subject, textBody, htmlBody) => {
     email: process.env.EMAIL_FROM || 'noreply@medicinefinder.com'
   };
   sendSmtpEmail.to = [{ email: to }];
+  sendSmtpEmail.headers = headers;
 
   const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
 
@@ -149,13 +212,14 @@ const sendWithBrevo = async (to, subject, textBody, htmlBody) => {
 /**
  * Send email using Nodemailer (fallback)
  */
-const sendWithNodemailer = async (to, subject, textBody, htmlBody) => {
+const sendWithNodemailer = async (to, subject, textBody, htmlBody, headers) => {
   const mailOptions = {
     from: `"${process.env.EMAIL_FROM_NAME || 'MedicineFinder'}" <${process.env.EMAIL_FROM || process.env.SMTP_USER}>`,
     to,
     subject,
     text: textBody,
     html: htmlBody,
+    headers,
   };
 
   const result = await nodemailerTransporter.sendMail(mailOptions);
@@ -166,16 +230,32 @@ const sendWithNodemailer = async (to, subject, textBody, htmlBody) => {
   };
 };
 
+/**
+ * Plain-text footer with the preference-center and unsubscribe links
+ */
+const buildTextFooter = (preferencesUrl, unsubscribeUrl) => {
+  let footer = `\n\n---\nManage your email preferences: ${preferencesUrl}`;
+  if (unsubscribeUrl) footer += `\nUnsubscribe: ${unsubscribeUrl}`;
+  return footer;
+};
+
+/**
+ * HTML footer with the preference-center and unsubscribe links
+ */
+const buildHtmlFooter = (preferencesUrl, unsubscribeUrl) => {
+  const links = [`<a href="${preferencesUrl}">Manage email preferences</a>`];
+  if (unsubscribeUrl) links.push(`<a href="${unsubscribeUrl}">Unsubscribe</a>`);
+
+  return `<p style="margin-top:24px;font-size:12px;color:#888;">${links.join(' &middot; ')}</p>`;
+};
+
 /**
  * Render email template
  */
-const renderEmailTemplate = async (templateName, data, userId) => {
+const renderEmailTemplate = async (templateName, data, userId, language) => {
   try {
-    const template = await NotificationTemplate.findOne({
-      name: templateName,
-      type: 'email',
-      isActive: true
-    });
+    const templateLanguage = await resolveLanguage(userId, language);
+    const template = await findLocalizedTemplate(templateName, 'email', templateLanguage);
 
     if (!template) {
       console.warn(`Email template '${templateName}' not found`);
@@ -189,11 +269,12 @@ const renderEmailTemplate = async (templateName, data, userId) => {
     });
 
     // Compile template with data
-    const subject = compileTemplate(template.subject, data);
-    const textBody = compileTemplate(template.body, data);
-    const htmlBody = compileTemplate(template.htmlBody || template.body, data);
+    const subject = compileTemplate(template.subject, data, templateLanguage);
+    const textBody = compileTemplate(template.body, data, templateLanguage);
+    const htmlBody = compileTemplate(template.htmlBody || template.body, data, templateLanguage);
 
-    return { subject, textBody, htmlBody };
+    // Record which published version rendered the email
+    return { subject, textBody, htmlBody, templateId: template._id, templateVersion: template.version };
   } catch (error) {
     console.error('Error rendering email template:', error);
     return null;
@@ -201,16 +282,22 @@ const renderEmailTemplate = async (templateName, data, userId) => {
 };
 
 /**
- * Check if user has email notifications enabled for a category
+ * Check if user has email notifications enabled for a category and when to send
  */
-const checkEmailPreference = async (userId, category) => {
+const getEmailDeliveryPlan = async (userId, category, priority, scheduledAt) => {
   try {
-    // This would integrate with NotificationPreference model
-    // For now, return true as default
-    return true;
+    // Marketing email also needs the opt-in from the user's account settings
+    if (category === 'marketing' && !(await hasMarketingConsent(userId, 'email'))) {
+      return { action: 'skip' };
+    }
+
+    // Default to sending immediately if no preferences set
+    const preferences = await NotificationPreference.findOne({ userId });
+
+    return planDelivery(preferences, 'email', category, priority, scheduledAt);
   } catch (error) {
     console.error('Error checking email preference:', error);
-    return true; // Default to true on error
+    return { action: 'send' }; // Default to sending on error
   }
 };
 
@@ -0,0 +1,283 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import Notification from '../models/Notification.js';
+import EmailSuppression from '../models/EmailSuppression.js';
+import { unsubscribeFromCategory, UNSUBSCRIBABLE_CATEGORIES } from './unsubscribeService.js';
+
+// Brevo transactional webhook events and what they mean for a notification
+const BREVO_EVENTS = {
+  delivered: 'delivered',
+  opened: 'opened',
+  proxy_open: 'opened',
+  unique_opened: 'unique_opened',
+  unique_proxy_open: 'unique_opened',
+  click: 'clicked',
+  soft_bounce: 'soft_bounce',
+  hard_bounce: 'hard_bounce',
+  invalid_email: 'hard_bounce',
+  blocked: 'hard_bounce',
+  spam: 'complained',
+  unsubscribed: 'unsubscribed'
+};
+
+// Links that carry their own token are never wrapped in a click redirect
+const UNTRACKED_LINK = /\/(unsubscribe|notification-preferences)\?token=/;
+
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Secret for tracking URLs - derived from JWT_SECRET unless set.
+ * Null when neither is configured: URLs are then neither signed nor accepted
+ */
+const getTrackingSecret = () => {
+  if (process.env.EMAIL_TRACKING_SECRET) return process.env.EMAIL_TRACKING_SECRET;
+  if (!process.env.JWT_SECRET) return null;
+
+  return createHmac('sha256', process.env.JWT_SECRET).update('email_tracking').digest('hex');
+};
+
+/**
+ * First-party open and click tracking is opt-in, and stays off until URLs can be signed
+ */
+export const isEmailTrackingEnabled = () => process.env.EMAIL_TRACKING_ENABLED === 'true' && Boolean(getTrackingSecret());
+
+export const getTrackingPixel = () => TRACKING_PIXEL;
+
+/**
+ * Sign a tracking value so pixel and redirect URLs cannot be forged
+ */
+const signTrackingValue = (value) => {
+  const secret = getTrackingSecret();
+  if (!secret) {
+    throw new Error('EMAIL_TRACKING_SECRET or JWT_SECRET must be set to sign tracking URLs');
+  }
+
+  return createHmac('sha256', secret).update(value).digest('hex').slice(0, 32);
+};
+
+const isValidSignature = (value, signature) => {
+  if (!getTrackingSecret()) return false;
+
+  const expected = Buffer.from(signTrackingValue(value));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+/**
+ * Check the signature of an open-pixel URL
+ */
+export const verifyOpenSignature = (notificationId, signature) => {
+  return isValidSignature(`open:${notificationId}`, signature);
+};
+
+/**
+ * Check the signature of a click-redirect URL - only links we wrapped are ever redirected to
+ */
+export const verifyClickSignature = (notificationId, url, signature) => {
+  return isValidSignature(`click:${notificationId}:${url}`, signature);
+};
+
+/**
+ * Wrap an email's links in click redirects and add an open pixel
+ */
+export const addEmailTracking = (html, notificationId) => {
+  if (!html) return html;
+
+  const baseUrl = `${process.env.NOTIFICATION_PUBLIC_URL || 'http://localhost:3003'}/api/notifications/track`;
+  const id = notificationId.toString();
+
+  const tracked = html.replace(
+    /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+    (match, prefix, quote, href) => {
+      const url = href.replace(/&amp;/g, '&');
+      if (UNTRACKED_LINK.test(url)) return match;
+
+      const redirect = `${baseUrl}/click/${id}?url=${encodeURIComponent(url)}&amp;sig=${signTrackingValue(`click:${id}:${url}`)}`;
+      return `${prefix}${quote}${redirect}${quote}`;
+    }
+  );
+
+  const pixel = `<img src="${baseUrl}/open/${id}?sig=${signTrackingValue(`open:${id}`)}" width="1" height="1" alt="" style="display:none;">`;
+
+  return /<\/body>/i.test(tracked)
+    ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+    : tracked + pixel;
+};
+
+/**
+ * Check whether email to an address is suppressed
+ */
+export const isEmailSuppressed = async (email) => {
+  if (!email) return false;
+  return !!(await EmailSuppression.exists({ email: email.toLowerCase().trim() }));
+};
+
+/**
+ * Stop sending email to an address - the first reason recorded is kept
+ */
+export const suppressEmail = async ({ email, reason, detail, provider, notification }) => {
+  await EmailSuppression.updateOne(
+    { email: email.toLowerCase().trim() },
+    {
+      $setOnInsert: {
+        reason,
+        detail,
+        provider,
+        notificationId: notification?._id,
+        userId: notification?.userId,
+        suppressedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  console.warn(`🚫 Email to ${email} suppressed (${reason})`);
+};
+
+/**
+ * Mark a sent email delivered - an open or click proves delivery even without the delivered event
+ */
+const markEmailDelivered = (notification, at) => {
+  return Notification.updateOne(
+    { _id: notification._id, status: 'sent' },
+    { status: 'delivered', deliveredAt: at }
+  );
+};
+
+/**
+ * Record a delivery or engagement event against an email notification
+ */
+export const recordEmailEvent = async (notification, event, { at = new Date(), reason, provider, suppressionReason = 'hard_bounce' } = {}) => {
+  switch (event) {
+    case 'delivered':
+      await markEmailDelivered(notification, at);
+      break;
+
+    case 'opened':
+    case 'unique_opened':
+      // Unique opens only date the first open - the opened event does the counting
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $min: { openedAt: at }, ...(event === 'opened' && { $inc: { openCount: 1 } }) }
+      );
+      await markEmailDelivered(notification, at);
+      break;
+
+    case 'clicked':
+      // A click is also an open, even when images were blocked
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $min: { clickedAt: at, openedAt: at }, $inc: { clickCount: 1 } }
+      );
+      await markEmailDelivered(notification, at);
+      break;
+
+    case 'soft_bounce':
+      await Notification.updateOne(
+        { _id: notification._id, bounceType: { $ne: 'hard' } },
+        { bouncedAt: at, bounceType: 'soft', errorMessage: reason }
+      );
+      break;
+
+    case 'hard_bounce':
+      await Notification.updateOne(
+        { _id: notification._id },
+        { status: 'bounced', bouncedAt: at, bounceType: 'hard', errorMessage: reason }
+      );
+      await suppressEmail({
+        email: notification.recipient,
+        reason: suppressionReason,
+        detail: reason,
+        provider: provider || notification.provider,
+        notification
+      });
+      break;
+
+    case 'complained':
+      await Notification.updateOne({ _id: notification._id }, { $min: { complainedAt: at } });
+      // A spam report opts the user out of that kind of email
+      if (UNSUBSCRIBABLE_CATEGORIES.includes(notification.category)) {
+        await unsubscribeFromCategory(notification.userId, notification.category, 'spam_complaint');
+      }
+      break;
+
+    case 'unsubscribed':
+      if (UNSUBSCRIBABLE_CATEGORIES.includes(notification.category)) {
+        await unsubscribeFromCategory(notification.userId, notification.category, 'provider_unsubscribe');
+      }
+      break;
+  }
+};
+
+/**
+ * Apply one Brevo webhook event, correlated to its notification by providerMessageId
+ */
+export const processBrevoEvent = async (payload) => {
+  const event = BREVO_EVENTS[payload?.event];
+  if (!event) return 'ignored';
+
+  const messageId = String(payload['message-id'] || '').trim();
+  const bareId = messageId.replace(/^<|>$/g, '');
+
+  const notification = messageId
+    ? await Notification.findOne({
+      type: 'email',
+      providerMessageId: { $in: [messageId, bareId, `<${bareId}>`] }
+    })
+    : null;
+
+  const at = payload.ts_epoch
+    ? new Date(payload.ts_epoch)
+    : payload.ts_event ? new Date(payload.ts_event * 1000) : new Date();
+
+  // hard_bounce, invalid_email or blocked
+  const suppressionReason = event === 'hard_bounce' ? payload.event : undefined;
+
+  if (!notification) {
+    // Bounces still protect the address even when the email was not sent by this service
+    if (suppressionReason && payload.email) {
+      await suppressEmail({ email: payload.email, reason: suppressionReason, detail: payload.reason, provider: 'brevo' });
+    }
+    return 'unmatched';
+  }
+
+  await recordEmailEvent(notification, event, { at, reason: payload.reason, provider: 'brevo', suppressionReason });
+
+  return event;
+};
+
+/**
+ * Delivery, open, click and bounce counts and rates for emails handed to a provider
+ */
+export const calculateEmailEngagement = async (match = {}) => {
+  const hasDate = (field) => ({ $cond: [{ $ifNull: [field, false] }, 1, 0] });
+
+  const [counts] = await Notification.aggregate([
+    { $match: { ...match, type: 'email', providerMessageId: { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        sent: { $sum: 1 },
+        delivered: { $sum: hasDate('$deliveredAt') },
+        opened: { $sum: hasDate('$openedAt') },
+        clicked: { $sum: hasDate('$clickedAt') },
+        bounced: { $sum: { $cond: [{ $eq: ['$bounceType', 'hard'] }, 1, 0] } },
+        softBounced: { $sum: { $cond: [{ $eq: ['$bounceType', 'soft'] }, 1, 0] } },
+        complained: { $sum: hasDate('$complainedAt') }
+      }
+    }
+  ]);
+
+  const { _id, ...totals } = counts || {
+    sent: 0, delivered: 0, opened: 0, clicked: 0, bounced: 0, softBounced: 0, complained: 0
+  };
+  const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+  return {
+    ...totals,
+    deliveryRate: rate(totals.delivered, totals.sent),
+    openRate: rate(totals.opened, totals.delivered),
+    clickRate: rate(totals.clicked, totals.delivered),
+    bounceRate: rate(totals.bounced, totals.sent),
+    complaintRate: rate(totals.complained, totals.delivered)
+  };
+};
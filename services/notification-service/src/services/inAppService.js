@@ -1,6 +1,10 @@
 import Notification from '../models/Notification.js';
 import NotificationTemplate from '../models/NotificationTemplate.js';
+import NotificationPreference from '../models/NotificationPreference.js';
 import { compileTemplate } from '../utils/templateUtils.js';
+import { pushToUser, pushUnreadCount } from './realtimeService.js';
+import { planDelivery, getScheduleFields } from './schedulingService.js';
+import { resolveLanguage, findLocalizedTemplate } from './templateService.js';
 
 /**
  * Create in-app notification
@@ -16,25 +20,33 @@ export const createInAppNotification = async ({
   expiresAt,
   actionUrl, // URL to redirect when clicked
   actionText, // Text for action button
-  metadata = {}
+  metadata = {},
+  scheduledAt,
+  language, // Defaults to the user's language preference
+  campaignId,
+  immediate = false // Skip preference and scheduling checks (used for digests)
 }) => {
   try {
-    // Check if user has in-app notifications enabled for this category
-    const shouldSend = await checkInAppPreference(userId, category);
-    if (!shouldSend) {
+    // Check if user has in-app notifications enabled for this category, and when to send
+    const plan = immediate
+      ? { action: 'send' }
+      : await getInAppDeliveryPlan(userId, category, priority, scheduledAt);
+    if (plan.action === 'skip') {
       console.log(`💬 In-app notification skipped for user ${userId} - preference disabled`);
       return null;
     }
 
     let notificationTitle = title;
     let notificationMessage = message;
+    let templateRef = {};
 
     // Use template if provided
     if (template && (!title || !message)) {
-      const templateResult = await renderInAppTemplate(template, templateData, userId);
+      const templateResult = await renderInAppTemplate(template, templateData, userId, language);
       if (templateResult) {
         notificationTitle = templateResult.title;
         notificationMessage = templateResult.message;
+        templateRef = { templateId: templateResult.templateId, templateVersion: templateResult.templateVersion };
       }
     }
 
@@ -55,10 +67,19 @@ export const createInAppNotification = async ({
         expiresAt,
         ...metadata
       },
-      status: 'sent', // In-app notifications are immediately available
-      sentAt: new Date()
+      ...templateRef,
+      ...(campaignId && { metadata: { campaignId } }),
+      ...getScheduleFields(plan, 'sent'), // In-app notifications are immediately available
+      ...(plan.action === 'send' && { sentAt: new Date() })
     });
 
+    if (notification.status === 'scheduled') {
+      console.log(`💬 In-app notification for user ${userId} scheduled for ${notification.scheduledAt.toISOString()}`);
+      return { notificationId: notification._id, scheduledAt: notification.scheduledAt };
+    }
+
+    await announceInAppNotification(notification);
+
     console.log(`💬 In-app notification created for user ${userId}: ${notificationTitle}`);
     return { notificationId: notification._id };
 
@@ -68,16 +89,45 @@ export const createInAppNotification = async ({
   }
 };
 
+/**
+ * Make a scheduled in-app notification visible to the user
+ */
+export const deliverInAppNotification = async (notification) => {
+  const delivered = await Notification.findByIdAndUpdate(
+    notification._id,
+    { status: 'sent', sentAt: new Date() },
+    { new: true }
+  );
+
+  await announceInAppNotification(delivered);
+
+  console.log(`💬 Scheduled in-app notification delivered to user ${delivered.userId}: ${delivered.title}`);
+  return { notificationId: delivered._id };
+};
+
+/**
+ * Deliver a new in-app notification to any open real-time connections
+ */
+const announceInAppNotification = async (notification) => {
+  pushToUser(notification.userId, 'notification', {
+    id: notification._id,
+    title: notification.title,
+    message: notification.message,
+    category: notification.category,
+    priority: notification.priority,
+    templateData: notification.templateData,
+    createdAt: notification.createdAt
+  });
+  await pushUnreadCount(notification.userId);
+};
+
 /**
  * Render in-app notification template
  */
-const renderInAppTemplate = async (templateName, data, userId) => {
+const renderInAppTemplate = async (templateName, data, userId, language) => {
   try {
-    const template = await NotificationTemplate.findOne({
-      name: templateName,
-      type: 'in_app',
-      isActive: true
-    });
+    const templateLanguage = await resolveLanguage(userId, language);
+    const template = await findLocalizedTemplate(templateName, 'in_app', templateLanguage);
 
     if (!template) {
       console.warn(`In-app template '${templateName}' not found`);
@@ -91,10 +141,10 @@ const renderInAppTemplate = async (templateName, data, userId) => {
     });
 
     // Compile template with data
-    const title = compileTemplate(template.subject, data);
-    const message = compileTemplate(template.body, data);
+    const title = compileTemplate(template.subject, data, templateLanguage);
+    const message = compileTemplate(template.body, data, templateLanguage);
 
-    return { title, message };
+    return { title, message, templateId: template._id, templateVersion: template.version };
   } catch (error) {
     console.error('Error rendering in-app template:', error);
     return null;
@@ -102,16 +152,17 @@ const renderInAppTemplate = async (templateName, data, userId) => {
 };
 
 /**
- * Check if user has in-app notifications enabled for a category
+ * Check if user has in-app notifications enabled for a category and when to send
  */
-const checkInAppPreference = async (userId, category) => {
+const getInAppDeliveryPlan = async (userId, category, priority, scheduledAt) => {
   try {
-    // This would integrate with NotificationPreference model
-    // For now, return true as default
-    return true;
+    // Default to sending immediately if no preferences set
+    const preferences = await NotificationPreference.findOne({ userId });
+
+    return planDelivery(preferences, 'in_app', category, priority, scheduledAt);
   } catch (error) {
     console.error('Error checking in-app preference:', error);
-    return true; // Default to true on error
+    return { action: 'send' }; // Default to sending on error
   }
 };
 
@@ -175,6 +226,9 @@ export const markNotificationAsRead = async (notificationId, userId) => {
       throw new Error('Notification not found');
     }
 
+    pushToUser(userId, 'read', { ids: [notification._id], readAt: notification.readAt });
+    await pushUnreadCount(userId);
+
     console.log(`✅ Notification ${notificationId} marked as read`);
     return { success: true };
   } catch (error) {
@@ -203,6 +257,9 @@ export const markAllNotificationsAsRead = async (userId, category = null) => {
       readAt: new Date()
     });
 
+    pushToUser(userId, 'read', { all: true, category, readAt: new Date() });
+    await pushUnreadCount(userId);
+
     console.log(`✅ Marked ${result.modifiedCount} notifications as read for user ${userId}`);
     return { success: true, modifiedCount: result.modifiedCount };
   } catch (error) {
@@ -226,6 +283,9 @@ export const deleteNotification = async (notificationId, userId) => {
       throw new Error('Notification not found');
     }
 
+    pushToUser(userId, 'deleted', { id: result._id });
+    if (!result.isRead) await pushUnreadCount(userId);
+
     console.log(`🗑️ Notification ${notificationId} deleted`);
     return { success: true };
   } catch (error) {
@@ -0,0 +1,337 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import Notification from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { compileTemplate } from '../utils/templateUtils.js';
+import { planDelivery, getScheduleFields } from './schedulingService.js';
+import { resolveLanguage, findLocalizedTemplate } from './templateService.js';
+import { markNotificationSent, markNotificationFailed, attachNotificationId } from './deliveryStatusService.js';
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+let serviceAccount = null;
+let fcmAccessToken = null;
+let activeProvider = null;
+
+// Messages captured by the mock transport
+const mockOutbox = [];
+
+/**
+ * Build an error that marks the device token as no longer usable
+ */
+const invalidTokenError = (message) => {
+  const error = new Error(message);
+  error.invalidToken = true;
+  return error;
+};
+
+/**
+ * Get an OAuth access token for FCM from the service account
+ */
+const getFcmAccessToken = async () => {
+  if (fcmAccessToken && fcmAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return fcmAccessToken.value;
+  }
+
+  const tokenUri = serviceAccount.token_uri || 'https://oauth2.googleapis.com/token';
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign(
+    { iss: serviceAccount.client_email, scope: FCM_SCOPE, aud: tokenUri, iat: now, exp: now + 3600 },
+    serviceAccount.private_key,
+    { algorithm: 'RS256' }
+  );
+
+  const response = await axios.post(tokenUri, new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion
+  }), { timeout: 10000 });
+
+  fcmAccessToken = {
+    value: response.data.access_token,
+    expiresAt: Date.now() + response.data.expires_in * 1000
+  };
+  return fcmAccessToken.value;
+};
+
+/**
+ * Push providers - each exposes send(token, payload) and resolves to { messageId, provider }
+ */
+const providers = {
+  // Firebase Cloud Messaging HTTP v1 API (Android, iOS and web push)
+  fcm: {
+    send: async (token, { title, body, data, link, priority }) => {
+      const accessToken = await getFcmAccessToken();
+
+      try {
+        const response = await axios.post(
+          `https://fcm.googleapis.com/v1/projects/${serviceAccount.project_id}/messages:send`,
+          {
+            message: {
+              token,
+              notification: { title, body },
+              data,
+              android: { priority: ['high', 'urgent'].includes(priority) ? 'high' : 'normal' },
+              ...(link && { webpush: { fcm_options: { link } } })
+            }
+          },
+          { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 10000 }
+        );
+
+        return { messageId: response.data.name, provider: 'fcm' };
+      } catch (error) {
+        const fcmError = error.response?.data?.error;
+        const errorCode = fcmError?.details?.find(detail => detail.errorCode)?.errorCode;
+
+        if (errorCode === 'UNREGISTERED' || (errorCode === 'INVALID_ARGUMENT' && /token/i.test(fcmError.message))) {
+          throw invalidTokenError(fcmError.message);
+        }
+        throw new Error(fcmError?.message || error.message);
+      }
+    }
+  },
+
+  // In-process transport for development and tests - tokens starting with "invalid" are rejected
+  mock: {
+    send: async (token, payload) => {
+      if (token.startsWith('invalid')) {
+        throw invalidTokenError('Requested entity was not found.');
+      }
+
+      const messageId = `mock-${randomUUID()}`;
+      mockOutbox.push({ messageId, token, ...payload, timestamp: new Date() });
+      return { messageId, provider: 'mock' };
+    }
+  }
+};
+
+/**
+ * Initialize push provider
+ */
+export const initPushService = () => {
+  const serviceAccountPath = process.env.FCM_SERVICE_ACCOUNT_PATH || './src/config/service-account.json';
+  let configured = process.env.PUSH_PROVIDER;
+
+  if (configured !== 'mock' && fs.existsSync(serviceAccountPath)) {
+    try {
+      serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+      configured = 'fcm';
+    } catch (error) {
+      console.warn('⚠️ Failed to read FCM service account:', error.message);
+    }
+  }
+
+  if (configured === 'fcm' && !serviceAccount) {
+    console.warn('⚠️ FCM service account not found, falling back to mock push transport');
+  }
+
+  activeProvider = serviceAccount && configured === 'fcm' ? 'fcm' : 'mock';
+  console.log(`🔔 Push provider: ${activeProvider}`);
+};
+
+/**
+ * Get messages captured by the mock transport
+ */
+export const getMockPushOutbox = () => [...mockOutbox];
+
+/**
+ * Clear messages captured by the mock transport
+ */
+export const clearMockPushOutbox = () => {
+  mockOutbox.length = 0;
+};
+
+/**
+ * Send push notification to all of a user's enabled devices
+ */
+export const sendPushNotification = async ({
+  userId,
+  title,
+  message,
+  template,
+  templateData = {},
+  category = 'system',
+  priority = 'normal',
+  actionUrl,
+  data = {},
+  scheduledAt,
+  language, // Defaults to the user's language preference
+  campaignId
+}) => {
+  if (!activeProvider) initPushService();
+
+  const preferences = await NotificationPreference.findOne({ userId });
+  const devices = (preferences?.devices || []).filter(device => device.enabled && device.pushToken);
+
+  if (devices.length === 0) return [];
+
+  // Check if user has push notifications enabled for this category, and when to send
+  const plan = planDelivery(preferences, 'push', category, priority, scheduledAt);
+  if (plan.action === 'skip') {
+    console.log(`🔔 Push notification skipped for user ${userId} - preference disabled`);
+    return [];
+  }
+
+  let pushTitle = title;
+  let pushBody = message;
+  let templateRef = {};
+
+  // Use template if provided
+  if (template && (!title || !message)) {
+    const templateResult = await renderPushTemplate(template, templateData, userId, language);
+    if (templateResult) {
+      pushTitle = templateResult.title;
+      pushBody = templateResult.message;
+      templateRef = { templateId: templateResult.templateId, templateVersion: templateResult.templateVersion };
+    }
+  }
+
+  // FCM data values must be strings
+  const pushData = Object.fromEntries(
+    Object.entries({ ...data, category, ...(actionUrl && { actionUrl }) })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, value.toString()])
+  );
+
+  const results = [];
+
+  for (const device of devices) {
+    const notification = await Notification.create({
+      userId,
+      type: 'push',
+      title: pushTitle,
+      message: pushBody,
+      recipient: device.pushToken,
+      provider: activeProvider,
+      category,
+      priority,
+      templateData: { ...templateData, deviceId: device.deviceId, actionUrl, pushData },
+      ...templateRef,
+      ...(campaignId && { metadata: { campaignId } }),
+      ...getScheduleFields(plan, 'pending')
+    });
+
+    if (notification.status === 'scheduled') {
+      results.push({ deviceId: device.deviceId, notificationId: notification._id, scheduledAt: notification.scheduledAt });
+      continue;
+    }
+
+    try {
+      await deliverPushNotification(notification);
+      results.push({ deviceId: device.deviceId, success: true, notificationId: notification._id });
+    } catch (error) {
+      results.push({ deviceId: device.deviceId, success: false, error: error.message });
+    }
+  }
+
+  if (plan.action === 'send') {
+    console.log(`🔔 Push sent to ${results.filter(result => result.success).length}/${devices.length} devices for user ${userId}`);
+  } else {
+    console.log(`🔔 Push for user ${userId} scheduled for ${plan.scheduledAt.toISOString()}`);
+  }
+  return results;
+};
+
+/**
+ * Send a push notification record to its device
+ */
+export const deliverPushNotification = async (notification) => {
+  if (!activeProvider) initPushService();
+
+  const { deviceId, actionUrl, pushData = {} } = notification.templateData || {};
+
+  try {
+    const result = await providers[activeProvider].send(notification.recipient, {
+      title: notification.title,
+      body: notification.message,
+      data: pushData,
+      link: actionUrl,
+      priority: notification.priority
+    });
+
+    await markNotificationSent(notification, result);
+
+    return { notificationId: notification._id, messageId: result.messageId };
+  } catch (error) {
+    console.error(`❌ Failed to send push to device ${deviceId}:`, error.message);
+
+    // An unregistered token will never succeed, so skip the retries
+    await markNotificationFailed(notification, error.message, { permanent: Boolean(error.invalidToken) });
+
+    // Prune tokens the provider no longer accepts
+    if (error.invalidToken) {
+      await NotificationPreference.updateOne(
+        { userId: notification.userId },
+        { $pull: { devices: { pushToken: notification.recipient } } }
+      );
+      console.log(`🧹 Pruned invalid push token for device ${deviceId} of user ${notification.userId}`);
+    }
+
+    throw attachNotificationId(error, notification);
+  }
+};
+
+/**
+ * Render push template - push reuses the in-app template of the same name
+ */
+const renderPushTemplate = async (templateName, data, userId, language) => {
+  try {
+    const templateLanguage = await resolveLanguage(userId, language);
+    const template = await findLocalizedTemplate(templateName, 'in_app', templateLanguage);
+
+    if (!template) {
+      console.warn(`Push template '${templateName}' not found`);
+      return null;
+    }
+
+    return {
+      title: compileTemplate(template.subject, data, templateLanguage),
+      message: compileTemplate(template.body, data, templateLanguage),
+      templateId: template._id,
+      templateVersion: template.version
+    };
+  } catch (error) {
+    console.error('Error rendering push template:', error);
+    return null;
+  }
+};
+
+/**
+ * Register or refresh a device for push notifications
+ */
+export const registerDevice = async (userId, { deviceId, deviceType, pushToken }) => {
+  // A token belongs to one install - drop it from any other account that still holds it
+  await NotificationPreference.updateMany(
+    { userId: { $ne: userId }, 'devices.pushToken': pushToken },
+    { $pull: { devices: { pushToken } } }
+  );
+
+  const preferences = await NotificationPreference.findOne({ userId })
+    || new NotificationPreference({ userId });
+
+  const existing = preferences.devices.find(device => device.deviceId === deviceId);
+  if (existing) {
+    existing.deviceType = deviceType;
+    existing.pushToken = pushToken;
+    existing.enabled = true;
+    existing.lastActive = new Date();
+  } else {
+    preferences.devices.push({ deviceId, deviceType, pushToken, enabled: true, lastActive: new Date() });
+  }
+
+  await preferences.save();
+  return preferences.devices.find(device => device.deviceId === deviceId);
+};
+
+/**
+ * Unregister a device
+ */
+export const unregisterDevice = async (userId, deviceId) => {
+  const result = await NotificationPreference.updateOne(
+    { userId, 'devices.deviceId': deviceId },
+    { $pull: { devices: { deviceId } } }
+  );
+
+  return result.modifiedCount > 0;
+};
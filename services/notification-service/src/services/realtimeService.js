@@ -0,0 +1,122 @@
+import Notification from '../models/Notification.js';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Open Server-Sent Events connections per user
+const clients = new Map();
+
+let heartbeatTimer = null;
+
+/**
+ * Write one Server-Sent Event to a connection
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Keep idle connections open through proxies and load balancers
+ */
+const startHeartbeat = () => {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    for (const connections of clients.values()) {
+      for (const res of connections) {
+        res.write(': ping\n\n');
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+};
+
+/**
+ * Register an SSE connection for a user
+ */
+export const addStreamClient = (userId, res) => {
+  const key = userId.toString();
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(res);
+
+  startHeartbeat();
+
+  res.on('close', () => {
+    const connections = clients.get(key);
+    if (!connections) return;
+
+    connections.delete(res);
+    if (connections.size === 0) clients.delete(key);
+  });
+};
+
+/**
+ * Push an event to every open connection of a user
+ */
+export const pushToUser = (userId, event, data) => {
+  const connections = clients.get(userId.toString());
+  if (!connections) return;
+
+  for (const res of connections) {
+    writeEvent(res, event, data);
+  }
+};
+
+/**
+ * Get a user's unread in-app notification count
+ */
+export const getUnreadCount = (userId) => {
+  return Notification.countDocuments({ userId, type: 'in_app', status: 'sent', isRead: false });
+};
+
+/**
+ * Push the current unread count to a user's open connections
+ */
+export const pushUnreadCount = async (userId) => {
+  if (!clients.has(userId.toString())) return;
+
+  try {
+    const unread = await getUnreadCount(userId);
+    pushToUser(userId, 'unread_count', { unread });
+  } catch (error) {
+    console.error('Error pushing unread count:', error);
+  }
+};
+
+/**
+ * Send the initial event to a newly opened connection
+ */
+export const sendStreamGreeting = async (userId, res) => {
+  try {
+    const unread = await getUnreadCount(userId);
+    writeEvent(res, 'connected', { unread });
+  } catch (error) {
+    console.error('Error sending stream greeting:', error);
+    writeEvent(res, 'connected', { unread: null });
+  }
+};
+
+/**
+ * Close all open connections (used on shutdown)
+ */
+export const closeAllStreams = () => {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  for (const connections of clients.values()) {
+    for (const res of connections) {
+      res.end();
+    }
+  }
+  clients.clear();
+};
+
+/**
+ * Get the number of open connections
+ */
+export const getStreamStats = () => ({
+  users: clients.size,
+  connections: [...clients.values()].reduce((sum, connections) => sum + connections.size, 0)
+});
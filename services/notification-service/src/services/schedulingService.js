@@ -0,0 +1,35 @@
+// Preference key for each notification type
+export const PREFERENCE_CHANNELS = {
+  email: 'email',
+  sms: 'sms',
+  push: 'push',
+  in_app: 'inApp'
+};
+
+/**
+ * Decide whether a notification is sent now, scheduled for later or skipped
+ * Resolves to { action: 'send' | 'defer' | 'digest' | 'skip', scheduledAt, digest }
+ */
+export const planDelivery = (preferences, type, category, priority, scheduledAt) => {
+  // Explicitly scheduled notifications are checked against preferences when they fall due
+  if (scheduledAt && new Date(scheduledAt) > new Date()) {
+    return { action: 'defer', scheduledAt: new Date(scheduledAt) };
+  }
+
+  if (!preferences) return { action: 'send' };
+
+  return preferences.getDeliveryPlan(PREFERENCE_CHANNELS[type], category, priority);
+};
+
+/**
+ * Notification status and scheduling fields for a delivery plan
+ */
+export const getScheduleFields = (plan, immediateStatus) => {
+  if (plan.action === 'send') return { status: immediateStatus };
+
+  return {
+    status: 'scheduled',
+    scheduledAt: plan.scheduledAt,
+    ...(plan.digest && { digest: plan.digest })
+  };
+};
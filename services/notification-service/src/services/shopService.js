@@ -0,0 +1,18 @@
+import axios from 'axios';
+
+const MEDICAL_SHOP_SERVICE_URL = process.env.MEDICAL_SHOP_SERVICE_URL || 'http://medical-shop-service:3004';
+
+/**
+ * Get the owners of active, verified shops within a radius (km) of a point
+ */
+export const getNearbyShopOwners = async ({ latitude, longitude, radiusKm }) => {
+  const response = await axios.get(`${MEDICAL_SHOP_SERVICE_URL}/api/shops/internal/owners`, {
+    params: { lat: latitude, lng: longitude, radius: radiusKm },
+    headers: {
+      'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`
+    },
+    timeout: 10000
+  });
+
+  return response.data.data;
+};
@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import axios from 'axios';
+import Notification from '../models/Notification.js';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import { compileTemplate } from '../utils/templateUtils.js';
+import { planDelivery, getScheduleFields } from './schedulingService.js';
+import { resolveLanguage, findLocalizedTemplate } from './templateService.js';
+import { hasMarketingConsent } from './userService.js';
+import { markNotificationSent, markNotificationFailed, attachNotificationId } from './deliveryStatusService.js';
+
+/**
+ * SMS providers - each exposes send(to, body) and resolves to { messageId, provider }
+ */
+const providers = {
+  // Twilio Programmable Messaging over its REST API
+  twilio: {
+    send: async (to, body) => {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body }),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          timeout: 10000
+        }
+      );
+
+      return { messageId: response.data.sid, provider: 'twilio' };
+    }
+  },
+
+  // Development stub - prints messages instead of sending them
+  console: {
+    send: async (to, body) => {
+      console.log(`📱 [SMS → ${to}] ${body}`);
+      return { messageId: `console-${randomUUID()}`, provider: 'console' };
+    }
+  },
+
+  // Test stub - appends messages to a JSON lines outbox file
+  file: {
+    send: async (to, body) => {
+      const outboxPath = process.env.SMS_OUTBOX_PATH || './logs/sms-outbox.log';
+      const messageId = `file-${randomUUID()}`;
+
+      await fs.mkdir(path.dirname(outboxPath), { recursive: true });
+      await fs.appendFile(outboxPath, JSON.stringify({
+        messageId,
+        to,
+        body,
+        timestamp: new Date().toISOString()
+      }) + '\n');
+
+      return { messageId, provider: 'file' };
+    }
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * Initialize SMS provider
+ */
+export const initSmsService = () => {
+  const configured = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console');
+
+  if (!providers[configured]) {
+    console.warn(`⚠️ Unknown SMS provider '${configured}', falling back to console`);
+  }
+
+  activeProvider = providers[configured] ? configured : 'console';
+  console.log(`📱 SMS provider: ${activeProvider}`);
+};
+
+/**
+ * Format a mobile number in E.164 using the user's country code
+ */
+export const formatPhoneNumber = (mobile, countryCode = '+91') => {
+  if (!mobile) return null;
+
+  const digits = mobile.toString().replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+
+  return `${countryCode}${digits.replace(/^0+/, '')}`;
+};
+
+/**
+ * Send SMS notification
+ */
+export const sendSmsNotification = async ({
+  userId,
+  recipient,
+  template,
+  templateData = {},
+  message,
+  category = 'system',
+  priority = 'normal',
+  scheduledAt,
+  language, // Defaults to the user's language preference
+  campaignId
+}) => {
+  if (!activeProvider) initSmsService();
+
+  // Check if user has SMS notifications enabled for this category, and when to send
+  const plan = await getSmsDeliveryPlan(userId, category, priority, scheduledAt);
+  if (plan.action === 'skip') {
+    console.log(`📱 SMS notification skipped for user ${userId} - preference disabled`);
+    return null;
+  }
+
+  let smsBody = message;
+  let templateRef = {};
+
+  // Use template if provided
+  if (template && !message) {
+    const templateResult = await renderSmsTemplate(template, templateData, userId, language);
+    if (templateResult) {
+      smsBody = templateResult.message;
+      templateRef = { templateId: templateResult.templateId, templateVersion: templateResult.templateVersion };
+    }
+  }
+
+  if (!smsBody) {
+    throw new Error(`SMS template '${template}' not found`);
+  }
+
+  // Create notification record
+  const notification = await Notification.create({
+    userId,
+    type: 'sms',
+    title: template || 'SMS',
+    message: smsBody,
+    recipient,
+    provider: activeProvider,
+    category,
+    priority,
+    templateData,
+    ...templateRef,
+    ...(campaignId && { metadata: { campaignId } }),
+    ...getScheduleFields(plan, 'pending')
+  });
+
+  if (notification.status === 'scheduled') {
+    console.log(`📱 SMS for user ${userId} scheduled for ${notification.scheduledAt.toISOString()}`);
+    return { notificationId: notification._id, scheduledAt: notification.scheduledAt };
+  }
+
+  return deliverSmsNotification(notification);
+};
+
+/**
+ * Send an SMS notification record through the active provider
+ */
+export const deliverSmsNotification = async (notification) => {
+  if (!activeProvider) initSmsService();
+
+  try {
+    const result = await providers[activeProvider].send(notification.recipient, notification.message);
+
+    // Update notification status
+    await markNotificationSent(notification, result);
+
+    console.log(`📱 SMS sent successfully to ${notification.recipient} via ${result.provider}`);
+    return { notificationId: notification._id, messageId: result.messageId };
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+    console.error('❌ Failed to send SMS notification:', reason);
+
+    // Client errors such as an invalid number will not succeed on retry (429 is rate limiting)
+    const status = error.response?.status;
+    const permanent = status >= 400 && status < 500 && status !== 429;
+
+    await markNotificationFailed(notification, reason, { permanent });
+
+    throw attachNotificationId(error, notification);
+  }
+};
+
+/**
+ * Render SMS template
+ */
+const renderSmsTemplate = async (templateName, data, userId, language) => {
+  try {
+    const templateLanguage = await resolveLanguage(userId, language);
+    const template = await findLocalizedTemplate(templateName, 'sms', templateLanguage);
+
+    if (!template) {
+      console.warn(`SMS template '${templateName}' not found`);
+      return null;
+    }
+
+    // Increment usage count
+    await NotificationTemplate.findByIdAndUpdate(template._id, {
+      $inc: { usageCount: 1 },
+      lastUsed: new Date()
+    });
+
+    return {
+      message: compileTemplate(template.body, data, templateLanguage),
+      templateId: template._id,
+      templateVersion: template.version
+    };
+  } catch (error) {
+    console.error('Error rendering SMS template:', error);
+    return null;
+  }
+};
+
+/**
+ * Check if user has SMS notifications enabled for a category and when to send
+ */
+const getSmsDeliveryPlan = async (userId, category, priority, scheduledAt) => {
+  try {
+    // Promotional SMS also needs the opt-in from the user's account settings
+    if (category === 'marketing' && !(await hasMarketingConsent(userId, 'sms'))) {
+      return { action: 'skip' };
+    }
+
+    // SMS is opt-in, so users without saved preferences get the schema defaults
+    const preferences = await NotificationPreference.findOne({ userId })
+      || new NotificationPreference({ userId });
+
+    return planDelivery(preferences, 'sms', category, priority, scheduledAt);
+  } catch (error) {
+    console.error('Error checking SMS preference:', error);
+    return { action: 'skip' }; // SMS is opt-in, so fail closed
+  }
+};
@@ -0,0 +1,33 @@
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import { getUserPreferences } from './userService.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Languages a template can be translated into
+export const SUPPORTED_LANGUAGES = NotificationTemplate.schema.path('language').enumValues;
+
+/**
+ * Resolve the language to render a user's notification in
+ */
+export const resolveLanguage = async (userId, language) => {
+  if (SUPPORTED_LANGUAGES.includes(language)) return language;
+
+  const preferences = userId ? await getUserPreferences(userId) : null;
+  return SUPPORTED_LANGUAGES.includes(preferences?.language) ? preferences.language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Find the active template variant for a language, falling back to English
+ */
+export const findLocalizedTemplate = async (name, type, language = DEFAULT_LANGUAGE) => {
+  const variants = await NotificationTemplate.find({
+    name,
+    type,
+    isActive: true,
+    language: { $in: [language, DEFAULT_LANGUAGE] }
+  });
+
+  return variants.find(variant => variant.language === language)
+    || variants.find(variant => variant.language === DEFAULT_LANGUAGE)
+    || null;
+};
@@ -0,0 +1,160 @@
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import NotificationTemplateVersion, { VERSIONED_FIELDS } from '../models/NotificationTemplateVersion.js';
+import { validateTemplate } from '../utils/templateUtils.js';
+import { diffLines } from '../utils/diffUtils.js';
+
+/**
+ * Copy the versioned content fields out of a template, version or request body
+ */
+export const pickVersionedContent = (source) => {
+  const data = typeof source.toObject === 'function' ? source.toObject() : source;
+  const content = {};
+
+  for (const field of VERSIONED_FIELDS) {
+    if (data[field] !== undefined) content[field] = data[field];
+  }
+
+  return content;
+};
+
+/**
+ * Snapshot a template's live content as its first published version
+ * Templates created before versioning get their history started on first use
+ */
+export const ensureInitialVersion = async (template) => {
+  if (await NotificationTemplateVersion.exists({ templateId: template._id })) return;
+
+  try {
+    await NotificationTemplateVersion.create({
+      templateId: template._id,
+      version: template.version,
+      status: 'published',
+      ...pickVersionedContent(template),
+      changeNote: 'Initial version',
+      publishedAt: template.createdAt || new Date()
+    });
+  } catch (error) {
+    // Another request snapshotted it first
+    if (error.code !== 11000) throw error;
+  }
+
+  await NotificationTemplate.updateOne({ _id: template._id }, { $max: { latestVersion: template.version } });
+};
+
+/**
+ * Create a draft version - fields left out of the changes carry over from the published version
+ */
+export const createTemplateDraft = async (template, changes, { changeNote, userId } = {}) => {
+  await ensureInitialVersion(template);
+
+  // Reserve the next version number atomically so concurrent edits never collide
+  const { latestVersion } = await NotificationTemplate.findByIdAndUpdate(
+    template._id,
+    { $inc: { latestVersion: 1 } },
+    { new: true }
+  );
+
+  return NotificationTemplateVersion.create({
+    templateId: template._id,
+    version: latestVersion,
+    status: 'draft',
+    ...pickVersionedContent(template),
+    ...pickVersionedContent(changes),
+    basedOn: template.version,
+    changeNote,
+    createdBy: userId
+  });
+};
+
+/**
+ * Check a version's content can be rendered before it goes live
+ */
+export const validateVersionContent = (content, type) => {
+  const requiredVariables = (content.variables || [])
+    .filter(variable => variable.required)
+    .map(variable => variable.name);
+
+  const { missingVariables = [], error } = validateTemplate(content.body, requiredVariables);
+
+  const errors = error ? [error] : [];
+  if (type === 'email') {
+    if (!content.subject) errors.push('Email templates need a subject');
+    if (!content.htmlBody) errors.push('Email templates need an HTML body');
+  }
+
+  return {
+    valid: errors.length === 0 && missingVariables.length === 0,
+    missingVariables,
+    errors
+  };
+};
+
+/**
+ * Make a version the live content of its template and archive the previously published one
+ */
+export const publishTemplateVersion = async (template, version, userId) => {
+  const published = await NotificationTemplate.findByIdAndUpdate(
+    template._id,
+    { ...pickVersionedContent(version), version: version.version },
+    { new: true, runValidators: true }
+  );
+
+  await NotificationTemplateVersion.updateMany(
+    { templateId: template._id, status: 'published', version: { $ne: version.version } },
+    { status: 'archived' }
+  );
+
+  version.status = 'published';
+  version.publishedAt = new Date();
+  version.publishedBy = userId;
+  await version.save();
+
+  console.log(`📝 Template '${published.name}' (${published.type}/${published.language}) published at version ${version.version}`);
+  return published;
+};
+
+/**
+ * Roll a template back by republishing an earlier version's content as a new version
+ * History stays linear, so the rollback itself can be rolled back
+ */
+export const rollbackTemplate = async (template, target, userId) => {
+  const version = await createTemplateDraft(template, target, {
+    changeNote: `Rollback to version ${target.version}`,
+    userId
+  });
+
+  return {
+    version,
+    template: await publishTemplateVersion(template, version, userId)
+  };
+};
+
+/**
+ * Compare the content of two versions
+ */
+export const diffTemplateVersions = (from, to) => {
+  const fromVariables = new Map((from.variables || []).map(variable => [variable.name, variable]));
+  const toVariables = new Map((to.variables || []).map(variable => [variable.name, variable]));
+
+  const variables = {
+    added: [...toVariables.keys()].filter(name => !fromVariables.has(name)),
+    removed: [...fromVariables.keys()].filter(name => !toVariables.has(name)),
+    changed: [...toVariables.keys()].filter(name => {
+      const before = fromVariables.get(name);
+      const after = toVariables.get(name);
+      return before && ['description', 'required', 'defaultValue'].some(key => before[key] !== after[key]);
+    })
+  };
+
+  const changes = {
+    subject: diffLines(from.subject, to.subject),
+    body: diffLines(from.body, to.body),
+    htmlBody: diffLines(from.htmlBody, to.htmlBody),
+    variables
+  };
+
+  const identical = ['subject', 'body', 'htmlBody'].every(field => changes[field].every(change => change.type === 'unchanged'))
+    && Object.values(variables).every(names => names.length === 0);
+
+  return { identical, changes };
+};
@@ -0,0 +1,125 @@
+import { createHmac } from 'crypto';
+import jwt from 'jsonwebtoken';
+import NotificationPreference from '../models/NotificationPreference.js';
+
+const TOKEN_PURPOSE = 'notification_preferences';
+
+// Security notices (login codes, password resets) cannot be unsubscribed from
+export const UNSUBSCRIBABLE_CATEGORIES = NotificationPreference.schema
+  .path('unsubscribedCategories').schema.path('category').enumValues
+  .filter(category => category !== 'security');
+
+/**
+ * Secret for preference tokens - derived from JWT_SECRET unless set, so they never pass as login tokens.
+ * Null when neither is configured: tokens are then neither issued nor accepted
+ */
+const getTokenSecret = () => {
+  if (process.env.UNSUBSCRIBE_TOKEN_SECRET) return process.env.UNSUBSCRIBE_TOKEN_SECRET;
+  if (!process.env.JWT_SECRET) return null;
+
+  return createHmac('sha256', process.env.JWT_SECRET).update(TOKEN_PURPOSE).digest('hex');
+};
+
+/**
+ * Create a signed, expiring token that lets an email recipient manage their preferences without logging in
+ */
+export const createPreferenceToken = (userId, category) => {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new Error('UNSUBSCRIBE_TOKEN_SECRET or JWT_SECRET must be set to sign preference tokens');
+  }
+
+  return jwt.sign(
+    { purpose: TOKEN_PURPOSE, category },
+    secret,
+    {
+      subject: userId.toString(),
+      expiresIn: `${parseInt(process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS) || 60}d`
+    }
+  );
+};
+
+/**
+ * Verify a preference token and return who it was issued to and for which category
+ */
+export const verifyPreferenceToken = (token) => {
+  try {
+    const secret = getTokenSecret();
+    if (!secret) throw new Error('No preference token secret configured');
+
+    const payload = jwt.verify(token, secret);
+    if (payload.purpose !== TOKEN_PURPOSE) throw new Error('Wrong token purpose');
+
+    return { userId: payload.sub, category: payload.category };
+  } catch (error) {
+    const err = new Error(error.name === 'TokenExpiredError' ? 'This link has expired' : 'This link is not valid');
+    err.statusCode = 401;
+    throw err;
+  }
+};
+
+/**
+ * Build the unsubscribe and preference-center links for an email
+ */
+export const getPreferenceLinks = (userId, category) => {
+  // Without a signing secret emails go out without links rather than with forgeable ones
+  if (!userId || !getTokenSecret()) return {};
+
+  const token = createPreferenceToken(userId, category);
+  const apiUrl = process.env.NOTIFICATION_PUBLIC_URL || 'http://localhost:3003';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    token,
+    preferencesUrl: `${frontendUrl}/notification-preferences?token=${token}`,
+    ...(UNSUBSCRIBABLE_CATEGORIES.includes(category) && {
+      unsubscribeUrl: `${apiUrl}/api/notifications/unsubscribe?token=${token}`
+    })
+  };
+};
+
+/**
+ * List-Unsubscribe headers so mail clients can offer one-click unsubscribe (RFC 8058)
+ */
+export const getListUnsubscribeHeaders = (userId, category) => {
+  const { unsubscribeUrl } = getPreferenceLinks(userId, category);
+  if (!unsubscribeUrl) return {};
+
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+};
+
+/**
+ * Record an opt-out - repeat requests keep the original date and reason
+ */
+export const unsubscribeFromCategory = async (userId, category, reason) => {
+  if (!UNSUBSCRIBABLE_CATEGORIES.includes(category)) {
+    const error = new Error(`You cannot unsubscribe from ${category} notifications`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const preferences = await NotificationPreference.findOne({ userId })
+    || new NotificationPreference({ userId });
+
+  if (!preferences.unsubscribedCategories.some(item => item.category === category)) {
+    preferences.unsubscribedCategories.push({ category, reason });
+    await preferences.save();
+    console.log(`🔕 User ${userId} unsubscribed from ${category} notifications (${reason})`);
+  }
+
+  return preferences;
+};
+
+/**
+ * Remove an opt-out
+ */
+export const resubscribeToCategory = async (userId, category) => {
+  return NotificationPreference.findOneAndUpdate(
+    { userId },
+    { $pull: { unsubscribedCategories: { category } } },
+    { new: true }
+  );
+};
@@ -0,0 +1,118 @@
+import axios from 'axios';
+
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3001';
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://user-service:3002';
+const CONTACT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Short-lived caches so bursts of alerts for one user hit auth-service and user-service once
+const contactCache = new Map();
+const preferencesCache = new Map();
+
+/**
+ * Get a user's contact details from auth service
+ */
+export const getUserContact = async (userId) => {
+  const key = userId.toString();
+  const cached = contactCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.contact;
+  }
+
+  try {
+    const response = await axios.get(`${AUTH_SERVICE_URL}/api/auth/user/${key}`, {
+      headers: {
+        'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`
+      },
+      timeout: 5000
+    });
+
+    const contact = response.data.user;
+    contactCache.set(key, { contact, expiresAt: Date.now() + CONTACT_CACHE_TTL_MS });
+    return contact;
+  } catch (error) {
+    console.error(`Error fetching contact for user ${key}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Get a user's app preferences (language, timezone, marketing opt-ins) from user service
+ */
+export const getUserPreferences = async (userId) => {
+  const key = userId.toString();
+  const cached = preferencesCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.preferences;
+  }
+
+  try {
+    const response = await axios.get(`${USER_SERVICE_URL}/api/users/internal/${key}/preferences`, {
+      headers: {
+        'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`
+      },
+      timeout: 5000
+    });
+
+    const preferences = response.data.preferences;
+    preferencesCache.set(key, { preferences, expiresAt: Date.now() + CONTACT_CACHE_TTL_MS });
+    return preferences;
+  } catch (error) {
+    console.error(`Error fetching preferences for user ${key}:`, error.message);
+    return null;
+  }
+};
+
+// Account-level marketing opt-ins, for the channels that have one
+const MARKETING_CONSENT_FIELDS = {
+  email: 'marketingEmails',
+  sms: 'promotionalSMS'
+};
+
+/**
+ * Check a user has opted in to marketing on a channel
+ * Fails closed when user service cannot be reached
+ */
+export const hasMarketingConsent = async (userId, type) => {
+  const field = MARKETING_CONSENT_FIELDS[type];
+  if (!field) return true;
+
+  const preferences = await getUserPreferences(userId);
+  return preferences?.[field] === true;
+};
+
+/**
+ * Get one page of active users' contact details, optionally limited to some roles
+ */
+export const getUsersPage = async ({ roles, page = 1, limit = 500 }) => {
+  const response = await axios.get(`${AUTH_SERVICE_URL}/api/auth/users`, {
+    params: {
+      page,
+      limit,
+      ...(roles?.length && { role: roles.join(',') })
+    },
+    headers: {
+      'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`
+    },
+    timeout: 10000
+  });
+
+  return response.data;
+};
+
+/**
+ * Narrow a batch of users to those living in some cities and/or using some languages
+ */
+export const filterUserSegment = async (userIds, { cities, languages }) => {
+  const response = await axios.post(
+    `${USER_SERVICE_URL}/api/users/internal/segment`,
+    { userIds, cities, languages },
+    {
+      headers: {
+        'Authorization': `Bearer ${process.env.INTERNAL_API_KEY}`
+      },
+      timeout: 10000
+    }
+  );
+
+  return response.data.userIds;
+};
@@ -0,0 +1,39 @@
+/**
+ * Line-by-line diff of two texts
+ * Returns every line marked as 'unchanged', 'removed' (only in before) or 'added' (only in after)
+ */
+export const diffLines = (before = '', after = '') => {
+  const oldLines = before ? before.split('\n') : [];
+  const newLines = after ? after.split('\n') : [];
+
+  // Longest common subsequence lengths, filled from the end of both texts
+  const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      changes.push({ type: 'unchanged', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: oldLines[i++] });
+    } else {
+      changes.push({ type: 'added', line: newLines[j++] });
+    }
+  }
+
+  while (i < oldLines.length) changes.push({ type: 'removed', line: oldLines[i++] });
+  while (j < newLines.length) changes.push({ type: 'added', line: newLines[j++] });
+
+  return changes;
+};
@@ -1,4 +1,5 @@
 import NotificationTemplate from '../models/NotificationTemplate.js';
+import { ensureInitialVersion } from '../services/templateVersionService.js';
 
 /**
  * Default notification templates
@@ -258,25 +259,567 @@ The MedicineFinder Team`,
       { name: "totalAmount", description: "Order total", required: true },
       { name: "deliveryDate", description: "Delivery date", required: true }
     ]
+  },
+
+  // Low stock alert for shop owners
+  {
+    name: "low_stock",
+    description: "Low stock alert sent to shop owners",
+    type: "email",
+    subject: "Low Stock: {{medicineName}} at {{shopName}}",
+    body: `Hi {{default ownerName "there"}},
+
+{{medicineName}} is running low at {{shopName}}.
+
+Stock Details:
+- Available Quantity: {{currentStock}}
+- Alert Threshold: {{threshold}}
+
+Restock soon to avoid missing orders from nearby customers.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #fd7e14;">Low Stock Alert</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  <p><strong>{{medicineName}}</strong> is running low at <strong>{{shopName}}</strong>.</p>
+
+  <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <h3>Stock Details:</h3>
+    <ul>
+      <li><strong>Available Quantity:</strong> {{currentStock}}</li>
+      <li><strong>Alert Threshold:</strong> {{threshold}}</li>
+    </ul>
+  </div>
+
+  <p>Restock soon to avoid missing orders from nearby customers.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "system",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "medicineName", description: "Medicine name", required: true },
+      { name: "currentStock", description: "Available quantity across batches", required: true },
+      { name: "threshold", description: "Low stock threshold", required: true }
+    ]
+  },
+  {
+    name: "low_stock",
+    description: "Low stock in-app alert for shop owners",
+    type: "in_app",
+    subject: "Low stock: {{medicineName}}",
+    body: "Only {{currentStock}} left at {{shopName}} (threshold {{threshold}}). Restock soon.",
+    category: "system",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "medicineName", description: "Medicine name", required: true },
+      { name: "currentStock", description: "Available quantity across batches", required: true },
+      { name: "threshold", description: "Low stock threshold", required: true }
+    ]
+  },
+
+  // Expiry warning for shop owners
+  {
+    name: "expiry_warning",
+    description: "Batch expiry warning sent to shop owners",
+    type: "email",
+    subject: "{{#if expired}}Expired{{else}}Expiring Soon{{/if}}: {{medicineName}} batch {{batchNumber}}",
+    body: `Hi {{default ownerName "there"}},
+
+{{#if expired}}A batch of {{medicineName}} at {{shopName}} has expired and has been removed from sale.{{else}}A batch of {{medicineName}} at {{shopName}} expires in {{daysToExpiry}} days.{{/if}}
+
+Batch Details:
+- Batch Number: {{batchNumber}}
+- Expiry Date: {{formatDate expiryDate}}
+- Quantity: {{quantity}}
+
+{{#if expired}}Please dispose of or return the stock to your supplier.{{else}}Consider a discount or supplier return before it expires.{{/if}}
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #dc3545;">{{#if expired}}Batch Expired{{else}}Batch Expiring Soon{{/if}}</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  {{#if expired}}
+  <p>A batch of <strong>{{medicineName}}</strong> at <strong>{{shopName}}</strong> has expired and has been removed from sale.</p>
+  {{else}}
+  <p>A batch of <strong>{{medicineName}}</strong> at <strong>{{shopName}}</strong> expires in <strong>{{daysToExpiry}} days</strong>.</p>
+  {{/if}}
+
+  <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <h3>Batch Details:</h3>
+    <ul>
+      <li><strong>Batch Number:</strong> {{batchNumber}}</li>
+      <li><strong>Expiry Date:</strong> {{formatDate expiryDate}}</li>
+      <li><strong>Quantity:</strong> {{quantity}}</li>
+    </ul>
+  </div>
+
+  <p>{{#if expired}}Please dispose of or return the stock to your supplier.{{else}}Consider a discount or supplier return before it expires.{{/if}}</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "system",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "medicineName", description: "Medicine name", required: true },
+      { name: "batchNumber", description: "Batch number", required: true },
+      { name: "expiryDate", description: "Batch expiry date", required: true },
+      { name: "daysToExpiry", description: "Days left until expiry", required: true },
+      { name: "quantity", description: "Quantity in the batch", required: true },
+      { name: "expired", description: "Whether the batch has already expired", required: false }
+    ]
+  },
+  {
+    name: "expiry_warning",
+    description: "Batch expiry in-app warning for shop owners",
+    type: "in_app",
+    subject: "{{#if expired}}Expired{{else}}Expiring soon{{/if}}: {{medicineName}}",
+    body: "{{#if expired}}Batch {{batchNumber}} ({{quantity}} units) at {{shopName}} has expired.{{else}}Batch {{batchNumber}} ({{quantity}} units) at {{shopName}} expires in {{daysToExpiry}} days.{{/if}}",
+    category: "system",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "medicineName", description: "Medicine name", required: true },
+      { name: "batchNumber", description: "Batch number", required: true },
+      { name: "daysToExpiry", description: "Days left until expiry", required: true },
+      { name: "quantity", description: "Quantity in the batch", required: true },
+      { name: "expired", description: "Whether the batch has already expired", required: false }
+    ]
+  },
+
+  // Shop verified
+  {
+    name: "shop_verified",
+    description: "Notification sent when a shop is verified",
+    type: "email",
+    subject: "{{shopName}} is now verified on MedicineFinder",
+    body: `Hi {{default ownerName "there"}},
+
+Good news! {{shopName}} has been verified.
+
+Your shop is now visible to customers searching for medicines nearby, and you can start accepting orders.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #28a745;">Your Shop is Verified</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  <p>Good news! <strong>{{shopName}}</strong> has been verified.</p>
+
+  <p>Your shop is now visible to customers searching for medicines nearby, and you can start accepting orders.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "account",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true }
+    ]
+  },
+  {
+    name: "shop_verified",
+    description: "In-app notification sent when a shop is verified",
+    type: "in_app",
+    subject: "Shop verified",
+    body: "{{shopName}} has been verified and is now visible to customers.",
+    category: "account",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true }
+    ]
+  },
+
+  // Shop verification rejected
+  {
+    name: "shop_verification_rejected",
+    description: "Notification sent when a shop's verification is rejected",
+    type: "email",
+    subject: "{{shopName}} could not be verified yet",
+    body: `Hi {{default ownerName "there"}},
+
+We reviewed the verification documents for {{shopName}} but could not verify the shop.
+
+Reason: {{reason}}
+
+Please correct the documents and resubmit them from your shop dashboard. Your shop stays hidden from customers until it is verified.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #fd7e14;">Verification Not Approved</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  <p>We reviewed the verification documents for <strong>{{shopName}}</strong> but could not verify the shop.</p>
+
+  <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Reason:</strong> {{reason}}
+  </div>
+
+  <p>Please correct the documents and resubmit them from your shop dashboard. Your shop stays hidden from customers until it is verified.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "account",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "reason", description: "Rejection reason", required: true }
+    ]
+  },
+  {
+    name: "shop_verification_rejected",
+    description: "In-app notification sent when a shop's verification is rejected",
+    type: "in_app",
+    subject: "Verification not approved",
+    body: "{{shopName}} could not be verified: {{reason}}. Please resubmit your documents.",
+    category: "account",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "reason", description: "Rejection reason", required: true }
+    ]
+  },
+
+  // Shop suspended
+  {
+    name: "shop_suspended",
+    description: "Notification sent when a shop is suspended",
+    type: "email",
+    subject: "{{shopName}} has been suspended",
+    body: `Hi {{default ownerName "there"}},
+
+{{shopName}} has been suspended and is no longer visible to customers.
+
+Reason: {{default reason "Not specified"}}
+
+If you believe this is a mistake, please contact our support team.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #dc3545;">Shop Suspended</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  <p><strong>{{shopName}}</strong> has been suspended and is no longer visible to customers.</p>
+
+  <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Reason:</strong> {{default reason "Not specified"}}
+  </div>
+
+  <p>If you believe this is a mistake, please contact our support team.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "account",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "reason", description: "Suspension reason", required: false }
+    ]
+  },
+  {
+    name: "shop_suspended",
+    description: "In-app notification sent when a shop is suspended",
+    type: "in_app",
+    subject: "Shop suspended",
+    body: "{{shopName}} has been suspended. Reason: {{default reason \"Not specified\"}}",
+    category: "account",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "reason", description: "Suspension reason", required: false }
+    ]
+  },
+
+  // Two-factor authentication code
+  {
+    name: "two_factor_code",
+    description: "Two-factor authentication code sent by SMS",
+    type: "sms",
+    body: "{{code}} is your MedicineFinder verification code. It expires in {{default expiresInMinutes 10}} minutes. Do not share it with anyone.",
+    category: "security",
+    variables: [
+      { name: "code", description: "Verification code", required: true },
+      { name: "expiresInMinutes", description: "Minutes until the code expires", required: false, defaultValue: "10" }
+    ]
+  },
+
+  // Order status updates for customers
+  {
+    name: "order_update",
+    description: "Order status update sent by SMS",
+    type: "sms",
+    body: "MedicineFinder: Your order {{orderNumber}} {{statusText}}.",
+    category: "transaction",
+    variables: [
+      { name: "orderNumber", description: "Order number", required: true },
+      { name: "statusText", description: "Human readable status change", required: true }
+    ]
+  },
+  {
+    name: "order_update",
+    description: "Order status update in-app notification",
+    type: "in_app",
+    subject: "Order {{orderNumber}} update",
+    body: "Your order {{orderNumber}} {{statusText}}.",
+    category: "transaction",
+    variables: [
+      { name: "orderNumber", description: "Order number", required: true },
+      { name: "statusText", description: "Human readable status change", required: true }
+    ]
+  },
+
+  // New order alert for shop owners
+  {
+    name: "new_order",
+    description: "New order alert sent to shop owners",
+    type: "email",
+    subject: "New Order {{orderNumber}} at {{shopName}}",
+    body: `Hi {{default ownerName "there"}},
+
+You have a new order at {{shopName}}.
+
+Order Details:
+- Order Number: {{orderNumber}}
+- Items: {{itemCount}}
+- Total Amount: {{formatCurrency total}}
+
+Please review and confirm it from your dashboard.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #007bff;">New Order Received</h2>
+  <p>Hi {{default ownerName "there"}},</p>
+  <p>You have a new order at <strong>{{shopName}}</strong>.</p>
+
+  <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <h3>Order Details:</h3>
+    <ul>
+      <li><strong>Order Number:</strong> {{orderNumber}}</li>
+      <li><strong>Items:</strong> {{itemCount}}</li>
+      <li><strong>Total Amount:</strong> {{formatCurrency total}}</li>
+    </ul>
+  </div>
+
+  <p>Please review and confirm it from your dashboard.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "transaction",
+    variables: [
+      { name: "ownerName", description: "Shop owner's name", required: false },
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "orderNumber", description: "Order number", required: true },
+      { name: "itemCount", description: "Number of order lines", required: true },
+      { name: "total", description: "Order total", required: true }
+    ]
+  },
+  {
+    name: "new_order",
+    description: "New order in-app alert for shop owners",
+    type: "in_app",
+    subject: "New order {{orderNumber}}",
+    body: "{{itemCount}} item(s) worth {{formatCurrency total}} ordered at {{shopName}}. Review and confirm it now.",
+    category: "transaction",
+    variables: [
+      { name: "shopName", description: "Shop name", required: true },
+      { name: "orderNumber", description: "Order number", required: true },
+      { name: "itemCount", description: "Number of order lines", required: true },
+      { name: "total", description: "Order total", required: true }
+    ]
+  },
+
+  // Delivery offer for riders
+  {
+    name: "delivery_assignment",
+    description: "New delivery offered to a rider",
+    type: "in_app",
+    subject: "New delivery {{orderNumber}}",
+    body: "Pick up order {{orderNumber}} from {{shopName}} and deliver to {{deliveryCity}}. Accept or reject it now.",
+    category: "transaction",
+    variables: [
+      { name: "orderNumber", description: "Order number", required: true },
+      { name: "shopName", description: "Pickup shop name", required: true },
+      { name: "deliveryCity", description: "City of the delivery address", required: false, defaultValue: "the customer" }
+    ]
+  },
+
+  // Daily and weekly digests
+  {
+    name: "digest",
+    description: "Daily or weekly digest of batched notifications",
+    type: "email",
+    subject: "Your {{period}} MedicineFinder summary: {{count}} update(s)",
+    body: `Hi there,
+
+Here is your {{period}} summary of {{count}} notification(s):
+
+{{#each items}}
+- {{title}} ({{formatDate createdAt}})
+{{/each}}
+{{#if moreCount}}
+...and {{moreCount}} more in the app.
+{{/if}}
+
+You are receiving this summary because your email frequency is set to {{period}}. You can change it in your notification preferences.
+
+Best regards,
+The MedicineFinder Team`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333;">Your {{period}} summary</h2>
+  <p>Here {{#if (gt count 1)}}are{{else}}is{{/if}} {{count}} notification(s) since your last summary:</p>
+
+  <ul style="padding-left: 20px;">
+    {{#each items}}
+    <li style="margin-bottom: 10px;">
+      <strong>{{#if actionUrl}}<a href="{{actionUrl}}">{{title}}</a>{{else}}{{title}}{{/if}}</strong><br>
+      <span style="color: #666; font-size: 12px;">{{formatDate createdAt}}</span>
+    </li>
+    {{/each}}
+  </ul>
+  {{#if moreCount}}
+  <p>...and {{moreCount}} more in the app.</p>
+  {{/if}}
+
+  <p style="color: #666; font-size: 12px;">You are receiving this summary because your email frequency is set to {{period}}. You can change it in your notification preferences.</p>
+
+  <p>Best regards,<br>The MedicineFinder Team</p>
+</div>`,
+    category: "system",
+    variables: [
+      { name: "period", description: "Digest frequency (daily or weekly)", required: true },
+      { name: "count", description: "Number of batched notifications", required: true },
+      { name: "items", description: "Batched notifications (title, message, category, createdAt, actionUrl)", required: true },
+      { name: "moreCount", description: "Notifications left out of the list", required: false }
+    ]
+  },
+  {
+    name: "digest",
+    description: "Daily or weekly in-app summary of batched notifications",
+    type: "in_app",
+    subject: "Your {{period}} summary",
+    body: "{{count}} update(s) since your last summary: {{#each items}}{{title}}{{#unless @last}}; {{/unless}}{{/each}}{{#if moreCount}} and {{moreCount}} more{{/if}}.",
+    category: "system",
+    variables: [
+      { name: "period", description: "Digest frequency (daily or weekly)", required: true },
+      { name: "count", description: "Number of batched notifications", required: true },
+      { name: "items", description: "Batched notifications (title, message, category, createdAt, actionUrl)", required: true },
+      { name: "moreCount", description: "Notifications left out of the list", required: false }
+    ]
+  },
+
+  // Hindi translations (other languages fall back to English until translated)
+  {
+    name: "welcome",
+    description: "Welcome email sent to new users (Hindi)",
+    type: "email",
+    language: "hi",
+    subject: "MedicineFinder में आपका स्वागत है, {{name}}!",
+    body: `नमस्ते {{name}},
+
+MedicineFinder में आपका स्वागत है! हमें खुशी है कि आप हमारे समुदाय से जुड़े।
+
+आपका खाता सफलतापूर्वक बन गया है और अब आप:
+- दवाइयाँ और फ़ार्मेसी खोज सकते हैं
+- अपने प्रिस्क्रिप्शन संभाल सकते हैं
+- ज़रूरी स्वास्थ्य सूचनाएँ पा सकते हैं
+- साझेदार फ़ार्मेसियों के विशेष ऑफ़र देख सकते हैं
+
+कोई भी सवाल हो तो हमारी सहायता टीम से संपर्क करें।
+
+धन्यवाद,
+MedicineFinder टीम`,
+    htmlBody: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h1 style="color: #333;">MedicineFinder में आपका स्वागत है, {{name}}!</h1>
+  <p>हमें खुशी है कि आप हमारे समुदाय से जुड़े।</p>
+
+  <p>आपका खाता सफलतापूर्वक बन गया है और अब आप:</p>
+  <ul>
+    <li>दवाइयाँ और फ़ार्मेसी खोज सकते हैं</li>
+    <li>अपने प्रिस्क्रिप्शन संभाल सकते हैं</li>
+    <li>ज़रूरी स्वास्थ्य सूचनाएँ पा सकते हैं</li>
+    <li>साझेदार फ़ार्मेसियों के विशेष ऑफ़र देख सकते हैं</li>
+  </ul>
+
+  <p>कोई भी सवाल हो तो हमारी सहायता टीम से संपर्क करें।</p>
+
+  <p style="margin-top: 30px;">धन्यवाद,<br>MedicineFinder टीम</p>
+</div>`,
+    category: "account",
+    variables: [
+      { name: "name", description: "User's full name", required: true },
+      { name: "email", description: "User's email address", required: true }
+    ]
+  },
+  {
+    name: "two_factor_code",
+    description: "Two-factor authentication code sent by SMS (Hindi)",
+    type: "sms",
+    language: "hi",
+    body: "{{code}} आपका MedicineFinder सत्यापन कोड है। यह {{default expiresInMinutes 10}} मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।",
+    category: "security",
+    variables: [
+      { name: "code", description: "Verification code", required: true },
+      { name: "expiresInMinutes", description: "Minutes until the code expires", required: false, defaultValue: "10" }
+    ]
+  },
+  {
+    name: "digest",
+    description: "Daily or weekly in-app summary of batched notifications (Hindi)",
+    type: "in_app",
+    language: "hi",
+    subject: "{{#if (eq period \"weekly\")}}आपका साप्ताहिक सारांश{{else}}आपका दैनिक सारांश{{/if}}",
+    body: "पिछले सारांश के बाद {{count}} नई सूचनाएँ: {{#each items}}{{title}}{{#unless @last}}; {{/unless}}{{/each}}{{#if moreCount}} और {{moreCount}} अन्य{{/if}}।",
+    category: "system",
+    variables: [
+      { name: "period", description: "Digest frequency (daily or weekly)", required: true },
+      { name: "count", description: "Number of batched notifications", required: true },
+      { name: "items", description: "Batched notifications (title, message, category, createdAt, actionUrl)", required: true },
+      { name: "moreCount", description: "Notifications left out of the list", required: false }
+    ]
   }
 ];
 
+/**
+ * Unique indexes left behind by earlier template schemas. Template names used to be
+ * unique on their own and then per channel, which rejects the other channel and
+ * language variants of a template
+ */
+const LEGACY_INDEXES = ['name_1', 'name_1_type_1'];
+
+/**
+ * Drop legacy template indexes that are still present
+ */
+const dropLegacyIndexes = async () => {
+  const existing = await NotificationTemplate.collection.indexes().catch(() => []);
+
+  for (const name of LEGACY_INDEXES) {
+    if (existing.some(index => index.name === name)) {
+      await NotificationTemplate.collection.dropIndex(name);
+      console.log(`🧹 Dropped legacy template index: ${name}`);
+    }
+  }
+};
+
 /**
  * Seed default notification templates
  */
 export const seedDefaultTemplates = async () => {
   try {
+    await dropLegacyIndexes();
+
     console.log('🌱 Seeding default notification templates...');
 
     for (const templateData of defaultTemplates) {
       const existingTemplate = await NotificationTemplate.findOne({
         name: templateData.name,
-        type: templateData.type
+        type: templateData.type,
+        language: templateData.language || 'en'
       });
 
       if (!existingTemplate) {
-        await NotificationTemplate.create(templateData);
-        console.log(`✅ Created template: ${templateData.name}`);
+        const template = await NotificationTemplate.create(templateData);
+        await ensureInitialVersion(template);
+        console.log(`✅ Created template: ${templateData.name} (${templateData.type}, ${templateData.language || 'en'})`);
       } else {
         console.log(`⏭️  Template already exists: ${templateData.name}`);
       }
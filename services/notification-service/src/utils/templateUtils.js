@@ -1,14 +1,22 @@
 import Handlebars from 'handlebars';
 
 /**
- * Compile Handlebars template with data
+ * Get the Intl locale for a template language (helpers read it from the render options)
  */
-export const compileTemplate = (template, data) => {
+const getLocale = (options) => {
+  const language = options?.data?.language;
+  return language && language !== 'en' ? `${language}-IN` : 'en-US';
+};
+
+/**
+ * Compile Handlebars template with data, formatting dates and amounts for the language
+ */
+export const compileTemplate = (template, data, language = 'en') => {
   try {
     if (!template) return '';
 
     const compiledTemplate = Handlebars.compile(template);
-    return compiledTemplate(data);
+    return compiledTemplate(data, { data: { language } });
   } catch (error) {
     console.error('Error compiling template:', error);
     return template; // Return original template on error
@@ -20,7 +28,7 @@ export const compileTemplate = (template, data) => {
  */
 export const registerTemplateHelpers = () => {
   // Date formatting helper
-  Handlebars.registerHelper('formatDate', function(date, format) {
+  Handlebars.registerHelper('formatDate', function(date, ...args) {
     if (!date) return '';
 
     const d = new Date(date);
@@ -35,14 +43,18 @@ export const registerTemplateHelpers = () => {
       minute: '2-digit'
     };
 
-    return d.toLocaleDateString('en-US', options);
+    return d.toLocaleDateString(getLocale(args[args.length - 1]), options);
   });
 
   // Currency formatting helper
-  Handlebars.registerHelper('formatCurrency', function(amount, currency = 'INR') {
+  Handlebars.registerHelper('formatCurrency', function(amount, ...args) {
     if (typeof amount !== 'number') return amount;
 
-    return new Intl.NumberFormat('en-IN', {
+    const options = args[args.length - 1];
+    const currency = args.length > 1 ? args[0] : 'INR';
+    const locale = getLocale(options) === 'en-US' ? 'en-IN' : getLocale(options);
+
+    return new Intl.NumberFormat(locale, {
       style: 'currency',
       currency: currency
     }).format(amount);
@@ -146,10 +158,10 @@ export const validateTemplate = (template, requiredVariables = []) => {
 /**
  * Preview template with sample data
  */
-export const previewTemplate = (template, sampleData = {}) => {
+export const previewTemplate = (template, sampleData = {}, language = 'en') => {
   try {
     const compiled = Handlebars.compile(template);
-    return compiled(sampleData);
+    return compiled(sampleData, { data: { language } });
   } catch (error) {
     return `Template Error: ${error.message}`;
   }
@@ -0,0 +1,106 @@
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(
+    parts.filter(part => part.type !== 'literal').map(part => [part.type, parseInt(part.value)])
+  );
+
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+    weekday: new Date(Date.UTC(values.year, values.month - 1, values.day)).getUTCDay()
+  };
+};
+
+/**
+ * Get the offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getTimezoneOffset = (date, timeZone) => {
+  const zoned = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ */
+export const zonedTimeToDate = (year, month, day, hour, minute, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  const date = new Date(guess - offset);
+
+  // Re-check once in case the guess and the result sit on different sides of a DST change
+  const correctedOffset = getTimezoneOffset(date, timeZone);
+  return correctedOffset === offset ? date : new Date(guess - correctedOffset);
+};
+
+/**
+ * Parse a 24-hour "HH:mm" string into minutes since midnight
+ */
+export const parseTimeOfDay = (time) => {
+  const [hour, minute] = time.split(':').map(value => parseInt(value));
+  return hour * 60 + (minute || 0);
+};
+
+/**
+ * Get the next instant after `from` at which the clock in a timezone reads `time`,
+ * optionally restricted to a weekday (0 = Sunday)
+ */
+export const getNextTimeOfDay = (time, timeZone, from = new Date(), weekday) => {
+  const minutes = parseTimeOfDay(time);
+  const today = getZonedParts(from, timeZone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidateDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (weekday !== undefined && candidateDay.getUTCDay() !== weekday) continue;
+
+    const candidate = zonedTimeToDate(
+      candidateDay.getUTCFullYear(),
+      candidateDay.getUTCMonth() + 1,
+      candidateDay.getUTCDate(),
+      Math.floor(minutes / 60),
+      minutes % 60,
+      timeZone
+    );
+
+    if (candidate > from) return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the clock in a timezone falls inside a daily window, which may span midnight
+ */
+export const isWithinTimeWindow = (startTime, endTime, timeZone, at = new Date()) => {
+  const start = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  if (start === end) return false;
+
+  const zoned = getZonedParts(at, timeZone);
+  const current = zoned.hour * 60 + zoned.minute;
+
+  if (start < end) {
+    // Same day range (e.g., 08:00 to 18:00)
+    return current >= start && current < end;
+  }
+
+  // Overnight range (e.g., 22:00 to 08:00)
+  return current >= start || current < end;
+};
@@ -1,21 +1,31 @@
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from './src/config/db.js';
+import NotificationPreference from './src/models/NotificationPreference.js';
 import {
   sendEmailNotification
 } from './src/services/emailService.js';
 import { createInAppNotification } from './src/services/inAppService.js';
+import { sendSmsNotification } from './src/services/smsService.js';
+import { sendPushNotification, registerDevice } from './src/services/pushService.js';
 import { compileTemplate } from './src/utils/templateUtils.js';
 
 dotenv.config();
 
+// Preferences are looked up by ObjectId, so the test user needs a valid one
+const TEST_USER_ID = process.env.TEST_USER_ID || '64b7f0c2a1b2c3d4e5f60718';
+
 async function testNotifications() {
   console.log('🔔 Testing Notification Service...\n');
 
   try {
+    await connectDB();
+
     // Test email notification
     console.log('1. Testing Email Notification...');
     try {
       const emailResult = await sendEmailNotification({
-        userId: 'test-user-123',
+        userId: TEST_USER_ID,
         recipient: 'test@example.com',
         template: 'welcome',
         templateData: {
@@ -33,7 +43,7 @@ async function testNotifications() {
     console.log('\n2. Testing In-App Notification...');
     try {
       const inAppResult = await createInAppNotification({
-        userId: 'test-user-123',
+        userId: TEST_USER_ID,
         title: 'Welcome to MedicineFinder!',
         message: 'Thank you for joining our platform. Start exploring medicines and pharmacies nearby.',
         category: 'account',
@@ -45,6 +55,48 @@ async function testNotifications() {
       console.log('❌ In-app notification failed:', error.message);
     }
 
+    // Test SMS notification (uses the console/file stub unless Twilio is configured)
+    console.log('\n3. Testing SMS Notification...');
+    try {
+      // SMS is opt-in, so enable it for the test user first
+      await NotificationPreference.updateOne(
+        { userId: TEST_USER_ID },
+        { $set: { 'sms.enabled': true } },
+        { upsert: true }
+      );
+
+      const smsResult = await sendSmsNotification({
+        userId: TEST_USER_ID,
+        recipient: '+919876543210',
+        message: 'Your order ORD-TEST-0001 is out for delivery.',
+        category: 'transaction'
+      });
+      console.log('✅ SMS notification sent:', smsResult);
+    } catch (error) {
+      console.log('⚠️ SMS notification failed:', error.message);
+    }
+
+    // Test push notification (uses the mock transport unless FCM is configured)
+    console.log('\n4. Testing Push Notification...');
+    try {
+      // Push goes to registered devices only
+      await registerDevice(TEST_USER_ID, {
+        deviceId: 'test-device',
+        deviceType: 'mobile',
+        pushToken: 'test-push-token'
+      });
+
+      const pushResult = await sendPushNotification({
+        userId: TEST_USER_ID,
+        title: 'Order update',
+        message: 'Your order ORD-TEST-0001 has been delivered.',
+        category: 'transaction'
+      });
+      console.log('✅ Push notification sent:', pushResult);
+    } catch (error) {
+      console.log('⚠️ Push notification failed:', error.message);
+    }
+
     // Test template compilation
     console.log('\n5. Testing Template Compilation...');
     const template = 'Hello {{name}}, welcome to {{appName}}!';
@@ -58,6 +110,7 @@ async function testNotifications() {
     console.log('Note: Email/SMS/Push tests may fail if providers are not configured.');
     console.log('This is expected in development environment.');
 
+    await mongoose.disconnect();
   } catch (error) {
     console.error('❌ Notification testing failed:', error);
     process.exit(1);
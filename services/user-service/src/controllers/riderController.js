@@ -0,0 +1,287 @@
+import UserProfile from "../models/UserProfile.js";
+import { asyncHandler } from "../middlewares/asyncHandler.js";
+import {
+  riderDetailsSchema,
+  riderDocumentSchema,
+  riderDocumentReviewSchema,
+  riderStatusSchema,
+  riderListSchema,
+  riderDocumentParamsSchema,
+  userIdSchema,
+} from "../validators/userValidator.js";
+import { publishEvent } from "../events/kafka.js";
+import { TOPICS, EVENT_TYPES } from "../events/eventTypes.js";
+import { getPaginationInfo } from "../utils/index.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Remove an uploaded document file from disk
+ */
+const removeDocumentFile = (fileUrl) => {
+  if (!fileUrl) return;
+  const filePath = path.join(__dirname, "../../", fileUrl);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+/**
+ * Shape the onboarding state returned to riders and admins
+ */
+const formatRiderOnboarding = (profile) => {
+  const required = profile.getRiderRequiredDocuments();
+  const documents = profile.verificationDocuments.filter((doc) => required.includes(doc.type));
+
+  return {
+    userId: profile.userId,
+    status: profile.riderDetails?.onboardingStatus || "incomplete",
+    statusReason: profile.riderDetails?.statusReason,
+    vehicleType: profile.riderDetails?.vehicleType,
+    vehicleNumber: profile.riderDetails?.vehicleNumber,
+    submittedAt: profile.riderDetails?.submittedAt,
+    approvedAt: profile.riderDetails?.approvedAt,
+    requiredDocuments: required,
+    missingDocuments: required.filter((type) => !documents.some((doc) => doc.type === type)),
+    documents,
+  };
+};
+
+/**
+ * Recompute the onboarding status, save, and tell other services when it changed
+ */
+const saveRiderOnboarding = async (
+  profile,
+  reason,
+  previousStatus = profile.riderDetails?.onboardingStatus || "incomplete"
+) => {
+  const status = profile.getRiderOnboardingStatus();
+
+  profile.set("riderDetails.onboardingStatus", status);
+  if (status !== previousStatus) {
+    profile.set("riderDetails.statusReason", reason);
+  }
+  if (status === "pending" && previousStatus !== "pending") {
+    profile.set("riderDetails.submittedAt", new Date());
+  }
+  if (status === "approved" && previousStatus !== "approved") {
+    profile.set("riderDetails.approvedAt", new Date());
+  }
+
+  await profile.save();
+
+  if (status !== previousStatus) {
+    // medical-shop-service only lets approved riders take deliveries
+    await publishEvent(TOPICS.USER_EVENTS, EVENT_TYPES.RIDER_STATUS_CHANGED, {
+      userId: profile.userId,
+      status,
+      previousStatus,
+      vehicleType: profile.riderDetails.vehicleType,
+      vehicleNumber: profile.riderDetails.vehicleNumber,
+      reason,
+    });
+  }
+
+  return profile;
+};
+
+/**
+ * Load a rider's profile, creating an empty one on first use
+ */
+const findOrCreateRiderProfile = async (userId) => {
+  return UserProfile.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Load a rider's profile (Admin only)
+ */
+const findRiderProfile = async (userId) => {
+  const profile = await UserProfile.findOne({ userId, riderDetails: { $exists: true } });
+
+  if (!profile) {
+    const error = new Error("Rider not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return profile;
+};
+
+/**
+ * Get current rider's onboarding status and documents
+ */
+export const getMyRiderOnboarding = asyncHandler(async (req, res) => {
+  const profile = await findOrCreateRiderProfile(req.user.id);
+
+  res.json({
+    success: true,
+    onboarding: formatRiderOnboarding(profile),
+  });
+});
+
+/**
+ * Set current rider's vehicle details
+ */
+export const updateMyRiderDetails = asyncHandler(async (req, res) => {
+  const { vehicleType, vehicleNumber } = riderDetailsSchema.parse(req.body);
+
+  const profile = await findOrCreateRiderProfile(req.user.id);
+
+  if (profile.riderDetails?.onboardingStatus === "suspended") {
+    const error = new Error("Your rider account is suspended");
+    error.statusCode = 403;
+    throw error;
+  }
+
+  profile.set("riderDetails.vehicleType", vehicleType);
+  profile.set("riderDetails.vehicleNumber", vehicleNumber);
+  await saveRiderOnboarding(profile, "Vehicle details updated");
+
+  res.json({
+    success: true,
+    message: "Vehicle details updated successfully",
+    onboarding: formatRiderOnboarding(profile),
+  });
+});
+
+/**
+ * Upload (or replace) a verification document for the current rider
+ */
+export const uploadRiderDocument = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    const error = new Error("No file uploaded");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const fileUrl = `/uploads/documents/riders/${req.file.filename}`;
+
+  try {
+    const { type, documentId } = riderDocumentSchema.parse(req.body);
+
+    const profile = await findOrCreateRiderProfile(req.user.id);
+
+    if (profile.riderDetails?.onboardingStatus === "suspended") {
+      const error = new Error("Your rider account is suspended");
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // A new upload replaces the earlier document of the same type and goes back to review
+    const existing = profile.verificationDocuments.find((doc) => doc.type === type);
+    if (existing) {
+      removeDocumentFile(existing.fileUrl);
+      existing.deleteOne();
+    }
+
+    profile.verificationDocuments.push({ type, documentId, fileUrl, status: "pending" });
+    await saveRiderOnboarding(profile, `Document uploaded: ${type}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Document uploaded successfully",
+      onboarding: formatRiderOnboarding(profile),
+    });
+  } catch (error) {
+    removeDocumentFile(fileUrl);
+    throw error;
+  }
+});
+
+/**
+ * List riders by onboarding status, oldest submission first (Admin only)
+ */
+export const getRiders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = "pending" } = riderListSchema.parse(req.query);
+
+  const filter = { "riderDetails.onboardingStatus": status };
+
+  const [profiles, total] = await Promise.all([
+    UserProfile.find(filter)
+      .sort({ "riderDetails.submittedAt": 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    UserProfile.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    riders: profiles.map(formatRiderOnboarding),
+    pagination: getPaginationInfo(page, limit, total),
+  });
+});
+
+/**
+ * Approve or reject a rider's document (Admin only)
+ */
+export const reviewRiderDocument = asyncHandler(async (req, res) => {
+  const { userId, documentId } = riderDocumentParamsSchema.parse(req.params);
+  const { decision, reason } = riderDocumentReviewSchema.parse(req.body);
+
+  const profile = await findRiderProfile(userId);
+
+  const document = profile.verificationDocuments.id(documentId);
+  if (!document) {
+    const error = new Error("Document not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  document.status = decision === "approve" ? "approved" : "rejected";
+  document.rejectionReason = decision === "reject" ? reason : undefined;
+  document.reviewedAt = new Date();
+  document.reviewedBy = req.user.id;
+
+  await saveRiderOnboarding(
+    profile,
+    decision === "reject" ? `${document.type} rejected: ${reason}` : `${document.type} approved`
+  );
+
+  res.json({
+    success: true,
+    message: decision === "approve" ? "Document approved" : "Document rejected",
+    onboarding: formatRiderOnboarding(profile),
+  });
+});
+
+/**
+ * Suspend or reinstate a rider (Admin only)
+ */
+export const updateRiderStatus = asyncHandler(async (req, res) => {
+  const { userId } = userIdSchema.parse(req.params);
+  const { status, reason } = riderStatusSchema.parse(req.body);
+
+  const profile = await findRiderProfile(userId);
+  const suspended = profile.riderDetails.onboardingStatus === "suspended";
+
+  if (status === "suspended" && suspended) {
+    const error = new Error("Rider is already suspended");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (status === "reinstated" && !suspended) {
+    const error = new Error("Rider is not suspended");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Suspension overrides the document checks; reinstating works the status out again
+  const previousStatus = profile.riderDetails.onboardingStatus;
+  profile.set("riderDetails.onboardingStatus", status === "suspended" ? "suspended" : undefined);
+  await saveRiderOnboarding(profile, reason || "Rider reinstated", previousStatus);
+
+  res.json({
+    success: true,
+    message: status === "suspended" ? "Rider suspended" : "Rider reinstated",
+    onboarding: formatRiderOnboarding(profile),
+  });
+});
@@ -7,6 +7,8 @@ import {
   updatePreferencesSchema,
   getUsersSchema,
   userIdSchema,
+  userAddressParamsSchema,
+  segmentFilterSchema,
 } from "../validators/userValidator.js";
 import {
   getUserFromAuthService,
@@ -127,6 +129,89 @@ export const getMyPreferences = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get a user's preferences for other services (Internal)
+ */
+export const getUserPreferencesById = asyncHandler(async (req, res) => {
+  const { userId } = userIdSchema.parse(req.params);
+
+  // Users who never saved preferences get the defaults
+  const preferences = await UserPreferences.findOne({ userId }).lean()
+    || new UserPreferences({ userId }).toObject();
+
+  res.json({
+    success: true,
+    preferences: {
+      language: preferences.language,
+      timezone: preferences.timezone,
+      emailNotifications: preferences.emailNotifications,
+      smsNotifications: preferences.smsNotifications,
+      marketingEmails: preferences.marketingEmails,
+      promotionalSMS: preferences.promotionalSMS,
+    },
+  });
+});
+
+/**
+ * Get one of a user's saved addresses (internal - delivery quotes)
+ */
+export const getUserAddressById = asyncHandler(async (req, res) => {
+  const { userId, addressId } = userAddressParamsSchema.parse(req.params);
+
+  const profile = await UserProfile.findOne({ userId }).select("addresses");
+  const address = profile?.addresses.id(addressId);
+
+  if (!address) {
+    const error = new Error("Address not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    address,
+  });
+});
+
+/**
+ * Filter users by address city and language (internal - notification campaign segments)
+ */
+export const filterUserSegment = asyncHandler(async (req, res) => {
+  const { userIds, cities, languages } = segmentFilterSchema.parse(req.body);
+
+  let matched = userIds;
+
+  if (cities?.length) {
+    // Match any saved address, ignoring case
+    const cityPatterns = cities.map(
+      (city) => new RegExp(`^${city.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i")
+    );
+
+    const profiles = await UserProfile.find({
+      userId: { $in: matched },
+      "addresses.city": { $in: cityPatterns },
+    }).select("userId").lean();
+
+    matched = profiles.map((profile) => profile.userId.toString());
+  }
+
+  if (languages?.length && matched.length > 0) {
+    const saved = await UserPreferences.find({ userId: { $in: matched } })
+      .select("userId language")
+      .lean();
+    const languageByUser = new Map(saved.map((preferences) => [preferences.userId.toString(), preferences.language]));
+
+    // Users who never saved preferences have the default language
+    const defaultLanguage = UserPreferences.schema.path("language").defaultValue;
+    matched = matched.filter((userId) => languages.includes(languageByUser.get(userId) || defaultLanguage));
+  }
+
+  res.json({
+    success: true,
+    userIds: matched,
+  });
+});
+
 /**
  * Update user preferences
  */
@@ -164,7 +249,8 @@ export const getMyExtendedProfile = asyncHandler(async (req, res) => {
  * Update extended user profile
  */
 export const updateMyExtendedProfile = asyncHandler(async (req, res) => {
-  const profileData = req.body;
+  // Verification and rider onboarding only change through their own review flows
+  const { verificationDocuments, riderDetails, isVerified, ...profileData } = req.body;
 
   const profile = await UserProfile.findOneAndUpdate(
     { userId: req.user.id },
@@ -14,6 +14,7 @@ export const EVENT_TYPES = {
   USER_LOGIN: 'user.login',
   USER_LOGOUT: 'user.logout',
   USER_PASSWORD_CHANGED: 'user.password_changed',
+  RIDER_STATUS_CHANGED: 'user.rider_status_changed',
 
   // Auth Events
   TOKEN_REFRESHED: 'auth.token_refreshed',
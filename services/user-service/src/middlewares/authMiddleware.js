@@ -36,3 +36,17 @@ export const authorize = (...roles) => {
     next();
   };
 };
+
+export const protectInternal = (req, res, next) => {
+  const header = req.headers.authorization;
+  const internalKey = process.env.INTERNAL_API_KEY;
+
+  // Fail closed when no key is configured rather than accepting a guessable default
+  if (!internalKey || !header || header !== `Bearer ${internalKey}`) {
+    const error = new Error("Not authorized to access this resource");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  next();
+};
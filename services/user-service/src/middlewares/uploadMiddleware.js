@@ -33,3 +33,30 @@ export const uploadAvatar = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
   }
 }).single("avatar");
+
+// Rider verification documents (images or PDF)
+const riderDocumentStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, path.join(__dirname, "../../uploads/documents/riders"));
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(null, `rider-${req.user.id}-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+const documentFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith("image/") || file.mimetype === "application/pdf") {
+    cb(null, true);
+  } else {
+    cb(new Error("Only image or PDF files are allowed"), false);
+  }
+};
+
+export const uploadRiderDocument = multer({
+  storage: riderDocumentStorage,
+  fileFilter: documentFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+  }
+}).single("document");
@@ -12,6 +12,8 @@ const addressSchema = new mongoose.Schema({
   },
 });
 
+export const RIDER_VEHICLE_TYPES = ["bicycle", "scooter", "motorcycle", "car"];
+
 const emergencyContactSchema = new mongoose.Schema({
   name: { type: String, trim: true },
   relationship: { type: String, trim: true },
@@ -105,17 +107,44 @@ const userProfileSchema = new mongoose.Schema(
     verificationDocuments: [{
       type: {
         type: String,
-        enum: ["aadhar", "pan", "license", "passport"],
+        enum: ["aadhar", "pan", "license", "passport", "vehicle-registration"],
       },
       documentId: { type: String },
+      fileUrl: { type: String },
       status: {
         type: String,
         enum: ["pending", "approved", "rejected"],
         default: "pending",
       },
       uploadedAt: { type: Date, default: Date.now },
+      reviewedAt: { type: Date },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rejectionReason: { type: String, trim: true },
     }],
 
+    // Delivery rider onboarding (riders only)
+    riderDetails: {
+      vehicleType: {
+        type: String,
+        enum: RIDER_VEHICLE_TYPES,
+      },
+      vehicleNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+      },
+      onboardingStatus: {
+        type: String,
+        enum: ["incomplete", "pending", "approved", "rejected", "suspended"],
+      },
+      statusReason: { type: String, trim: true },
+      submittedAt: { type: Date },
+      approvedAt: { type: Date },
+    },
+
     // Activity Tracking
     lastProfileUpdate: {
       type: Date,
@@ -130,6 +159,7 @@ userProfileSchema.index({ userId: 1 });
 userProfileSchema.index({ "addresses.city": 1 });
 userProfileSchema.index({ "addresses.state": 1 });
 userProfileSchema.index({ businessType: 1 });
+userProfileSchema.index({ "riderDetails.onboardingStatus": 1 });
 
 // Pre-save middleware to update lastProfileUpdate
 userProfileSchema.pre("save", function (next) {
@@ -137,5 +167,28 @@ userProfileSchema.pre("save", function (next) {
   next();
 });
 
+// Documents a rider needs approved before taking deliveries (no registration for bicycles)
+userProfileSchema.methods.getRiderRequiredDocuments = function () {
+  const required = ["aadhar", "license"];
+  if (this.riderDetails?.vehicleType !== "bicycle") {
+    required.push("vehicle-registration");
+  }
+  return required;
+};
+
+// Work out the rider onboarding status from the vehicle details and document reviews
+userProfileSchema.methods.getRiderOnboardingStatus = function () {
+  if (this.riderDetails?.onboardingStatus === "suspended") return "suspended";
+
+  const documents = this.getRiderRequiredDocuments().map((type) =>
+    this.verificationDocuments.find((doc) => doc.type === type)
+  );
+
+  if (!this.riderDetails?.vehicleType || documents.some((doc) => !doc)) return "incomplete";
+  if (documents.some((doc) => doc.status === "rejected")) return "rejected";
+  if (documents.some((doc) => doc.status === "pending")) return "pending";
+  return "approved";
+};
+
 const UserProfile = mongoose.model("UserProfile", userProfileSchema);
 export default UserProfile;
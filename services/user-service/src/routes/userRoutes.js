@@ -15,19 +15,38 @@ import {
   deactivateAccount,
   reactivateAccount,
   getUserStats,
+  getUserPreferencesById,
+  getUserAddressById,
+  filterUserSegment,
 } from "../controllers/userController.js";
-import { protect, authorize } from "../middlewares/authMiddleware.js";
-import { uploadAvatar } from "../middlewares/uploadMiddleware.js";
+import {
+  getMyRiderOnboarding,
+  updateMyRiderDetails,
+  uploadRiderDocument,
+  getRiders,
+  reviewRiderDocument,
+  updateRiderStatus,
+} from "../controllers/riderController.js";
+import { protect, authorize, protectInternal } from "../middlewares/authMiddleware.js";
+import {
+  uploadAvatar as avatarUpload,
+  uploadRiderDocument as riderDocumentUpload,
+} from "../middlewares/uploadMiddleware.js";
 
 const userRoutes = express.Router();
 
+// Internal service-to-service routes
+userRoutes.get("/internal/:userId/preferences", protectInternal, getUserPreferencesById);
+userRoutes.get("/internal/:userId/addresses/:addressId", protectInternal, getUserAddressById);
+userRoutes.post("/internal/segment", protectInternal, filterUserSegment);
+
 // All routes require authentication
 userRoutes.use(protect);
 
 // Current user routes
 userRoutes.get("/profile", getMyProfile);
 userRoutes.put("/profile", updateMyProfile);
-userRoutes.post("/avatar", uploadAvatar, uploadAvatar);
+userRoutes.post("/avatar", avatarUpload, uploadAvatar);
 userRoutes.delete("/avatar", deleteAvatar);
 userRoutes.put("/deactivate", deactivateAccount);
 
@@ -39,6 +58,11 @@ userRoutes.put("/preferences", updateMyPreferences);
 userRoutes.get("/extended-profile", getMyExtendedProfile);
 userRoutes.put("/extended-profile", updateMyExtendedProfile);
 
+// Rider onboarding routes
+userRoutes.get("/rider/onboarding", authorize("rider"), getMyRiderOnboarding);
+userRoutes.put("/rider/details", authorize("rider"), updateMyRiderDetails);
+userRoutes.post("/rider/documents", authorize("rider"), riderDocumentUpload, uploadRiderDocument);
+
 // Admin routes
 userRoutes.get("/admin/stats", authorize("admin"), getUserStats);
 userRoutes.get("/admin/users", authorize("admin"), getAllUsers);
@@ -46,5 +70,8 @@ userRoutes.get("/admin/users/:userId", authorize("admin"), getUserById);
 userRoutes.put("/admin/users/:userId", authorize("admin"), updateUser);
 userRoutes.delete("/admin/users/:userId", authorize("admin"), deleteUser);
 userRoutes.put("/admin/users/:userId/reactivate", authorize("admin"), reactivateAccount);
+userRoutes.get("/admin/riders", authorize("admin"), getRiders);
+userRoutes.patch("/admin/riders/:userId/documents/:documentId", authorize("admin"), reviewRiderDocument);
+userRoutes.patch("/admin/riders/:userId/status", authorize("admin"), updateRiderStatus);
 
 export default userRoutes;
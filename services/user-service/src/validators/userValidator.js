@@ -29,3 +29,54 @@ export const getUsersSchema = z.object({
 export const userIdSchema = z.object({
   userId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format"),
 });
+
+export const userAddressParamsSchema = z.object({
+  userId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format"),
+  addressId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid address ID format"),
+});
+
+export const segmentFilterSchema = z.object({
+  userIds: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")).min(1).max(500),
+  cities: z.array(z.string().trim().min(1)).optional(),
+  languages: z.array(z.enum(["en", "hi", "bn", "te", "mr", "ta", "gu"])).optional(),
+});
+
+export const riderDetailsSchema = z.object({
+  vehicleType: z.enum(["bicycle", "scooter", "motorcycle", "car"]),
+  vehicleNumber: z.string().trim().min(4, "Vehicle number is too short").max(15, "Vehicle number is too long").optional(),
+}).refine((data) => data.vehicleType === "bicycle" || data.vehicleNumber, {
+  message: "Vehicle number is required for motor vehicles",
+  path: ["vehicleNumber"],
+});
+
+export const riderDocumentSchema = z.object({
+  type: z.enum(["aadhar", "pan", "license", "passport", "vehicle-registration"]),
+  documentId: z.string().trim().min(4, "Document number is too short").max(30, "Document number is too long"),
+});
+
+export const riderDocumentReviewSchema = z.object({
+  decision: z.enum(["approve", "reject"]),
+  reason: z.string().trim().min(5, "Reason must be at least 5 characters").max(300).optional(),
+}).refine((data) => data.decision === "approve" || data.reason, {
+  message: "A reason is required when rejecting a document",
+  path: ["reason"],
+});
+
+export const riderStatusSchema = z.object({
+  status: z.enum(["suspended", "reinstated"]),
+  reason: z.string().trim().min(5, "Reason must be at least 5 characters").max(300).optional(),
+}).refine((data) => data.status === "reinstated" || data.reason, {
+  message: "A reason is required when suspending a rider",
+  path: ["reason"],
+});
+
+export const riderListSchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional(),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional(),
+  status: z.enum(["incomplete", "pending", "approved", "rejected", "suspended"]).optional(),
+});
+
+export const riderDocumentParamsSchema = z.object({
+  userId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format"),
+  documentId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid document ID format"),
+});